@@ -0,0 +1,384 @@
+#!/usr/bin/env node
+/**
+ * BB TPP Command Line Client
+ *
+ * Calls the UK Open Banking service functions directly, without the HTTP server,
+ * using the same .env configuration as the simulator.
+ *
+ *   bb-tpp ais create --provider backbase_uat_uk --permissions ReadAccountsBasic,ReadBalances --open
+ *   bb-tpp ais get CONSENT_ID
+ *   bb-tpp pis create --product domestic-scheduled-payment-consents --json
+ *   bb-tpp pis create-file --file-type UK.OBIE.pain.001.001.08 --payments 20
+ *
+ * Run `bb-tpp help` for every command. Progress logs go to stderr, so stdout only carries
+ * the result (JSON with --json).
+ */
+
+import dotenv from 'dotenv';
+import path from 'path';
+import fs from 'fs';
+import { spawn } from 'child_process';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import {
+  createAISConsent,
+  getConsentDetails as getAISConsentDetails,
+  revokeAISConsent
+} from './services/uk/ais-service.js';
+import {
+  createFilePaymentConsent,
+  createPISConsent,
+  getConsentDetails as getPISConsentDetails,
+  getFundsConfirmation,
+  getPaymentDetails,
+  getPaymentStatusDetails,
+  getPaymentProduct,
+  listPaymentProducts
+} from './services/uk/pis-service.js';
+import { getConsent, getAuthorisedConsent, getPaymentConsent } from './services/uk/shared/consent-store.js';
+import { getDefaultRedirectUri } from './services/uk/shared/config.js';
+import { adoptTppProfile, runWithTppProfile } from './services/uk/shared/tpp-profiles.js';
+import { adoptObieVersion, runWithObieVersion } from './services/uk/shared/obie-version.js';
+import { installFapiHeaders, installInteractionLogging, runWithInteraction } from './services/uk/shared/fapi.js';
+import { installCassettes } from './services/uk/shared/cassettes.js';
+import { getObieVersion } from './services/providers/registry.js';
+import { assertValid } from './services/uk/shared/schema-validator.js';
+import {
+  getAISConsentRequestSchema,
+  getFileConsentRequestSchema,
+  getPISConsentRequestSchema
+} from './services/uk/obie-schemas.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Keep stdout for the result, so it can be piped into jq
+console.log = console.error;
+
+const OPTIONS = {
+  json: { type: 'boolean', description: 'Print the result as JSON' },
+  provider: { type: 'string', description: 'Open Banking provider code (defaults to OB_PROVIDER_CODE)' },
+  profile: { type: 'string', description: 'TPP credential profile (defaults to the profile a consent was created with)' },
+  'api-version': { type: 'string', description: 'OBIE API version, v3.1 or v4.0 (defaults to the consent\'s, then the provider\'s)' },
+  'redirect-uri': { type: 'string', description: 'OAuth redirect URI (defaults to REDIRECT_URI)' },
+  open: { type: 'boolean', description: 'Open the authorization URL in the default browser' },
+  permissions: { type: 'string', description: 'Comma-separated AIS permissions' },
+  expiration: { type: 'string', description: 'Consent ExpirationDateTime (ISO 8601)' },
+  product: { type: 'string', description: 'Payment product (default: domestic-payment-consents)' },
+  initiation: { type: 'string', description: 'Initiation as JSON, or @file.json' },
+  authorisation: { type: 'string', description: 'Authorisation as JSON, or @file.json' },
+  'sca-support-data': { type: 'string', description: 'SCASupportData as JSON, or @file.json' },
+  risk: { type: 'string', description: 'Risk as JSON, or @file.json' },
+  file: { type: 'string', description: 'Payment file to upload (default: a generated test file)' },
+  'file-type': { type: 'string', description: 'Payment file type (default: UK.OBIE.PaymentInitiation.3.1)' },
+  payments: { type: 'string', description: 'Number of payments in the generated test file (default: 5)' },
+  'file-reference': { type: 'string', description: 'FileReference of the file payment consent' },
+  help: { type: 'boolean', short: 'h', description: 'Show this help' }
+};
+
+/**
+ * Error in the command line, answered with the usage
+ */
+class UsageError extends Error {}
+
+/**
+ * Read a JSON option, given inline or as @file
+ */
+function readJsonOption(name, value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const text = value.startsWith('@') ? fs.readFileSync(value.substring(1), 'utf8') : value;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`--${name} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Get the single positional argument of a command
+ */
+function requireArgument(args, name) {
+  if (!args[0]) {
+    throw new UsageError(`Missing ${name}`);
+  }
+  return args[0];
+}
+
+/**
+ * Use the TPP profile and OBIE API version a consent was created with (unless --profile or --api-version
+ * is given) and get its provider: --provider, then the provider it was created with, then env
+ */
+function useStoredConsent(options, consentId) {
+  adoptTppProfile(getConsent(consentId)?.profile);
+  adoptObieVersion(getConsent(consentId)?.apiVersion);
+  return options.provider || getConsent(consentId)?.providerCode || process.env.OB_PROVIDER_CODE || 'backbase_dev_uk';
+}
+
+/**
+ * Use the stored consent a payment was submitted for, like useStoredConsent
+ * Returns the provider and payment product to call, the options' first.
+ */
+function useStoredPayment(options, paymentId) {
+  const consent = getPaymentConsent(paymentId);
+  return {
+    providerCode: useStoredConsent(options, consent?.consentId),
+    paymentProduct: options.product || consent?.paymentProduct || 'domestic-payment-consents'
+  };
+}
+
+/**
+ * Open a URL in the default browser
+ */
+function openInBrowser(url) {
+  const [command, args] = {
+    darwin: ['open', [url]],
+    win32: ['rundll32', ['url.dll,FileProtocolHandler', url]]
+  }[process.platform] || ['xdg-open', [url]];
+
+  const child = spawn(command, args, { detached: true, stdio: 'ignore' });
+  child.on('error', (error) => console.error(`⚠️  Could not open a browser (${command}): ${error.message}`));
+  child.unref();
+}
+
+/**
+ * Describe the signature check of an ASPSP response in one line
+ */
+function describeResponseSignature({ verified, kid, errors }) {
+  return verified ? `verified (kid ${kid})` : `NOT verified - ${errors.join('; ')}`;
+}
+
+/**
+ * Print a created consent and optionally open its authorization URL
+ */
+function printCreatedConsent(type, result, options) {
+  const consent = {
+    consentId: result.consentId,
+    authorizationUrl: result.authorizationUrl,
+    status: result.status,
+    ...(result.responseSignature !== undefined && { responseSignature: result.responseSignature }),
+    ...(result.file && { file: result.file })
+  };
+
+  if (options.open) {
+    openInBrowser(result.authorizationUrl);
+  }
+
+  if (options.json) {
+    return consent;
+  }
+
+  process.stdout.write(`✅ ${type} consent created\n`
+    + `   Consent ID:        ${consent.consentId}\n`
+    + `   Status:            ${consent.status}\n`
+    + `   Authorization URL: ${consent.authorizationUrl}\n`
+    + (consent.file ? `   Payment file:      ${consent.file.numberOfTransactions} payments, control sum ${consent.file.controlSum}\n` : '')
+    + (consent.responseSignature ? `   Response JWS:      ${describeResponseSignature(consent.responseSignature)}\n` : ''));
+  return undefined;
+}
+
+const COMMANDS = {
+  'ais create': {
+    description: 'Create an AIS consent and print its authorization URL',
+    options: ['provider', 'redirect-uri', 'permissions', 'expiration', 'open'],
+    run: async (args, options) => {
+      const body = {
+        providerCode: options.provider || process.env.OB_PROVIDER_CODE || 'backbase_dev_uk',
+        redirectUri: options['redirect-uri'] || getDefaultRedirectUri(),
+        ...(options.permissions && { permissions: options.permissions.split(',').map((permission) => permission.trim()) }),
+        ...(options.expiration && { expirationDateTime: options.expiration })
+      };
+      assertValid(getAISConsentRequestSchema(), body, 'Options');
+
+      return printCreatedConsent('AIS', await createAISConsent(body), options);
+    }
+  },
+
+  'ais get': {
+    usage: '<consentId>',
+    description: 'Get AIS consent details',
+    options: ['provider'],
+    run: (args, options) => {
+      const consentId = requireArgument(args, 'consentId');
+      return getAISConsentDetails(useStoredConsent(options, consentId), consentId);
+    }
+  },
+
+  'ais revoke': {
+    usage: '<consentId>',
+    description: 'Revoke an AIS consent',
+    options: ['provider'],
+    run: async (args, options) => {
+      const consentId = requireArgument(args, 'consentId');
+      await revokeAISConsent(useStoredConsent(options, consentId), consentId);
+
+      if (!options.json) {
+        process.stdout.write(`✅ AIS consent ${consentId} revoked\n`);
+        return undefined;
+      }
+      return { consentId, revoked: true };
+    }
+  },
+
+  'pis create': {
+    description: 'Create a PIS consent and print its authorization URL',
+    options: ['provider', 'redirect-uri', 'product', 'initiation', 'authorisation', 'sca-support-data', 'risk', 'open'],
+    run: async (args, options) => {
+      const body = {
+        providerCode: options.provider || process.env.OB_PROVIDER_CODE || 'backbase_dev_uk',
+        redirectUri: options['redirect-uri'] || getDefaultRedirectUri(),
+        paymentProduct: options.product || 'domestic-payment-consents',
+        initiation: readJsonOption('initiation', options.initiation),
+        authorisation: readJsonOption('authorisation', options.authorisation),
+        scaSupportData: readJsonOption('sca-support-data', options['sca-support-data']),
+        risk: readJsonOption('risk', options.risk)
+      };
+      if (getPaymentProduct(body.paymentProduct).requiresFile) {
+        throw new UsageError(`${body.paymentProduct} need a payment file, use bb-tpp pis create-file`);
+      }
+      assertValid(getPISConsentRequestSchema(body.paymentProduct, getObieVersion(body.providerCode)), body, 'Options');
+
+      return printCreatedConsent('PIS', await createPISConsent(body), options);
+    }
+  },
+
+  'pis create-file': {
+    description: 'Create a file payment consent, upload its payment file and print its authorization URL',
+    options: ['provider', 'redirect-uri', 'file', 'file-type', 'payments', 'file-reference', 'initiation', 'authorisation',
+      'sca-support-data', 'open'],
+    run: async (args, options) => {
+      const body = {
+        providerCode: options.provider || process.env.OB_PROVIDER_CODE || 'backbase_dev_uk',
+        redirectUri: options['redirect-uri'] || getDefaultRedirectUri(),
+        fileType: options['file-type'],
+        fileContent: options.file && fs.readFileSync(options.file, 'utf8'),
+        numberOfPayments: options.payments && Number(options.payments),
+        fileReference: options['file-reference'],
+        initiation: readJsonOption('initiation', options.initiation),
+        authorisation: readJsonOption('authorisation', options.authorisation),
+        scaSupportData: readJsonOption('sca-support-data', options['sca-support-data'])
+      };
+      assertValid(getFileConsentRequestSchema(getObieVersion(body.providerCode)), body, 'Options');
+
+      return printCreatedConsent('File payment', await createFilePaymentConsent(body), options);
+    }
+  },
+
+  'pis get': {
+    usage: '<consentId>',
+    description: 'Get PIS consent details',
+    options: ['provider', 'product'],
+    run: (args, options) => {
+      const consentId = requireArgument(args, 'consentId');
+      const paymentProduct = options.product || getConsent(consentId)?.paymentProduct || 'domestic-payment-consents';
+      return getPISConsentDetails(useStoredConsent(options, consentId), consentId, paymentProduct);
+    }
+  },
+
+  'pis funds': {
+    usage: '<consentId>',
+    description: 'Check funds for an authorised PIS consent (uses the token stored by the OAuth callback)',
+    options: [],
+    run: (args) => {
+      const consentId = requireArgument(args, 'consentId');
+      const { consent, providerCode, accessToken } = getAuthorisedConsent(consentId, 'pis');
+      return getFundsConfirmation(providerCode, consentId, accessToken, consent.paymentProduct || 'domestic-payment-consents');
+    }
+  },
+
+  'pis payment': {
+    usage: '<paymentId>',
+    description: 'Get payment details, including its Status',
+    options: ['provider', 'product'],
+    run: (args, options) => {
+      const paymentId = requireArgument(args, 'paymentId');
+      const { providerCode, paymentProduct } = useStoredPayment(options, paymentId);
+      return getPaymentDetails(providerCode, paymentId, paymentProduct);
+    }
+  },
+
+  'pis payment-details': {
+    usage: '<paymentId>',
+    description: 'Get the detailed status history of a payment',
+    options: ['provider', 'product'],
+    run: (args, options) => {
+      const paymentId = requireArgument(args, 'paymentId');
+      const { providerCode, paymentProduct } = useStoredPayment(options, paymentId);
+      return getPaymentStatusDetails(providerCode, paymentId, paymentProduct);
+    }
+  },
+
+  'pis products': {
+    description: 'List the supported payment products',
+    options: [],
+    run: () => listPaymentProducts()
+  }
+};
+
+/**
+ * Build the help text from the command table
+ */
+function getUsage() {
+  const commands = Object.entries(COMMANDS).map(([name, command]) => {
+    const options = command.options.map((option) => `--${option}`).join(' ');
+    return `  bb-tpp ${[name, command.usage].filter(Boolean).join(' ')}\n      ${command.description}${options ? `\n      Options: ${options}` : ''}`;
+  });
+  const options = Object.entries(OPTIONS).map(([name, option]) => `  --${name.padEnd(18)} ${option.description}`);
+
+  return `Usage: bb-tpp <ais|pis> <command> [arguments] [options]\n\nCommands:\n${commands.join('\n')}\n\nOptions:\n${options.join('\n')}\n`;
+}
+
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: Object.fromEntries(Object.entries(OPTIONS).map(([name, { type, short }]) => [name, { type, ...(short && { short }) }])),
+    allowPositionals: true
+  });
+
+  const [group, action, ...args] = positionals;
+
+  if (options.help || !group || group === 'help') {
+    process.stdout.write(getUsage());
+    return;
+  }
+
+  const command = COMMANDS[`${group} ${action}`];
+  if (!command) {
+    throw new UsageError(`Unknown command: ${positionals.slice(0, 2).join(' ')}`);
+  }
+
+  const unsupported = Object.keys(options).filter((name) => !['json', 'help', 'profile', 'api-version', ...command.options].includes(name));
+  if (unsupported.length > 0) {
+    throw new UsageError(`bb-tpp ${group} ${action} does not support --${unsupported.join(', --')}`);
+  }
+
+  // One FAPI interaction per command, its ID prefixes the progress logs
+  installFapiHeaders();
+  installInteractionLogging();
+  installCassettes();
+  const result = await runWithInteraction({}, () => runWithTppProfile(options.profile, () => (
+    runWithObieVersion(options['api-version'], () => command.run(args, options))
+  )));
+
+  if (result === undefined) {
+    return;
+  }
+  process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+}
+
+try {
+  await main();
+} catch (error) {
+  if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+    console.error(`❌ ${error.message}\n\n${getUsage()}`);
+    process.exitCode = 2;
+  } else {
+    console.error(`\n❌ ERROR: ${error.message}`);
+    (error.details?.violations || []).forEach((violation) => console.error(`   ${violation.path}: ${violation.message}`));
+    process.exitCode = 1;
+  }
+}
@@ -15,6 +15,26 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import ukAisRouter from './routes/uk/ais.js';
 import ukPisRouter from './routes/uk/pis.js';
+import ukCbpiiRouter from './routes/uk/cbpii.js';
+import ukCallbackRouter from './routes/uk/callback.js';
+import ukCacheRouter from './routes/uk/cache.js';
+import ukConsentsRouter from './routes/uk/consents.js';
+import ukProfilesRouter, { selectTppProfile } from './routes/uk/profiles.js';
+import { selectObieVersion } from './routes/uk/obie-version.js';
+import { trackInteraction } from './routes/uk/interaction.js';
+import bgAisRouter from './routes/bg/ais.js';
+import bgPisRouter from './routes/bg/pis.js';
+import bgCallbackRouter from './routes/bg/callback.js';
+import scenariosRouter from './routes/scenarios.js';
+import providersRouter, { checkProviderCode } from './routes/providers.js';
+import debugRouter from './routes/debug.js';
+import faultsRouter, { simulateFaults } from './routes/faults.js';
+import { STANDARDS } from './services/providers/registry.js';
+import { FAPI_HEADERS, installFapiHeaders, installInteractionLogging } from './services/uk/shared/fapi.js';
+import { installTrafficRecorder } from './services/uk/shared/traffic-recorder.js';
+import { installCassettes } from './services/uk/shared/cassettes.js';
+import { installFaultInjection } from './services/uk/shared/fault-injection.js';
+import { startMockPriora } from './mock-priora/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,8 +45,35 @@ dotenv.config({ path: path.join(__dirname, '..', '.env') });
 const app = express();
 const PORT = process.env.PORT || 3002;
 
+// FAPI headers on every upstream call, and the interaction ID in every log line
+installFapiHeaders();
+installInteractionLogging();
+
+// Keep the last upstream exchanges (redacted) for GET /api/debug/traffic
+installTrafficRecorder();
+
+// Record upstream calls to cassettes, or replay them without network access (RECORD_MODE)
+installCassettes();
+
+// Upstream faults set through /api/admin/faults or the X-Simulate-Fault header
+installFaultInjection();
+
+// Offline mode - start the bundled mock Priora and point the simulator at it
+const useMockPriora = process.argv.includes('--mock-priora') || process.env.MOCK_PRIORA === 'true';
+if (useMockPriora) {
+  const mockPrioraPort = process.env.MOCK_PRIORA_PORT || 3003;
+  await startMockPriora(mockPrioraPort);
+
+  process.env.PRIORA_URL = `localhost:${mockPrioraPort}`;
+  process.env.PROTOCOL = 'http';
+  process.env.REDIRECT_URI = `http://localhost:${PORT}/api/uk/callback`;
+  process.env.BG_REDIRECT_URI = `http://localhost:${PORT}/api/bg/callback`;
+}
+
 // Middleware
-app.use(cors());
+// Every request runs in a FAPI interaction (x-fapi-interaction-id header, generated if missing)
+app.use(trackInteraction);
+app.use(cors({ exposedHeaders: [FAPI_HEADERS.interactionId, 'Idempotent-Replayed', 'Idempotent-Resent', 'Retry-After'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -37,9 +84,34 @@ app.use((req, res, next) => {
   next();
 });
 
+// TPP credential profile of the request (X-TPP-Profile header, or profile body/query field)
+app.use(selectTppProfile);
+
+// OBIE API version of the request (X-OBIE-Version header, or apiVersion body/query field)
+app.use(selectObieVersion);
+
+// Upstream faults of the request (X-Simulate-Fault header)
+app.use(simulateFaults);
+
+// Unknown providerCode values are rejected before they reach the services
+app.use(['/api/uk/ais', '/api/uk/pis', '/api/uk/cbpii', '/api/uk/callback'], checkProviderCode(STANDARDS.OBIE));
+app.use(['/api/bg/ais', '/api/bg/pis', '/api/bg/callback'], checkProviderCode(STANDARDS.BERLIN_GROUP));
+
 // API Routes
+app.use('/api/providers', providersRouter);
 app.use('/api/uk/ais', ukAisRouter);
 app.use('/api/uk/pis', ukPisRouter);
+app.use('/api/uk/cbpii', ukCbpiiRouter);
+app.use('/api/uk/callback', ukCallbackRouter);
+app.use('/api/uk/cache', ukCacheRouter);
+app.use('/api/uk/consents', ukConsentsRouter);
+app.use('/api/uk/profiles', ukProfilesRouter);
+app.use('/api/bg/ais', bgAisRouter);
+app.use('/api/bg/pis', bgPisRouter);
+app.use('/api/bg/callback', bgCallbackRouter);
+app.use('/api/scenarios', scenariosRouter);
+app.use('/api/debug', debugRouter);
+app.use('/api/admin/faults', faultsRouter);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -64,6 +136,12 @@ app.get('/', (req, res) => {
         path: '/api/health',
         description: 'Health check endpoint'
       },
+      listProviders: {
+        method: 'GET',
+        path: '/api/providers',
+        description: 'List the registered providers with region, standard, API version, PIS products and discovered OIDC metadata',
+        example: 'curl "http://localhost:3002/api/providers"'
+      },
       createUKAISConsent: {
         method: 'POST',
         path: '/api/uk/ais/consent',
@@ -76,23 +154,317 @@ app.get('/', (req, res) => {
         description: 'Get UK AIS consent details by consent ID',
         example: 'curl "http://localhost:3002/api/uk/ais/consent/CONSENT_ID"'
       },
+      watchUKAISConsent: {
+        method: 'GET',
+        path: '/api/uk/ais/consent/:consentId/watch',
+        description: 'Stream UK AIS consent status changes (Server-Sent Events) until the status is terminal or the timeout is hit; format=json for long-poll',
+        example: 'curl -N "http://localhost:3002/api/uk/ais/consent/CONSENT_ID/watch"'
+      },
       revokeUKAISConsent: {
         method: 'DELETE',
         path: '/api/uk/ais/consent/:consentId',
         description: 'Revoke/Delete a UK AIS consent by consent ID',
         example: 'curl -X DELETE "http://localhost:3002/api/uk/ais/consent/CONSENT_ID"'
       },
+      getUKAISAccounts: {
+        method: 'GET',
+        path: '/api/uk/ais/consent/:consentId/accounts',
+        description: 'List accounts authorised under a UK AIS consent (requires the OAuth callback to have stored a token)',
+        example: 'curl "http://localhost:3002/api/uk/ais/consent/CONSENT_ID/accounts"'
+      },
+      getUKAISAccountBalances: {
+        method: 'GET',
+        path: '/api/uk/ais/consent/:consentId/accounts/:accountId/balances',
+        description: 'Get balances of an account authorised under a UK AIS consent',
+        example: 'curl "http://localhost:3002/api/uk/ais/consent/CONSENT_ID/accounts/ACCOUNT_ID/balances"'
+      },
+      getUKAISAccountTransactions: {
+        method: 'GET',
+        path: '/api/uk/ais/consent/:consentId/accounts/:accountId/transactions',
+        description: 'Get transactions of an account authorised under a UK AIS consent',
+        example: 'curl "http://localhost:3002/api/uk/ais/consent/CONSENT_ID/accounts/ACCOUNT_ID/transactions"'
+      },
+      getUKAISAccountStandingOrders: {
+        method: 'GET',
+        path: '/api/uk/ais/consent/:consentId/accounts/:accountId/standing-orders',
+        description: 'Get standing orders of an account authorised under a UK AIS consent',
+        example: 'curl "http://localhost:3002/api/uk/ais/consent/CONSENT_ID/accounts/ACCOUNT_ID/standing-orders"'
+      },
+      refreshUKAISAccounts: {
+        method: 'POST',
+        path: '/api/uk/ais/consent/:consentId/accounts/refresh',
+        description: 'Trigger a refresh of account data for a UK AIS consent',
+        example: 'curl -X POST "http://localhost:3002/api/uk/ais/consent/CONSENT_ID/accounts/refresh"'
+      },
+      getUKAISRefreshStatus: {
+        method: 'GET',
+        path: '/api/uk/ais/consent/:consentId/accounts/refresh/status',
+        description: 'Get the status of an account data refresh for a UK AIS consent',
+        example: 'curl "http://localhost:3002/api/uk/ais/consent/CONSENT_ID/accounts/refresh/status"'
+      },
       createUKPISConsent: {
         method: 'POST',
         path: '/api/uk/pis/consent',
         description: 'Create UK PIS payment consent and get authorization URL',
         example: 'curl -X POST http://localhost:3002/api/uk/pis/consent -H "Content-Type: application/json" -d "{}"'
       },
+      listUKPaymentProducts: {
+        method: 'GET',
+        path: '/api/uk/pis/products',
+        description: 'List the supported UK PIS payment products',
+        example: 'curl "http://localhost:3002/api/uk/pis/products"'
+      },
+      generateUKPaymentFile: {
+        method: 'POST',
+        path: '/api/uk/pis/file/generate',
+        description: 'Generate a test payment file (UK.OBIE.PaymentInitiation.3.1 JSON or UK.OBIE.pain.001.001.08 XML)',
+        example: 'curl -X POST http://localhost:3002/api/uk/pis/file/generate -H "Content-Type: application/json" -d "{\\"numberOfPayments\\": 10}"'
+      },
+      createUKFilePaymentConsent: {
+        method: 'POST',
+        path: '/api/uk/pis/file-consent',
+        description: 'Create UK file payment consent, upload the payment file and get authorization URL',
+        example: 'curl -X POST http://localhost:3002/api/uk/pis/file-consent -H "Content-Type: application/json" -d "{}"'
+      },
+      getUKFilePaymentConsentFile: {
+        method: 'GET',
+        path: '/api/uk/pis/file-consent/:consentId/file',
+        description: 'Download the payment file uploaded for a UK file payment consent',
+        example: 'curl "http://localhost:3002/api/uk/pis/file-consent/CONSENT_ID/file"'
+      },
       getUKPISConsent: {
         method: 'GET',
         path: '/api/uk/pis/consent/:consentId',
         description: 'Get UK PIS consent details by consent ID',
         example: 'curl "http://localhost:3002/api/uk/pis/consent/CONSENT_ID"'
+      },
+      watchUKPISConsent: {
+        method: 'GET',
+        path: '/api/uk/pis/consent/:consentId/watch',
+        description: 'Stream UK PIS consent status changes (Server-Sent Events) until the status is terminal or the timeout is hit; format=json for long-poll',
+        example: 'curl -N "http://localhost:3002/api/uk/pis/consent/CONSENT_ID/watch"'
+      },
+      getUKPISFundsConfirmation: {
+        method: 'GET',
+        path: '/api/uk/pis/consent/:consentId/funds-confirmation',
+        description: 'Check funds availability for an authorised UK PIS consent',
+        example: 'curl "http://localhost:3002/api/uk/pis/consent/CONSENT_ID/funds-confirmation"'
+      },
+      submitUKPayment: {
+        method: 'POST',
+        path: '/api/uk/pis/consent/:consentId/payment',
+        description: 'Submit the payment of an authorised UK PIS consent',
+        example: 'curl -X POST "http://localhost:3002/api/uk/pis/consent/CONSENT_ID/payment"'
+      },
+      getUKPayment: {
+        method: 'GET',
+        path: '/api/uk/pis/payment/:paymentId',
+        description: 'Get UK payment details and status by payment ID',
+        example: 'curl "http://localhost:3002/api/uk/pis/payment/PAYMENT_ID"'
+      },
+      getUKFilePaymentReport: {
+        method: 'GET',
+        path: '/api/uk/pis/payment/:paymentId/report-file',
+        description: 'Download the report file of a UK file payment',
+        example: 'curl "http://localhost:3002/api/uk/pis/payment/PAYMENT_ID/report-file"'
+      },
+      getUKPaymentStatusDetails: {
+        method: 'GET',
+        path: '/api/uk/pis/payment/:paymentId/payment-details',
+        description: 'Get the detailed status history of a UK payment',
+        example: 'curl "http://localhost:3002/api/uk/pis/payment/PAYMENT_ID/payment-details"'
+      },
+      createUKCBPIIConsent: {
+        method: 'POST',
+        path: '/api/uk/cbpii/consent',
+        description: 'Create UK CBPII funds-confirmation consent and get authorization URL',
+        example: 'curl -X POST http://localhost:3002/api/uk/cbpii/consent -H "Content-Type: application/json" -d "{}"'
+      },
+      getUKCBPIIConsent: {
+        method: 'GET',
+        path: '/api/uk/cbpii/consent/:consentId',
+        description: 'Get UK CBPII consent details by consent ID',
+        example: 'curl "http://localhost:3002/api/uk/cbpii/consent/CONSENT_ID"'
+      },
+      revokeUKCBPIIConsent: {
+        method: 'DELETE',
+        path: '/api/uk/cbpii/consent/:consentId',
+        description: 'Revoke/Delete a UK CBPII consent by consent ID',
+        example: 'curl -X DELETE "http://localhost:3002/api/uk/cbpii/consent/CONSENT_ID"'
+      },
+      confirmUKCBPIIFunds: {
+        method: 'POST',
+        path: '/api/uk/cbpii/consent/:consentId/funds-confirmation',
+        description: 'Confirm funds availability under an authorised UK CBPII consent',
+        example: 'curl -X POST "http://localhost:3002/api/uk/cbpii/consent/CONSENT_ID/funds-confirmation" -H "Content-Type: application/json" -d "{\\"amount\\": \\"125.00\\"}"'
+      },
+      ukOAuthCallback: {
+        method: 'GET',
+        path: '/api/uk/callback',
+        description: 'OAuth redirect target - exchanges the authorization code and stores the access token against the consent ID',
+        example: 'curl "http://localhost:3002/api/uk/callback?code=AUTH_CODE&state=CONSENT_ID"'
+      },
+      listUKConsents: {
+        method: 'GET',
+        path: '/api/uk/consents',
+        description: 'List the consents created through the simulator (filters: type, status, providerCode, createdAfter; refresh=true re-reads the live status)',
+        example: 'curl "http://localhost:3002/api/uk/consents?type=ais&status=Authorised&refresh=true"'
+      },
+      listTppProfiles: {
+        method: 'GET',
+        path: '/api/uk/profiles',
+        description: 'List the TPP credential profiles; select one per request with the X-TPP-Profile header or a profile body/query field',
+        example: 'curl "http://localhost:3002/api/uk/profiles"'
+      },
+      inspectUKCaches: {
+        method: 'GET',
+        path: '/api/uk/cache',
+        description: 'Inspect the cached client grant tokens and OIDC discovery results',
+        example: 'curl "http://localhost:3002/api/uk/cache"'
+      },
+      flushUKCaches: {
+        method: 'DELETE',
+        path: '/api/uk/cache',
+        description: 'Flush the client grant token and OIDC discovery caches (optionally one cache with ?name=)',
+        example: 'curl -X DELETE "http://localhost:3002/api/uk/cache?name=clientGrantTokens"'
+      },
+      createBGAISConsent: {
+        method: 'POST',
+        path: '/api/bg/ais/consent',
+        description: 'Create Berlin Group AIS consent and get the SCA redirect link',
+        example: 'curl -X POST http://localhost:3002/api/bg/ais/consent -H "Content-Type: application/json" -d "{}"'
+      },
+      getBGAISConsent: {
+        method: 'GET',
+        path: '/api/bg/ais/consent/:consentId',
+        description: 'Get Berlin Group consent details by consent ID',
+        example: 'curl "http://localhost:3002/api/bg/ais/consent/CONSENT_ID"'
+      },
+      getBGAISConsentStatus: {
+        method: 'GET',
+        path: '/api/bg/ais/consent/:consentId/status',
+        description: 'Get Berlin Group consent status by consent ID',
+        example: 'curl "http://localhost:3002/api/bg/ais/consent/CONSENT_ID/status"'
+      },
+      deleteBGAISConsent: {
+        method: 'DELETE',
+        path: '/api/bg/ais/consent/:consentId',
+        description: 'Delete a Berlin Group consent by consent ID',
+        example: 'curl -X DELETE "http://localhost:3002/api/bg/ais/consent/CONSENT_ID"'
+      },
+      startBGAISConsentAuthorisation: {
+        method: 'POST',
+        path: '/api/bg/ais/consent/:consentId/authorisations',
+        description: 'Start a new authorisation of a Berlin Group consent and get its SCA redirect link',
+        example: 'curl -X POST "http://localhost:3002/api/bg/ais/consent/CONSENT_ID/authorisations" -H "Content-Type: application/json" -d "{}"'
+      },
+      getBGAISAccounts: {
+        method: 'GET',
+        path: '/api/bg/ais/consent/:consentId/accounts',
+        description: 'List accounts accessible under a valid Berlin Group consent',
+        example: 'curl "http://localhost:3002/api/bg/ais/consent/CONSENT_ID/accounts?withBalance=true"'
+      },
+      getBGAISAccountBalances: {
+        method: 'GET',
+        path: '/api/bg/ais/consent/:consentId/accounts/:accountId/balances',
+        description: 'Get balances of an account under a valid Berlin Group consent',
+        example: 'curl "http://localhost:3002/api/bg/ais/consent/CONSENT_ID/accounts/ACCOUNT_ID/balances"'
+      },
+      getBGAISAccountTransactions: {
+        method: 'GET',
+        path: '/api/bg/ais/consent/:consentId/accounts/:accountId/transactions',
+        description: 'Get transactions of an account under a valid Berlin Group consent',
+        example: 'curl "http://localhost:3002/api/bg/ais/consent/CONSENT_ID/accounts/ACCOUNT_ID/transactions?bookingStatus=both"'
+      },
+      listBGPaymentProducts: {
+        method: 'GET',
+        path: '/api/bg/pis/products',
+        description: 'List the supported Berlin Group payment services and products',
+        example: 'curl "http://localhost:3002/api/bg/pis/products"'
+      },
+      getBGDefaultPayment: {
+        method: 'GET',
+        path: '/api/bg/pis/products/:paymentService/:paymentProduct/default',
+        description: 'Show the default request body of a Berlin Group payment service and product',
+        example: 'curl "http://localhost:3002/api/bg/pis/products/bulk-payments/sepa-credit-transfers/default"'
+      },
+      initiateBGPayment: {
+        method: 'POST',
+        path: '/api/bg/pis/payment',
+        description: 'Initiate a Berlin Group payment and get the SCA redirect link',
+        example: 'curl -X POST http://localhost:3002/api/bg/pis/payment -H "Content-Type: application/json" -d "{\\"paymentProduct\\": \\"instant-sepa-credit-transfers\\"}"'
+      },
+      getBGPayment: {
+        method: 'GET',
+        path: '/api/bg/pis/payment/:paymentId',
+        description: 'Get Berlin Group payment details by payment ID',
+        example: 'curl "http://localhost:3002/api/bg/pis/payment/PAYMENT_ID?paymentService=payments&paymentProduct=sepa-credit-transfers"'
+      },
+      getBGPaymentStatus: {
+        method: 'GET',
+        path: '/api/bg/pis/payment/:paymentId/status',
+        description: 'Get Berlin Group payment transaction status by payment ID',
+        example: 'curl "http://localhost:3002/api/bg/pis/payment/PAYMENT_ID/status?paymentService=payments&paymentProduct=sepa-credit-transfers"'
+      },
+      startBGPaymentAuthorisation: {
+        method: 'POST',
+        path: '/api/bg/pis/payment/:paymentId/authorisations',
+        description: 'Start a new authorisation of a Berlin Group payment and get its SCA redirect link',
+        example: 'curl -X POST "http://localhost:3002/api/bg/pis/payment/PAYMENT_ID/authorisations" -H "Content-Type: application/json" -d "{}"'
+      },
+      bgScaRedirect: {
+        method: 'GET',
+        path: '/api/bg/callback',
+        description: 'Berlin Group TPP-Redirect-URI target - reports the outcome of the SCA redirect',
+        example: 'curl "http://localhost:3002/api/bg/callback"'
+      },
+      listScenarios: {
+        method: 'GET',
+        path: '/api/scenarios',
+        description: 'List the scenario files and the actions a scenario step can run',
+        example: 'curl "http://localhost:3002/api/scenarios"'
+      },
+      runScenario: {
+        method: 'POST',
+        path: '/api/scenarios/run',
+        description: 'Run a multi-step consent/payment scenario and report pass/fail per step (format=junit for JUnit XML)',
+        example: 'curl -X POST "http://localhost:3002/api/scenarios/run?format=junit" -H "Content-Type: application/json" -d "{\\"file\\": \\"ais-consent-lifecycle.yaml\\"}"'
+      },
+      listTraffic: {
+        method: 'GET',
+        path: '/api/debug/traffic',
+        description: 'List the recorded upstream calls (secrets redacted) with a curl rendering, filterable by consentId or interactionId',
+        example: 'curl "http://localhost:3002/api/debug/traffic?consentId=CONSENT_ID"'
+      },
+      exportTraffic: {
+        method: 'GET',
+        path: '/api/debug/traffic/har',
+        description: 'Download the recorded upstream calls as a HAR file',
+        example: 'curl -o traffic.har "http://localhost:3002/api/debug/traffic/har"'
+      },
+      trafficAsCurl: {
+        method: 'GET',
+        path: '/api/debug/traffic/:exchangeId/curl',
+        description: 'Render one recorded upstream call as a curl command',
+        example: 'curl "http://localhost:3002/api/debug/traffic/1/curl"'
+      },
+      listFaultRules: {
+        method: 'GET',
+        path: '/api/admin/faults',
+        description: 'List the upstream fault rules, the operations they can match and the faults they can inject',
+        example: 'curl "http://localhost:3002/api/admin/faults"'
+      },
+      addFaultRule: {
+        method: 'POST',
+        path: '/api/admin/faults',
+        description: 'Inject a delay, HTTP status, connection reset, timeout or malformed body into an upstream operation (or use the X-Simulate-Fault header per request)',
+        example: 'curl -X POST http://localhost:3002/api/admin/faults -H "Content-Type: application/json" -d "{\\"operation\\": \\"clientGrantToken\\", \\"fault\\": \\"status\\", \\"status\\": 503}"'
+      },
+      removeFaultRules: {
+        method: 'DELETE',
+        path: '/api/admin/faults',
+        description: 'Remove every fault rule (or one with /api/admin/faults/:ruleId)',
+        example: 'curl -X DELETE http://localhost:3002/api/admin/faults'
       }
     },
     documentation: 'See README.md for detailed examples and workflow'
@@ -104,17 +476,22 @@ app.use((req, res) => {
   res.status(404).json({
     error: 'Not found',
     message: `Endpoint ${req.method} ${req.path} does not exist`,
-    availableEndpoints: 'Visit / for API documentation'
+    availableEndpoints: 'Visit / for API documentation',
+    interactionId: req.interaction.interactionId
   });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Error:', err);
+  if (err.retryAfter) {
+    res.set('Retry-After', err.retryAfter);
+  }
   res.status(err.status || 500).json({
     success: false,
     error: err.message || 'Internal server error',
-    details: err.response?.data || err.details || null
+    details: err.response?.data || err.details || null,
+    interactionId: req.interaction.interactionId
   });
 });
 
@@ -125,7 +502,7 @@ app.listen(PORT, () => {
   console.log('='.repeat(70));
   console.log(`\n   Server:        http://localhost:${PORT}`);
   console.log(`   Provider:      ${process.env.OB_PROVIDER_CODE || 'Not configured'}`);
-  console.log(`   SaltEdge:      ${process.env.PROTOCOL || 'https'}://${process.env.PRIORA_URL || 'priora.saltedge.com'}`);
+  console.log(`   SaltEdge:      ${process.env.PROTOCOL || 'https'}://${process.env.PRIORA_URL || 'priora.saltedge.com'}${useMockPriora ? ' (mock)' : ''}`);
   console.log(`   Redirect URI:  ${process.env.REDIRECT_URI || 'Not configured'}`);
   console.log(`\n   Documentation: http://localhost:${PORT}`);
   console.log(`   Health Check:  http://localhost:${PORT}/api/health`);
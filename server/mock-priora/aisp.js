@@ -0,0 +1,226 @@
+/**
+ * Mock Priora AISP Routes (UK Open Banking v3.1 and v4.0)
+ * account-access-consents and the account data endpoints, backed by static sample data
+ */
+
+import express from 'express';
+import {
+  createConsent,
+  getConsent,
+  setConsentStatus,
+  requireToken,
+  obError,
+  obLinks,
+  nowIso
+} from './state.js';
+
+const router = express.Router({ mergeParams: true });
+
+const VALID_PERMISSIONS = [
+  'ReadAccountsBasic', 'ReadAccountsDetail', 'ReadBalances',
+  'ReadBeneficiariesBasic', 'ReadBeneficiariesDetail',
+  'ReadDirectDebits', 'ReadOffers', 'ReadPAN', 'ReadParty', 'ReadPartyPSU',
+  'ReadProducts', 'ReadScheduledPaymentsBasic', 'ReadScheduledPaymentsDetail',
+  'ReadStandingOrdersBasic', 'ReadStandingOrdersDetail', 'ReadStatementsBasic',
+  'ReadStatementsDetail', 'ReadTransactionsBasic', 'ReadTransactionsCredits',
+  'ReadTransactionsDebits', 'ReadTransactionsDetail'
+];
+
+const ACCOUNTS = [
+  {
+    AccountId: '22289',
+    Status: 'Enabled',
+    Currency: 'GBP',
+    AccountType: 'Personal',
+    AccountSubType: 'CurrentAccount',
+    Nickname: 'Bills',
+    Account: [{
+      SchemeName: 'UK.OBIE.SortCodeAccountNumber',
+      Identification: '11280001234567',
+      Name: 'Andrea Smith',
+      SecondaryIdentification: '0002'
+    }]
+  },
+  {
+    AccountId: '31820',
+    Status: 'Enabled',
+    Currency: 'GBP',
+    AccountType: 'Personal',
+    AccountSubType: 'Savings',
+    Nickname: 'Household',
+    Account: [{
+      SchemeName: 'UK.OBIE.SortCodeAccountNumber',
+      Identification: '11280007654321',
+      Name: 'Andrea Smith'
+    }]
+  }
+];
+
+function getBalances(accountId) {
+  return [{
+    AccountId: accountId,
+    CreditDebitIndicator: 'Credit',
+    Type: 'InterimAvailable',
+    DateTime: nowIso(),
+    Amount: { Amount: accountId === '22289' ? '1230.00' : '5400.50', Currency: 'GBP' }
+  }];
+}
+
+function getTransactions(accountId) {
+  return [
+    {
+      AccountId: accountId,
+      TransactionId: `${accountId}-001`,
+      TransactionReference: 'Ref 1',
+      CreditDebitIndicator: 'Credit',
+      Status: 'Booked',
+      BookingDateTime: '2025-10-01T09:00:00+00:00',
+      ValueDateTime: '2025-10-01T09:00:00+00:00',
+      TransactionInformation: 'Salary',
+      Amount: { Amount: '2500.00', Currency: 'GBP' }
+    },
+    {
+      AccountId: accountId,
+      TransactionId: `${accountId}-002`,
+      TransactionReference: 'Ref 2',
+      CreditDebitIndicator: 'Debit',
+      Status: 'Booked',
+      BookingDateTime: '2025-10-03T14:30:00+00:00',
+      ValueDateTime: '2025-10-03T14:30:00+00:00',
+      TransactionInformation: 'Groceries',
+      Amount: { Amount: '45.10', Currency: 'GBP' }
+    }
+  ];
+}
+
+function getStandingOrders(accountId) {
+  return [{
+    AccountId: accountId,
+    StandingOrderId: `${accountId}-SO-001`,
+    Frequency: 'EvryWorkgDay',
+    Reference: 'Towbar Club',
+    FirstPaymentDateTime: '2025-01-01T00:00:00+00:00',
+    StandingOrderStatusCode: 'Active',
+    NextPaymentDateTime: '2025-11-03T00:00:00+00:00',
+    NextPaymentAmount: { Amount: '10.00', Currency: 'GBP' },
+    CreditorAccount: {
+      SchemeName: 'UK.OBIE.SortCodeAccountNumber',
+      Identification: '08080021325698',
+      Name: 'Bob Clements'
+    }
+  }];
+}
+
+/**
+ * Express middleware requiring at least one of the given permissions on the token's consent
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    const consent = getConsent(req.token.consentId, 'ais');
+    const granted = consent?.data.Permissions || [];
+
+    if (!permissions.some((permission) => granted.includes(permission))) {
+      res.status(403).json(obError(403, `Consent does not grant any of: ${permissions.join(', ')}`));
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware rejecting account IDs not covered by the consent
+ */
+function requireKnownAccount(req, res, next) {
+  if (!ACCOUNTS.some((account) => account.AccountId === req.params.accountId)) {
+    res.status(404).json(obError(404, `Account ${req.params.accountId} not found`));
+    return;
+  }
+  next();
+}
+
+router.post('/account-access-consents', requireToken('client_credentials'), (req, res) => {
+  const { ExpirationDateTime, TransactionFromDateTime, TransactionToDateTime, Permissions } = req.body?.Data || {};
+
+  if (!Array.isArray(Permissions) || Permissions.length === 0) {
+    res.status(400).json(obError(400, 'Permissions are required', [
+      { ErrorCode: 'UK.OBIE.Field.Missing', Message: 'Permissions are required', Path: 'Data.Permissions' }
+    ]));
+    return;
+  }
+
+  const invalid = Permissions.filter((permission) => !VALID_PERMISSIONS.includes(permission));
+  if (invalid.length > 0) {
+    res.status(400).json(obError(400, `Invalid permissions: ${invalid.join(', ')}`, invalid.map((permission) => ({
+      ErrorCode: 'UK.OBIE.Field.Unexpected',
+      Message: `Invalid permission ${permission}`,
+      Path: 'Data.Permissions'
+    }))));
+    return;
+  }
+
+  const consent = createConsent({
+    type: 'ais',
+    providerCode: req.params.provider,
+    data: {
+      Permissions,
+      ...(ExpirationDateTime && { ExpirationDateTime }),
+      ...(TransactionFromDateTime && { TransactionFromDateTime }),
+      ...(TransactionToDateTime && { TransactionToDateTime })
+    }
+  });
+
+  res.status(201).json({
+    Data: consent.data,
+    Risk: {},
+    ...obLinks(req)
+  });
+});
+
+router.get('/account-access-consents/:consentId', requireToken('client_credentials'), (req, res) => {
+  const consent = getConsent(req.params.consentId, 'ais');
+  if (!consent) {
+    res.status(404).json(obError(404, `Consent ${req.params.consentId} not found`));
+    return;
+  }
+
+  res.json({ Data: consent.data, Risk: {}, ...obLinks(req) });
+});
+
+router.delete('/account-access-consents/:consentId', requireToken('client_credentials'), (req, res) => {
+  const consent = getConsent(req.params.consentId, 'ais');
+  if (!consent) {
+    res.status(404).json(obError(404, `Consent ${req.params.consentId} not found`));
+    return;
+  }
+
+  setConsentStatus(consent, 'Revoked');
+  res.status(204).end();
+});
+
+router.get('/accounts', requireToken('authorization_code'), requirePermission('ReadAccountsBasic', 'ReadAccountsDetail'), (req, res) => {
+  res.json({ Data: { Account: ACCOUNTS }, ...obLinks(req) });
+});
+
+router.post('/accounts/refresh', requireToken('authorization_code'), (req, res) => {
+  res.json({ Data: { Status: 'Finished', StatusUpdateDateTime: nowIso() } });
+});
+
+router.get('/accounts/refresh/status', requireToken('authorization_code'), (req, res) => {
+  res.json({ Data: { Status: 'Finished', StatusUpdateDateTime: nowIso() } });
+});
+
+router.get('/accounts/:accountId/balances', requireToken('authorization_code'), requirePermission('ReadBalances'), requireKnownAccount, (req, res) => {
+  res.json({ Data: { Balance: getBalances(req.params.accountId) }, ...obLinks(req) });
+});
+
+router.get('/accounts/:accountId/transactions', requireToken('authorization_code'),
+  requirePermission('ReadTransactionsBasic', 'ReadTransactionsDetail'), requireKnownAccount, (req, res) => {
+    res.json({ Data: { Transaction: getTransactions(req.params.accountId) }, ...obLinks(req) });
+  });
+
+router.get('/accounts/:accountId/standing-orders', requireToken('authorization_code'),
+  requirePermission('ReadStandingOrdersBasic', 'ReadStandingOrdersDetail'), requireKnownAccount, (req, res) => {
+    res.json({ Data: { StandingOrder: getStandingOrders(req.params.accountId) }, ...obLinks(req) });
+  });
+
+export default router;
@@ -0,0 +1,166 @@
+/**
+ * Mock Priora Berlin Group Shared Helpers
+ * NextGenPSD2 error bodies, request signature verification and the SCA redirect page
+ * shared by the Berlin Group AIS and PIS mock routers
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { generateUuid } from '../services/uk/shared/utils.js';
+import { getTppPublicKey, escapeHtml } from './oidc.js';
+
+const scaAuthorisations = new Map();
+
+/**
+ * Build a NextGenPSD2 error response body
+ */
+export function bgError(code, text) {
+  return {
+    tppMessages: [{ category: 'ERROR', code, text }]
+  };
+}
+
+/**
+ * Base URL of the Berlin Group API of the provider the request was sent to
+ */
+export function getBgBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}/api/${encodeURIComponent(req.params.provider)}/berlingroup`;
+}
+
+/**
+ * Parse the Signature header (keyId="...",algorithm="...",headers="...",signature="...")
+ */
+function parseSignatureHeader(value) {
+  return Object.fromEntries(
+    [...(value || '').matchAll(/(\w+)="([^"]*)"/g)].map(([, key, param]) => [key, param])
+  );
+}
+
+/**
+ * Express middleware verifying the Digest and Signature headers against the TPP public key
+ */
+export function requireSignature(req, res, next) {
+  if (!req.get('X-Request-ID')) {
+    res.status(400).json(bgError('FORMAT_ERROR', 'X-Request-ID header is missing'));
+    return;
+  }
+
+  const digest = `SHA-256=${crypto.createHash('sha256').update(req.rawBody || '').digest('base64')}`;
+  if (req.get('Digest') !== digest) {
+    res.status(400).json(bgError('FORMAT_ERROR', 'Digest does not match the request body'));
+    return;
+  }
+
+  const signature = parseSignatureHeader(req.get('Signature'));
+  const signedHeaders = (signature.headers || '').split(' ').filter(Boolean);
+
+  if (!signature.signature || !signedHeaders.includes('digest') || !signedHeaders.includes('x-request-id')) {
+    res.status(401).json(bgError('SIGNATURE_MISSING', 'Signature over digest and x-request-id is required'));
+    return;
+  }
+
+  const signingString = signedHeaders.map((name) => `${name}: ${req.get(name) || ''}`).join('\n');
+  // keyId is the TPP client ID unless a signing certificate is configured
+  const publicKey = getTppPublicKey({ clientId: signature.keyId });
+  const valid = crypto.verify('sha256', Buffer.from(signingString, 'utf8'), publicKey, Buffer.from(signature.signature, 'base64'));
+
+  if (!valid) {
+    res.status(401).json(bgError('SIGNATURE_INVALID', 'Signature could not be verified with the TPP public key'));
+    return;
+  }
+
+  next();
+}
+
+/**
+ * Register an SCA authorisation and return its authorisation ID
+ *
+ * @param {string} description - HTML shown on the SCA page
+ * @param {string} redirectUri - TPP-Redirect-URI
+ * @param {string} nokRedirectUri - TPP-Nok-Redirect-URI
+ * @param {Function} onDecision - Called with true (authorised) or false (rejected)
+ */
+export function createScaAuthorisation({ description, redirectUri, nokRedirectUri, onDecision }) {
+  const authorisationId = generateUuid();
+  scaAuthorisations.set(authorisationId, {
+    authorisationId,
+    scaStatus: 'received',
+    description,
+    redirectUri,
+    nokRedirectUri: nokRedirectUri || redirectUri,
+    onDecision
+  });
+  return authorisationId;
+}
+
+/**
+ * Get an SCA authorisation by ID
+ */
+export function getScaAuthorisation(authorisationId) {
+  return scaAuthorisations.get(authorisationId) || null;
+}
+
+/**
+ * Build the scaRedirect link of an authorisation
+ */
+export function getScaRedirectLink(req, authorisationId) {
+  return { href: `${getBgBaseUrl(req)}/sca/${authorisationId}` };
+}
+
+function completeSca(authorisation, decision) {
+  const approved = decision === 'authorise';
+  authorisation.scaStatus = approved ? 'finalised' : 'failed';
+  authorisation.onDecision(approved);
+  return approved ? authorisation.redirectUri : authorisation.nokRedirectUri;
+}
+
+function renderScaPage(provider, authorisation) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Mock Priora - Berlin Group SCA</title>
+</head>
+<body>
+  <h1>Mock ASPSP (${escapeHtml(provider)})</h1>
+  ${authorisation.description}
+  <form method="post">
+    <button type="submit" name="decision" value="authorise">Authorise</button>
+    <button type="submit" name="decision" value="reject">Reject</button>
+  </form>
+</body>
+</html>`;
+}
+
+/**
+ * SCA redirect page router, mounted at /api/:provider/berlingroup/sca
+ * Redirects straight back when MOCK_PRIORA_AUTO_APPROVE=true
+ */
+export const scaRouter = express.Router({ mergeParams: true });
+
+scaRouter.use('/:authorisationId', (req, res, next) => {
+  const authorisation = getScaAuthorisation(req.params.authorisationId);
+  if (!authorisation) {
+    res.status(404).type('text').send(`Unknown authorisation: ${req.params.authorisationId}`);
+    return;
+  }
+  if (authorisation.scaStatus !== 'received') {
+    res.status(400).type('text').send(`Authorisation ${authorisation.authorisationId} is ${authorisation.scaStatus}`);
+    return;
+  }
+  req.authorisation = authorisation;
+  next();
+});
+
+scaRouter.get('/:authorisationId', (req, res) => {
+  if (process.env.MOCK_PRIORA_AUTO_APPROVE === 'true') {
+    res.redirect(completeSca(req.authorisation, 'authorise'));
+    return;
+  }
+
+  res.type('html').send(renderScaPage(req.params.provider, req.authorisation));
+});
+
+scaRouter.post('/:authorisationId', (req, res) => {
+  res.redirect(completeSca(req.authorisation, req.body.decision));
+});
@@ -0,0 +1,414 @@
+/**
+ * Mock Priora Berlin Group AIS Routes (NextGenPSD2 v1)
+ * consents, consent authorisations and the account data endpoints, backed by static sample data
+ */
+
+import express from 'express';
+import { generateUuid } from '../services/uk/shared/utils.js';
+import { escapeHtml } from './oidc.js';
+import {
+  bgError,
+  getBgBaseUrl,
+  createScaAuthorisation,
+  getScaAuthorisation,
+  getScaRedirectLink
+} from './berlingroup.js';
+
+const router = express.Router({ mergeParams: true });
+
+const consents = new Map();
+
+const ACCOUNTS = [
+  {
+    resourceId: 'bg-acc-1001',
+    iban: 'DE89370400440532013000',
+    currency: 'EUR',
+    name: 'Girokonto',
+    product: 'Current Account',
+    cashAccountType: 'CACC',
+    status: 'enabled',
+    ownerName: 'Max Mustermann'
+  },
+  {
+    resourceId: 'bg-acc-1002',
+    iban: 'DE02120300000000202051',
+    currency: 'EUR',
+    name: 'Tagesgeld',
+    product: 'Savings Account',
+    cashAccountType: 'SVGS',
+    status: 'enabled',
+    ownerName: 'Max Mustermann'
+  }
+];
+
+function isoDate(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function daysAgo(days) {
+  return isoDate(new Date(Date.now() - days * 86400000));
+}
+
+function getBalances(account) {
+  return [
+    {
+      balanceAmount: { currency: account.currency, amount: account.resourceId === 'bg-acc-1001' ? '2150.40' : '10400.00' },
+      balanceType: 'closingBooked',
+      referenceDate: isoDate()
+    },
+    {
+      balanceAmount: { currency: account.currency, amount: account.resourceId === 'bg-acc-1001' ? '2080.40' : '10400.00' },
+      balanceType: 'interimAvailable',
+      lastChangeDateTime: new Date().toISOString()
+    }
+  ];
+}
+
+function getTransactions(account) {
+  return {
+    booked: [
+      {
+        transactionId: `${account.resourceId}-tx-001`,
+        bookingDate: daysAgo(18),
+        valueDate: daysAgo(18),
+        transactionAmount: { currency: account.currency, amount: '2500.00' },
+        debtorName: 'Arbeitgeber GmbH',
+        remittanceInformationUnstructured: 'Gehalt Oktober'
+      },
+      {
+        transactionId: `${account.resourceId}-tx-002`,
+        bookingDate: daysAgo(16),
+        valueDate: daysAgo(16),
+        transactionAmount: { currency: account.currency, amount: '-45.10' },
+        creditorName: 'Supermarkt AG',
+        remittanceInformationUnstructured: 'Einkauf'
+      }
+    ],
+    pending: [
+      {
+        transactionId: `${account.resourceId}-tx-003`,
+        valueDate: isoDate(),
+        transactionAmount: { currency: account.currency, amount: '-70.00' },
+        creditorName: 'Stadtwerke',
+        remittanceInformationUnstructured: 'Abschlag Strom'
+      }
+    ]
+  };
+}
+
+/**
+ * Get a consent, applying the validUntil expiry first
+ */
+function getConsent(consentId, providerCode) {
+  const consent = consents.get(consentId);
+  if (!consent || consent.providerCode !== providerCode) {
+    return null;
+  }
+
+  const isActive = consent.consentStatus === 'received' || consent.consentStatus === 'valid';
+  if (isActive && consent.validUntil < isoDate()) {
+    consent.consentStatus = 'expired';
+  }
+
+  return consent;
+}
+
+/**
+ * Express middleware resolving the consent of the request path
+ */
+function requireConsent(req, res, next) {
+  const consent = getConsent(req.params.consentId, req.params.provider);
+  if (!consent) {
+    res.status(403).json(bgError('CONSENT_UNKNOWN', `Consent ${req.params.consentId} not found`));
+    return;
+  }
+  req.consent = consent;
+  next();
+}
+
+/**
+ * Express middleware requiring a valid consent in the Consent-ID header
+ * Access without PSU-IP-Address counts against the consent's frequencyPerDay.
+ */
+function requireValidConsent(req, res, next) {
+  const consentId = req.get('Consent-ID');
+  const consent = consentId ? getConsent(consentId, req.params.provider) : null;
+
+  if (!consent) {
+    res.status(403).json(bgError('CONSENT_UNKNOWN', 'Consent-ID header is missing or unknown'));
+    return;
+  }
+
+  if (consent.consentStatus !== 'valid') {
+    const code = consent.consentStatus === 'expired' ? 'CONSENT_EXPIRED' : 'CONSENT_INVALID';
+    res.status(401).json(bgError(code, `Consent ${consent.consentId} is ${consent.consentStatus}`));
+    return;
+  }
+
+  if (!req.get('PSU-IP-Address')) {
+    const today = isoDate();
+    if (consent.usage.date !== today) {
+      consent.usage = { date: today, count: 0 };
+    }
+    if (consent.usage.count >= consent.frequencyPerDay) {
+      res.status(429).json(bgError('ACCESS_EXCEEDED', `frequencyPerDay of ${consent.frequencyPerDay} exceeded`));
+      return;
+    }
+    consent.usage.count += 1;
+  }
+
+  req.consent = consent;
+  next();
+}
+
+/**
+ * Check whether the consent grants an access type (accounts, balances, transactions) on an account
+ * Empty access lists are bank-offered consents and cover every account.
+ */
+function grantsAccess(consent, type, account) {
+  const { access } = consent;
+  if (access.allPsd2 === 'allAccounts') {
+    return true;
+  }
+  if (type === 'accounts' && ['allAccounts', 'allAccountsWithBalances'].includes(access.availableAccounts)) {
+    return true;
+  }
+
+  const granted = access[type];
+  if (!Array.isArray(granted)) {
+    return false;
+  }
+  return granted.length === 0 || granted.some((reference) => reference.iban === account.iban);
+}
+
+/**
+ * Express middleware requiring access of the given type on the account of the request path
+ */
+function requireAccountAccess(type) {
+  return (req, res, next) => {
+    const account = ACCOUNTS.find((candidate) => candidate.resourceId === req.params.accountId);
+    if (!account) {
+      res.status(404).json(bgError('RESOURCE_UNKNOWN', `Account ${req.params.accountId} not found`));
+      return;
+    }
+    if (!grantsAccess(req.consent, type, account)) {
+      res.status(401).json(bgError('CONSENT_INVALID', `Consent does not grant ${type} access to ${account.iban}`));
+      return;
+    }
+    req.account = account;
+    next();
+  };
+}
+
+function accountReference(account) {
+  return { iban: account.iban, currency: account.currency };
+}
+
+function consentLinks(req, consentId) {
+  const self = `${getBgBaseUrl(req)}/v1/consents/${consentId}`;
+  return {
+    self: { href: self },
+    status: { href: `${self}/status` }
+  };
+}
+
+function describeConsent(consent) {
+  return `<p>Consent <code>${escapeHtml(consent.consentId)}</code></p>`
+    + `<p>Account access: <code>${escapeHtml(JSON.stringify(consent.access))}</code>,`
+    + ` valid until ${escapeHtml(consent.validUntil)}, ${escapeHtml(consent.frequencyPerDay)} accesses per day</p>`;
+}
+
+/**
+ * Register an SCA authorisation for a consent
+ */
+function startAuthorisation(req, consent) {
+  const redirectUri = req.get('TPP-Redirect-URI') || consent.redirectUri;
+  const nokRedirectUri = req.get('TPP-Nok-Redirect-URI') || consent.nokRedirectUri;
+
+  const authorisationId = createScaAuthorisation({
+    description: describeConsent(consent),
+    redirectUri,
+    nokRedirectUri,
+    onDecision: (approved) => {
+      consent.consentStatus = approved ? 'valid' : 'rejected';
+    }
+  });
+  consent.authorisationIds.push(authorisationId);
+  return authorisationId;
+}
+
+router.post('/consents', (req, res) => {
+  const { access, recurringIndicator, validUntil, frequencyPerDay } = req.body || {};
+  const redirectUri = req.get('TPP-Redirect-URI');
+
+  const missing = [
+    !access && 'access',
+    typeof recurringIndicator !== 'boolean' && 'recurringIndicator',
+    !/^\d{4}-\d{2}-\d{2}$/.test(validUntil || '') && 'validUntil',
+    !Number.isInteger(frequencyPerDay) && 'frequencyPerDay'
+  ].filter(Boolean);
+
+  if (missing.length > 0) {
+    res.status(400).json(bgError('FORMAT_ERROR', `Missing or invalid fields: ${missing.join(', ')}`));
+    return;
+  }
+
+  if (!redirectUri) {
+    res.status(400).json(bgError('FORMAT_ERROR', 'TPP-Redirect-URI header is required for the redirect SCA approach'));
+    return;
+  }
+
+  if (!recurringIndicator && frequencyPerDay !== 1) {
+    res.status(400).json(bgError('FORMAT_ERROR', 'frequencyPerDay must be 1 for one-off consents'));
+    return;
+  }
+
+  const consent = {
+    consentId: generateUuid(),
+    providerCode: req.params.provider,
+    access,
+    recurringIndicator,
+    validUntil,
+    frequencyPerDay,
+    combinedServiceIndicator: false,
+    consentStatus: 'received',
+    lastActionDate: isoDate(),
+    redirectUri,
+    nokRedirectUri: req.get('TPP-Nok-Redirect-URI'),
+    authorisationIds: [],
+    usage: { date: isoDate(), count: 0 }
+  };
+  consents.set(consent.consentId, consent);
+
+  const links = consentLinks(req, consent.consentId);
+
+  // Implicit authorisation unless the TPP asks to start it explicitly
+  if (req.get('TPP-Explicit-Authorisation-Preferred') === 'true') {
+    links.startAuthorisation = { href: `${links.self.href}/authorisations` };
+  } else {
+    const authorisationId = startAuthorisation(req, consent);
+    links.scaRedirect = getScaRedirectLink(req, authorisationId);
+    links.scaStatus = { href: `${links.self.href}/authorisations/${authorisationId}` };
+  }
+
+  res.status(201).json({
+    consentStatus: consent.consentStatus,
+    consentId: consent.consentId,
+    _links: links
+  });
+});
+
+router.get('/consents/:consentId', requireConsent, (req, res) => {
+  const { consent } = req;
+  res.json({
+    access: consent.access,
+    recurringIndicator: consent.recurringIndicator,
+    validUntil: consent.validUntil,
+    frequencyPerDay: consent.frequencyPerDay,
+    lastActionDate: consent.lastActionDate,
+    consentStatus: consent.consentStatus,
+    _links: consentLinks(req, consent.consentId)
+  });
+});
+
+router.get('/consents/:consentId/status', requireConsent, (req, res) => {
+  res.json({ consentStatus: req.consent.consentStatus });
+});
+
+router.delete('/consents/:consentId', requireConsent, (req, res) => {
+  req.consent.consentStatus = 'terminatedByTpp';
+  req.consent.lastActionDate = isoDate();
+  res.status(204).end();
+});
+
+router.post('/consents/:consentId/authorisations', requireConsent, (req, res) => {
+  if (req.consent.consentStatus !== 'received') {
+    res.status(409).json(bgError('STATUS_INVALID', `Consent ${req.consent.consentId} is ${req.consent.consentStatus}`));
+    return;
+  }
+
+  if (!req.get('TPP-Redirect-URI') && !req.consent.redirectUri) {
+    res.status(400).json(bgError('FORMAT_ERROR', 'TPP-Redirect-URI header is required for the redirect SCA approach'));
+    return;
+  }
+
+  const authorisationId = startAuthorisation(req, req.consent);
+  const self = `${consentLinks(req, req.consent.consentId).self.href}/authorisations/${authorisationId}`;
+
+  res.status(201).json({
+    scaStatus: 'received',
+    authorisationId,
+    _links: {
+      scaRedirect: getScaRedirectLink(req, authorisationId),
+      scaStatus: { href: self }
+    }
+  });
+});
+
+router.get('/consents/:consentId/authorisations', requireConsent, (req, res) => {
+  res.json({ authorisationIds: req.consent.authorisationIds });
+});
+
+router.get('/consents/:consentId/authorisations/:authorisationId', requireConsent, (req, res) => {
+  const authorisation = req.consent.authorisationIds.includes(req.params.authorisationId)
+    ? getScaAuthorisation(req.params.authorisationId)
+    : null;
+
+  if (!authorisation) {
+    res.status(403).json(bgError('RESOURCE_UNKNOWN', `Authorisation ${req.params.authorisationId} not found`));
+    return;
+  }
+
+  res.json({ scaStatus: authorisation.scaStatus });
+});
+
+router.get('/accounts', requireValidConsent, (req, res) => {
+  const withBalance = req.query.withBalance === 'true';
+  const accounts = ACCOUNTS
+    .filter((account) => grantsAccess(req.consent, 'accounts', account))
+    .map((account) => ({
+      ...account,
+      ...(withBalance && grantsAccess(req.consent, 'balances', account) && { balances: getBalances(account) }),
+      _links: {
+        balances: { href: `${getBgBaseUrl(req)}/v1/accounts/${account.resourceId}/balances` },
+        transactions: { href: `${getBgBaseUrl(req)}/v1/accounts/${account.resourceId}/transactions` }
+      }
+    }));
+
+  res.json({ accounts });
+});
+
+router.get('/accounts/:accountId/balances', requireValidConsent, requireAccountAccess('balances'), (req, res) => {
+  res.json({
+    account: accountReference(req.account),
+    balances: getBalances(req.account)
+  });
+});
+
+router.get('/accounts/:accountId/transactions', requireValidConsent, requireAccountAccess('transactions'), (req, res) => {
+  const { bookingStatus, dateFrom } = req.query;
+
+  if (!['booked', 'pending', 'both'].includes(bookingStatus)) {
+    res.status(400).json(bgError('PARAMETER_NOT_SUPPORTED', 'bookingStatus must be booked, pending or both'));
+    return;
+  }
+  if (!dateFrom) {
+    res.status(400).json(bgError('FORMAT_ERROR', 'dateFrom is required'));
+    return;
+  }
+
+  const { booked, pending } = getTransactions(req.account);
+  const inRange = (transaction) => (transaction.bookingDate || transaction.valueDate) >= dateFrom
+    && (!req.query.dateTo || (transaction.bookingDate || transaction.valueDate) <= req.query.dateTo);
+
+  res.json({
+    account: accountReference(req.account),
+    transactions: {
+      ...(bookingStatus !== 'pending' && { booked: booked.filter(inRange) }),
+      ...(bookingStatus !== 'booked' && { pending: pending.filter(inRange) }),
+      _links: { account: { href: `${getBgBaseUrl(req)}/v1/accounts/${req.account.resourceId}` } }
+    }
+  });
+});
+
+export default router;
@@ -0,0 +1,279 @@
+/**
+ * Mock Priora Berlin Group PIS Routes (NextGenPSD2 v1)
+ * payment initiation, payment status and payment authorisations for
+ * payments, periodic-payments and bulk-payments
+ */
+
+import express from 'express';
+import { generateUuid } from '../services/uk/shared/utils.js';
+import { escapeHtml } from './oidc.js';
+import {
+  bgError,
+  getBgBaseUrl,
+  createScaAuthorisation,
+  getScaAuthorisation,
+  getScaRedirectLink
+} from './berlingroup.js';
+
+const router = express.Router({ mergeParams: true });
+
+const payments = new Map();
+
+const PAYMENT_PRODUCTS = ['sepa-credit-transfers', 'instant-sepa-credit-transfers', 'cross-border-credit-transfers'];
+const FREQUENCIES = ['Daily', 'Weekly', 'EveryTwoWeeks', 'Monthly', 'EveryTwoMonths', 'Quarterly', 'SemiAnnual', 'Annual'];
+
+// Payments above this amount are rejected at settlement, as for the UK mock
+const REJECT_ABOVE_AMOUNT = 10000;
+
+/**
+ * Check the fields of a single payment (or one payment of a bulk) for a product
+ */
+function validatePayment(payment, paymentProduct, path) {
+  const errors = [];
+  const amount = payment?.instructedAmount;
+
+  if (!amount?.currency || !/^\d{1,14}(\.\d{1,2})?$/.test(amount?.amount || '')) {
+    errors.push(`${path}instructedAmount`);
+  }
+  if (!payment?.creditorAccount?.iban) {
+    errors.push(`${path}creditorAccount.iban`);
+  }
+  if (!payment?.creditorName) {
+    errors.push(`${path}creditorName`);
+  }
+  if (paymentProduct !== 'cross-border-credit-transfers' && amount?.currency && amount.currency !== 'EUR') {
+    errors.push(`${path}instructedAmount.currency (SEPA payments must be in EUR)`);
+  }
+  if (paymentProduct === 'cross-border-credit-transfers' && !payment?.creditorAgent) {
+    errors.push(`${path}creditorAgent`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check a payment initiation body for a payment service and product
+ *
+ * @returns {Array<string>} Missing or invalid fields
+ */
+function validateInitiation(paymentService, paymentProduct, body) {
+  const errors = body?.debtorAccount?.iban ? [] : ['debtorAccount.iban'];
+
+  if (paymentService === 'bulk-payments') {
+    if (!Array.isArray(body?.payments) || body.payments.length === 0) {
+      return [...errors, 'payments'];
+    }
+    return [
+      ...errors,
+      ...body.payments.flatMap((payment, index) => validatePayment(payment, paymentProduct, `payments[${index}].`))
+    ];
+  }
+
+  errors.push(...validatePayment(body, paymentProduct, ''));
+
+  if (paymentService === 'periodic-payments') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(body?.startDate || '')) {
+      errors.push('startDate');
+    }
+    if (!FREQUENCIES.includes(body?.frequency)) {
+      errors.push(`frequency (one of ${FREQUENCIES.join(', ')})`);
+    }
+  }
+
+  return errors;
+}
+
+function getTotalAmount(payment) {
+  const items = payment.paymentService === 'bulk-payments' ? payment.body.payments : [payment.body];
+  return items.reduce((sum, item) => sum + Number(item.instructedAmount.amount), 0);
+}
+
+/**
+ * Get a payment, applying time based settlement first
+ * Authorised payments settle after MOCK_PRIORA_SETTLEMENT_SECONDS, instant payments straight away.
+ * Periodic payments stay accepted (ACCP) as standing orders.
+ */
+function getPayment(req) {
+  const { provider, paymentService, paymentProduct, paymentId } = req.params;
+  const payment = payments.get(paymentId);
+
+  if (!payment || payment.providerCode !== provider
+    || payment.paymentService !== paymentService || payment.paymentProduct !== paymentProduct) {
+    return null;
+  }
+
+  const settlementSeconds = payment.paymentProduct === 'instant-sepa-credit-transfers'
+    ? 0
+    : Number(process.env.MOCK_PRIORA_SETTLEMENT_SECONDS ?? 5);
+
+  if (payment.transactionStatus === 'ACTC'
+    && Date.now() - payment.authorisedAt >= settlementSeconds * 1000) {
+    payment.transactionStatus = getTotalAmount(payment) > REJECT_ABOVE_AMOUNT ? 'RJCT' : 'ACSC';
+  }
+
+  return payment;
+}
+
+/**
+ * Express middleware rejecting unknown payment services and products
+ */
+function requirePaymentType(req, res, next) {
+  if (!PAYMENT_PRODUCTS.includes(req.params.paymentProduct)) {
+    res.status(404).json(bgError('PRODUCT_UNKNOWN', `Payment product ${req.params.paymentProduct} is not supported`));
+    return;
+  }
+  next();
+}
+
+/**
+ * Express middleware resolving the payment of the request path
+ */
+function requirePayment(req, res, next) {
+  const payment = getPayment(req);
+  if (!payment) {
+    res.status(403).json(bgError('RESOURCE_UNKNOWN', `Payment ${req.params.paymentId} not found`));
+    return;
+  }
+  req.payment = payment;
+  next();
+}
+
+function paymentLinks(req, payment) {
+  const self = `${getBgBaseUrl(req)}/v1/${payment.paymentService}/${payment.paymentProduct}/${payment.paymentId}`;
+  return {
+    self: { href: self },
+    status: { href: `${self}/status` }
+  };
+}
+
+function describePayment(payment) {
+  const items = payment.paymentService === 'bulk-payments' ? payment.body.payments : [payment.body];
+  const currency = items[0].instructedAmount.currency;
+  const schedule = payment.paymentService === 'periodic-payments'
+    ? `, ${escapeHtml(payment.body.frequency)} from ${escapeHtml(payment.body.startDate)}`
+    : '';
+
+  return `<p>Payment <code>${escapeHtml(payment.paymentId)}</code> (${escapeHtml(payment.paymentService)}/${escapeHtml(payment.paymentProduct)})</p>`
+    + `<p>${items.length} payment(s), total ${escapeHtml(getTotalAmount(payment).toFixed(2))} ${escapeHtml(currency)}`
+    + ` from ${escapeHtml(payment.body.debtorAccount.iban)}${schedule}</p>`;
+}
+
+/**
+ * Register an SCA authorisation for a payment
+ */
+function startAuthorisation(req, payment) {
+  const authorisationId = createScaAuthorisation({
+    description: describePayment(payment),
+    redirectUri: req.get('TPP-Redirect-URI') || payment.redirectUri,
+    nokRedirectUri: req.get('TPP-Nok-Redirect-URI') || payment.nokRedirectUri,
+    onDecision: (approved) => {
+      const acceptedStatus = payment.paymentService === 'periodic-payments' ? 'ACCP' : 'ACTC';
+      payment.transactionStatus = approved ? acceptedStatus : 'RJCT';
+      payment.authorisedAt = Date.now();
+    }
+  });
+  payment.authorisationIds.push(authorisationId);
+  return authorisationId;
+}
+
+router.post('/:paymentService(payments|periodic-payments|bulk-payments)/:paymentProduct', requirePaymentType, (req, res) => {
+  const { paymentService, paymentProduct } = req.params;
+  const redirectUri = req.get('TPP-Redirect-URI');
+
+  if (!req.get('PSU-IP-Address')) {
+    res.status(400).json(bgError('FORMAT_ERROR', 'PSU-IP-Address header is required for payment initiation'));
+    return;
+  }
+
+  if (!redirectUri) {
+    res.status(400).json(bgError('FORMAT_ERROR', 'TPP-Redirect-URI header is required for the redirect SCA approach'));
+    return;
+  }
+
+  const errors = validateInitiation(paymentService, paymentProduct, req.body);
+  if (errors.length > 0) {
+    res.status(400).json(bgError('FORMAT_ERROR', `Missing or invalid fields: ${errors.join(', ')}`));
+    return;
+  }
+
+  const payment = {
+    paymentId: generateUuid(),
+    providerCode: req.params.provider,
+    paymentService,
+    paymentProduct,
+    body: req.body,
+    transactionStatus: 'RCVD',
+    redirectUri,
+    nokRedirectUri: req.get('TPP-Nok-Redirect-URI'),
+    authorisationIds: []
+  };
+  payments.set(payment.paymentId, payment);
+
+  const links = paymentLinks(req, payment);
+
+  // Implicit authorisation unless the TPP asks to start it explicitly
+  if (req.get('TPP-Explicit-Authorisation-Preferred') === 'true') {
+    links.startAuthorisation = { href: `${links.self.href}/authorisations` };
+  } else {
+    const authorisationId = startAuthorisation(req, payment);
+    links.scaRedirect = getScaRedirectLink(req, authorisationId);
+    links.scaStatus = { href: `${links.self.href}/authorisations/${authorisationId}` };
+  }
+
+  res.status(201).json({
+    transactionStatus: payment.transactionStatus,
+    paymentId: payment.paymentId,
+    _links: links
+  });
+});
+
+const paymentPath = '/:paymentService(payments|periodic-payments|bulk-payments)/:paymentProduct/:paymentId';
+
+router.get(paymentPath, requirePaymentType, requirePayment, (req, res) => {
+  res.json({
+    ...req.payment.body,
+    transactionStatus: req.payment.transactionStatus
+  });
+});
+
+router.get(`${paymentPath}/status`, requirePaymentType, requirePayment, (req, res) => {
+  res.json({ transactionStatus: req.payment.transactionStatus });
+});
+
+router.post(`${paymentPath}/authorisations`, requirePaymentType, requirePayment, (req, res) => {
+  if (req.payment.transactionStatus !== 'RCVD') {
+    res.status(409).json(bgError('STATUS_INVALID', `Payment ${req.payment.paymentId} is ${req.payment.transactionStatus}`));
+    return;
+  }
+
+  const authorisationId = startAuthorisation(req, req.payment);
+  const self = `${paymentLinks(req, req.payment).self.href}/authorisations/${authorisationId}`;
+
+  res.status(201).json({
+    scaStatus: 'received',
+    authorisationId,
+    _links: {
+      scaRedirect: getScaRedirectLink(req, authorisationId),
+      scaStatus: { href: self }
+    }
+  });
+});
+
+router.get(`${paymentPath}/authorisations`, requirePaymentType, requirePayment, (req, res) => {
+  res.json({ authorisationIds: req.payment.authorisationIds });
+});
+
+router.get(`${paymentPath}/authorisations/:authorisationId`, requirePaymentType, requirePayment, (req, res) => {
+  const authorisation = req.payment.authorisationIds.includes(req.params.authorisationId)
+    ? getScaAuthorisation(req.params.authorisationId)
+    : null;
+
+  if (!authorisation) {
+    res.status(403).json(bgError('RESOURCE_UNKNOWN', `Authorisation ${req.params.authorisationId} not found`));
+    return;
+  }
+
+  res.json({ scaStatus: authorisation.scaStatus });
+});
+
+export default router;
@@ -0,0 +1,97 @@
+/**
+ * Mock Priora CBPII Routes (UK Open Banking v3.1 and v4.0)
+ * funds-confirmation-consents and funds-confirmations against a fixed available balance
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import {
+  createConsent,
+  getConsent,
+  setConsentStatus,
+  requireToken,
+  obError,
+  obLinks,
+  nowIso
+} from './state.js';
+
+const router = express.Router({ mergeParams: true });
+
+// Funds available on the PSU's debtor account for funds-confirmation checks
+const AVAILABLE_FUNDS = 5000;
+
+router.post('/funds-confirmation-consents', requireToken('client_credentials'), (req, res) => {
+  const { ExpirationDateTime, DebtorAccount } = req.body?.Data || {};
+
+  if (!DebtorAccount?.SchemeName || !DebtorAccount?.Identification) {
+    res.status(400).json(obError(400, 'DebtorAccount is required', [
+      { ErrorCode: 'UK.OBIE.Field.Missing', Message: 'DebtorAccount is required', Path: 'Data.DebtorAccount' }
+    ]));
+    return;
+  }
+
+  const consent = createConsent({
+    type: 'cbpii',
+    providerCode: req.params.provider,
+    data: {
+      DebtorAccount,
+      ...(ExpirationDateTime && { ExpirationDateTime })
+    }
+  });
+
+  res.status(201).json({ Data: consent.data, ...obLinks(req) });
+});
+
+router.get('/funds-confirmation-consents/:consentId', requireToken('client_credentials'), (req, res) => {
+  const consent = getConsent(req.params.consentId, 'cbpii');
+  if (!consent) {
+    res.status(404).json(obError(404, `Consent ${req.params.consentId} not found`));
+    return;
+  }
+
+  res.json({ Data: consent.data, ...obLinks(req) });
+});
+
+router.delete('/funds-confirmation-consents/:consentId', requireToken('client_credentials'), (req, res) => {
+  const consent = getConsent(req.params.consentId, 'cbpii');
+  if (!consent) {
+    res.status(404).json(obError(404, `Consent ${req.params.consentId} not found`));
+    return;
+  }
+
+  setConsentStatus(consent, 'Revoked');
+  res.status(204).end();
+});
+
+router.post('/funds-confirmations', requireToken('authorization_code'), (req, res) => {
+  const { ConsentId, Reference, InstructedAmount } = req.body?.Data || {};
+
+  if (ConsentId !== req.token.consentId || !getConsent(ConsentId, 'cbpii')) {
+    res.status(400).json(obError(400, 'ConsentId does not match the access token', [
+      { ErrorCode: 'UK.OBIE.Resource.ConsentMismatch', Message: 'ConsentId does not match the access token', Path: 'Data.ConsentId' }
+    ]));
+    return;
+  }
+
+  const amount = Number(InstructedAmount?.Amount);
+  if (!Reference || !InstructedAmount?.Currency || Number.isNaN(amount)) {
+    res.status(400).json(obError(400, 'Reference and InstructedAmount are required', [
+      { ErrorCode: 'UK.OBIE.Field.Missing', Message: 'Reference and InstructedAmount are required', Path: 'Data' }
+    ]));
+    return;
+  }
+
+  res.status(201).json({
+    Data: {
+      FundsConfirmationId: crypto.randomUUID(),
+      ConsentId,
+      CreationDateTime: nowIso(),
+      FundsAvailable: amount <= AVAILABLE_FUNDS,
+      Reference,
+      InstructedAmount
+    },
+    ...obLinks(req)
+  });
+});
+
+export default router;
@@ -0,0 +1,74 @@
+/**
+ * Mock Priora Idempotency (UK Open Banking)
+ * PISP POSTs must carry an x-idempotency-key. A repeat of a key with the same body within 24 hours gets
+ * the first response again without creating another resource; the same key with another body is rejected.
+ * Keys are scoped to the provider and endpoint, and only successful responses are kept.
+ */
+
+import crypto from 'crypto';
+import { obError } from './state.js';
+
+const IDEMPOTENCY_WINDOW_SECONDS = 24 * 60 * 60;
+
+// `${provider} ${path} ${key}` -> { bodyHash, status, body, expiresAt }
+const idempotentResponses = new Map();
+
+function idempotencyError(res, errorCode, message) {
+  res.status(400).json(obError(400, message, [
+    { ErrorCode: errorCode, Message: message, Path: 'x-idempotency-key' }
+  ]));
+}
+
+/**
+ * Express middleware replaying the response of a repeated x-idempotency-key
+ */
+export function requireIdempotencyKey(req, res, next) {
+  if (req.method !== 'POST') {
+    next();
+    return;
+  }
+
+  const idempotencyKey = req.get('x-idempotency-key');
+  if (!idempotencyKey) {
+    idempotencyError(res, 'UK.OBIE.Header.Missing', 'x-idempotency-key header is missing');
+    return;
+  }
+
+  const scopedKey = `${req.params.provider} ${req.path} ${idempotencyKey}`;
+  const bodyHash = crypto.createHash('sha256').update(req.rawBody || '').digest('base64');
+  const stored = idempotentResponses.get(scopedKey);
+
+  if (stored && stored.expiresAt > Date.now()) {
+    if (stored.bodyHash !== bodyHash) {
+      idempotencyError(res, 'UK.OBIE.Header.Invalid', `x-idempotency-key ${idempotencyKey} was already used with a different request body`);
+      return;
+    }
+
+    console.log(`[mock-priora] Replaying x-idempotency-key ${idempotencyKey}`);
+    if (stored.body === undefined) {
+      res.status(stored.status).end();
+    } else {
+      res.status(stored.status).json(stored.body);
+    }
+    return;
+  }
+
+  // Bodiless responses (e.g. file uploads) are kept as well
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+  res.on('finish', () => {
+    if (res.statusCode >= 200 && res.statusCode < 300) {
+      idempotentResponses.set(scopedKey, {
+        bodyHash,
+        status: res.statusCode,
+        body: responseBody,
+        expiresAt: Date.now() + IDEMPOTENCY_WINDOW_SECONDS * 1000
+      });
+    }
+  });
+  next();
+}
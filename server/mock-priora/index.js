@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Mock Priora Server
+ *
+ * Offline stand-in for SaltEdge Priora so the simulator can be developed and tested without network access.
+ * Implements OIDC discovery, the token endpoint (verifying RS256 client assertions with the TPP public key),
+ * a PSU authorise/reject page, the UK Open Banking v3.1 and v4.0 AISP/PISP/CBPII consent endpoints
+ * (PISP requests and responses signed with a detached JWS, PISP POSTs idempotent by x-idempotency-key)
+ * and the Berlin Group NextGenPSD2 v1 AIS/PIS endpoints with an SCA redirect page.
+ *
+ * Run standalone and point the simulator at it:
+ *   npm run mock:priora
+ *   PRIORA_URL=localhost:3003 PROTOCOL=http npm start
+ *
+ * Or start it inside the simulator process:
+ *   npm run start:mock
+ */
+
+import express from 'express';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import oidcRouter from './oidc.js';
+import aispRouter from './aisp.js';
+import pispRouter from './pisp.js';
+import cbpiiRouter from './cbpii.js';
+import { jwksRouter, requireJwsSignature, signResponses } from './jws.js';
+import { requireIdempotencyKey } from './idempotency.js';
+import bgAisRouter from './bg-ais.js';
+import bgPisRouter from './bg-pis.js';
+import { requireSignature, scaRouter as bgScaRouter } from './berlingroup.js';
+import { generateUuid } from '../services/uk/shared/utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Create the mock Priora express app
+ */
+export function createMockPrioraApp() {
+  const app = express();
+
+  // Keep the raw bytes of every body - file uploads are checked against FileHash
+  const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+  };
+  app.use(express.json({ verify: captureRawBody }));
+  app.use(express.text({ type: ['text/*', 'application/xml'], limit: '10mb', verify: captureRawBody }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // Echo the TPP's x-fapi-interaction-id like an ASPSP, and log it to match the simulator's logs
+  app.use((req, res, next) => {
+    const timestamp = new Date().toISOString();
+    const interactionId = req.get('x-fapi-interaction-id') || generateUuid();
+    res.set('x-fapi-interaction-id', interactionId);
+    console.log(`[${timestamp}] [mock-priora] [${interactionId}] ${req.method} ${req.path}`);
+    next();
+  });
+
+  app.use(oidcRouter);
+  app.use(jwksRouter);
+  app.use('/api/:provider/open-banking/:version(v3\\.1|v4\\.0)/aisp', aispRouter);
+  app.use('/api/:provider/open-banking/:version(v3\\.1|v4\\.0)/pisp', requireJwsSignature, signResponses, requireIdempotencyKey, pispRouter);
+  app.use('/api/:provider/open-banking/:version(v3\\.1|v4\\.0)/cbpii', cbpiiRouter);
+  app.use('/api/:provider/berlingroup/v1', requireSignature, bgAisRouter, bgPisRouter);
+  app.use('/api/:provider/berlingroup/sca', bgScaRouter);
+
+  app.use((req, res) => {
+    res.status(404).json({
+      Code: '404 NotFound',
+      Message: `Mock Priora has no endpoint ${req.method} ${req.path}`
+    });
+  });
+
+  return app;
+}
+
+/**
+ * Start the mock Priora server
+ *
+ * @param {number} port - Port to listen on
+ * @returns {Promise<http.Server>} Listening server
+ */
+export function startMockPriora(port) {
+  const app = createMockPrioraApp();
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, () => resolve(server));
+    server.on('error', reject);
+  });
+}
+
+// Standalone mode
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  dotenv.config({ path: path.join(__dirname, '..', '..', '.env') });
+
+  const port = process.env.MOCK_PRIORA_PORT || 3003;
+  await startMockPriora(port);
+
+  console.log(`\n🧪 Mock Priora listening on http://localhost:${port}`);
+  console.log(`   Point the simulator at it with PRIORA_URL=localhost:${port} PROTOCOL=http\n`);
+}
@@ -0,0 +1,141 @@
+/**
+ * Mock Priora Message Signing (UK Open Banking)
+ * Verifies the x-jws-signature of PISP POST requests against the TPP public key, signs PISP responses
+ * with a key generated at startup and publishes it as the ASPSP JWKS (GET /api/oidc/:provider/jwks)
+ *
+ * Unsigned PISP POSTs are rejected unless MOCK_PRIORA_REQUIRE_JWS=false.
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { getTppPublicKey } from './oidc.js';
+import { obError } from './state.js';
+
+const OB_CLAIMS = ['http://openbanking.org.uk/iat', 'http://openbanking.org.uk/iss', 'http://openbanking.org.uk/tan'];
+
+const TRUST_ANCHOR = 'openbanking.org.uk';
+
+const SIGNING_KID = 'mock-priora-signing-key';
+
+const PSS_OPTIONS = {
+  padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+  saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+};
+
+export const jwksRouter = express.Router();
+
+let signingKeyPair;
+
+function getSigningKeyPair() {
+  if (!signingKeyPair) {
+    signingKeyPair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  }
+  return signingKeyPair;
+}
+
+function signatureError(res, errorCode, message) {
+  res.status(400).json(obError(400, message, [
+    { ErrorCode: errorCode, Message: message, Path: 'x-jws-signature' }
+  ]));
+}
+
+/**
+ * Express middleware verifying the detached JWS of POST requests against the TPP public key
+ */
+export function requireJwsSignature(req, res, next) {
+  if (req.method !== 'POST') {
+    next();
+    return;
+  }
+
+  const signature = req.get('x-jws-signature');
+  if (!signature) {
+    if (process.env.MOCK_PRIORA_REQUIRE_JWS === 'false') {
+      next();
+      return;
+    }
+    signatureError(res, 'UK.OBIE.Signature.Missing', 'x-jws-signature header is missing');
+    return;
+  }
+
+  const [encodedHeader, payload, encodedSignature] = signature.split('.');
+  let header;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+  } catch (error) {
+    header = null;
+  }
+  if (!header || payload !== '' || !encodedSignature) {
+    signatureError(res, 'UK.OBIE.Signature.Malformed', 'x-jws-signature must be a detached JWS');
+    return;
+  }
+
+  if (header.alg !== 'PS256') {
+    signatureError(res, 'UK.OBIE.Signature.Invalid', `alg must be PS256, got ${header.alg}`);
+    return;
+  }
+
+  const missingClaim = OB_CLAIMS.find((claim) => header[claim] === undefined || !header.crit?.includes(claim));
+  if (missingClaim) {
+    signatureError(res, 'UK.OBIE.Signature.MissingClaim', `Critical claim ${missingClaim} is missing`);
+    return;
+  }
+  if (header['http://openbanking.org.uk/tan'] !== TRUST_ANCHOR) {
+    signatureError(res, 'UK.OBIE.Signature.InvalidClaim', `http://openbanking.org.uk/tan must be ${TRUST_ANCHOR}`);
+    return;
+  }
+
+  const signingInput = `${encodedHeader}.${Buffer.from(req.rawBody || '').toString('base64url')}`;
+  const publicKey = getTppPublicKey({ kid: header.kid, clientId: header['http://openbanking.org.uk/iss'] });
+  const valid = crypto.verify('sha256', Buffer.from(signingInput), { key: publicKey, ...PSS_OPTIONS },
+    Buffer.from(encodedSignature, 'base64url'));
+
+  if (!valid) {
+    signatureError(res, 'UK.OBIE.Signature.Invalid', 'x-jws-signature could not be verified with the TPP public key');
+    return;
+  }
+
+  next();
+}
+
+/**
+ * Express middleware signing JSON responses with a detached JWS in x-jws-signature
+ */
+export function signResponses(req, res, next) {
+  res.json = (body) => {
+    const content = JSON.stringify(body);
+    const header = {
+      alg: 'PS256',
+      typ: 'JOSE',
+      cty: 'application/json',
+      kid: SIGNING_KID,
+      'http://openbanking.org.uk/iat': Math.floor(Date.now() / 1000),
+      'http://openbanking.org.uk/iss': `mock-priora/${req.params.provider}`,
+      'http://openbanking.org.uk/tan': TRUST_ANCHOR,
+      crit: OB_CLAIMS
+    };
+
+    const encodedHeader = Buffer.from(JSON.stringify(header)).toString('base64url');
+    const signingInput = `${encodedHeader}.${Buffer.from(content).toString('base64url')}`;
+    const signature = crypto.sign('sha256', Buffer.from(signingInput), { key: getSigningKeyPair().privateKey, ...PSS_OPTIONS });
+
+    res.set('x-jws-signature', `${encodedHeader}..${signature.toString('base64url')}`);
+    return res.type('application/json').send(content);
+  };
+  next();
+}
+
+/**
+ * GET /api/oidc/:provider/jwks
+ * Public key the PISP responses are signed with
+ */
+jwksRouter.get('/api/oidc/:provider/jwks', (req, res) => {
+  res.json({
+    keys: [{
+      ...getSigningKeyPair().publicKey.export({ format: 'jwk' }),
+      kid: SIGNING_KID,
+      use: 'sig',
+      alg: 'PS256'
+    }]
+  });
+});
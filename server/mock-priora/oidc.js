@@ -0,0 +1,346 @@
+/**
+ * Mock Priora OIDC Routes
+ * OIDC discovery, token endpoint (client_credentials and authorization_code grants)
+ * and a simple PSU authorise/reject page
+ */
+
+import express from 'express';
+import fs from 'fs';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getPrivateKey } from '../services/uk/shared/config.js';
+import { getTppProfile, getTppProfilePrivateKey, listTppProfiles } from '../services/uk/shared/tpp-profiles.js';
+import {
+  getConsent,
+  setConsentStatus,
+  issueAuthorizationCode,
+  redeemAuthorizationCode,
+  issueAccessToken
+} from './state.js';
+
+const router = express.Router();
+
+// Public keys by TPP profile name ('' for the simulator's own credentials) or key file
+const tppPublicKeys = new Map();
+
+/**
+ * Find the TPP profile a signed message comes from: the profile with its kid, otherwise the one whose
+ * software ID is the client ID (or ends an {organisationId}/{softwareId} issuer)
+ */
+function findTppProfile({ kid, clientId }) {
+  const { profiles } = listTppProfiles();
+  const profile = (kid && profiles.find((candidate) => candidate.kid === kid))
+    || (clientId && profiles.find((candidate) => candidate.softwareId === clientId
+      || clientId.endsWith(`/${candidate.softwareId}`)));
+
+  return profile ? getTppProfile(profile.name) : null;
+}
+
+/**
+ * TPP public key used to verify client assertions, request objects and message signatures
+ * Read from MOCK_PRIORA_PUBLIC_KEY_PATH, or derived from the private key of the TPP profile the message
+ * was signed for, found by kid or client ID - the simulator's own private key if no profile matches
+ *
+ * @param {Object} signer - kid and clientId (or issuer) of the message (optional)
+ */
+export function getTppPublicKey({ kid, clientId } = {}) {
+  const keyPath = process.env.MOCK_PRIORA_PUBLIC_KEY_PATH;
+  const profile = keyPath ? null : findTppProfile({ kid, clientId });
+  const cacheKey = keyPath ? `file:${keyPath}` : profile?.name || '';
+
+  if (!tppPublicKeys.has(cacheKey)) {
+    if (keyPath) {
+      tppPublicKeys.set(cacheKey, crypto.createPublicKey(fs.readFileSync(keyPath, 'utf8')));
+    } else {
+      tppPublicKeys.set(cacheKey, crypto.createPublicKey(profile ? getTppProfilePrivateKey(profile) : getPrivateKey()));
+    }
+  }
+  return tppPublicKeys.get(cacheKey);
+}
+
+/**
+ * kid and client ID of a JWT signed by the TPP, to find its public key
+ */
+function getJwtSigner(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  return {
+    kid: decoded?.header?.kid,
+    clientId: decoded?.payload?.client_id || decoded?.payload?.iss
+  };
+}
+
+function getIssuerBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+function getOidcBaseUrl(req, provider) {
+  return `${getIssuerBaseUrl(req)}/api/oidc/${encodeURIComponent(provider)}`;
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Verify the signed request object and resolve the consent it refers to
+ */
+function verifyRequestObject(req, requestJwt) {
+  const claims = jwt.verify(requestJwt, getTppPublicKey(getJwtSigner(requestJwt)), {
+    algorithms: ['RS256'],
+    audience: `${getOidcBaseUrl(req, req.params.provider)}/tokens`
+  });
+
+  const consentId = claims.claims?.id_token?.openbanking_intent_id?.value;
+  const consent = consentId ? getConsent(consentId) : null;
+
+  if (!consent || consent.providerCode !== req.params.provider) {
+    throw new Error(`Unknown consent: ${consentId}`);
+  }
+
+  return { claims, consent };
+}
+
+/**
+ * Build the redirect back to the TPP in query or fragment response mode
+ */
+function buildRedirect(redirectUri, params, responseMode) {
+  const encoded = new URLSearchParams(
+    Object.fromEntries(Object.entries(params).filter(([, value]) => value))
+  ).toString();
+
+  if (responseMode === 'fragment') {
+    return `${redirectUri}#${encoded}`;
+  }
+
+  const u = new URL(redirectUri);
+  new URLSearchParams(encoded).forEach((value, key) => u.searchParams.set(key, value));
+  return u.toString();
+}
+
+/**
+ * Apply the PSU decision to the consent and build the redirect back to the TPP
+ */
+function completeAuthorisation(req, { claims, consent }, decision, state) {
+  const responseMode = req.query.response_mode || req.body?.response_mode || process.env.MOCK_PRIORA_RESPONSE_MODE;
+
+  if (decision !== 'authorise') {
+    setConsentStatus(consent, 'Rejected');
+    return buildRedirect(claims.redirect_uri, {
+      error: 'access_denied',
+      error_description: 'The PSU rejected the consent',
+      state
+    }, responseMode);
+  }
+
+  setConsentStatus(consent, 'Authorised');
+  const code = issueAuthorizationCode({
+    providerCode: req.params.provider,
+    clientId: claims.client_id,
+    consentId: consent.data.ConsentId,
+    redirectUri: claims.redirect_uri,
+    scope: claims.scope
+  });
+
+  return buildRedirect(claims.redirect_uri, { code, state }, responseMode);
+}
+
+function describeConsent(consent) {
+  if (consent.type === 'ais') {
+    return `<p>Account access for:</p><ul>${consent.data.Permissions.map((permission) => `<li>${escapeHtml(permission)}</li>`).join('')}</ul>`;
+  }
+
+  if (consent.type === 'cbpii') {
+    const account = consent.data.DebtorAccount;
+    return `<p>Confirmation of funds on ${escapeHtml(account.Name || '')} ${escapeHtml(account.Identification)}</p>`;
+  }
+
+  const initiation = consent.data.Initiation || {};
+  if (initiation.FileType) {
+    return `<p>${escapeHtml(initiation.FileType)} file: ${escapeHtml(initiation.NumberOfTransactions)} payments,`
+      + ` control sum ${escapeHtml(initiation.ControlSum)}</p>`;
+  }
+
+  const amount = initiation.InstructedAmount || {};
+  return `<p>${escapeHtml(consent.paymentProduct)}: ${escapeHtml(amount.Amount || '')} ${escapeHtml(amount.Currency || '')}`
+    + ` to ${escapeHtml(initiation.CreditorAccount?.Name || 'creditor')}</p>`;
+}
+
+function renderAuthorisationPage({ provider, consent, requestJwt, state, responseMode }) {
+  const hidden = (name, value) => value
+    ? `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Mock Priora - Authorise consent</title>
+</head>
+<body>
+  <h1>Mock ASPSP (${escapeHtml(provider)})</h1>
+  <p>Consent <code>${escapeHtml(consent.data.ConsentId)}</code></p>
+  ${describeConsent(consent)}
+  <form method="post">
+    ${hidden('request', requestJwt)}
+    ${hidden('state', state)}
+    ${hidden('response_mode', responseMode)}
+    <button type="submit" name="decision" value="authorise">Authorise</button>
+    <button type="submit" name="decision" value="reject">Reject</button>
+  </form>
+</body>
+</html>`;
+}
+
+/**
+ * GET /.well-known/openid-configuration/:provider
+ */
+router.get('/.well-known/openid-configuration/:provider', (req, res) => {
+  const oidcBaseUrl = getOidcBaseUrl(req, req.params.provider);
+
+  res.json({
+    issuer: oidcBaseUrl,
+    authorization_endpoint: `${oidcBaseUrl}/authorize`,
+    token_endpoint: `${oidcBaseUrl}/tokens`,
+    jwks_uri: `${oidcBaseUrl}/jwks`,
+    response_types_supported: ['code', 'code id_token'],
+    response_modes_supported: ['query', 'fragment'],
+    grant_types_supported: ['client_credentials', 'authorization_code'],
+    scopes_supported: ['openid', 'accounts', 'payments', 'fundsconfirmations'],
+    token_endpoint_auth_methods_supported: ['private_key_jwt'],
+    token_endpoint_auth_signing_alg_values_supported: ['RS256'],
+    request_object_signing_alg_values_supported: ['RS256']
+  });
+});
+
+/**
+ * POST /api/oidc/:provider/tokens
+ * Verifies the RS256 client assertion against the TPP public key
+ */
+router.post('/api/oidc/:provider/tokens', (req, res) => {
+  const { provider } = req.params;
+  const {
+    grant_type: grantType,
+    client_id: clientId,
+    client_assertion: clientAssertion,
+    client_assertion_type: clientAssertionType,
+    code,
+    redirect_uri: redirectUri
+  } = req.body;
+
+  if (clientAssertionType !== 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer' || !clientAssertion) {
+    res.status(401).json({ error: 'invalid_client', error_description: 'private_key_jwt client assertion required' });
+    return;
+  }
+
+  try {
+    jwt.verify(clientAssertion, getTppPublicKey(getJwtSigner(clientAssertion)), {
+      algorithms: ['RS256'],
+      audience: `${getOidcBaseUrl(req, provider)}/tokens`,
+      issuer: clientId,
+      subject: clientId
+    });
+  } catch (error) {
+    res.status(401).json({ error: 'invalid_client', error_description: `Client assertion rejected: ${error.message}` });
+    return;
+  }
+
+  if (grantType === 'client_credentials') {
+    res.json(issueAccessToken({
+      grantType,
+      providerCode: provider,
+      clientId,
+      scope: 'accounts payments fundsconfirmations'
+    }));
+    return;
+  }
+
+  if (grantType === 'authorization_code') {
+    const entry = redeemAuthorizationCode(code);
+
+    if (!entry || entry.providerCode !== provider || entry.clientId !== clientId) {
+      res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown, expired or already used authorization code' });
+      return;
+    }
+
+    if (entry.redirectUri !== redirectUri) {
+      res.status(400).json({ error: 'invalid_grant', error_description: 'redirect_uri does not match the authorization request' });
+      return;
+    }
+
+    res.json(issueAccessToken({
+      grantType,
+      providerCode: provider,
+      clientId,
+      consentId: entry.consentId,
+      scope: entry.scope
+    }));
+    return;
+  }
+
+  res.status(400).json({ error: 'unsupported_grant_type', error_description: `Unsupported grant_type: ${grantType}` });
+});
+
+/**
+ * GET /api/oidc/:provider/authorize
+ * Shows the authorise/reject page, or redirects straight back when MOCK_PRIORA_AUTO_APPROVE=true
+ */
+router.get('/api/oidc/:provider/authorize', (req, res) => {
+  const { request: requestJwt, state, response_mode: responseMode } = req.query;
+
+  let verified;
+  try {
+    verified = verifyRequestObject(req, requestJwt);
+  } catch (error) {
+    res.status(400).type('text').send(`Invalid authorization request: ${error.message}`);
+    return;
+  }
+
+  if (verified.consent.data.Status !== 'AwaitingAuthorisation') {
+    res.status(400).type('text').send(`Consent ${verified.consent.data.ConsentId} is ${verified.consent.data.Status}`);
+    return;
+  }
+
+  const resolvedState = state || verified.claims.state;
+
+  if (process.env.MOCK_PRIORA_AUTO_APPROVE === 'true') {
+    res.redirect(completeAuthorisation(req, verified, 'authorise', resolvedState));
+    return;
+  }
+
+  res.type('html').send(renderAuthorisationPage({
+    provider: req.params.provider,
+    consent: verified.consent,
+    requestJwt,
+    state: resolvedState,
+    responseMode
+  }));
+});
+
+/**
+ * POST /api/oidc/:provider/authorize
+ * Receives the PSU decision from the authorise/reject page
+ */
+router.post('/api/oidc/:provider/authorize', (req, res) => {
+  const { request: requestJwt, state, decision } = req.body;
+
+  let verified;
+  try {
+    verified = verifyRequestObject(req, requestJwt);
+  } catch (error) {
+    res.status(400).type('text').send(`Invalid authorization request: ${error.message}`);
+    return;
+  }
+
+  if (verified.consent.data.Status !== 'AwaitingAuthorisation') {
+    res.status(400).type('text').send(`Consent ${verified.consent.data.ConsentId} is ${verified.consent.data.Status}`);
+    return;
+  }
+
+  res.redirect(completeAuthorisation(req, verified, decision, state));
+});
+
+export default router;
@@ -0,0 +1,275 @@
+/**
+ * Mock Priora PISP Routes (UK Open Banking v3.1 and v4.0)
+ * Payment consents for any *-consents payment product and the matching payment resources
+ * (e.g. domestic-payment-consents -> domestic-payments)
+ *
+ * v4.0 payment statuses are the ISO 20022 codes (e.g. AcceptedSettlementCompleted -> ACSC).
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { isDeepStrictEqual } from 'util';
+import {
+  createConsent,
+  getConsent,
+  setConsentStatus,
+  createPayment,
+  getPayment,
+  getPaymentResource,
+  getPaymentIdField,
+  requireToken,
+  obError,
+  obLinks,
+  nowIso
+} from './state.js';
+
+const router = express.Router({ mergeParams: true });
+
+const FUNDS_CONFIRMATION_PRODUCTS = [
+  'domestic-payment-consents',
+  'international-payment-consents',
+  'international-scheduled-payment-consents'
+];
+
+// Funds available on the PSU's debtor account for funds-confirmation checks
+const AVAILABLE_FUNDS = 5000;
+
+// v3.1 payment status -> v4.0 ISO 20022 payment status code
+const ISO_PAYMENT_STATUSES = {
+  Pending: 'PDNG',
+  AcceptedSettlementInProcess: 'ACSP',
+  AcceptedSettlementCompleted: 'ACSC',
+  AcceptedCreditSettlementCompleted: 'ACCC',
+  Rejected: 'RJCT'
+};
+
+function isConsentResource(resource) {
+  return resource.endsWith('-consents');
+}
+
+/**
+ * Payment status in the API version of the request
+ */
+function toPaymentStatus(req, status) {
+  return req.params.version === 'v4.0' ? ISO_PAYMENT_STATUSES[status] || status : status;
+}
+
+function toPaymentData(req, payment) {
+  return { ...payment.data, Status: toPaymentStatus(req, payment.data.Status) };
+}
+
+function createPaymentConsent(req, res) {
+  const { Data, Risk } = req.body || {};
+
+  if (!Data?.Initiation) {
+    res.status(400).json(obError(400, 'Initiation is required', [
+      { ErrorCode: 'UK.OBIE.Field.Missing', Message: 'Initiation is required', Path: 'Data.Initiation' }
+    ]));
+    return;
+  }
+
+  const isFileConsent = req.params.resource === 'file-payment-consents';
+  if (isFileConsent && !Data.Initiation.FileHash) {
+    res.status(400).json(obError(400, 'FileHash is required', [
+      { ErrorCode: 'UK.OBIE.Field.Missing', Message: 'FileHash is required', Path: 'Data.Initiation.FileHash' }
+    ]));
+    return;
+  }
+
+  const consent = createConsent({
+    type: 'pis',
+    providerCode: req.params.provider,
+    paymentProduct: req.params.resource,
+    data: Data,
+    risk: Risk || {}
+  });
+
+  // File payment consents wait for their file before they can be authorised
+  if (isFileConsent) {
+    setConsentStatus(consent, 'AwaitingUpload');
+  }
+
+  res.status(201).json({
+    Data: consent.data,
+    Risk: consent.risk,
+    ...obLinks(req)
+  });
+}
+
+function submitPayment(req, res) {
+  const { Data, Risk } = req.body || {};
+  const consent = getConsent(Data?.ConsentId, 'pis');
+
+  if (!consent || consent.data.ConsentId !== req.token.consentId
+    || getPaymentResource(consent.paymentProduct) !== req.params.resource) {
+    res.status(400).json(obError(400, 'ConsentId does not match the access token or payment resource', [
+      { ErrorCode: 'UK.OBIE.Resource.InvalidConsentStatus', Message: 'Invalid ConsentId', Path: 'Data.ConsentId' }
+    ]));
+    return;
+  }
+
+  if (!isDeepStrictEqual(Data.Initiation, consent.data.Initiation) || !isDeepStrictEqual(Risk || {}, consent.risk)) {
+    res.status(400).json(obError(400, 'Initiation and Risk must match the authorised consent', [
+      { ErrorCode: 'UK.OBIE.Resource.ConsentMismatch', Message: 'Payment does not match consent', Path: 'Data.Initiation' }
+    ]));
+    return;
+  }
+
+  setConsentStatus(consent, 'Consumed');
+  const payment = createPayment({
+    paymentResource: req.params.resource,
+    consent,
+    initiation: Data.Initiation
+  });
+
+  res.status(201).json({
+    Data: toPaymentData(req, payment),
+    ...obLinks(req)
+  });
+}
+
+router.post('/file-payment-consents/:consentId/file', requireToken('client_credentials'), (req, res) => {
+  const consent = getConsent(req.params.consentId, 'pis');
+  if (!consent || consent.paymentProduct !== 'file-payment-consents') {
+    res.status(404).json(obError(404, `Consent ${req.params.consentId} not found`));
+    return;
+  }
+
+  if (consent.data.Status !== 'AwaitingUpload') {
+    res.status(400).json(obError(400, `Consent is ${consent.data.Status}`, [
+      { ErrorCode: 'UK.OBIE.Resource.InvalidConsentStatus', Message: 'File already uploaded' }
+    ]));
+    return;
+  }
+
+  const content = req.rawBody || Buffer.alloc(0);
+  const fileHash = crypto.createHash('sha256').update(content).digest('base64');
+  if (fileHash !== consent.data.Initiation.FileHash) {
+    res.status(400).json(obError(400, 'File does not match FileHash', [
+      { ErrorCode: 'UK.OBIE.Field.Invalid', Message: 'FileHash mismatch', Path: 'Data.Initiation.FileHash' }
+    ]));
+    return;
+  }
+
+  consent.file = {
+    content: content.toString('utf8'),
+    contentType: req.get('Content-Type') || 'application/octet-stream'
+  };
+  setConsentStatus(consent, 'AwaitingAuthorisation');
+  res.status(200).end();
+});
+
+router.get('/file-payment-consents/:consentId/file', requireToken('client_credentials'), (req, res) => {
+  const consent = getConsent(req.params.consentId, 'pis');
+  if (!consent?.file) {
+    res.status(404).json(obError(404, `No file uploaded for consent ${req.params.consentId}`));
+    return;
+  }
+
+  res.type(consent.file.contentType).send(consent.file.content);
+});
+
+router.get('/file-payments/:paymentId/report-file', requireToken('client_credentials'), (req, res) => {
+  const payment = getPayment(req.params.paymentId, 'file-payments');
+  if (!payment) {
+    res.status(404).json(obError(404, `Payment ${req.params.paymentId} not found`));
+    return;
+  }
+
+  const { FileType, NumberOfTransactions, ControlSum } = payment.data.Initiation;
+  res.json({
+    Data: {
+      [getPaymentIdField('file-payments')]: req.params.paymentId,
+      ConsentId: payment.data.ConsentId,
+      FileType,
+      NumberOfTransactions,
+      ControlSum,
+      Status: toPaymentStatus(req, payment.data.Status),
+      StatusUpdateDateTime: payment.data.StatusUpdateDateTime
+    }
+  });
+});
+
+router.post('/:resource', (req, res, next) => {
+  const grantType = isConsentResource(req.params.resource) ? 'client_credentials' : 'authorization_code';
+  requireToken(grantType)(req, res, next);
+}, (req, res) => {
+  if (isConsentResource(req.params.resource)) {
+    createPaymentConsent(req, res);
+  } else {
+    submitPayment(req, res);
+  }
+});
+
+router.get('/:resource/:resourceId', requireToken('client_credentials'), (req, res) => {
+  const { resource, resourceId } = req.params;
+
+  if (isConsentResource(resource)) {
+    const consent = getConsent(resourceId, 'pis');
+    if (!consent || consent.paymentProduct !== resource) {
+      res.status(404).json(obError(404, `Consent ${resourceId} not found`));
+      return;
+    }
+
+    res.json({ Data: consent.data, Risk: consent.risk, ...obLinks(req) });
+    return;
+  }
+
+  const payment = getPayment(resourceId, resource);
+  if (!payment) {
+    res.status(404).json(obError(404, `Payment ${resourceId} not found`));
+    return;
+  }
+
+  res.json({ Data: toPaymentData(req, payment), ...obLinks(req) });
+});
+
+router.get('/:resource/:resourceId/payment-details', requireToken('client_credentials'), (req, res) => {
+  const { resource, resourceId } = req.params;
+  const payment = isConsentResource(resource) ? null : getPayment(resourceId, resource);
+
+  if (!payment) {
+    res.status(404).json(obError(404, `Payment ${resourceId} not found`));
+    return;
+  }
+
+  res.json({
+    Data: {
+      PaymentStatus: payment.statusHistory.map((entry) => ({
+        PaymentTransactionId: resourceId,
+        Status: toPaymentStatus(req, entry.Status),
+        StatusUpdateDateTime: entry.StatusUpdateDateTime
+      }))
+    },
+    ...obLinks(req)
+  });
+});
+
+router.get('/:resource/:resourceId/funds-confirmation', requireToken('authorization_code'), (req, res) => {
+  const { resource, resourceId } = req.params;
+  const consent = getConsent(resourceId, 'pis');
+
+  if (!consent || consent.paymentProduct !== resource || consent.data.ConsentId !== req.token.consentId) {
+    res.status(404).json(obError(404, `Consent ${resourceId} not found`));
+    return;
+  }
+
+  if (!FUNDS_CONFIRMATION_PRODUCTS.includes(resource)) {
+    res.status(404).json(obError(404, `Funds confirmation is not available for ${resource}`));
+    return;
+  }
+
+  const amount = Number(consent.data.Initiation?.InstructedAmount?.Amount);
+  res.json({
+    Data: {
+      FundsAvailableResult: {
+        FundsAvailableDateTime: nowIso(),
+        FundsAvailable: amount <= AVAILABLE_FUNDS
+      },
+      SupplementaryData: {}
+    },
+    ...obLinks(req)
+  });
+});
+
+export default router;
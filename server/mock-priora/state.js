@@ -0,0 +1,257 @@
+/**
+ * Mock Priora State
+ * In-memory consents, authorization codes and access tokens shared by the mock Priora routers
+ */
+
+import crypto from 'crypto';
+import { generateUuid } from '../services/uk/shared/utils.js';
+
+const ACCESS_TOKEN_TTL_SECONDS = 3600;
+const AUTHORIZATION_CODE_TTL_SECONDS = 600;
+
+const consents = new Map();
+const payments = new Map();
+const authorizationCodes = new Map();
+const accessTokens = new Map();
+
+/**
+ * Current time as ISO 8601 string without milliseconds (OBIE style)
+ */
+export function nowIso() {
+  return new Date().toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+/**
+ * Build an OBIE error response body
+ */
+export function obError(status, message, errors = []) {
+  const codes = {
+    400: '400 BadRequest',
+    401: '401 Unauthorized',
+    403: '403 Forbidden',
+    404: '404 NotFound',
+    409: '409 Conflict'
+  };
+
+  return {
+    Code: codes[status] || `${status}`,
+    Id: generateUuid(),
+    Message: message,
+    Errors: errors.length > 0
+      ? errors
+      : [{ ErrorCode: status === 404 ? 'UK.OBIE.Resource.NotFound' : 'UK.OBIE.Unexpected.Error', Message: message }]
+  };
+}
+
+/**
+ * Build OBIE Links/Meta for a resource
+ */
+export function obLinks(req) {
+  return {
+    Links: { Self: `${req.protocol}://${req.get('host')}${req.originalUrl}` },
+    Meta: { TotalPages: 1 }
+  };
+}
+
+/**
+ * Create a consent resource
+ */
+export function createConsent({ type, providerCode, paymentProduct, data, risk }) {
+  const timestamp = nowIso();
+  const consent = {
+    type,
+    providerCode,
+    paymentProduct,
+    data: {
+      ConsentId: `urn-${providerCode}-intent-${generateUuid()}`,
+      CreationDateTime: timestamp,
+      Status: 'AwaitingAuthorisation',
+      StatusUpdateDateTime: timestamp,
+      ...data
+    },
+    risk
+  };
+
+  consents.set(consent.data.ConsentId, consent);
+  return consent;
+}
+
+/**
+ * Get a consent of a given type, applying time based status transitions first
+ */
+export function getConsent(consentId, type) {
+  const consent = consents.get(consentId);
+  if (!consent || (type && consent.type !== type)) {
+    return null;
+  }
+
+  const { Status, ExpirationDateTime } = consent.data;
+  const isActive = Status === 'AwaitingAuthorisation' || Status === 'Authorised';
+  if (isActive && ExpirationDateTime && new Date(ExpirationDateTime) <= new Date()) {
+    setConsentStatus(consent, 'Expired');
+  }
+
+  return consent;
+}
+
+/**
+ * Update consent status and status timestamp
+ */
+export function setConsentStatus(consent, status) {
+  consent.data.Status = status;
+  consent.data.StatusUpdateDateTime = nowIso();
+}
+
+/**
+ * Issue an authorization code for an authorised consent
+ */
+export function issueAuthorizationCode({ providerCode, clientId, consentId, redirectUri, scope }) {
+  const code = crypto.randomBytes(24).toString('hex');
+  authorizationCodes.set(code, {
+    providerCode,
+    clientId,
+    consentId,
+    redirectUri,
+    scope,
+    expiresAt: Date.now() + AUTHORIZATION_CODE_TTL_SECONDS * 1000
+  });
+  return code;
+}
+
+/**
+ * Redeem an authorization code (single use)
+ */
+export function redeemAuthorizationCode(code) {
+  const entry = authorizationCodes.get(code);
+  authorizationCodes.delete(code);
+
+  if (!entry || entry.expiresAt <= Date.now()) {
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Issue an access token
+ */
+export function issueAccessToken({ grantType, providerCode, clientId, consentId, scope }) {
+  const accessToken = crypto.randomBytes(32).toString('hex');
+  accessTokens.set(accessToken, {
+    grantType,
+    providerCode,
+    clientId,
+    consentId,
+    scope,
+    expiresAt: Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000
+  });
+
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    scope,
+    ...(grantType === 'authorization_code' && { refresh_token: crypto.randomBytes(32).toString('hex') })
+  };
+}
+
+/**
+ * Express middleware requiring a Bearer token of the given grant type
+ * Authorization code tokens additionally require their consent to still be Authorised.
+ * The token entry is exposed as req.token.
+ */
+export function requireToken(grantType) {
+  return (req, res, next) => {
+    const [scheme, value] = (req.get('Authorization') || '').split(' ');
+    const entry = scheme === 'Bearer' ? accessTokens.get(value) : null;
+
+    if (!entry || entry.expiresAt <= Date.now() || entry.providerCode !== req.params.provider) {
+      res.status(401).json(obError(401, 'Invalid or expired access token'));
+      return;
+    }
+
+    if (entry.grantType !== grantType) {
+      res.status(403).json(obError(403, `This endpoint requires a ${grantType} access token`));
+      return;
+    }
+
+    if (grantType === 'authorization_code') {
+      const consent = getConsent(entry.consentId);
+      if (!consent || consent.data.Status !== 'Authorised') {
+        res.status(403).json(obError(403, `Consent ${entry.consentId} is ${consent?.data.Status || 'unknown'}`));
+        return;
+      }
+    }
+
+    req.token = entry;
+    next();
+  };
+}
+
+/**
+ * Payment resource for a payment consent product (domestic-payment-consents -> domestic-payments)
+ */
+export function getPaymentResource(paymentProduct) {
+  return paymentProduct.replace(/-consents$/, 's');
+}
+
+/**
+ * Id field of a payment resource (domestic-payments -> DomesticPaymentId)
+ */
+export function getPaymentIdField(paymentResource) {
+  const name = paymentResource
+    .replace(/s$/, '')
+    .split('-')
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+  return `${name}Id`;
+}
+
+/**
+ * Create a payment resource for a consumed consent
+ * Payments settle after MOCK_PRIORA_SETTLEMENT_SECONDS; amounts above 10000 are rejected at settlement.
+ */
+export function createPayment({ paymentResource, consent, initiation }) {
+  const timestamp = nowIso();
+  const payment = {
+    paymentResource,
+    providerCode: consent.providerCode,
+    createdAt: Date.now(),
+    settled: false,
+    rejectAtSettlement: Number(initiation?.InstructedAmount?.Amount) > 10000,
+    statusHistory: [{ Status: 'AcceptedSettlementInProcess', StatusUpdateDateTime: timestamp }],
+    data: {
+      [getPaymentIdField(paymentResource)]: generateUuid(),
+      ConsentId: consent.data.ConsentId,
+      CreationDateTime: timestamp,
+      Status: 'AcceptedSettlementInProcess',
+      StatusUpdateDateTime: timestamp,
+      Initiation: initiation
+    }
+  };
+
+  payments.set(payment.data[getPaymentIdField(paymentResource)], payment);
+  return payment;
+}
+
+/**
+ * Get a payment resource, applying time based settlement first
+ */
+export function getPayment(paymentId, paymentResource) {
+  const payment = payments.get(paymentId);
+  if (!payment || payment.paymentResource !== paymentResource) {
+    return null;
+  }
+
+  const settlementSeconds = Number(process.env.MOCK_PRIORA_SETTLEMENT_SECONDS ?? 5);
+  if (!payment.settled && Date.now() - payment.createdAt >= settlementSeconds * 1000) {
+    const status = payment.rejectAtSettlement ? 'Rejected' : 'AcceptedSettlementCompleted';
+    const timestamp = nowIso();
+
+    payment.settled = true;
+    payment.data.Status = status;
+    payment.data.StatusUpdateDateTime = timestamp;
+    payment.statusHistory.push({ Status: status, StatusUpdateDateTime: timestamp });
+  }
+
+  return payment;
+}
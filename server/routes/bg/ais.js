@@ -0,0 +1,301 @@
+/**
+ * Berlin Group NextGenPSD2 AIS (Account Information Services) Routes
+ * Simplified API routes designed for curl access
+ */
+
+import express from 'express';
+import {
+  createBGAISConsent,
+  getBGConsentDetails,
+  getBGConsentStatus,
+  deleteBGConsent,
+  startBGConsentAuthorisation,
+  getBGAccounts,
+  getBGAccountBalances,
+  getBGAccountTransactions
+} from '../../services/bg/ais-service.js';
+import { getDefaultProviderCode, getDefaultRedirectUri } from '../../services/bg/shared/config.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/bg/ais/consent
+ * Creates a Berlin Group AIS consent and returns the SCA redirect link
+ * This is the main entry point - one curl command to get started
+ *
+ * Body:
+ * - providerCode (optional, defaults to env BG_PROVIDER_CODE)
+ * - redirectUri (optional, defaults to env)
+ * - access (optional, defaults to { allPsd2: 'allAccounts' })
+ * - recurringIndicator (optional, default: true)
+ * - validUntil (optional, default: 90 days)
+ * - frequencyPerDay (optional, default: 4)
+ * - psuId, psuIpAddress (optional)
+ */
+router.post('/consent', async (req, res, next) => {
+  try {
+    const {
+      providerCode = getDefaultProviderCode(),
+      redirectUri = getDefaultRedirectUri(),
+      access,
+      recurringIndicator,
+      validUntil,
+      frequencyPerDay,
+      psuId,
+      psuIpAddress
+    } = req.body;
+
+    console.log(`\n📝 Creating BG AIS consent...`);
+    console.log(`   Provider: ${providerCode}`);
+    console.log(`   Redirect URI: ${redirectUri}`);
+
+    const result = await createBGAISConsent({
+      providerCode,
+      redirectUri,
+      access,
+      recurringIndicator,
+      validUntil,
+      frequencyPerDay,
+      psuId,
+      psuIpAddress
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/bg/ais/consent/:consentId
+ * Get Berlin Group consent details by consent ID
+ *
+ * Query params:
+ * - providerCode (optional, defaults to env BG_PROVIDER_CODE)
+ */
+router.get('/consent/:consentId', async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+    const { providerCode = getDefaultProviderCode() } = req.query;
+
+    console.log(`\n🔍 Fetching BG consent details: ${consentId}...`);
+    const consent = await getBGConsentDetails(providerCode, consentId);
+
+    console.log(`✅ BG consent details retrieved\n`);
+
+    res.json({
+      success: true,
+      data: consent
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/bg/ais/consent/:consentId/status
+ * Get Berlin Group consent status by consent ID
+ *
+ * Query params:
+ * - providerCode (optional, defaults to env BG_PROVIDER_CODE)
+ */
+router.get('/consent/:consentId/status', async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+    const { providerCode = getDefaultProviderCode() } = req.query;
+
+    console.log(`\n🔍 Fetching BG consent status: ${consentId}...`);
+    const status = await getBGConsentStatus(providerCode, consentId);
+
+    console.log(`✅ BG consent status: ${status?.consentStatus}\n`);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/bg/ais/consent/:consentId
+ * Delete a Berlin Group consent by consent ID
+ *
+ * Query params:
+ * - providerCode (optional, defaults to env BG_PROVIDER_CODE)
+ */
+router.delete('/consent/:consentId', async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+    const { providerCode = getDefaultProviderCode() } = req.query;
+
+    console.log(`\n🗑️  Deleting BG consent: ${consentId}...`);
+    console.log(`   Provider: ${providerCode}`);
+
+    await deleteBGConsent(providerCode, consentId);
+
+    console.log(`✅ BG consent deleted successfully\n`);
+
+    res.json({
+      success: true,
+      message: 'Consent deleted successfully',
+      consentId
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/bg/ais/consent/:consentId/authorisations
+ * Start a new authorisation of a Berlin Group consent and return its SCA redirect link
+ *
+ * Body:
+ * - providerCode (optional, defaults to env BG_PROVIDER_CODE)
+ * - redirectUri (optional, defaults to env)
+ * - psuId, psuIpAddress (optional)
+ */
+router.post('/consent/:consentId/authorisations', async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+    const {
+      providerCode = getDefaultProviderCode(),
+      redirectUri = getDefaultRedirectUri(),
+      psuId,
+      psuIpAddress
+    } = req.body;
+
+    console.log(`\n🔐 Starting BG consent authorisation: ${consentId}...`);
+
+    const authorisation = await startBGConsentAuthorisation(providerCode, consentId, {
+      redirectUri,
+      psuId,
+      psuIpAddress
+    });
+
+    console.log(`✅ BG authorisation started: ${authorisation.authorisationId}\n`);
+
+    res.json({
+      consentId,
+      ...authorisation
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/bg/ais/consent/:consentId/accounts
+ * List accounts accessible under a valid Berlin Group consent
+ *
+ * Query params:
+ * - providerCode (optional, defaults to env BG_PROVIDER_CODE)
+ * - withBalance (optional, 'true' to include balances)
+ * - psuIpAddress (optional, marks the PSU as present - not counted against frequencyPerDay)
+ */
+router.get('/consent/:consentId/accounts', async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+    const {
+      providerCode = getDefaultProviderCode(),
+      withBalance,
+      psuIpAddress
+    } = req.query;
+
+    console.log(`\n🏦 Fetching BG accounts for consent: ${consentId}...`);
+    const accounts = await getBGAccounts(providerCode, consentId, {
+      withBalance: withBalance === 'true',
+      psuIpAddress
+    });
+
+    console.log(`✅ BG accounts retrieved\n`);
+
+    res.json({
+      success: true,
+      data: accounts
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/bg/ais/consent/:consentId/accounts/:accountId/balances
+ * Get balances of an account under a valid Berlin Group consent
+ *
+ * Query params:
+ * - providerCode (optional, defaults to env BG_PROVIDER_CODE)
+ * - psuIpAddress (optional)
+ */
+router.get('/consent/:consentId/accounts/:accountId/balances', async (req, res, next) => {
+  try {
+    const { consentId, accountId } = req.params;
+    const {
+      providerCode = getDefaultProviderCode(),
+      psuIpAddress
+    } = req.query;
+
+    console.log(`\n💰 Fetching BG balances for account: ${accountId}...`);
+    const balances = await getBGAccountBalances(providerCode, consentId, accountId, { psuIpAddress });
+
+    console.log(`✅ BG balances retrieved\n`);
+
+    res.json({
+      success: true,
+      data: balances
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/bg/ais/consent/:consentId/accounts/:accountId/transactions
+ * Get transactions of an account under a valid Berlin Group consent
+ *
+ * Query params:
+ * - providerCode (optional, defaults to env BG_PROVIDER_CODE)
+ * - bookingStatus (optional, booked | pending | both, default: booked)
+ * - dateFrom, dateTo (optional, YYYY-MM-DD)
+ * - psuIpAddress (optional)
+ */
+router.get('/consent/:consentId/accounts/:accountId/transactions', async (req, res, next) => {
+  try {
+    const { consentId, accountId } = req.params;
+    const {
+      providerCode = getDefaultProviderCode(),
+      bookingStatus,
+      dateFrom,
+      dateTo,
+      psuIpAddress
+    } = req.query;
+
+    console.log(`\n📜 Fetching BG transactions for account: ${accountId}...`);
+    const transactions = await getBGAccountTransactions(providerCode, consentId, accountId, {
+      bookingStatus,
+      dateFrom,
+      dateTo,
+      psuIpAddress
+    });
+
+    console.log(`✅ BG transactions retrieved\n`);
+
+    res.json({
+      success: true,
+      data: transactions
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,36 @@
+/**
+ * Berlin Group SCA Redirect Route
+ * Landing page the ASPSP sends the PSU back to after the SCA redirect
+ *
+ * NextGenPSD2 has no authorization code to exchange - the consent or payment status
+ * changes on the ASPSP side, so this endpoint only reports the outcome of the redirect.
+ */
+
+import express from 'express';
+
+const router = express.Router();
+
+/**
+ * GET /api/bg/callback
+ * TPP-Redirect-URI / TPP-Nok-Redirect-URI target - set BG_REDIRECT_URI to this endpoint
+ *
+ * Query params:
+ * - result (set to 'nok' by the simulator on the TPP-Nok-Redirect-URI)
+ * - any parameters appended by the ASPSP
+ */
+router.get('/', (req, res) => {
+  const { result, ...params } = req.query;
+  const succeeded = result !== 'nok';
+
+  console.log(`\n${succeeded ? '✅' : '❌'} PSU returned from BG SCA redirect (${succeeded ? 'ok' : 'nok'})\n`);
+
+  res.status(succeeded ? 200 : 400).json({
+    success: succeeded,
+    message: succeeded
+      ? 'SCA redirect completed - check the consent or payment status for the outcome'
+      : 'SCA redirect failed or was cancelled by the PSU',
+    params
+  });
+});
+
+export default router;
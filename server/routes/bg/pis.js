@@ -0,0 +1,204 @@
+/**
+ * Berlin Group NextGenPSD2 PIS (Payment Initiation Services) Routes
+ * Simplified API routes designed for curl access
+ */
+
+import express from 'express';
+import {
+  listPaymentProducts,
+  getDefaultPaymentBody,
+  initiateBGPayment,
+  getBGPaymentDetails,
+  getBGPaymentStatus,
+  startBGPaymentAuthorisation
+} from '../../services/bg/pis-service.js';
+import { getDefaultProviderCode, getDefaultRedirectUri } from '../../services/bg/shared/config.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/bg/pis/products
+ * List the supported payment services and products
+ */
+router.get('/products', (req, res) => {
+  res.json({
+    success: true,
+    data: listPaymentProducts()
+  });
+});
+
+/**
+ * GET /api/bg/pis/products/:paymentService/:paymentProduct/default
+ * Show the default request body used for a payment service and product
+ */
+router.get('/products/:paymentService/:paymentProduct/default', (req, res, next) => {
+  try {
+    const { paymentService, paymentProduct } = req.params;
+
+    res.json({
+      success: true,
+      data: getDefaultPaymentBody(paymentService, paymentProduct)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/bg/pis/payment
+ * Initiates a Berlin Group payment and returns the SCA redirect link
+ * This is the main entry point - one curl command to get started
+ *
+ * Body:
+ * - providerCode (optional, defaults to env BG_PROVIDER_CODE)
+ * - redirectUri (optional, defaults to env)
+ * - paymentService (optional, payments | periodic-payments | bulk-payments, default: payments)
+ * - paymentProduct (optional, sepa-credit-transfers | instant-sepa-credit-transfers |
+ *   cross-border-credit-transfers, default: sepa-credit-transfers)
+ * - payment (optional, full initiation body, uses the service/product defaults if not provided)
+ * - psuId, psuIpAddress (optional)
+ */
+router.post('/payment', async (req, res, next) => {
+  try {
+    const {
+      providerCode = getDefaultProviderCode(),
+      redirectUri = getDefaultRedirectUri(),
+      paymentService = 'payments',
+      paymentProduct = 'sepa-credit-transfers',
+      payment,
+      psuId,
+      psuIpAddress
+    } = req.body;
+
+    console.log(`\n📝 Initiating BG payment...`);
+    console.log(`   Provider: ${providerCode}`);
+    console.log(`   Payment: ${paymentService}/${paymentProduct}`);
+    console.log(`   Redirect URI: ${redirectUri}`);
+
+    const result = await initiateBGPayment({
+      providerCode,
+      paymentService,
+      paymentProduct,
+      redirectUri,
+      payment,
+      psuId,
+      psuIpAddress
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/bg/pis/payment/:paymentId
+ * Get Berlin Group payment details by payment ID
+ *
+ * Query params:
+ * - providerCode (optional, defaults to env BG_PROVIDER_CODE)
+ * - paymentService (optional, default: payments)
+ * - paymentProduct (optional, default: sepa-credit-transfers)
+ */
+router.get('/payment/:paymentId', async (req, res, next) => {
+  try {
+    const { paymentId } = req.params;
+    const {
+      providerCode = getDefaultProviderCode(),
+      paymentService = 'payments',
+      paymentProduct = 'sepa-credit-transfers'
+    } = req.query;
+
+    console.log(`\n🔍 Fetching BG payment details: ${paymentId}...`);
+    const payment = await getBGPaymentDetails(providerCode, paymentService, paymentProduct, paymentId);
+
+    console.log(`✅ BG payment details retrieved\n`);
+
+    res.json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/bg/pis/payment/:paymentId/status
+ * Get Berlin Group payment transaction status by payment ID
+ *
+ * Query params:
+ * - providerCode (optional, defaults to env BG_PROVIDER_CODE)
+ * - paymentService (optional, default: payments)
+ * - paymentProduct (optional, default: sepa-credit-transfers)
+ */
+router.get('/payment/:paymentId/status', async (req, res, next) => {
+  try {
+    const { paymentId } = req.params;
+    const {
+      providerCode = getDefaultProviderCode(),
+      paymentService = 'payments',
+      paymentProduct = 'sepa-credit-transfers'
+    } = req.query;
+
+    console.log(`\n🔍 Fetching BG payment status: ${paymentId}...`);
+    const status = await getBGPaymentStatus(providerCode, paymentService, paymentProduct, paymentId);
+
+    console.log(`✅ BG payment status: ${status?.transactionStatus}\n`);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/bg/pis/payment/:paymentId/authorisations
+ * Start a new authorisation of a Berlin Group payment and return its SCA redirect link
+ *
+ * Body:
+ * - providerCode (optional, defaults to env BG_PROVIDER_CODE)
+ * - redirectUri (optional, defaults to env)
+ * - paymentService (optional, default: payments)
+ * - paymentProduct (optional, default: sepa-credit-transfers)
+ * - psuId, psuIpAddress (optional)
+ */
+router.post('/payment/:paymentId/authorisations', async (req, res, next) => {
+  try {
+    const { paymentId } = req.params;
+    const {
+      providerCode = getDefaultProviderCode(),
+      redirectUri = getDefaultRedirectUri(),
+      paymentService = 'payments',
+      paymentProduct = 'sepa-credit-transfers',
+      psuId,
+      psuIpAddress
+    } = req.body;
+
+    console.log(`\n🔐 Starting BG payment authorisation: ${paymentId}...`);
+
+    const authorisation = await startBGPaymentAuthorisation(providerCode, paymentService, paymentProduct, paymentId, {
+      redirectUri,
+      psuId,
+      psuIpAddress
+    });
+
+    console.log(`✅ BG authorisation started: ${authorisation.authorisationId}\n`);
+
+    res.json({
+      paymentId,
+      ...authorisation
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,116 @@
+/**
+ * Debug Routes
+ * Inspect the recorded upstream traffic, export it as HAR and render exchanges as curl commands
+ */
+
+import express from 'express';
+import {
+  listExchanges,
+  getExchange,
+  clearExchanges,
+  toCurl,
+  toHar
+} from '../services/uk/shared/traffic-recorder.js';
+import { createHttpError } from '../services/uk/shared/utils.js';
+
+const router = express.Router();
+
+/**
+ * Read the consentId and interactionId filters of a request
+ */
+function getTrafficFilters(query) {
+  return {
+    consentId: query.consentId,
+    interactionId: query.interactionId
+  };
+}
+
+/**
+ * GET /api/debug/traffic
+ * List the recorded upstream exchanges (oldest first), each with a curl rendering
+ *
+ * Query params:
+ * - consentId (optional, exchanges of the consent and of the interactions that touched it)
+ * - interactionId (optional, exchanges of one x-fapi-interaction-id)
+ */
+router.get('/traffic', (req, res, next) => {
+  try {
+    const exchanges = listExchanges(getTrafficFilters(req.query));
+
+    res.json({
+      success: true,
+      data: exchanges.map((exchange) => ({ ...exchange, curl: toCurl(exchange) }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/debug/traffic/har
+ * Download the recorded exchanges as a HAR file, with the same filters as GET /api/debug/traffic
+ */
+router.get('/traffic/har', (req, res, next) => {
+  try {
+    const har = toHar(listExchanges(getTrafficFilters(req.query)));
+
+    res.set('Content-Disposition', 'attachment; filename="traffic.har"');
+    res.json(har);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/debug/traffic/:exchangeId
+ * Get one recorded exchange
+ */
+router.get('/traffic/:exchangeId', (req, res, next) => {
+  try {
+    const exchange = getExchange(req.params.exchangeId);
+    if (!exchange) {
+      throw createHttpError(404, `Exchange ${req.params.exchangeId} not found (it may have left the buffer)`);
+    }
+
+    res.json({
+      success: true,
+      data: { ...exchange, curl: toCurl(exchange) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/debug/traffic/:exchangeId/curl
+ * Get one recorded exchange as a curl command (text/plain, ready to paste)
+ */
+router.get('/traffic/:exchangeId/curl', (req, res, next) => {
+  try {
+    const exchange = getExchange(req.params.exchangeId);
+    if (!exchange) {
+      throw createHttpError(404, `Exchange ${req.params.exchangeId} not found (it may have left the buffer)`);
+    }
+
+    res.type('text/plain').send(`${toCurl(exchange)}\n`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/debug/traffic
+ * Remove every recorded exchange
+ */
+router.delete('/traffic', (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: { removed: clearExchanges() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,120 @@
+/**
+ * Fault Injection Routes and Middleware
+ * Manage the upstream fault rules and apply the X-Simulate-Fault header of a request
+ */
+
+import express from 'express';
+import {
+  FAULTS,
+  OPERATIONS,
+  addFaultRules,
+  listFaultRules,
+  parseFaultHeader,
+  removeFaultRules,
+  runWithFaultRules
+} from '../services/uk/shared/fault-injection.js';
+import { createHttpError } from '../services/uk/shared/utils.js';
+
+const router = express.Router();
+
+/**
+ * Express middleware running the rest of the request with the fault rules of its X-Simulate-Fault header
+ * Invalid headers are rejected with a 400.
+ */
+export function simulateFaults(req, res, next) {
+  const header = req.get('X-Simulate-Fault');
+  if (!header) {
+    next();
+    return;
+  }
+
+  let rules;
+  try {
+    rules = parseFaultHeader(header);
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+    return;
+  }
+
+  runWithFaultRules(rules, next);
+}
+
+/**
+ * GET /api/admin/faults
+ * List the fault rules with their match counters, and the operations and faults a rule can use
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      rules: listFaultRules(),
+      operations: ['*', ...OPERATIONS],
+      faults: FAULTS
+    }
+  });
+});
+
+/**
+ * POST /api/admin/faults
+ * Add a fault rule, or a list of rules, for every upstream call (none of them if one is invalid)
+ *
+ * Body:
+ * - operation (required, an operation or '*')
+ * - fault (required, delay | status | reset | timeout | malformed)
+ * - status (required for status faults, optional for malformed, default 200)
+ * - delayMs (optional, delay before the fault or the call)
+ * - errorCode, message (optional, of the OBIE error body of status faults)
+ * - retryAfterSeconds (optional, Retry-After of 429 and 503 faults, default 1)
+ * - urlPattern (optional, only calls whose URL contains it)
+ * - probability (optional, 0 to 1, default 1)
+ * - times (optional, only the next N matching calls)
+ */
+router.post('/', (req, res, next) => {
+  try {
+    const rules = addFaultRules([].concat(req.body));
+
+    console.log(`\n💥 Added ${rules.length} fault rule(s): `
+      + rules.map((rule) => `${rule.operation}=${rule.fault}`).join(', '));
+
+    res.status(201).json({
+      success: true,
+      data: Array.isArray(req.body) ? rules : rules[0]
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/faults
+ * Remove every fault rule
+ */
+router.delete('/', (req, res) => {
+  res.json({
+    success: true,
+    data: { removed: removeFaultRules() }
+  });
+});
+
+/**
+ * DELETE /api/admin/faults/:ruleId
+ * Remove one fault rule
+ */
+router.delete('/:ruleId', (req, res, next) => {
+  try {
+    if (removeFaultRules(req.params.ruleId) === 0) {
+      throw createHttpError(404, `Fault rule ${req.params.ruleId} not found`);
+    }
+
+    res.json({
+      success: true,
+      data: { removed: 1 }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,94 @@
+/**
+ * Provider Routes and Middleware
+ * List the registered providers and reject unknown provider codes
+ */
+
+import express from 'express';
+import { describeProviderByCode, describeProviders } from '../services/providers/provider-service.js';
+import { getProvider, STANDARDS } from '../services/providers/registry.js';
+import { createHttpError } from '../services/uk/shared/utils.js';
+
+const router = express.Router();
+
+/**
+ * Express middleware rejecting a providerCode body or query field that is not a registered provider
+ * of the given standard, with a 400 listing the available providers
+ *
+ * @param {string} standard - Standard of the routes (see STANDARDS)
+ */
+export function checkProviderCode(standard) {
+  return (req, res, next) => {
+    const providerCode = req.body?.providerCode || req.query.providerCode;
+
+    try {
+      if (providerCode) {
+        getProvider(providerCode, standard);
+      }
+      next();
+    } catch (error) {
+      console.error(`\n❌ ERROR: ${error.message}\n`);
+      next(error);
+    }
+  };
+}
+
+/**
+ * Read the discover and standard query parameters
+ */
+function getDescribeOptions(query) {
+  const standards = Object.values(STANDARDS);
+  if (query.standard && !standards.includes(query.standard)) {
+    throw createHttpError(400, `Unknown standard: ${query.standard}`, { supportedStandards: standards });
+  }
+
+  return {
+    standard: query.standard,
+    discover: query.discover !== 'false'
+  };
+}
+
+/**
+ * GET /api/providers
+ * List the registered providers with their region, standard, API version, base URL,
+ * PIS products and discovered OIDC metadata
+ *
+ * Query params:
+ * - standard (optional, OBIE or Berlin Group)
+ * - discover (optional, false to skip OIDC discovery)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const providers = await describeProviders(getDescribeOptions(req.query));
+
+    res.json({
+      success: true,
+      data: providers
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/providers/:providerCode
+ * Describe one provider
+ *
+ * Query params:
+ * - discover (optional, false to skip OIDC discovery)
+ */
+router.get('/:providerCode', async (req, res, next) => {
+  try {
+    const provider = await describeProviderByCode(req.params.providerCode, getDescribeOptions(req.query));
+
+    res.json({
+      success: true,
+      data: provider
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,115 @@
+/**
+ * Scenario Routes
+ * Run declarative consent and payment journeys and report pass/fail per step
+ */
+
+import express from 'express';
+import path from 'path';
+import {
+  checkScenario,
+  listScenarioFiles,
+  loadScenarioFile,
+  parseScenario,
+  resolveScenarioFile,
+  runScenario
+} from '../services/scenarios/runner.js';
+import { toJUnitXml } from '../services/scenarios/junit.js';
+import { getActionNames } from '../services/scenarios/actions.js';
+import { createHttpError } from '../services/uk/shared/utils.js';
+import { selectTppProfile } from './uk/profiles.js';
+import { selectObieVersion } from './uk/obie-version.js';
+
+const router = express.Router();
+
+// Scenario files can be posted as they are
+const parseScenarioText = express.text({ type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/plain'] });
+
+/**
+ * GET /api/scenarios
+ * List the scenario files of the scenarios directory and the supported actions
+ */
+router.get('/', (req, res, next) => {
+  try {
+    const scenarios = listScenarioFiles().map((filePath) => {
+      try {
+        const { file, name, description, providers, steps } = loadScenarioFile(filePath);
+        return { file, name, description, providers, steps: steps.length };
+      } catch (error) {
+        return { file: path.basename(filePath), error: error.message };
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        scenarios,
+        actions: getActionNames()
+      }
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/scenarios/run
+ * Run a scenario and report pass/fail per step
+ *
+ * Body (JSON), one of:
+ * - scenario (scenario definition)
+ * - file (name of a file in the scenarios directory, e.g. ais-consent-lifecycle.yaml)
+ * and optionally:
+ * - providers (provider codes to run the scenario for, overrides the scenario's providers)
+ * - apiVersions (OBIE API versions to run the scenario for, overrides the scenario's apiVersions)
+ *
+ * A YAML scenario can also be posted as is (Content-Type: application/yaml).
+ *
+ * Query params:
+ * - format (optional, junit for a JUnit XML report)
+ * - providers (optional, comma-separated, overrides the scenario's providers)
+ * - apiVersions (optional, comma-separated, overrides the scenario's apiVersions)
+ *
+ * The TPP profile of the request (X-TPP-Profile) applies to scenarios and steps without a profile.
+ *
+ * The response is returned once every step has run; check data.passed for the outcome.
+ */
+router.post('/run', parseScenarioText, selectTppProfile, selectObieVersion, async (req, res, next) => {
+  try {
+    let scenario;
+
+    if (typeof req.body === 'string') {
+      scenario = parseScenario(req.body);
+    } else if (req.body.scenario) {
+      scenario = checkScenario(req.body.scenario);
+    } else if (req.body.file) {
+      scenario = loadScenarioFile(resolveScenarioFile(req.body.file));
+    } else {
+      throw createHttpError(400, 'Provide a scenario, a scenario file name or a YAML body');
+    }
+
+    const providers = req.query.providers?.split(',').filter(Boolean) || req.body.providers;
+    const apiVersions = req.query.apiVersions?.split(',').filter(Boolean) || req.body.apiVersions;
+
+    console.log(`\n🧪 Running scenario: ${scenario.name || scenario.file || 'unnamed'}...`);
+
+    const report = await runScenario(scenario, { providers, apiVersions });
+
+    console.log(`${report.passed ? '✅' : '❌'} Scenario finished: ${report.summary.passed}/${report.summary.steps} steps passed\n`);
+
+    if (req.query.format === 'junit') {
+      res.type('application/xml').send(toJUnitXml([report]));
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+export default router;
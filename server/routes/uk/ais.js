@@ -9,9 +9,28 @@ import {
   getConsentDetails,
   revokeAISConsent
 } from '../../services/uk/ais-service.js';
+import {
+  getAccounts,
+  getAccountBalances,
+  getAccountTransactions,
+  getAccountStandingOrders,
+  refreshAccounts,
+  getRefreshStatus
+} from '../../services/uk/saltedge-extended.js';
+import { getAuthorisedConsent, getConsent } from '../../services/uk/shared/consent-store.js';
+import { getDefaultRedirectUri } from '../../services/uk/shared/config.js';
+import { createConsentWatchHandler } from './consent-watch.js';
+import { useConsentTppProfile } from './profiles.js';
+import { useConsentObieVersion } from './obie-version.js';
+import { assertValid } from '../../services/uk/shared/schema-validator.js';
+import { getAISConsentRequestSchema } from '../../services/uk/obie-schemas.js';
 
 const router = express.Router();
 
+// Requests on a consent use the TPP profile and OBIE API version it was created with, unless they select them
+router.param('consentId', useConsentTppProfile);
+router.param('consentId', useConsentObieVersion);
+
 /**
  * POST /api/uk/ais/consent
  * Creates a UK AIS consent and returns the authorization URL
@@ -21,12 +40,18 @@ const router = express.Router();
  * - providerCode (optional, defaults to env)
  * - redirectUri (optional, defaults to env)
  * - permissions (optional, uses defaults)
+ * - expirationDateTime (optional, ISO 8601 date-time in the future)
+ * 
+ * The body is validated against the OBIE v3.1 schemas, invalid bodies are rejected with a 400
+ * listing every violation and its JSON path.
  */
 router.post('/consent', async (req, res, next) => {
   try {
+    assertValid(getAISConsentRequestSchema(), req.body);
+
     const {
       providerCode = process.env.OB_PROVIDER_CODE || 'backbase_dev_uk',
-      redirectUri = process.env.REDIRECT_URI || 'https://backbase-dev.com/callback',
+      redirectUri = getDefaultRedirectUri(),
       permissions,
       expirationDateTime
     } = req.body;
@@ -61,13 +86,14 @@ router.post('/consent', async (req, res, next) => {
  * - consentId (required)
  * 
  * Query params:
- * - providerCode (optional, defaults to env)
+ * - providerCode (optional, defaults to the provider the consent was created with, then env)
  */
 router.get('/consent/:consentId', async (req, res, next) => {
   try {
     const { consentId } = req.params;
+    const storedConsent = getConsent(consentId);
     const { 
-      providerCode = process.env.OB_PROVIDER_CODE || 'backbase_dev_uk'
+      providerCode = storedConsent?.providerCode || process.env.OB_PROVIDER_CODE || 'backbase_dev_uk'
     } = req.query;
 
     console.log(`\n🔍 Fetching UK AIS consent details: ${consentId}...`);
@@ -85,6 +111,33 @@ router.get('/consent/:consentId', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/uk/ais/consent/:consentId/watch
+ * Watch a UK AIS consent until it is authorised, rejected or expires
+ * 
+ * Polls the consent at `interval` seconds, growing by the `backoff` factor up to `maxInterval`
+ * while the status does not change. Sends a `status` event on every Status change and an `end`
+ * event once the status is terminal (Authorised, Rejected, Revoked, Consumed, Expired) or
+ * `timeout` is hit.
+ * 
+ * Query params:
+ * - providerCode (optional, defaults to the provider the consent was created with)
+ * - interval (optional, seconds, default: 2)
+ * - maxInterval (optional, seconds, default: 15)
+ * - backoff (optional, factor, default: 1.5)
+ * - timeout (optional, seconds, default: 300)
+ * - format (optional, json for a long-poll JSON response instead of Server-Sent Events)
+ * - since (optional, long-poll only: also return as soon as the status differs from this one)
+ */
+router.get('/consent/:consentId/watch', createConsentWatchHandler('ais', async (consentId, query, storedConsent) => {
+  const {
+    providerCode = storedConsent?.providerCode || process.env.OB_PROVIDER_CODE || 'backbase_dev_uk'
+  } = query;
+
+  const consent = await getConsentDetails(providerCode, consentId);
+  return consent?.Data?.Status;
+}));
+
 /**
  * DELETE /api/uk/ais/consent/:consentId
  * Revoke/Delete a UK AIS consent by consent ID
@@ -93,13 +146,14 @@ router.get('/consent/:consentId', async (req, res, next) => {
  * - consentId (required)
  * 
  * Query params:
- * - providerCode (optional, defaults to env)
+ * - providerCode (optional, defaults to the provider the consent was created with, then env)
  */
 router.delete('/consent/:consentId', async (req, res, next) => {
   try {
     const { consentId } = req.params;
+    const storedConsent = getConsent(consentId);
     const { 
-      providerCode = process.env.OB_PROVIDER_CODE || 'backbase_dev_uk'
+      providerCode = storedConsent?.providerCode || process.env.OB_PROVIDER_CODE || 'backbase_dev_uk'
     } = req.query;
 
     console.log(`\n🗑️  Revoking UK AIS consent: ${consentId}...`);
@@ -120,5 +174,171 @@ router.delete('/consent/:consentId', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/uk/ais/consent/:consentId/accounts
+ * List the accounts authorised under an AIS consent
+ * Uses the access token stored by the OAuth callback for this consent
+ * 
+ * Path params:
+ * - consentId (required)
+ */
+router.get('/consent/:consentId/accounts', async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+    const { providerCode, accessToken } = getAuthorisedConsent(consentId, 'ais');
+
+    console.log(`\n🏦 Fetching accounts for UK AIS consent: ${consentId}...`);
+    const accounts = await getAccounts(providerCode, accessToken);
+    
+    console.log(`✅ Accounts retrieved\n`);
+
+    res.json({
+      success: true,
+      data: accounts
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/uk/ais/consent/:consentId/accounts/refresh
+ * Trigger a refresh of the account data held by the ASPSP
+ * 
+ * Path params:
+ * - consentId (required)
+ */
+router.post('/consent/:consentId/accounts/refresh', async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+    const { providerCode, accessToken } = getAuthorisedConsent(consentId, 'ais');
+
+    console.log(`\n🔄 Refreshing accounts for UK AIS consent: ${consentId}...`);
+    const refresh = await refreshAccounts(providerCode, accessToken);
+    
+    console.log(`✅ Accounts refresh triggered\n`);
+
+    res.json({
+      success: true,
+      data: refresh
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/uk/ais/consent/:consentId/accounts/refresh/status
+ * Get the status of an ongoing account data refresh
+ * 
+ * Path params:
+ * - consentId (required)
+ */
+router.get('/consent/:consentId/accounts/refresh/status', async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+    const { providerCode, accessToken } = getAuthorisedConsent(consentId, 'ais');
+
+    console.log(`\n🔍 Fetching accounts refresh status for UK AIS consent: ${consentId}...`);
+    const status = await getRefreshStatus(providerCode, accessToken);
+    
+    console.log(`✅ Accounts refresh status retrieved\n`);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/uk/ais/consent/:consentId/accounts/:accountId/balances
+ * Get balances of an account authorised under an AIS consent
+ * 
+ * Path params:
+ * - consentId (required)
+ * - accountId (required)
+ */
+router.get('/consent/:consentId/accounts/:accountId/balances', async (req, res, next) => {
+  try {
+    const { consentId, accountId } = req.params;
+    const { providerCode, accessToken } = getAuthorisedConsent(consentId, 'ais');
+
+    console.log(`\n💰 Fetching balances for account ${accountId} (consent: ${consentId})...`);
+    const balances = await getAccountBalances(providerCode, accountId, accessToken);
+    
+    console.log(`✅ Balances retrieved\n`);
+
+    res.json({
+      success: true,
+      data: balances
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/uk/ais/consent/:consentId/accounts/:accountId/transactions
+ * Get transactions of an account authorised under an AIS consent
+ * 
+ * Path params:
+ * - consentId (required)
+ * - accountId (required)
+ */
+router.get('/consent/:consentId/accounts/:accountId/transactions', async (req, res, next) => {
+  try {
+    const { consentId, accountId } = req.params;
+    const { providerCode, accessToken } = getAuthorisedConsent(consentId, 'ais');
+
+    console.log(`\n📄 Fetching transactions for account ${accountId} (consent: ${consentId})...`);
+    const transactions = await getAccountTransactions(providerCode, accountId, accessToken);
+    
+    console.log(`✅ Transactions retrieved\n`);
+
+    res.json({
+      success: true,
+      data: transactions
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/uk/ais/consent/:consentId/accounts/:accountId/standing-orders
+ * Get standing orders of an account authorised under an AIS consent
+ * 
+ * Path params:
+ * - consentId (required)
+ * - accountId (required)
+ */
+router.get('/consent/:consentId/accounts/:accountId/standing-orders', async (req, res, next) => {
+  try {
+    const { consentId, accountId } = req.params;
+    const { providerCode, accessToken } = getAuthorisedConsent(consentId, 'ais');
+
+    console.log(`\n📅 Fetching standing orders for account ${accountId} (consent: ${consentId})...`);
+    const standingOrders = await getAccountStandingOrders(providerCode, accountId, accessToken);
+    
+    console.log(`✅ Standing orders retrieved\n`);
+
+    res.json({
+      success: true,
+      data: standingOrders
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
 export default router;
 
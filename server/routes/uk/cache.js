@@ -0,0 +1,67 @@
+/**
+ * UK Open Banking Cache Routes
+ * Inspect and flush the client grant token and OIDC discovery caches
+ */
+
+import express from 'express';
+import { getCacheNames, inspectCaches, flushCaches } from '../../services/uk/shared/cache.js';
+import { createHttpError } from '../../services/uk/shared/utils.js';
+
+const router = express.Router();
+
+/**
+ * Validate the optional cache name of a request
+ *
+ * @throws {Error} 400 if the cache is unknown
+ */
+function getCacheName(req) {
+  const { name } = req.query;
+  if (name && !getCacheNames().includes(name)) {
+    throw createHttpError(400, `Unknown cache: ${name}`, {
+      supportedCaches: getCacheNames()
+    });
+  }
+  return name;
+}
+
+/**
+ * GET /api/uk/cache
+ * Show the cached entries (tokens are truncated) and hit/miss counters
+ * 
+ * Query params:
+ * - name (optional, clientGrantTokens | oidcDiscovery, all caches if not provided)
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: inspectCaches(getCacheName(req))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/uk/cache
+ * Flush the caches, the next calls request new tokens and re-run OIDC discovery
+ * 
+ * Query params:
+ * - name (optional, clientGrantTokens | oidcDiscovery, all caches if not provided)
+ */
+router.delete('/', (req, res, next) => {
+  try {
+    const flushed = flushCaches(getCacheName(req));
+
+    console.log(`\n🧹 Caches flushed: ${JSON.stringify(flushed)}\n`);
+
+    res.json({
+      success: true,
+      data: { flushed }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
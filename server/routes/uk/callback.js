@@ -0,0 +1,143 @@
+/**
+ * UK Open Banking OAuth Callback Route
+ * Receives the ASPSP redirect after the PSU has authorised a consent,
+ * exchanges the authorization code for tokens and stores them against the consent ID
+ */
+
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { exchangeCodeForToken } from '../../services/uk/saltedge-extended.js';
+import { getConsent, saveConsentToken, updateConsentStatus } from '../../services/uk/shared/consent-store.js';
+import { createHttpError } from '../../services/uk/shared/utils.js';
+import { getDefaultRedirectUri } from '../../services/uk/shared/config.js';
+import { adoptTppProfile } from '../../services/uk/shared/tpp-profiles.js';
+import { adoptObieVersion } from '../../services/uk/shared/obie-version.js';
+
+const router = express.Router();
+
+/**
+ * Relay page for ASPSPs that return the authorization response in the URL fragment
+ * (#code=...&id_token=...). The fragment never reaches the server, so the page
+ * re-issues the request with the fragment parameters as a query string.
+ */
+function renderFragmentRelayPage() {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>BB TPP API Simulator - OAuth Callback</title>
+</head>
+<body>
+  <p id="message">Completing authorisation...</p>
+  <script>
+    var fragment = window.location.hash.substring(1);
+    if (fragment) {
+      window.location.replace(window.location.pathname + '?' + fragment);
+    } else {
+      document.getElementById('message').textContent =
+        'No authorization code received. Expected ?code=... or #code=... in the redirect URL.';
+    }
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Resolve the consent ID a redirect belongs to
+ * Prefers an explicit consentId, then OAuth state, then the openbanking_intent_id claim of the id_token
+ */
+function resolveConsentId({ consentId, state, id_token: idToken }) {
+  if (consentId) {
+    return consentId;
+  }
+
+  if (state) {
+    return state;
+  }
+
+  if (idToken) {
+    const claims = jwt.decode(idToken);
+    return claims?.openbanking_intent_id || null;
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/uk/callback
+ * OAuth redirect target - set REDIRECT_URI to this endpoint
+ *
+ * Query params:
+ * - code (authorization code returned by the ASPSP)
+ * - state (consent ID, sent in the authorization URL by the simulator)
+ * - id_token (optional, used to resolve the consent ID if state is missing)
+ * - error, error_description (returned by the ASPSP when authorisation fails, the stored consent is marked Rejected)
+ * - consentId (optional, overrides state)
+ * - providerCode, redirectUri (optional, only used for consents not created by this simulator)
+ *
+ * Without a code or error in the query string, an HTML relay page is returned
+ * that forwards fragment-style responses (#code=...) back to this endpoint.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { code, error, error_description: errorDescription } = req.query;
+
+    if (!code && !error) {
+      res.type('html').send(renderFragmentRelayPage());
+      return;
+    }
+
+    const consentId = resolveConsentId(req.query);
+
+    if (error) {
+      console.error(`\n❌ Authorisation failed for consent ${consentId || 'unknown'}: ${error}\n`);
+      // The PSU (or the ASPSP) did not authorise the consent
+      if (consentId) {
+        updateConsentStatus(consentId, 'Rejected');
+      }
+      throw createHttpError(400, `Authorisation failed: ${errorDescription || error}`, {
+        consentId,
+        error,
+        errorDescription
+      });
+    }
+
+    if (!consentId) {
+      throw createHttpError(400, 'Unable to determine the consent ID. Pass state or consentId in the query string.');
+    }
+
+    const consent = getConsent(consentId);
+
+    // The code is exchanged with the credentials and API version the consent was created with
+    adoptTppProfile(consent?.profile);
+    adoptObieVersion(consent?.apiVersion);
+
+    const {
+      providerCode = consent?.providerCode || process.env.OB_PROVIDER_CODE || 'backbase_dev_uk',
+      redirectUri = consent?.redirectUri || getDefaultRedirectUri()
+    } = req.query;
+
+    console.log(`\n🔑 Exchanging authorization code for consent: ${consentId}...`);
+    console.log(`   Provider: ${providerCode}`);
+
+    const token = await exchangeCodeForToken(providerCode, code, redirectUri);
+    saveConsentToken(consentId, token, { providerCode, redirectUri });
+
+    console.log(`✅ Access token stored for consent ${consentId}\n`);
+
+    res.json({
+      success: true,
+      message: 'Authorization code exchanged and access token stored',
+      consentId,
+      type: consent?.type || null,
+      tokenType: token.tokenType,
+      expiresIn: token.expiresIn,
+      scope: token.scope
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,178 @@
+/**
+ * UK Open Banking CBPII (Confirmation of Funds) Routes
+ * Simplified API routes designed for curl access
+ */
+
+import express from 'express';
+import {
+  createCBPIIConsent,
+  getConsentDetails,
+  revokeCBPIIConsent,
+  confirmFunds
+} from '../../services/uk/cbpii-service.js';
+import { getAuthorisedConsent, getConsent } from '../../services/uk/shared/consent-store.js';
+import { getDefaultRedirectUri } from '../../services/uk/shared/config.js';
+import { useConsentTppProfile } from './profiles.js';
+import { useConsentObieVersion } from './obie-version.js';
+
+const router = express.Router();
+
+// Requests on a consent use the TPP profile and OBIE API version it was created with, unless they select them
+router.param('consentId', useConsentTppProfile);
+router.param('consentId', useConsentObieVersion);
+
+/**
+ * POST /api/uk/cbpii/consent
+ * Creates a UK CBPII funds-confirmation consent and returns the authorization URL
+ * This is the main entry point - one curl command to get started
+ *
+ * Body:
+ * - providerCode (optional, defaults to env)
+ * - redirectUri (optional, defaults to env)
+ * - debtorAccount (optional, uses defaults)
+ * - expirationDateTime (optional, no expiry if not provided)
+ */
+router.post('/consent', async (req, res, next) => {
+  try {
+    const {
+      providerCode = process.env.OB_PROVIDER_CODE || 'backbase_dev_uk',
+      redirectUri = getDefaultRedirectUri(),
+      debtorAccount,
+      expirationDateTime
+    } = req.body;
+
+    console.log(`\n📝 Creating UK CBPII consent...`);
+    console.log(`   Provider: ${providerCode}`);
+    console.log(`   Redirect URI: ${redirectUri}`);
+
+    const result = await createCBPIIConsent({
+      providerCode,
+      redirectUri,
+      debtorAccount,
+      expirationDateTime
+    });
+
+    res.json({
+      consentId: result.consentId,
+      authorizationUrl: result.authorizationUrl,
+      status: result.status,
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/uk/cbpii/consent/:consentId
+ * Get UK CBPII consent details by consent ID
+ *
+ * Path params:
+ * - consentId (required)
+ *
+ * Query params:
+ * - providerCode (optional, defaults to the provider the consent was created with, then env)
+ */
+router.get('/consent/:consentId', async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+    const storedConsent = getConsent(consentId);
+    const {
+      providerCode = storedConsent?.providerCode || process.env.OB_PROVIDER_CODE || 'backbase_dev_uk'
+    } = req.query;
+
+    console.log(`\n🔍 Fetching UK CBPII consent details: ${consentId}...`);
+    const consent = await getConsentDetails(providerCode, consentId);
+
+    console.log(`✅ UK CBPII consent details retrieved\n`);
+
+    res.json({
+      success: true,
+      data: consent
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/uk/cbpii/consent/:consentId
+ * Revoke/Delete a UK CBPII consent by consent ID
+ *
+ * Path params:
+ * - consentId (required)
+ *
+ * Query params:
+ * - providerCode (optional, defaults to the provider the consent was created with, then env)
+ */
+router.delete('/consent/:consentId', async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+    const storedConsent = getConsent(consentId);
+    const {
+      providerCode = storedConsent?.providerCode || process.env.OB_PROVIDER_CODE || 'backbase_dev_uk'
+    } = req.query;
+
+    console.log(`\n🗑️  Revoking UK CBPII consent: ${consentId}...`);
+    console.log(`   Provider: ${providerCode}`);
+
+    await revokeCBPIIConsent(providerCode, consentId);
+
+    console.log(`✅ UK CBPII consent revoked successfully\n`);
+
+    res.json({
+      success: true,
+      message: 'Consent revoked successfully',
+      consentId
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/uk/cbpii/consent/:consentId/funds-confirmation
+ * Confirm funds availability under an authorised UK CBPII consent
+ * Uses the access token stored by the OAuth callback for this consent
+ *
+ * Path params:
+ * - consentId (required)
+ *
+ * Body:
+ * - amount (optional, defaults to '20.00')
+ * - currency (optional, defaults to 'GBP')
+ * - reference (optional)
+ */
+router.post('/consent/:consentId/funds-confirmation', async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+    const {
+      amount = '20.00',
+      currency = 'GBP',
+      reference
+    } = req.body;
+    const { providerCode, accessToken } = getAuthorisedConsent(consentId, 'cbpii');
+
+    console.log(`\n💷 Confirming funds for UK CBPII consent: ${consentId}...`);
+    console.log(`   Amount: ${amount} ${currency}`);
+
+    const fundsConfirmation = await confirmFunds(providerCode, consentId, accessToken, {
+      instructedAmount: { Amount: amount, Currency: currency },
+      reference
+    });
+
+    console.log(`✅ Funds confirmation retrieved\n`);
+
+    res.json({
+      success: true,
+      data: fundsConfirmation
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,157 @@
+/**
+ * UK Open Banking Consent Watch Handler
+ * Shared by the AIS and PIS routes: streams consent status changes as Server-Sent Events,
+ * or answers a long-poll request with JSON (format=json).
+ */
+
+import { getWatchOptions, watchConsentStatus } from '../../services/uk/shared/consent-watcher.js';
+import { getConsent } from '../../services/uk/shared/consent-store.js';
+
+// SSE comment sent while waiting, so proxies do not close an idle connection
+const KEEP_ALIVE_MS = 15000;
+
+/**
+ * Write a Server-Sent Event
+ */
+function sendEvent(res, event, data, id) {
+  if (id !== undefined) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Describe a failed poll of the consent status
+ */
+function describePollError({ error, at, retryIn }) {
+  return { error: error.message, httpStatus: error.status || null, retryIn, at };
+}
+
+/**
+ * Stream status changes until the watch ends
+ * The stream is opened on the first status or transient error, so a consent that cannot be read
+ * (e.g. 404) is reported as a regular JSON error.
+ */
+async function streamConsentWatch(req, res, consentId, fetchStatus, options) {
+  const controller = new AbortController();
+  let keepAlive = null;
+  let eventId = 0;
+
+  const openStream = () => {
+    if (res.headersSent) {
+      return;
+    }
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+  };
+
+  res.on('close', () => controller.abort());
+
+  try {
+    const result = await watchConsentStatus(fetchStatus, {
+      ...options,
+      signal: controller.signal,
+      onStatus: (change) => {
+        openStream();
+        console.log(`👀 Consent ${consentId}: ${change.previousStatus || '-'} -> ${change.status}`);
+        sendEvent(res, 'status', { consentId, ...change }, ++eventId);
+      },
+      onError: (failure) => {
+        openStream();
+        console.error(`⚠️  Consent ${consentId}: ${failure.error.message}, polling again in ${failure.retryIn}s`);
+        sendEvent(res, 'poll-error', { consentId, ...describePollError(failure) }, ++eventId);
+      }
+    });
+
+    if (result.reason !== 'aborted') {
+      sendEvent(res, 'end', { consentId, ...result }, ++eventId);
+      console.log(`✅ Stopped watching consent ${consentId}: ${result.reason}\n`);
+    }
+  } catch (error) {
+    if (!res.headersSent) {
+      throw error;
+    }
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    sendEvent(res, 'error', { consentId, error: error.message }, ++eventId);
+  } finally {
+    clearInterval(keepAlive);
+  }
+
+  res.end();
+}
+
+/**
+ * Wait for a status change and answer with JSON
+ * Returns once the status is terminal, differs from `since` (if given) or the timeout is hit.
+ * Polls failing with a transient error are listed in `errors`.
+ */
+async function longPollConsentWatch(req, res, consentId, fetchStatus, options) {
+  const { since } = req.query;
+  const controller = new AbortController();
+  const history = [];
+  const errors = [];
+
+  res.on('close', () => controller.abort());
+
+  const result = await watchConsentStatus(fetchStatus, {
+    ...options,
+    signal: controller.signal,
+    onStatus: (change) => history.push(change),
+    onError: (failure) => {
+      console.error(`⚠️  Consent ${consentId}: ${failure.error.message}, polling again in ${failure.retryIn}s`);
+      errors.push(describePollError(failure));
+    },
+    until: since ? (status) => status !== since : undefined
+  });
+
+  if (result.reason === 'aborted') {
+    return;
+  }
+
+  console.log(`✅ Consent ${consentId} long-poll ended: ${result.status} (${result.reason})\n`);
+
+  res.json({
+    success: true,
+    data: {
+      consentId,
+      ...result,
+      history,
+      errors
+    }
+  });
+}
+
+/**
+ * Create the handler of GET /consent/:consentId/watch
+ *
+ * @param {string} type - Consent type ('ais' or 'pis'), used in logs
+ * @param {Function} getConsentStatus - Async (consentId, query, storedConsent) => current consent status
+ * @returns {Function} Express route handler
+ */
+export function createConsentWatchHandler(type, getConsentStatus) {
+  return async (req, res, next) => {
+    try {
+      const { consentId } = req.params;
+      const options = getWatchOptions(req.query);
+      const storedConsent = getConsent(consentId);
+      const fetchStatus = () => getConsentStatus(consentId, req.query, storedConsent);
+
+      console.log(`\n👀 Watching UK ${type.toUpperCase()} consent: ${consentId} (${req.query.format === 'json' ? 'long-poll' : 'SSE'})...`);
+
+      if (req.query.format === 'json') {
+        await longPollConsentWatch(req, res, consentId, fetchStatus, options);
+      } else {
+        await streamConsentWatch(req, res, consentId, fetchStatus, options);
+      }
+    } catch (error) {
+      console.error(`\n❌ ERROR: ${error.message}\n`);
+      next(error);
+    }
+  };
+}
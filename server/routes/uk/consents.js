@@ -0,0 +1,122 @@
+/**
+ * UK Open Banking Consent Registry Routes
+ * List the consents created through the simulator, with their last known status
+ */
+
+import express from 'express';
+import { getConsentDetails as getAISConsentDetails } from '../../services/uk/ais-service.js';
+import { getConsentDetails as getPISConsentDetails } from '../../services/uk/pis-service.js';
+import { getConsentDetails as getCBPIIConsentDetails } from '../../services/uk/cbpii-service.js';
+import { listConsents } from '../../services/uk/shared/consent-store.js';
+import { runWithTppProfile } from '../../services/uk/shared/tpp-profiles.js';
+import { runWithObieVersion } from '../../services/uk/shared/obie-version.js';
+import { createHttpError } from '../../services/uk/shared/utils.js';
+
+const router = express.Router();
+
+const CONSENT_TYPES = ['ais', 'pis', 'cbpii'];
+
+/**
+ * Re-read the live status of a stored consent from the ASPSP, with the TPP profile and OBIE API version
+ * it was created with
+ * The status is recorded in the store by the getConsentDetails functions.
+ *
+ * @returns {string|null} Error message if the status could not be read
+ */
+async function refreshConsentStatus(record) {
+  try {
+    await runWithTppProfile(record.profile, () => runWithObieVersion(record.apiVersion, async () => {
+      if (record.type === 'ais') {
+        await getAISConsentDetails(record.providerCode, record.consentId);
+      } else if (record.type === 'pis') {
+        await getPISConsentDetails(record.providerCode, record.consentId, record.paymentProduct);
+      } else if (record.type === 'cbpii') {
+        await getCBPIIConsentDetails(record.providerCode, record.consentId);
+      }
+    }));
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Describe a stored consent, without the full access and refresh tokens
+ */
+function describeConsent(record) {
+  const { token, ...consent } = record;
+
+  return {
+    ...consent,
+    token: token && {
+      accessToken: `${token.accessToken.slice(0, 15)}...`,
+      hasRefreshToken: Boolean(token.refreshToken),
+      scope: token.scope,
+      obtainedAt: token.obtainedAt,
+      expiresAt: token.expiresAt
+    }
+  };
+}
+
+/**
+ * GET /api/uk/consents
+ * List the stored consents, newest first
+ *
+ * Query params:
+ * - type (optional, ais | pis | cbpii)
+ * - status (optional, last known status, e.g. Authorised)
+ * - providerCode (optional)
+ * - createdAfter (optional, ISO 8601 date or date-time)
+ * - refresh (optional, true to re-read the live status of each consent from the ASPSP first)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { type, status, providerCode, createdAfter, refresh } = req.query;
+
+    if (type && !CONSENT_TYPES.includes(type)) {
+      throw createHttpError(400, `Unknown consent type: ${type}`, {
+        supportedTypes: CONSENT_TYPES
+      });
+    }
+
+    const createdAfterDate = createdAfter ? new Date(createdAfter) : undefined;
+    if (createdAfterDate && Number.isNaN(createdAfterDate.getTime())) {
+      throw createHttpError(400, `Invalid createdAfter date: ${createdAfter}`);
+    }
+
+    const refreshErrors = {};
+
+    if (refresh === 'true') {
+      const candidates = listConsents({ type, providerCode, createdAfter: createdAfterDate });
+      console.log(`\n🔄 Refreshing status of ${candidates.length} consent(s)...`);
+
+      // One at a time to stay within the ASPSP rate limits
+      for (const record of candidates) {
+        const error = await refreshConsentStatus(record);
+        if (error) {
+          refreshErrors[record.consentId] = error;
+        }
+      }
+
+      console.log(`✅ Consent statuses refreshed (${Object.keys(refreshErrors).length} failed)\n`);
+    }
+
+    const consents = listConsents({ type, status, providerCode, createdAfter: createdAfterDate });
+
+    res.json({
+      success: true,
+      data: {
+        count: consents.length,
+        consents: consents.map((record) => ({
+          ...describeConsent(record),
+          ...(refreshErrors[record.consentId] && { refreshError: refreshErrors[record.consentId] })
+        }))
+      }
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,67 @@
+/**
+ * Idempotency Middleware
+ * Replay PIS POSTs repeated with the same Idempotency-Key and pass the key to the ASPSP
+ */
+
+import { beginIdempotentRequest, hasIdempotentResponse } from '../../services/uk/shared/idempotency.js';
+import { createHttpError } from '../../services/uk/shared/utils.js';
+
+/**
+ * Express middleware handling the Idempotency-Key header of a POST
+ * The key is sent upstream as x-idempotency-key (req.idempotencyKey). A repeat with the same key and
+ * body returns the stored status and body with Idempotent-Replayed: true, the same key with another
+ * body is rejected with a 409. With X-Idempotency-Resend: true a stored key is sent to the ASPSP again
+ * with the bytes of the first request, bypassing the replay cache, to test the ASPSP's own idempotency
+ * handling (Idempotent-Resent: true).
+ * Requests without the header are passed through.
+ */
+export function handleIdempotencyKey(req, res, next) {
+  const idempotencyKey = req.get('Idempotency-Key');
+  if (!idempotencyKey) {
+    next();
+    return;
+  }
+
+  const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+  const body = { body: req.body, query: req.query };
+
+  try {
+    if (req.get('X-Idempotency-Resend') === 'true') {
+      if (!hasIdempotentResponse(endpoint, idempotencyKey)) {
+        throw createHttpError(404, `No stored response for Idempotency-Key ${idempotencyKey} to resend`, {
+          idempotencyKey,
+          endpoint
+        });
+      }
+
+      console.log(`🔁 Resending Idempotency-Key ${idempotencyKey} to the ASPSP`);
+      req.idempotencyKey = idempotencyKey;
+      res.set('Idempotent-Resent', 'true');
+      next();
+      return;
+    }
+
+    const { replay, complete, release } = beginIdempotentRequest(endpoint, idempotencyKey, body);
+
+    if (replay) {
+      console.log(`🔁 Replaying stored response of Idempotency-Key ${idempotencyKey}`);
+      res.set('Idempotent-Replayed', 'true');
+      res.status(replay.status).json(replay.body);
+      return;
+    }
+
+    const json = res.json.bind(res);
+    res.json = (responseBody) => {
+      complete({ status: res.statusCode, body: responseBody });
+      return json(responseBody);
+    };
+    // Requests ending without a JSON response keep no key
+    res.on('close', release);
+
+    req.idempotencyKey = idempotencyKey;
+    next();
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+}
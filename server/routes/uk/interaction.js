@@ -0,0 +1,23 @@
+/**
+ * FAPI Interaction Middleware
+ * Run every request in a FAPI interaction and echo its x-fapi-interaction-id
+ */
+
+import { FAPI_HEADERS, runWithInteraction } from '../../services/uk/shared/fapi.js';
+import { generateUuid } from '../../services/uk/shared/utils.js';
+
+/**
+ * Express middleware running the rest of the request in an interaction
+ * The caller's x-fapi-interaction-id, x-fapi-auth-date and x-fapi-customer-ip-address are used when given;
+ * the interaction ID is generated otherwise and returned in the x-fapi-interaction-id response header.
+ */
+export function trackInteraction(req, res, next) {
+  req.interaction = {
+    interactionId: req.get(FAPI_HEADERS.interactionId) || generateUuid(),
+    authDate: req.get(FAPI_HEADERS.authDate) || new Date().toUTCString(),
+    customerIpAddress: req.get(FAPI_HEADERS.customerIpAddress) || req.ip?.replace(/^::ffff:/, '')
+  };
+
+  res.set(FAPI_HEADERS.interactionId, req.interaction.interactionId);
+  runWithInteraction(req.interaction, next);
+}
@@ -0,0 +1,47 @@
+/**
+ * OBIE API Version Middleware
+ * Select the UK Open Banking API version (v3.1 or v4.0) of a request
+ */
+
+import { adoptObieVersion, normaliseObieVersion, runWithObieVersion } from '../../services/uk/shared/obie-version.js';
+import { getConsent, getPaymentConsent } from '../../services/uk/shared/consent-store.js';
+
+/**
+ * Express middleware running the rest of the request with the OBIE API version chosen by the
+ * X-OBIE-Version header, or an `apiVersion` body or query field
+ * Unsupported versions are rejected with a 400. Routes with their own body parser use it again
+ * after parsing, like selectTppProfile.
+ */
+export function selectObieVersion(req, res, next) {
+  const apiVersion = req.get('X-OBIE-Version') || req.body?.apiVersion || req.query.apiVersion;
+
+  try {
+    if (apiVersion) {
+      normaliseObieVersion(apiVersion);
+    }
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+    return;
+  }
+
+  runWithObieVersion(apiVersion, next);
+}
+
+/**
+ * router.param handler using the OBIE API version a consent was created with,
+ * unless the request selected one
+ */
+export function useConsentObieVersion(req, res, next, consentId) {
+  adoptObieVersion(getConsent(consentId)?.apiVersion);
+  next();
+}
+
+/**
+ * router.param handler using the OBIE API version of the consent a payment was submitted for,
+ * unless the request selected one
+ */
+export function usePaymentObieVersion(req, res, next, paymentId) {
+  adoptObieVersion(getPaymentConsent(paymentId)?.apiVersion);
+  next();
+}
@@ -6,11 +6,45 @@
 import express from 'express';
 import { 
   createPISConsent,
-  getConsentDetails
+  getConsentDetails,
+  getFundsConfirmation,
+  createPayment,
+  getPaymentId,
+  getPaymentDetails,
+  getPaymentStatusDetails,
+  listPaymentProducts,
+  createFilePaymentConsent,
+  getConsentFile,
+  getPaymentReportFile
 } from '../../services/uk/pis-service.js';
+import { generatePaymentFile } from '../../services/uk/payment-file-generator.js';
+import { getAuthorisedConsent, getConsent, getPaymentConsent } from '../../services/uk/shared/consent-store.js';
+import { getDefaultRedirectUri } from '../../services/uk/shared/config.js';
+import { createConsentWatchHandler } from './consent-watch.js';
+import { selectTppProfile, useConsentTppProfile, usePaymentTppProfile } from './profiles.js';
+import { selectObieVersion, useConsentObieVersion, usePaymentObieVersion } from './obie-version.js';
+import { handleIdempotencyKey } from './idempotency.js';
+import { assertValid } from '../../services/uk/shared/schema-validator.js';
+import { getPISConsentRequestSchema, getFileConsentRequestSchema } from '../../services/uk/obie-schemas.js';
+import { getObieVersion } from '../../services/providers/registry.js';
+import { getResponseSignature } from '../../services/uk/shared/jws.js';
 
 const router = express.Router();
 
+// Requests on a consent use the TPP profile and OBIE API version it was created with, unless they select them
+router.param('consentId', useConsentTppProfile);
+router.param('consentId', useConsentObieVersion);
+
+// Requests on a payment use those of the consent it was submitted for
+router.param('paymentId', usePaymentTppProfile);
+router.param('paymentId', usePaymentObieVersion);
+
+// Raw payment files (e.g. curl --data-binary @payments.xml) for file payment consents
+const parsePaymentFile = express.text({
+  type: ['text/plain', 'text/xml', 'application/xml'],
+  limit: '10mb'
+});
+
 /**
  * POST /api/uk/pis/consent
  * Creates a UK PIS consent and returns the authorization URL
@@ -19,17 +53,25 @@ const router = express.Router();
  * Body:
  * - providerCode (optional, defaults to env)
  * - redirectUri (optional, defaults to env)
- * - paymentProduct (optional, defaults to 'domestic-payment-consents')
- * - initiation (optional, uses defaults if not provided)
+ * - paymentProduct (optional, defaults to 'domestic-payment-consents', see GET /api/uk/pis/products)
+ * - initiation (optional, uses the product's defaults if not provided)
  * - authorisation (optional, uses defaults if not provided)
  * - scaSupportData (optional, uses defaults if not provided)
  * - risk (optional, uses defaults if not provided)
+ * - apiVersion (optional, v3.1 or v4.0, or the X-OBIE-Version header; defaults to the provider's version)
+ * 
+ * The body is validated against the OBIE v3.1 or v4.0 schemas of the payment product, invalid bodies
+ * are rejected with a 400 listing every violation and its JSON path.
+ * 
+ * Headers:
+ * - Idempotency-Key (optional, sent as x-idempotency-key; repeats with the same key and body return the
+ *   first response, see handleIdempotencyKey)
  */
-router.post('/consent', async (req, res, next) => {
+router.post('/consent', handleIdempotencyKey, async (req, res, next) => {
   try {
     const {
       providerCode = process.env.OB_PROVIDER_CODE || 'backbase_dev_uk',
-      redirectUri = process.env.REDIRECT_URI || 'https://backbase-dev.com/callback',
+      redirectUri = getDefaultRedirectUri(),
       paymentProduct = 'domestic-payment-consents',
       initiation,
       authorisation,
@@ -37,6 +79,8 @@ router.post('/consent', async (req, res, next) => {
       risk
     } = req.body;
 
+    assertValid(getPISConsentRequestSchema(paymentProduct, getObieVersion(providerCode)), req.body);
+
     console.log(`\n📝 Creating UK PIS consent...`);
     console.log(`   Provider: ${providerCode}`);
     console.log(`   Payment Product: ${paymentProduct}`);
@@ -49,13 +93,15 @@ router.post('/consent', async (req, res, next) => {
       initiation,
       authorisation,
       scaSupportData,
-      risk
+      risk,
+      idempotencyKey: req.idempotencyKey
     });
 
     res.json({
       consentId: result.consentId,
       authorizationUrl: result.authorizationUrl,
       status: result.status,
+      responseSignature: result.responseSignature
     });
   } catch (error) {
     console.error(`\n❌ ERROR: ${error.message}\n`);
@@ -63,6 +109,17 @@ router.post('/consent', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/uk/pis/products
+ * List the supported payment products
+ */
+router.get('/products', (req, res) => {
+  res.json({
+    success: true,
+    data: listPaymentProducts()
+  });
+});
+
 /**
  * GET /api/uk/pis/consent/:consentId
  * Get UK PIS consent details by consent ID
@@ -71,15 +128,16 @@ router.post('/consent', async (req, res, next) => {
  * - consentId (required)
  * 
  * Query params:
- * - providerCode (optional, defaults to env)
- * - paymentProduct (optional, defaults to 'domestic-payment-consents')
+ * - providerCode (optional, defaults to the provider the consent was created with, then env)
+ * - paymentProduct (optional, defaults to the product the consent was created with)
  */
 router.get('/consent/:consentId', async (req, res, next) => {
   try {
     const { consentId } = req.params;
+    const storedConsent = getConsent(consentId);
     const { 
-      providerCode = process.env.OB_PROVIDER_CODE || 'backbase_dev_uk',
-      paymentProduct = 'domestic-payment-consents'
+      providerCode = storedConsent?.providerCode || process.env.OB_PROVIDER_CODE || 'backbase_dev_uk',
+      paymentProduct = storedConsent?.paymentProduct || 'domestic-payment-consents'
     } = req.query;
 
     console.log(`\n🔍 Fetching UK PIS consent details: ${consentId}...`);
@@ -100,5 +158,344 @@ router.get('/consent/:consentId', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/uk/pis/consent/:consentId/watch
+ * Watch a UK PIS consent until it is authorised, rejected, consumed or expires
+ * 
+ * Polls the consent at `interval` seconds, growing by the `backoff` factor up to `maxInterval`
+ * while the status does not change. Sends a `status` event on every Status change and an `end`
+ * event once the status is terminal (Authorised, Rejected, Revoked, Consumed, Expired) or
+ * `timeout` is hit.
+ * 
+ * Query params:
+ * - providerCode (optional, defaults to the provider the consent was created with)
+ * - paymentProduct (optional, defaults to the product the consent was created with)
+ * - interval (optional, seconds, default: 2)
+ * - maxInterval (optional, seconds, default: 15)
+ * - backoff (optional, factor, default: 1.5)
+ * - timeout (optional, seconds, default: 300)
+ * - format (optional, json for a long-poll JSON response instead of Server-Sent Events)
+ * - since (optional, long-poll only: also return as soon as the status differs from this one)
+ */
+router.get('/consent/:consentId/watch', createConsentWatchHandler('pis', async (consentId, query, storedConsent) => {
+  const {
+    providerCode = storedConsent?.providerCode || process.env.OB_PROVIDER_CODE || 'backbase_dev_uk',
+    paymentProduct = storedConsent?.paymentProduct || 'domestic-payment-consents'
+  } = query;
+
+  const consent = await getConsentDetails(providerCode, consentId, paymentProduct);
+  return consent?.Data?.Status;
+}));
+
+/**
+ * GET /api/uk/pis/consent/:consentId/funds-confirmation
+ * Check funds availability for an authorised PIS consent
+ * Uses the access token stored by the OAuth callback for this consent
+ * 
+ * Path params:
+ * - consentId (required)
+ * 
+ * Query params:
+ * - paymentProduct (optional, defaults to the product the consent was created with)
+ */
+router.get('/consent/:consentId/funds-confirmation', async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+    const { consent, providerCode, accessToken } = getAuthorisedConsent(consentId, 'pis');
+    const {
+      paymentProduct = consent.paymentProduct || 'domestic-payment-consents'
+    } = req.query;
+
+    console.log(`\n💷 Checking funds for UK PIS consent: ${consentId}...`);
+    console.log(`   Provider: ${providerCode}`);
+    console.log(`   Payment Product: ${paymentProduct}`);
+
+    const fundsConfirmation = await getFundsConfirmation(providerCode, consentId, accessToken, paymentProduct);
+
+    console.log(`✅ Funds confirmation retrieved\n`);
+
+    res.json({
+      success: true,
+      data: fundsConfirmation?.Data?.FundsAvailableResult
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/uk/pis/consent/:consentId/payment
+ * Submit the payment of an authorised PIS consent
+ * Uses the access token stored by the OAuth callback and the Initiation/Risk of the consent
+ * 
+ * Path params:
+ * - consentId (required)
+ * 
+ * Headers:
+ * - Idempotency-Key (optional, like POST /consent)
+ */
+router.post('/consent/:consentId/payment', handleIdempotencyKey, async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+    const { consent, providerCode, accessToken } = getAuthorisedConsent(consentId, 'pis');
+    const paymentProduct = consent.paymentProduct || 'domestic-payment-consents';
+
+    console.log(`\n💸 Submitting UK payment for consent: ${consentId}...`);
+    console.log(`   Provider: ${providerCode}`);
+    console.log(`   Payment Product: ${paymentProduct}`);
+
+    const payment = await createPayment(providerCode, consentId, accessToken, paymentProduct, req.idempotencyKey);
+
+    console.log(`✅ UK payment submitted\n`);
+
+    res.json({
+      paymentId: getPaymentId(payment, paymentProduct),
+      consentId,
+      paymentProduct,
+      status: payment?.Data?.Status,
+      responseSignature: getResponseSignature(payment)
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/uk/pis/payment/:paymentId
+ * Get UK payment details (including Status) by payment ID
+ * 
+ * Path params:
+ * - paymentId (required)
+ * 
+ * Query params:
+ * - providerCode (optional, defaults to the provider of the consent the payment was submitted for, then env)
+ * - paymentProduct (optional, consent product the payment was created for, defaults to the product of its
+ *   consent, then 'domestic-payment-consents')
+ */
+router.get('/payment/:paymentId', async (req, res, next) => {
+  try {
+    const { paymentId } = req.params;
+    const storedConsent = getPaymentConsent(paymentId);
+    const {
+      providerCode = storedConsent?.providerCode || process.env.OB_PROVIDER_CODE || 'backbase_dev_uk',
+      paymentProduct = storedConsent?.paymentProduct || 'domestic-payment-consents'
+    } = req.query;
+
+    console.log(`\n🔍 Fetching UK payment: ${paymentId}...`);
+    console.log(`   Provider: ${providerCode}`);
+
+    const payment = await getPaymentDetails(providerCode, paymentId, paymentProduct);
+
+    console.log(`✅ UK payment retrieved\n`);
+
+    res.json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/uk/pis/payment/:paymentId/payment-details
+ * Get the detailed status history of a UK payment by payment ID
+ * 
+ * Path params:
+ * - paymentId (required)
+ * 
+ * Query params:
+ * - providerCode (optional, defaults to the provider of the consent the payment was submitted for, then env)
+ * - paymentProduct (optional, consent product the payment was created for, defaults to the product of its
+ *   consent, then 'domestic-payment-consents')
+ */
+router.get('/payment/:paymentId/payment-details', async (req, res, next) => {
+  try {
+    const { paymentId } = req.params;
+    const storedConsent = getPaymentConsent(paymentId);
+    const {
+      providerCode = storedConsent?.providerCode || process.env.OB_PROVIDER_CODE || 'backbase_dev_uk',
+      paymentProduct = storedConsent?.paymentProduct || 'domestic-payment-consents'
+    } = req.query;
+
+    console.log(`\n🔍 Fetching UK payment details: ${paymentId}...`);
+    console.log(`   Provider: ${providerCode}`);
+
+    const paymentDetails = await getPaymentStatusDetails(providerCode, paymentId, paymentProduct);
+
+    console.log(`✅ UK payment details retrieved\n`);
+
+    res.json({
+      success: true,
+      data: paymentDetails
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/uk/pis/file/generate
+ * Generate a valid test payment file
+ * 
+ * Body:
+ * - fileType (optional, 'UK.OBIE.PaymentInitiation.3.1' (default) or 'UK.OBIE.pain.001.001.08')
+ * - numberOfPayments (optional, defaults to 5, at most 10000)
+ * - currency (optional, defaults to 'GBP')
+ * - localInstrument (optional, defaults to UK.OBIE.FPS for JSON, UK.OBIE.BACS for pain.001)
+ */
+router.post('/file/generate', (req, res, next) => {
+  try {
+    const { fileType, numberOfPayments, currency, localInstrument } = req.body;
+
+    const file = generatePaymentFile({ fileType, numberOfPayments, currency, localInstrument });
+
+    res.json({
+      success: true,
+      data: file
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/uk/pis/file-consent
+ * Creates a UK file payment consent, uploads the payment file and returns the authorization URL
+ * 
+ * Body (JSON):
+ * - providerCode (optional, defaults to env)
+ * - redirectUri (optional, defaults to env)
+ * - fileType (optional, defaults to 'UK.OBIE.PaymentInitiation.3.1')
+ * - fileContent (optional, a test file is generated if not provided)
+ * - numberOfPayments (optional, size of the generated file, defaults to 5, at most 10000)
+ * - fileReference (optional)
+ * - initiation (optional, additional Initiation fields such as DebtorAccount)
+ * - authorisation (optional, uses defaults if not provided)
+ * - scaSupportData (optional, uses defaults if not provided)
+ * 
+ * Alternatively the raw file can be sent as text/plain, text/xml or application/xml
+ * with providerCode, redirectUri, fileType and fileReference as query params.
+ * JSON bodies are validated against the OBIE v3.1 or v4.0 schemas like POST /consent.
+ * 
+ * Headers:
+ * - Idempotency-Key (optional, like POST /consent; sent with both the consent request and the file upload)
+ */
+router.post('/file-consent', parsePaymentFile, selectTppProfile, selectObieVersion, handleIdempotencyKey, async (req, res, next) => {
+  try {
+    const isRawFile = typeof req.body === 'string';
+    const options = isRawFile ? { ...req.query, fileContent: req.body } : req.body;
+
+    const {
+      providerCode = process.env.OB_PROVIDER_CODE || 'backbase_dev_uk',
+      redirectUri = getDefaultRedirectUri(),
+      fileType,
+      fileContent,
+      numberOfPayments,
+      fileReference,
+      initiation,
+      authorisation,
+      scaSupportData
+    } = options;
+
+    if (!isRawFile) {
+      assertValid(getFileConsentRequestSchema(getObieVersion(providerCode)), options);
+    }
+
+    console.log(`\n📝 Creating UK file payment consent...`);
+    console.log(`   Provider: ${providerCode}`);
+    console.log(`   Redirect URI: ${redirectUri}`);
+
+    const result = await createFilePaymentConsent({
+      providerCode,
+      redirectUri,
+      fileType,
+      fileContent,
+      numberOfPayments,
+      fileReference,
+      initiation,
+      authorisation,
+      scaSupportData,
+      idempotencyKey: req.idempotencyKey
+    });
+
+    res.json({
+      consentId: result.consentId,
+      authorizationUrl: result.authorizationUrl,
+      status: result.status,
+      responseSignature: result.responseSignature,
+      file: result.file
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/uk/pis/file-consent/:consentId/file
+ * Download the payment file uploaded for a UK file payment consent
+ * 
+ * Path params:
+ * - consentId (required)
+ * 
+ * Query params:
+ * - providerCode (optional, defaults to the provider the consent was created with, then env)
+ */
+router.get('/file-consent/:consentId/file', async (req, res, next) => {
+  try {
+    const { consentId } = req.params;
+    const storedConsent = getConsent(consentId);
+    const {
+      providerCode = storedConsent?.providerCode || process.env.OB_PROVIDER_CODE || 'backbase_dev_uk'
+    } = req.query;
+
+    console.log(`\n📥 Downloading payment file of consent: ${consentId}...`);
+    const file = await getConsentFile(providerCode, consentId);
+
+    console.log(`✅ Payment file downloaded\n`);
+
+    res.type(file.contentType || 'text/plain').send(file.content);
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/uk/pis/payment/:paymentId/report-file
+ * Download the report file of a UK file payment
+ * 
+ * Path params:
+ * - paymentId (required)
+ * 
+ * Query params:
+ * - providerCode (optional, defaults to the provider of the consent the payment was submitted for, then env)
+ */
+router.get('/payment/:paymentId/report-file', async (req, res, next) => {
+  try {
+    const { paymentId } = req.params;
+    const storedConsent = getPaymentConsent(paymentId);
+    const {
+      providerCode = storedConsent?.providerCode || process.env.OB_PROVIDER_CODE || 'backbase_dev_uk'
+    } = req.query;
+
+    console.log(`\n📥 Downloading report file of payment: ${paymentId}...`);
+    const reportFile = await getPaymentReportFile(providerCode, paymentId);
+
+    console.log(`✅ Report file downloaded\n`);
+
+    res.type(reportFile.contentType || 'text/plain').send(reportFile.content);
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
 export default router;
 
@@ -0,0 +1,76 @@
+/**
+ * TPP Profile Routes and Middleware
+ * Select the TPP credential profile of a request and list the configured profiles
+ */
+
+import express from 'express';
+import {
+  adoptTppProfile,
+  getCurrentTppProfile,
+  getTppProfile,
+  listTppProfiles,
+  runWithTppProfile
+} from '../../services/uk/shared/tpp-profiles.js';
+import { getConsent, getPaymentConsent } from '../../services/uk/shared/consent-store.js';
+
+const router = express.Router();
+
+/**
+ * Express middleware running the rest of the request with the TPP profile chosen by the
+ * X-TPP-Profile header, or a `profile` body or query field
+ * Unknown profiles are rejected with a 400. Routes with their own body parser use it again
+ * after parsing, as stream callbacks do not carry the profile.
+ */
+export function selectTppProfile(req, res, next) {
+  const profile = req.get('X-TPP-Profile') || req.body?.profile || req.query.profile;
+
+  try {
+    if (profile) {
+      getTppProfile(profile);
+    }
+  } catch (error) {
+    next(error);
+    return;
+  }
+
+  runWithTppProfile(profile, next);
+}
+
+/**
+ * router.param handler using the TPP profile a consent was created with,
+ * unless the request selected one
+ */
+export function useConsentTppProfile(req, res, next, consentId) {
+  adoptTppProfile(getConsent(consentId)?.profile);
+  next();
+}
+
+/**
+ * router.param handler using the TPP profile of the consent a payment was submitted for,
+ * unless the request selected one
+ */
+export function usePaymentTppProfile(req, res, next, paymentId) {
+  adoptTppProfile(getPaymentConsent(paymentId)?.profile);
+  next();
+}
+
+/**
+ * GET /api/uk/profiles
+ * List the TPP profiles of the profiles file (without keys) and the profile of this request
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ...listTppProfiles(),
+        current: getCurrentTppProfile()?.name || null
+      }
+    });
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}\n`);
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Scenario Runner CLI
+ *
+ * Runs scenario files against the service functions, without starting the simulator server.
+ * Exits with code 1 if a step failed, so CI jobs fail on regressions.
+ *
+ *   npm run scenarios                                   # every file in scenarios/
+ *   npm run scenarios -- scenarios/ais-consent-lifecycle.yaml
+ *   npm run scenarios -- --mock-priora --junit reports/scenarios.xml
+ *   RECORD_MODE=replay npm run scenarios                # upstream calls answered from cassettes/
+ *
+ * Options:
+ *   --junit <file>      Write a JUnit XML report
+ *   --provider <code>   Run for this provider instead of the scenario's providers (repeatable)
+ *   --api-version <v>   Run for this OBIE API version instead of the scenario's apiVersions (repeatable)
+ *   --profile <name>    TPP profile of scenarios and steps without one
+ *   --mock-priora       Run against the bundled mock Priora (auto-approving consents)
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { listScenarioFiles, loadScenarioFile, runScenario } from './services/scenarios/runner.js';
+import { toJUnitXml } from './services/scenarios/junit.js';
+import { startMockPriora } from './mock-priora/index.js';
+import { runWithTppProfile } from './services/uk/shared/tpp-profiles.js';
+import { installFapiHeaders, installInteractionLogging } from './services/uk/shared/fapi.js';
+import { installCassettes } from './services/uk/shared/cassettes.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+/**
+ * Read the command line options
+ */
+function parseArguments(args) {
+  const options = { files: [], providers: [], apiVersions: [], junit: null, profile: null, mockPriora: false };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+
+    if (arg === '--junit') {
+      options.junit = args[++index];
+    } else if (arg === '--provider') {
+      options.providers.push(...(args[++index] || '').split(',').filter(Boolean));
+    } else if (arg === '--api-version') {
+      options.apiVersions.push(...(args[++index] || '').split(',').filter(Boolean));
+    } else if (arg === '--profile') {
+      options.profile = args[++index];
+    } else if (arg === '--mock-priora') {
+      options.mockPriora = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  if (options.junit === undefined) {
+    throw new Error('--junit requires a file name');
+  }
+  if (options.profile === undefined) {
+    throw new Error('--profile requires a profile name');
+  }
+
+  return options;
+}
+
+/**
+ * Expand directories to the scenario files they contain
+ */
+function resolveFiles(files) {
+  if (files.length === 0) {
+    return listScenarioFiles();
+  }
+
+  return files.flatMap((file) => (fs.statSync(file).isDirectory() ? listScenarioFiles(file) : [file]));
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+
+  installFapiHeaders();
+  installInteractionLogging();
+  installCassettes();
+
+  if (options.mockPriora) {
+    const mockPrioraPort = process.env.MOCK_PRIORA_PORT || 3003;
+    const server = await startMockPriora(mockPrioraPort);
+    server.unref();
+
+    // Nobody is there to click the authorise button
+    process.env.MOCK_PRIORA_AUTO_APPROVE = process.env.MOCK_PRIORA_AUTO_APPROVE || 'true';
+    process.env.PRIORA_URL = `localhost:${mockPrioraPort}`;
+    process.env.PROTOCOL = 'http';
+    process.env.REDIRECT_URI = `http://localhost:${process.env.PORT || 3002}/api/uk/callback`;
+  }
+
+  const files = resolveFiles(options.files);
+  if (files.length === 0) {
+    throw new Error('No scenario files found');
+  }
+
+  // Load every file first, so a typo does not surface after a long run
+  const scenarios = files.map((file) => loadScenarioFile(path.resolve(file)));
+
+  const reports = [];
+  for (const scenario of scenarios) {
+    reports.push(await runWithTppProfile(options.profile, () => runScenario(scenario, {
+      providers: options.providers,
+      apiVersions: options.apiVersions
+    })));
+  }
+
+  console.log('\n' + '='.repeat(70));
+  reports.forEach((report) => {
+    const { passed, failed, skipped } = report.summary;
+    console.log(`${report.passed ? '✅' : '❌'} ${report.name}: ${passed} passed, ${failed} failed, ${skipped} skipped`);
+  });
+  console.log('='.repeat(70) + '\n');
+
+  if (options.junit) {
+    fs.mkdirSync(path.dirname(path.resolve(options.junit)), { recursive: true });
+    fs.writeFileSync(options.junit, toJUnitXml(reports));
+    console.log(`📄 JUnit report written to ${options.junit}\n`);
+  }
+
+  return reports.every((report) => report.passed) ? 0 : 1;
+}
+
+try {
+  process.exitCode = await main();
+} catch (error) {
+  console.error(`\n❌ ERROR: ${error.message}`);
+  if (error.details?.violations) {
+    error.details.violations.forEach((violation) => console.error(`   ${violation.path}: ${violation.message}`));
+  }
+  console.error('');
+  process.exitCode = 2;
+}
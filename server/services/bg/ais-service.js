@@ -0,0 +1,299 @@
+/**
+ * Berlin Group AIS Service - NextGenPSD2 Account Information Services
+ *
+ * Handles all communication with SaltEdge Priora API for Berlin Group Account Information Services.
+ * This module provides functions for:
+ * - Creating AIS consents (POST /v1/consents) and resolving the SCA redirect link
+ * - Retrieving consent details and consent status
+ * - Deleting consents
+ * - Starting consent authorisations
+ * - Reading accounts, balances and transactions under a valid consent
+ *
+ * Unlike UK Open Banking there is no token exchange: once the PSU completes SCA the consent
+ * becomes valid and account data is read with the Consent-ID header.
+ */
+
+import axios from 'axios';
+import { getBgApiUrl } from './shared/config.js';
+import { buildBgHeaders } from './shared/auth.js';
+import { isoDatePlusDays, withQuery, getBgErrorMessage, startBgAuthorisation } from './shared/utils.js';
+import { createUpstreamError } from '../uk/shared/utils.js';
+
+/**
+ * Build the consent URL of a provider
+ */
+function getConsentUrl(providerCode, consentId, suffix = '') {
+  const consentsUrl = `${getBgApiUrl(providerCode)}/consents`;
+  return consentId
+    ? `${consentsUrl}/${encodeURIComponent(consentId)}${suffix}`
+    : consentsUrl;
+}
+
+/**
+ * Start an authorisation of a consent and return its SCA redirect link
+ *
+ * @param {string} providerCode - Berlin Group provider code
+ * @param {string} consentId - Consent identifier
+ * @param {string} redirectUri - TPP-Redirect-URI the PSU returns to after SCA
+ * @param {string} psuId - PSU identifier (optional)
+ * @param {string} psuIpAddress - PSU IP address (optional)
+ * @returns {Object} { authorisationId, scaStatus, authorizationUrl }
+ */
+export async function startBGConsentAuthorisation(providerCode, consentId, { redirectUri, psuId, psuIpAddress } = {}) {
+  try {
+    return await startBgAuthorisation(getConsentUrl(providerCode, consentId), {
+      redirectUri,
+      psuId,
+      psuIpAddress
+    });
+  } catch (error) {
+    console.error('Failed to start BG consent authorisation:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    throw createUpstreamError(error, `Failed to start BG consent authorisation: ${getBgErrorMessage(error)}`);
+  }
+}
+
+/**
+ * Create Berlin Group AIS consent and return the SCA redirect link
+ * If the ASPSP does not return a scaRedirect link straight away, an authorisation is started explicitly.
+ *
+ * @param {string} providerCode - Berlin Group provider code
+ * @param {string} redirectUri - TPP-Redirect-URI the PSU returns to after SCA
+ * @param {Object} access - Requested access (optional, defaults to { allPsd2: 'allAccounts' })
+ * @param {boolean} recurringIndicator - Recurring access (optional, default: true)
+ * @param {string} validUntil - Consent expiry date YYYY-MM-DD (optional, default: 90 days)
+ * @param {number} frequencyPerDay - Daily access limit without the PSU present (optional, default: 4)
+ * @param {string} psuId - PSU identifier (optional)
+ * @param {string} psuIpAddress - PSU IP address (optional)
+ * @returns {Object} Consent details with authorization URL
+ */
+export async function createBGAISConsent({
+  providerCode,
+  redirectUri,
+  access,
+  recurringIndicator = true,
+  validUntil,
+  frequencyPerDay = 4,
+  psuId,
+  psuIpAddress
+}) {
+  const url = getConsentUrl(providerCode);
+  const body = JSON.stringify({
+    access: access || { allPsd2: 'allAccounts' },
+    recurringIndicator,
+    validUntil: validUntil || isoDatePlusDays(90),
+    frequencyPerDay: Number(frequencyPerDay),
+    combinedServiceIndicator: false
+  });
+  
+  console.log(`🔄 Creating BG AIS consent for provider: ${providerCode}...`);
+  
+  let data;
+  try {
+    ({ data } = await axios.post(url, body, {
+      headers: buildBgHeaders({
+        body,
+        redirectUri,
+        nokRedirectUri: withQuery(redirectUri, { result: 'nok' }),
+        psuId,
+        psuIpAddress
+      })
+    }));
+  } catch (error) {
+    console.error('❌ BG AIS Consent creation failed:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    throw createUpstreamError(error, `Failed to create BG AIS consent: ${getBgErrorMessage(error)}`);
+  }
+  
+  const consentId = data?.consentId;
+  if (!consentId) {
+    throw new Error('No consentId in response');
+  }
+  
+  console.log(`✅ BG AIS Consent created: ${consentId}`);
+  
+  // Implicit authorisation - the ASPSP already returned the SCA redirect
+  let authorizationUrl = data?._links?.scaRedirect?.href || null;
+  let authorisationId = null;
+  
+  if (!authorizationUrl) {
+    ({ authorizationUrl, authorisationId } = await startBGConsentAuthorisation(providerCode, consentId, {
+      redirectUri,
+      psuId,
+      psuIpAddress
+    }));
+  }
+  
+  console.log(`🔗 BG AIS SCA redirect link ${authorizationUrl ? 'received' : 'not returned by the ASPSP'}`);
+  
+  return {
+    consentId,
+    authorizationUrl,
+    status: data?.consentStatus,
+    ...(authorisationId && { authorisationId })
+  };
+}
+
+/**
+ * Get Berlin Group consent details by consent ID
+ *
+ * @param {string} providerCode - Berlin Group provider code
+ * @param {string} consentId - Consent identifier
+ * @returns {Object} Consent details including access, validUntil and consentStatus
+ */
+export async function getBGConsentDetails(providerCode, consentId) {
+  const url = getConsentUrl(providerCode, consentId);
+  
+  try {
+    const { data } = await axios.get(url, { headers: buildBgHeaders() });
+    return data;
+  } catch (error) {
+    console.error('Failed to fetch BG consent details:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    throw createUpstreamError(error, `Failed to fetch BG consent details: ${getBgErrorMessage(error)}`);
+  }
+}
+
+/**
+ * Get Berlin Group consent status by consent ID
+ *
+ * @param {string} providerCode - Berlin Group provider code
+ * @param {string} consentId - Consent identifier
+ * @returns {Object} { consentStatus }
+ */
+export async function getBGConsentStatus(providerCode, consentId) {
+  const url = getConsentUrl(providerCode, consentId, '/status');
+  
+  try {
+    const { data } = await axios.get(url, { headers: buildBgHeaders() });
+    return data;
+  } catch (error) {
+    console.error('Failed to fetch BG consent status:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    throw createUpstreamError(error, `Failed to fetch BG consent status: ${getBgErrorMessage(error)}`);
+  }
+}
+
+/**
+ * Delete Berlin Group consent by consent ID
+ *
+ * @param {string} providerCode - Berlin Group provider code
+ * @param {string} consentId - Consent identifier to delete
+ * @returns {boolean} True if consent was successfully deleted
+ */
+export async function deleteBGConsent(providerCode, consentId) {
+  const url = getConsentUrl(providerCode, consentId);
+  
+  try {
+    await axios.delete(url, { headers: buildBgHeaders() });
+    
+    // NextGenPSD2 DELETE endpoint returns 204 No Content on success
+    return true;
+  } catch (error) {
+    console.error('Failed to delete BG consent:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    throw createUpstreamError(error, `Failed to delete BG consent: ${getBgErrorMessage(error)}`);
+  }
+}
+
+/**
+ * Get accounts accessible under a valid Berlin Group consent
+ *
+ * @param {string} providerCode - Berlin Group provider code
+ * @param {string} consentId - Valid consent identifier
+ * @param {boolean} withBalance - Include balances (optional)
+ * @param {string} psuIpAddress - PSU IP address, marks the PSU as present (optional)
+ * @returns {Object} { accounts }
+ */
+export async function getBGAccounts(providerCode, consentId, { withBalance, psuIpAddress } = {}) {
+  const url = `${getBgApiUrl(providerCode)}/accounts`;
+  
+  try {
+    const { data } = await axios.get(url, {
+      headers: buildBgHeaders({ consentId, psuIpAddress }),
+      params: withBalance ? { withBalance: true } : undefined
+    });
+    return data;
+  } catch (error) {
+    console.error('Failed to fetch BG accounts:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    throw createUpstreamError(error, `Failed to fetch BG accounts: ${getBgErrorMessage(error)}`);
+  }
+}
+
+/**
+ * Get balances of an account under a valid Berlin Group consent
+ *
+ * @param {string} providerCode - Berlin Group provider code
+ * @param {string} consentId - Valid consent identifier
+ * @param {string} accountId - Account resource identifier
+ * @param {string} psuIpAddress - PSU IP address, marks the PSU as present (optional)
+ * @returns {Object} { account, balances }
+ */
+export async function getBGAccountBalances(providerCode, consentId, accountId, { psuIpAddress } = {}) {
+  const url = `${getBgApiUrl(providerCode)}/accounts/${encodeURIComponent(accountId)}/balances`;
+  
+  try {
+    const { data } = await axios.get(url, {
+      headers: buildBgHeaders({ consentId, psuIpAddress })
+    });
+    return data;
+  } catch (error) {
+    console.error('Failed to fetch BG account balances:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    throw createUpstreamError(error, `Failed to fetch BG account balances: ${getBgErrorMessage(error)}`);
+  }
+}
+
+/**
+ * Get transactions of an account under a valid Berlin Group consent
+ *
+ * @param {string} providerCode - Berlin Group provider code
+ * @param {string} consentId - Valid consent identifier
+ * @param {string} accountId - Account resource identifier
+ * @param {string} bookingStatus - booked, pending or both (optional, default: booked)
+ * @param {string} dateFrom - Start date YYYY-MM-DD (optional, default: 90 days ago)
+ * @param {string} dateTo - End date YYYY-MM-DD (optional)
+ * @param {string} psuIpAddress - PSU IP address, marks the PSU as present (optional)
+ * @returns {Object} { account, transactions: { booked, pending } }
+ */
+export async function getBGAccountTransactions(providerCode, consentId, accountId, {
+  bookingStatus = 'booked',
+  dateFrom,
+  dateTo,
+  psuIpAddress
+} = {}) {
+  const url = `${getBgApiUrl(providerCode)}/accounts/${encodeURIComponent(accountId)}/transactions`;
+  
+  try {
+    const { data } = await axios.get(url, {
+      headers: buildBgHeaders({ consentId, psuIpAddress }),
+      params: {
+        bookingStatus,
+        dateFrom: dateFrom || isoDatePlusDays(-90),
+        ...(dateTo && { dateTo })
+      }
+    });
+    return data;
+  } catch (error) {
+    console.error('Failed to fetch BG account transactions:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    throw createUpstreamError(error, `Failed to fetch BG account transactions: ${getBgErrorMessage(error)}`);
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * Berlin Group PIS Service - NextGenPSD2 Payment Initiation Services
+ *
+ * Handles all communication with SaltEdge Priora API for Berlin Group Payment Initiation Services.
+ * This module provides functions for:
+ * - Initiating payments (POST /v1/{payment-service}/{payment-product}) and resolving the SCA redirect link
+ * - Retrieving payment details and transaction status
+ * - Starting payment authorisations
+ *
+ * Payment services: payments, periodic-payments, bulk-payments
+ * Payment products: sepa-credit-transfers, instant-sepa-credit-transfers, cross-border-credit-transfers
+ */
+
+import axios from 'axios';
+import { getBgApiUrl } from './shared/config.js';
+import { buildBgHeaders } from './shared/auth.js';
+import { isoDatePlusDays, withQuery, getBgErrorMessage, startBgAuthorisation } from './shared/utils.js';
+import { createHttpError, createUpstreamError } from '../uk/shared/utils.js';
+
+export const PAYMENT_SERVICES = ['payments', 'periodic-payments', 'bulk-payments'];
+
+/**
+ * Berlin Group payment product registry
+ * Maps each payment product to its default single payment
+ */
+export const PAYMENT_PRODUCTS = {
+  'sepa-credit-transfers': {
+    getDefaultPayment: getDefaultSepaPayment
+  },
+  'instant-sepa-credit-transfers': {
+    getDefaultPayment: getDefaultSepaPayment
+  },
+  'cross-border-credit-transfers': {
+    getDefaultPayment: getDefaultCrossBorderPayment
+  }
+};
+
+/**
+ * Create default debtor account
+ */
+function getDefaultDebtorAccount() {
+  return {
+    iban: 'DE89370400440532013000',
+    currency: 'EUR'
+  };
+}
+
+/**
+ * Create default SEPA credit transfer (also used for instant SEPA)
+ */
+function getDefaultSepaPayment(index = 0) {
+  return {
+    endToEndIdentification: `E2E${Date.now()}${index || ''}`,
+    instructedAmount: {
+      currency: 'EUR',
+      amount: (123.5 + index * 10).toFixed(2)
+    },
+    creditorAccount: {
+      iban: 'FR7612345987650123456789014',
+      currency: 'EUR'
+    },
+    creditorName: 'Marie Dupont',
+    remittanceInformationUnstructured: `Invoice ${1000 + index}`
+  };
+}
+
+/**
+ * Create default cross-border (non-SEPA) credit transfer
+ */
+function getDefaultCrossBorderPayment(index = 0) {
+  return {
+    endToEndIdentification: `E2E${Date.now()}${index || ''}`,
+    instructedAmount: {
+      currency: 'USD',
+      amount: (250 + index * 10).toFixed(2)
+    },
+    creditorAccount: {
+      iban: 'GB33BUKB20201555555555',
+      currency: 'USD'
+    },
+    creditorAgent: 'BUKBGB22',
+    creditorName: 'John Smith',
+    creditorAddress: {
+      streetName: 'Baker Street',
+      buildingNumber: '221B',
+      townName: 'London',
+      postCode: 'NW1 6XE',
+      country: 'GB'
+    },
+    remittanceInformationUnstructured: `Cross-border invoice ${2000 + index}`
+  };
+}
+
+/**
+ * Validate a payment service and product
+ *
+ * @throws {Error} 400 if either is not supported
+ */
+export function getPaymentProduct(paymentService, paymentProduct) {
+  if (!PAYMENT_SERVICES.includes(paymentService)) {
+    throw createHttpError(400, `Unsupported payment service: ${paymentService}`, {
+      supportedPaymentServices: PAYMENT_SERVICES
+    });
+  }
+  
+  const product = PAYMENT_PRODUCTS[paymentProduct];
+  if (!product) {
+    throw createHttpError(400, `Unsupported payment product: ${paymentProduct}`, {
+      supportedPaymentProducts: Object.keys(PAYMENT_PRODUCTS)
+    });
+  }
+  return product;
+}
+
+/**
+ * List the supported payment services and products
+ */
+export function listPaymentProducts() {
+  return {
+    paymentServices: PAYMENT_SERVICES,
+    paymentProducts: Object.keys(PAYMENT_PRODUCTS)
+  };
+}
+
+/**
+ * Create the default request body of a payment service and product
+ * - payments: a single payment from the debtor account
+ * - periodic-payments: the single payment executed monthly from tomorrow for a year
+ * - bulk-payments: three payments booked as one batch
+ *
+ * @param {string} paymentService - payments, periodic-payments or bulk-payments
+ * @param {string} paymentProduct - Payment product
+ * @returns {Object} Payment initiation request body
+ */
+export function getDefaultPaymentBody(paymentService, paymentProduct) {
+  const { getDefaultPayment } = getPaymentProduct(paymentService, paymentProduct);
+  const debtorAccount = getDefaultDebtorAccount();
+  
+  if (paymentService === 'bulk-payments') {
+    return {
+      batchBookingPreferred: true,
+      debtorAccount,
+      requestedExecutionDate: isoDatePlusDays(1),
+      payments: [0, 1, 2].map((index) => getDefaultPayment(index))
+    };
+  }
+  
+  const payment = {
+    debtorAccount,
+    ...getDefaultPayment()
+  };
+  
+  if (paymentService === 'periodic-payments') {
+    return {
+      ...payment,
+      startDate: isoDatePlusDays(1),
+      endDate: isoDatePlusDays(366),
+      executionRule: 'following',
+      frequency: 'Monthly',
+      dayOfExecution: String(new Date(Date.now() + 86400000).getUTCDate())
+    };
+  }
+  
+  return payment;
+}
+
+/**
+ * Build the URL of a payment resource
+ */
+function getPaymentUrl(providerCode, paymentService, paymentProduct, paymentId, suffix = '') {
+  const paymentsUrl = `${getBgApiUrl(providerCode)}/${paymentService}/${paymentProduct}`;
+  return paymentId
+    ? `${paymentsUrl}/${encodeURIComponent(paymentId)}${suffix}`
+    : paymentsUrl;
+}
+
+/**
+ * Start an authorisation of a payment and return its SCA redirect link
+ *
+ * @param {string} providerCode - Berlin Group provider code
+ * @param {string} paymentService - Payment service
+ * @param {string} paymentProduct - Payment product
+ * @param {string} paymentId - Payment identifier
+ * @param {string} redirectUri - TPP-Redirect-URI the PSU returns to after SCA
+ * @param {string} psuId - PSU identifier (optional)
+ * @param {string} psuIpAddress - PSU IP address (optional)
+ * @returns {Object} { authorisationId, scaStatus, authorizationUrl }
+ */
+export async function startBGPaymentAuthorisation(providerCode, paymentService, paymentProduct, paymentId, {
+  redirectUri,
+  psuId,
+  psuIpAddress
+} = {}) {
+  getPaymentProduct(paymentService, paymentProduct);
+  
+  try {
+    return await startBgAuthorisation(getPaymentUrl(providerCode, paymentService, paymentProduct, paymentId), {
+      redirectUri,
+      psuId,
+      psuIpAddress
+    });
+  } catch (error) {
+    console.error('Failed to start BG payment authorisation:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    throw createUpstreamError(error, `Failed to start BG payment authorisation: ${getBgErrorMessage(error)}`);
+  }
+}
+
+/**
+ * Initiate a Berlin Group payment and return the SCA redirect link
+ * If the ASPSP does not return a scaRedirect link straight away, an authorisation is started explicitly.
+ *
+ * @param {string} providerCode - Berlin Group provider code
+ * @param {string} paymentService - payments, periodic-payments or bulk-payments
+ * @param {string} paymentProduct - sepa-credit-transfers, instant-sepa-credit-transfers or cross-border-credit-transfers
+ * @param {string} redirectUri - TPP-Redirect-URI the PSU returns to after SCA
+ * @param {Object} payment - Payment initiation body (optional, uses the service/product defaults if not provided)
+ * @param {string} psuId - PSU identifier (optional)
+ * @param {string} psuIpAddress - PSU IP address (optional, defaults to 127.0.0.1 - payments are always PSU-initiated)
+ * @returns {Object} Payment details with authorization URL
+ */
+export async function initiateBGPayment({
+  providerCode,
+  paymentService = 'payments',
+  paymentProduct = 'sepa-credit-transfers',
+  redirectUri,
+  payment,
+  psuId,
+  psuIpAddress = '127.0.0.1'
+}) {
+  getPaymentProduct(paymentService, paymentProduct);
+  const url = getPaymentUrl(providerCode, paymentService, paymentProduct);
+  const body = JSON.stringify(payment || getDefaultPaymentBody(paymentService, paymentProduct));
+  
+  console.log(`🔄 Initiating BG ${paymentService}/${paymentProduct} for provider: ${providerCode}...`);
+  
+  let data;
+  try {
+    ({ data } = await axios.post(url, body, {
+      headers: buildBgHeaders({
+        body,
+        redirectUri,
+        nokRedirectUri: withQuery(redirectUri, { result: 'nok' }),
+        psuId,
+        psuIpAddress
+      })
+    }));
+  } catch (error) {
+    console.error('❌ BG payment initiation failed:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    throw createUpstreamError(error, `Failed to initiate BG payment: ${getBgErrorMessage(error)}`);
+  }
+  
+  const paymentId = data?.paymentId;
+  if (!paymentId) {
+    throw new Error('No paymentId in response');
+  }
+  
+  console.log(`✅ BG payment initiated: ${paymentId}`);
+  
+  // Implicit authorisation - the ASPSP already returned the SCA redirect
+  let authorizationUrl = data?._links?.scaRedirect?.href || null;
+  let authorisationId = null;
+  
+  if (!authorizationUrl) {
+    ({ authorizationUrl, authorisationId } = await startBGPaymentAuthorisation(
+      providerCode, paymentService, paymentProduct, paymentId, { redirectUri, psuId, psuIpAddress }
+    ));
+  }
+  
+  console.log(`🔗 BG payment SCA redirect link ${authorizationUrl ? 'received' : 'not returned by the ASPSP'}`);
+  
+  return {
+    paymentId,
+    paymentService,
+    paymentProduct,
+    authorizationUrl,
+    status: data?.transactionStatus,
+    ...(authorisationId && { authorisationId })
+  };
+}
+
+/**
+ * Get Berlin Group payment details by payment ID
+ *
+ * @param {string} providerCode - Berlin Group provider code
+ * @param {string} paymentService - Payment service
+ * @param {string} paymentProduct - Payment product
+ * @param {string} paymentId - Payment identifier
+ * @returns {Object} Payment initiation body and transactionStatus
+ */
+export async function getBGPaymentDetails(providerCode, paymentService, paymentProduct, paymentId) {
+  getPaymentProduct(paymentService, paymentProduct);
+  const url = getPaymentUrl(providerCode, paymentService, paymentProduct, paymentId);
+  
+  try {
+    const { data } = await axios.get(url, { headers: buildBgHeaders() });
+    return data;
+  } catch (error) {
+    console.error('Failed to fetch BG payment details:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    throw createUpstreamError(error, `Failed to fetch BG payment details: ${getBgErrorMessage(error)}`);
+  }
+}
+
+/**
+ * Get Berlin Group payment transaction status by payment ID
+ *
+ * @param {string} providerCode - Berlin Group provider code
+ * @param {string} paymentService - Payment service
+ * @param {string} paymentProduct - Payment product
+ * @param {string} paymentId - Payment identifier
+ * @returns {Object} { transactionStatus }
+ */
+export async function getBGPaymentStatus(providerCode, paymentService, paymentProduct, paymentId) {
+  getPaymentProduct(paymentService, paymentProduct);
+  const url = getPaymentUrl(providerCode, paymentService, paymentProduct, paymentId, '/status');
+  
+  try {
+    const { data } = await axios.get(url, { headers: buildBgHeaders() });
+    return data;
+  } catch (error) {
+    console.error('Failed to fetch BG payment status:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    throw createUpstreamError(error, `Failed to fetch BG payment status: ${getBgErrorMessage(error)}`);
+  }
+}
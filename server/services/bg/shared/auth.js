@@ -0,0 +1,90 @@
+/**
+ * Berlin Group Authentication Utilities
+ * Request signing for Berlin Group NextGenPSD2 services
+ *
+ * Every request carries a Digest of its body and an HTTP Signature (rsa-sha256) over
+ * digest, x-request-id and the conditional PSU/redirect headers, signed with the TPP private key.
+ */
+
+import crypto from 'crypto';
+import { getClientId, getPrivateKey } from '../../uk/shared/config.js';
+import { generateUuid } from '../../uk/shared/utils.js';
+import { getSigningCertificate } from './config.js';
+
+// Headers covered by the signature when present (lower case, in signing order)
+const SIGNED_HEADERS = ['digest', 'x-request-id', 'psu-id', 'psu-corporate-id', 'tpp-redirect-uri'];
+
+/**
+ * Build the Digest header of a request body
+ */
+export function buildDigest(body = '') {
+  return `SHA-256=${crypto.createHash('sha256').update(body, 'utf8').digest('base64')}`;
+}
+
+/**
+ * Key ID of the Signature header
+ * SN/CA of the signing certificate if configured, otherwise the TPP client ID
+ */
+function getKeyId(certificate) {
+  if (!certificate) {
+    return getClientId();
+  }
+  
+  const x509 = new crypto.X509Certificate(Buffer.from(certificate, 'base64'));
+  return `SN=${x509.serialNumber},CA=${x509.issuer.replace(/\n/g, ', ')}`;
+}
+
+/**
+ * Build the Signature header over the given request headers
+ */
+export function buildSignature(headers, certificate) {
+  const lowerCased = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  const signedHeaders = SIGNED_HEADERS.filter((name) => lowerCased[name]);
+  const signingString = signedHeaders.map((name) => `${name}: ${lowerCased[name]}`).join('\n');
+  
+  const signature = crypto.sign('sha256', Buffer.from(signingString, 'utf8'), getPrivateKey()).toString('base64');
+  
+  return `keyId="${getKeyId(certificate)}",algorithm="rsa-sha256",headers="${signedHeaders.join(' ')}",signature="${signature}"`;
+}
+
+/**
+ * Build the signed headers of a Berlin Group request
+ *
+ * @param {string} body - Serialised request body (empty for GET/DELETE)
+ * @param {string} consentId - Consent-ID header (account data requests)
+ * @param {string} redirectUri - TPP-Redirect-URI header
+ * @param {string} nokRedirectUri - TPP-Nok-Redirect-URI header
+ * @param {boolean} explicitAuthorisation - TPP-Explicit-Authorisation-Preferred header
+ * @param {string} psuId - PSU-ID header
+ * @param {string} psuIpAddress - PSU-IP-Address header (marks the PSU as present)
+ * @returns {Object} Request headers
+ */
+export function buildBgHeaders({
+  body = '',
+  consentId,
+  redirectUri,
+  nokRedirectUri,
+  explicitAuthorisation,
+  psuId,
+  psuIpAddress
+} = {}) {
+  const certificate = getSigningCertificate();
+  
+  const headers = {
+    'X-Request-ID': generateUuid(),
+    'Digest': buildDigest(body),
+    ...(body && { 'Content-Type': 'application/json' }),
+    ...(consentId && { 'Consent-ID': consentId }),
+    ...(psuId && { 'PSU-ID': psuId }),
+    ...(psuIpAddress && { 'PSU-IP-Address': psuIpAddress }),
+    ...(redirectUri && { 'TPP-Redirect-Preferred': 'true', 'TPP-Redirect-URI': redirectUri }),
+    ...(nokRedirectUri && { 'TPP-Nok-Redirect-URI': nokRedirectUri }),
+    ...(explicitAuthorisation !== undefined && { 'TPP-Explicit-Authorisation-Preferred': String(explicitAuthorisation) }),
+    ...(certificate && { 'TPP-Signature-Certificate': certificate })
+  };
+  
+  headers['Signature'] = buildSignature(headers, certificate);
+  return headers;
+}
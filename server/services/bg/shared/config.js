@@ -0,0 +1,68 @@
+/**
+ * Berlin Group Configuration Utilities
+ * Shared configuration functions for Berlin Group NextGenPSD2 services
+ *
+ * Priora, the TPP credentials and the private key are shared with the UK services.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getProvider, getProviderBaseUrl, STANDARDS } from '../../providers/registry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Get the default Berlin Group provider code
+ */
+export function getDefaultProviderCode() {
+  return process.env.BG_PROVIDER_CODE || 'backbase_dev_eu';
+}
+
+/**
+ * Get the default TPP-Redirect-URI for Berlin Group SCA redirects
+ */
+export function getDefaultRedirectUri() {
+  return process.env.BG_REDIRECT_URI || process.env.REDIRECT_URI || 'https://backbase-dev.com/callback';
+}
+
+/**
+ * Get the NextGenPSD2 base URL of a provider, e.g. https://priora.saltedge.com/api/backbase_dev_eu/berlingroup/v1
+ *
+ * @throws {Error} 400 if the provider is unknown or not a Berlin Group provider
+ */
+export function getBgApiUrl(providerCode) {
+  const { apiVersion } = getProvider(providerCode, STANDARDS.BERLIN_GROUP);
+  return `${getProviderBaseUrl(providerCode)}/api/${encodeURIComponent(providerCode)}/berlingroup/${apiVersion}`;
+}
+
+/**
+ * Load the TPP signing certificate (QSealC) sent in TPP-Signature-Certificate
+ * Read from BG_SIGNING_CERTIFICATE (PEM or base64 DER) or BG_SIGNING_CERTIFICATE_PATH.
+ *
+ * @returns {string|null} Base64 DER certificate, or null if not configured
+ */
+export function getSigningCertificate() {
+  const certificatePath = process.env.BG_SIGNING_CERTIFICATE_PATH;
+  let certificate = process.env.BG_SIGNING_CERTIFICATE;
+  
+  if (!certificate && certificatePath) {
+    const fullPath = path.isAbsolute(certificatePath)
+      ? certificatePath
+      : path.join(__dirname, '..', '..', '..', '..', certificatePath);
+    
+    if (fs.existsSync(fullPath)) {
+      certificate = fs.readFileSync(fullPath, 'utf8');
+    }
+  }
+  
+  if (!certificate) {
+    return null;
+  }
+  
+  return certificate
+    .replace(/-----(BEGIN|END) CERTIFICATE-----/g, '')
+    .replace(/\\n/g, '')
+    .replace(/\s+/g, '');
+}
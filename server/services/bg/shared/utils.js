@@ -0,0 +1,71 @@
+/**
+ * Berlin Group Utility Functions
+ * Shared utility functions for Berlin Group NextGenPSD2 services
+ */
+
+import axios from 'axios';
+import { buildBgHeaders } from './auth.js';
+
+/**
+ * Get today's date plus a number of days as an ISO date (YYYY-MM-DD)
+ */
+export function isoDatePlusDays(days) {
+  return new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Add query parameters to a redirect URI
+ */
+export function withQuery(uri, params) {
+  const u = new URL(uri);
+  Object.entries(params).forEach(([key, value]) => u.searchParams.set(key, value));
+  return u.toString();
+}
+
+/**
+ * Extract a readable message from a failed Berlin Group request
+ * NextGenPSD2 errors carry a tppMessages array of { category, code, text }
+ */
+export function getBgErrorMessage(error) {
+  const data = error.response?.data;
+  const tppMessages = data?.tppMessages;
+  
+  if (Array.isArray(tppMessages) && tppMessages.length > 0) {
+    return tppMessages.map((message) => `${message.code}: ${message.text || ''}`.trim()).join('; ');
+  }
+  
+  return data?.error
+    || data?.message
+    || (data && JSON.stringify(data))
+    || error.message;
+}
+
+/**
+ * Start an authorisation sub-resource (consent or payment) and return its SCA redirect link
+ * Errors are passed through so callers can report them with their own context.
+ *
+ * @param {string} resourceUrl - URL of the consent or payment resource
+ * @param {string} redirectUri - TPP-Redirect-URI the PSU returns to after SCA
+ * @param {string} psuId - PSU identifier (optional)
+ * @param {string} psuIpAddress - PSU IP address (optional)
+ * @returns {Object} { authorisationId, scaStatus, authorizationUrl }
+ */
+export async function startBgAuthorisation(resourceUrl, { redirectUri, psuId, psuIpAddress } = {}) {
+  const body = JSON.stringify({});
+  
+  const { data } = await axios.post(`${resourceUrl}/authorisations`, body, {
+    headers: buildBgHeaders({
+      body,
+      redirectUri,
+      nokRedirectUri: redirectUri && withQuery(redirectUri, { result: 'nok' }),
+      psuId,
+      psuIpAddress
+    })
+  });
+  
+  return {
+    authorisationId: data?.authorisationId,
+    scaStatus: data?.scaStatus,
+    authorizationUrl: data?._links?.scaRedirect?.href || null
+  };
+}
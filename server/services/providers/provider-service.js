@@ -0,0 +1,73 @@
+/**
+ * Provider Service
+ * Describe the registered providers: registry entry, supported payment products and OIDC metadata
+ */
+
+import { getProvider, getProviderBaseUrl, listProviders, STANDARDS } from './registry.js';
+import { discoverOidc } from '../uk/shared/utils.js';
+import { listPaymentProducts as listUkPaymentProducts } from '../uk/pis-service.js';
+import { listPaymentProducts as listBgPaymentProducts } from '../bg/pis-service.js';
+
+/**
+ * Get the PIS products of a provider: the products of its registry entry, or every product of its standard
+ */
+export function getProviderPaymentProducts(provider) {
+  if (provider.paymentProducts) {
+    return provider.paymentProducts;
+  }
+  return provider.standard === STANDARDS.OBIE
+    ? listUkPaymentProducts()
+    : listBgPaymentProducts().paymentProducts;
+}
+
+/**
+ * Describe a provider
+ * The OIDC discovery document of OBIE providers is included when discover is true. A failed
+ * discovery is reported in oidc.error, so one unreachable provider does not fail the list.
+ *
+ * @param {Object} provider - Registry entry
+ * @param {boolean} discover - Fetch the OIDC discovery document (default: true)
+ * @returns {Object} Provider description
+ */
+async function describeProvider(provider, discover) {
+  let oidc = null;
+
+  if (discover && provider.standard === STANDARDS.OBIE) {
+    try {
+      oidc = (await discoverOidc(provider.code)).metadata;
+    } catch (error) {
+      oidc = { error: error.message };
+    }
+  }
+
+  return {
+    code: provider.code,
+    name: provider.name,
+    region: provider.region,
+    standard: provider.standard,
+    apiVersion: provider.apiVersion,
+    baseUrl: getProviderBaseUrl(provider.code),
+    paymentProducts: getProviderPaymentProducts(provider),
+    oidc
+  };
+}
+
+/**
+ * Describe the registered providers
+ *
+ * @param {string} standard - Only providers of this standard (optional)
+ * @param {boolean} discover - Include the OIDC discovery documents (default: true)
+ * @returns {Array<Object>} Provider descriptions
+ */
+export async function describeProviders({ standard, discover = true } = {}) {
+  return Promise.all(listProviders(standard).map((provider) => describeProvider(provider, discover)));
+}
+
+/**
+ * Describe one provider
+ *
+ * @throws {Error} 400 if the provider is unknown
+ */
+export async function describeProviderByCode(providerCode, { discover = true } = {}) {
+  return describeProvider(getProvider(providerCode), discover);
+}
@@ -0,0 +1,207 @@
+/**
+ * Provider Registry
+ * The ASPSP providers the simulator can talk to, with their region, standard, API version and base URL
+ *
+ * The Backbase sandbox providers on SaltEdge Priora are built in. More providers, or overrides of the
+ * built-in ones, are read from a JSON file (PROVIDERS_PATH, default providers.json in the repository root):
+ *
+ *   {
+ *     "providers": {
+ *       "acme_uk": {
+ *         "name": "ACME Bank UK",
+ *         "region": "UK",
+ *         "standard": "OBIE",
+ *         "apiVersion": "v3.1",
+ *         "baseUrl": "https://priora.acme.example",
+ *         "paymentProducts": ["domestic-payment-consents"],
+ *         "signRequests": true,
+ *         "jwksUri": "https://keystore.acme.example/aspsp.jwks"
+ *       }
+ *     }
+ *   }
+ *
+ * Every upstream URL is built from the registry, so unknown provider codes are rejected with a 400
+ * before any request is made. The apiVersion of OBIE providers is the default, a request or consent
+ * can select another one (see uk/shared/obie-version.js). signRequests, verifyResponseSignatures, jwksUri
+ * and trustAnchor control message signing of OBIE providers (see uk/shared/jws.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getBaseUrl } from '../uk/shared/config.js';
+import { validate } from '../uk/shared/schema-validator.js';
+import { createHttpError } from '../uk/shared/utils.js';
+import { getSelectedObieVersion, isObieVersion, normaliseObieVersion, OBIE_VERSIONS } from '../uk/shared/obie-version.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const STANDARDS = {
+  OBIE: 'OBIE',
+  BERLIN_GROUP: 'Berlin Group'
+};
+
+const BUILT_IN_PROVIDERS = {
+  backbase_dev_uk: { name: 'Backbase DEV UK', region: 'UK', standard: STANDARDS.OBIE, apiVersion: 'v3.1' },
+  backbase_uat_uk: { name: 'Backbase UAT UK', region: 'UK', standard: STANDARDS.OBIE, apiVersion: 'v3.1' },
+  backbase_dev_eu: { name: 'Backbase DEV EU', region: 'EU', standard: STANDARDS.BERLIN_GROUP, apiVersion: 'v1' },
+  backbase_uat_eu: { name: 'Backbase UAT EU', region: 'EU', standard: STANDARDS.BERLIN_GROUP, apiVersion: 'v1' }
+};
+
+const PROVIDER_SCHEMA = {
+  type: 'object',
+  required: ['name', 'region', 'standard'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    region: { type: 'string', enum: ['UK', 'EU'] },
+    standard: { type: 'string', enum: Object.values(STANDARDS) },
+    apiVersion: { type: 'string', minLength: 1 },
+    baseUrl: { type: 'string', pattern: '^https?://' },
+    paymentProducts: { type: 'array', items: { type: 'string' } },
+    signRequests: { type: 'boolean' },
+    verifyResponseSignatures: { type: 'boolean' },
+    jwksUri: { type: 'string', pattern: '^https?://' },
+    trustAnchor: { type: 'string', minLength: 1 }
+  },
+  check: (provider, providerPath) => (provider.standard === STANDARDS.OBIE && provider.apiVersion && !isObieVersion(provider.apiVersion)
+    ? [{ path: `${providerPath}.apiVersion`, message: `must be one of: ${OBIE_VERSIONS.join(', ')}` }]
+    : [])
+};
+
+const PROVIDERS_FILE_SCHEMA = {
+  type: 'object',
+  required: ['providers'],
+  properties: {
+    providers: {
+      type: 'object',
+      check: (providers, providersPath) => Object.entries(providers).flatMap(([code, provider]) => (
+        validate(PROVIDER_SCHEMA, { ...BUILT_IN_PROVIDERS[code], ...provider }, `${providersPath}.${code}`)
+      ))
+    }
+  }
+};
+
+// Default API version of providers that do not set one
+const DEFAULT_API_VERSIONS = {
+  [STANDARDS.OBIE]: 'v3.1',
+  [STANDARDS.BERLIN_GROUP]: 'v1'
+};
+
+let providers = null;
+
+/**
+ * Path of the providers file (PROVIDERS_PATH, relative paths are resolved from the repository root)
+ */
+function getProvidersFilePath() {
+  const providersPath = process.env.PROVIDERS_PATH || 'providers.json';
+  return path.isAbsolute(providersPath)
+    ? providersPath
+    : path.join(__dirname, '..', '..', '..', providersPath);
+}
+
+/**
+ * Merge the built-in providers with the providers file on first use
+ */
+function getProviders() {
+  if (providers) {
+    return providers;
+  }
+
+  const filePath = getProvidersFilePath();
+  let configured = {};
+
+  if (fs.existsSync(filePath)) {
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read providers from ${filePath}: ${error.message}`);
+    }
+
+    const violations = validate(PROVIDERS_FILE_SCHEMA, content);
+    if (violations.length > 0) {
+      throw new Error(`Invalid providers in ${filePath}: `
+        + violations.map((violation) => `${violation.path} ${violation.message}`).join('; '));
+    }
+
+    configured = content.providers;
+    console.log(`🏦 Providers: ${Object.keys(configured).length} loaded from ${filePath}`);
+  }
+
+  providers = Object.fromEntries(
+    [...new Set([...Object.keys(BUILT_IN_PROVIDERS), ...Object.keys(configured)])].map((code) => {
+      const provider = { ...BUILT_IN_PROVIDERS[code], ...configured[code] };
+      return [code, {
+        code,
+        ...provider,
+        apiVersion: provider.apiVersion || DEFAULT_API_VERSIONS[provider.standard]
+      }];
+    })
+  );
+  return providers;
+}
+
+/**
+ * List the registered providers
+ *
+ * @param {string} standard - Only providers of this standard (optional)
+ * @returns {Array<Object>} Provider entries
+ */
+export function listProviders(standard) {
+  return Object.values(getProviders()).filter((provider) => !standard || provider.standard === standard);
+}
+
+/**
+ * Get the registry entry of a provider
+ *
+ * @param {string} providerCode - Provider code (e.g. 'backbase_dev_uk')
+ * @param {string} standard - Standard the provider must implement (optional, see STANDARDS)
+ * @returns {Object} Provider entry
+ * @throws {Error} 400 if the provider is unknown or implements another standard
+ */
+export function getProvider(providerCode, standard) {
+  const provider = getProviders()[providerCode];
+  const availableProviders = listProviders(standard).map(({ code }) => code);
+
+  if (!provider) {
+    throw createHttpError(400, `Unknown provider: ${providerCode}`, { availableProviders });
+  }
+  if (standard && provider.standard !== standard) {
+    throw createHttpError(400, `Provider ${providerCode} implements ${provider.standard}, not ${standard}`, {
+      availableProviders
+    });
+  }
+
+  return provider;
+}
+
+/**
+ * Get the base URL of a provider: its own baseUrl, or SaltEdge Priora
+ */
+export function getProviderBaseUrl(providerCode) {
+  return getProvider(providerCode).baseUrl || getBaseUrl();
+}
+
+/**
+ * Get the OBIE API version to use with a provider: the version selected for the request or consent,
+ * then the provider's apiVersion
+ *
+ * @returns {string} 'v3.1' or 'v4.0'
+ * @throws {Error} 400 if the provider is unknown or not an OBIE provider
+ */
+export function getObieVersion(providerCode) {
+  const { apiVersion } = getProvider(providerCode, STANDARDS.OBIE);
+  return getSelectedObieVersion() || normaliseObieVersion(apiVersion);
+}
+
+/**
+ * Get the UK Open Banking API URL of a provider, e.g. https://priora.saltedge.com/api/backbase_dev_uk/open-banking/v3.1
+ *
+ * @throws {Error} 400 if the provider is unknown or not an OBIE provider
+ */
+export function getObieApiUrl(providerCode) {
+  const apiVersion = getObieVersion(providerCode);
+  return `${getProviderBaseUrl(providerCode)}/api/${encodeURIComponent(providerCode)}/open-banking/${apiVersion}`;
+}
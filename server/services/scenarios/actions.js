@@ -0,0 +1,305 @@
+/**
+ * Scenario Actions
+ * The steps a scenario can run, each calling the existing UK Open Banking service functions.
+ *
+ * Every action is an async function (args, context) returning the data a step asserts on,
+ * where args are the interpolated `with` values of the step and context holds the
+ * providerCode and redirectUri of the current scenario run.
+ */
+
+import axios from 'axios';
+import {
+  createAISConsent,
+  getConsentDetails as getAISConsentDetails,
+  revokeAISConsent
+} from '../uk/ais-service.js';
+import {
+  createPISConsent,
+  getConsentDetails as getPISConsentDetails,
+  getFundsConfirmation,
+  createPayment,
+  getPaymentId,
+  getPaymentDetails
+} from '../uk/pis-service.js';
+import {
+  createCBPIIConsent,
+  getConsentDetails as getCBPIIConsentDetails,
+  revokeCBPIIConsent,
+  confirmFunds
+} from '../uk/cbpii-service.js';
+import {
+  exchangeCodeForToken,
+  getAccounts,
+  getAccountBalances,
+  getAccountTransactions,
+  getAccountStandingOrders
+} from '../uk/saltedge-extended.js';
+import { getConsent, getAuthorisedConsent, getPaymentConsent, saveConsentToken } from '../uk/shared/consent-store.js';
+import { getWatchOptions, watchConsentStatus } from '../uk/shared/consent-watcher.js';
+import { assertValid } from '../uk/shared/schema-validator.js';
+import { getAISConsentRequestSchema, getPISConsentRequestSchema } from '../uk/obie-schemas.js';
+import { createHttpError } from '../uk/shared/utils.js';
+import { getObieVersion } from '../providers/registry.js';
+import { getResponseSignature } from '../uk/shared/jws.js';
+
+// Redirects followed on the ASPSP side before giving up on reaching the redirect URI
+const MAX_AUTHORISATION_REDIRECTS = 10;
+
+/**
+ * Pick the fields of a created consent a scenario can capture
+ */
+function describeCreatedConsent(result) {
+  return {
+    consentId: result.consentId,
+    authorizationUrl: result.authorizationUrl,
+    status: result.status,
+    ...(result.responseSignature !== undefined && { responseSignature: result.responseSignature })
+  };
+}
+
+/**
+ * Provider of a consent: explicit argument, then the provider it was created with, then the run's provider
+ */
+function getConsentProvider(args, context) {
+  return args.providerCode || getConsent(args.consentId)?.providerCode || context.providerCode;
+}
+
+/**
+ * Watch a consent until it is terminal, reaches the `until` status or the timeout is hit
+ *
+ * @returns {Object} { consentId, status, reason, history }
+ */
+async function watchConsent(args, fetchStatus) {
+  const options = getWatchOptions(args);
+  const history = [];
+  
+  const result = await watchConsentStatus(fetchStatus, {
+    ...options,
+    onStatus: (change) => history.push(change),
+    onError: ({ error, retryIn }) => console.error(`⚠️  Consent ${args.consentId}: ${error.message}, polling again in ${retryIn}s`),
+    until: args.until ? (status) => status === args.until : undefined
+  });
+  
+  console.log(`👀 Consent ${args.consentId}: ${result.status} (${result.reason})`);
+  
+  return { consentId: args.consentId, ...result, history };
+}
+
+/**
+ * Read the authorization response parameters of a redirect (query string or fragment)
+ */
+function getAuthorisationResponse(location) {
+  const url = new URL(location);
+  const params = new URLSearchParams(url.hash ? url.hash.substring(1) : url.search);
+  return Object.fromEntries(params.entries());
+}
+
+/**
+ * Act as the PSU: open the authorization URL, follow the ASPSP redirects back to the
+ * redirect URI and exchange the authorization code for the consent's access token
+ * (what GET /api/uk/callback does when the browser lands on it).
+ *
+ * Only works when the ASPSP approves without user interaction, e.g. the mock Priora
+ * with MOCK_PRIORA_AUTO_APPROVE=true.
+ */
+async function authoriseConsent(args, context) {
+  const { consentId, authorizationUrl } = args;
+  const consent = getConsent(consentId);
+  const providerCode = args.providerCode || consent?.providerCode || context.providerCode;
+  const redirectUri = args.redirectUri || consent?.redirectUri || context.redirectUri;
+  
+  if (!authorizationUrl) {
+    throw createHttpError(400, 'authorizationUrl is required');
+  }
+  
+  let location = authorizationUrl;
+  
+  for (let redirects = 0; !location.startsWith(redirectUri); redirects += 1) {
+    if (redirects === MAX_AUTHORISATION_REDIRECTS) {
+      throw createHttpError(502, `No redirect to ${redirectUri} after ${MAX_AUTHORISATION_REDIRECTS} redirects`);
+    }
+    
+    const response = await axios.get(location, {
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+    
+    if (response.status < 300 || response.status >= 400 || !response.headers.location) {
+      throw createHttpError(502, `The ASPSP did not redirect back to ${redirectUri} (HTTP ${response.status}). `
+        + 'The PSU has to authorise the consent interactively - with the mock Priora set MOCK_PRIORA_AUTO_APPROVE=true.');
+    }
+    
+    location = new URL(response.headers.location, location).href;
+  }
+  
+  const { code, state, error, error_description: errorDescription } = getAuthorisationResponse(location);
+  const resolvedConsentId = consentId || state;
+  
+  if (error) {
+    throw createHttpError(400, `Authorisation failed: ${errorDescription || error}`, {
+      consentId: resolvedConsentId,
+      error,
+      errorDescription
+    });
+  }
+  
+  const token = await exchangeCodeForToken(providerCode, code, redirectUri);
+  saveConsentToken(resolvedConsentId, token, { providerCode, redirectUri });
+  
+  console.log(`🔑 Access token stored for consent ${resolvedConsentId}`);
+  
+  return {
+    consentId: resolvedConsentId,
+    tokenType: token.tokenType,
+    expiresIn: token.expiresIn,
+    scope: token.scope
+  };
+}
+
+const actions = {
+  'ais.createConsent': async (args, context) => {
+    assertValid(getAISConsentRequestSchema(), args);
+    
+    return describeCreatedConsent(await createAISConsent({
+      providerCode: args.providerCode || context.providerCode,
+      redirectUri: args.redirectUri || context.redirectUri,
+      permissions: args.permissions,
+      expirationDateTime: args.expirationDateTime
+    }));
+  },
+  
+  'ais.getConsent': (args, context) => getAISConsentDetails(getConsentProvider(args, context), args.consentId),
+  
+  'ais.watchConsent': (args, context) => watchConsent(args, async () => {
+    const consent = await getAISConsentDetails(getConsentProvider(args, context), args.consentId);
+    return consent?.Data?.Status;
+  }),
+  
+  'ais.revokeConsent': async (args, context) => {
+    await revokeAISConsent(getConsentProvider(args, context), args.consentId);
+    return { consentId: args.consentId, revoked: true };
+  },
+  
+  'ais.getAccounts': (args) => {
+    const { providerCode, accessToken } = getAuthorisedConsent(args.consentId, 'ais');
+    return getAccounts(providerCode, accessToken);
+  },
+  
+  'ais.getBalances': (args) => {
+    const { providerCode, accessToken } = getAuthorisedConsent(args.consentId, 'ais');
+    return getAccountBalances(providerCode, args.accountId, accessToken);
+  },
+  
+  'ais.getTransactions': (args) => {
+    const { providerCode, accessToken } = getAuthorisedConsent(args.consentId, 'ais');
+    return getAccountTransactions(providerCode, args.accountId, accessToken);
+  },
+  
+  'ais.getStandingOrders': (args) => {
+    const { providerCode, accessToken } = getAuthorisedConsent(args.consentId, 'ais');
+    return getAccountStandingOrders(providerCode, args.accountId, accessToken);
+  },
+  
+  'pis.createConsent': async (args, context) => {
+    const providerCode = args.providerCode || context.providerCode;
+    assertValid(getPISConsentRequestSchema(args.paymentProduct, getObieVersion(providerCode)), args);
+    
+    return describeCreatedConsent(await createPISConsent({
+      providerCode,
+      redirectUri: args.redirectUri || context.redirectUri,
+      paymentProduct: args.paymentProduct || 'domestic-payment-consents',
+      initiation: args.initiation,
+      authorisation: args.authorisation,
+      scaSupportData: args.scaSupportData,
+      risk: args.risk,
+      idempotencyKey: args.idempotencyKey
+    }));
+  },
+  
+  'pis.getConsent': (args, context) => getPISConsentDetails(
+    getConsentProvider(args, context),
+    args.consentId,
+    args.paymentProduct || getConsent(args.consentId)?.paymentProduct || 'domestic-payment-consents'
+  ),
+  
+  'pis.watchConsent': (args, context) => watchConsent(args, async () => {
+    const paymentProduct = args.paymentProduct || getConsent(args.consentId)?.paymentProduct || 'domestic-payment-consents';
+    const consent = await getPISConsentDetails(getConsentProvider(args, context), args.consentId, paymentProduct);
+    return consent?.Data?.Status;
+  }),
+  
+  'pis.getFundsConfirmation': (args) => {
+    const { consent, providerCode, accessToken } = getAuthorisedConsent(args.consentId, 'pis');
+    return getFundsConfirmation(providerCode, args.consentId, accessToken, consent.paymentProduct || 'domestic-payment-consents');
+  },
+  
+  'pis.submitPayment': async (args) => {
+    const { consent, providerCode, accessToken } = getAuthorisedConsent(args.consentId, 'pis');
+    const paymentProduct = consent.paymentProduct || 'domestic-payment-consents';
+    const payment = await createPayment(providerCode, args.consentId, accessToken, paymentProduct, args.idempotencyKey);
+    
+    return {
+      paymentId: getPaymentId(payment, paymentProduct),
+      consentId: args.consentId,
+      paymentProduct,
+      status: payment?.Data?.Status,
+      responseSignature: getResponseSignature(payment)
+    };
+  },
+  
+  'pis.getPayment': (args, context) => getPaymentDetails(
+    args.providerCode || getPaymentConsent(args.paymentId)?.providerCode || context.providerCode,
+    args.paymentId,
+    args.paymentProduct || getPaymentConsent(args.paymentId)?.paymentProduct || 'domestic-payment-consents'
+  ),
+  
+  'cbpii.createConsent': async (args, context) => describeCreatedConsent(await createCBPIIConsent({
+    providerCode: args.providerCode || context.providerCode,
+    redirectUri: args.redirectUri || context.redirectUri,
+    debtorAccount: args.debtorAccount,
+    expirationDateTime: args.expirationDateTime
+  })),
+  
+  'cbpii.getConsent': (args, context) => getCBPIIConsentDetails(getConsentProvider(args, context), args.consentId),
+  
+  'cbpii.confirmFunds': (args) => {
+    const { providerCode, accessToken } = getAuthorisedConsent(args.consentId, 'cbpii');
+    return confirmFunds(providerCode, args.consentId, accessToken, {
+      instructedAmount: { Amount: args.amount || '20.00', Currency: args.currency || 'GBP' },
+      reference: args.reference
+    });
+  },
+  
+  'cbpii.revokeConsent': async (args, context) => {
+    await revokeCBPIIConsent(getConsentProvider(args, context), args.consentId);
+    return { consentId: args.consentId, revoked: true };
+  },
+  
+  'psu.authorise': authoriseConsent,
+  
+  'wait': async (args) => {
+    const seconds = Number(args.seconds);
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      throw createHttpError(400, 'seconds must be a non-negative number');
+    }
+    await new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+    return { waited: seconds };
+  }
+};
+
+/**
+ * Get the names of the supported actions
+ */
+export function getActionNames() {
+  return Object.keys(actions);
+}
+
+/**
+ * Get an action by name
+ *
+ * @param {string} name - Action name, e.g. 'ais.createConsent'
+ * @returns {Function|undefined} Async (args, context) => data
+ */
+export function getAction(name) {
+  return actions[name];
+}
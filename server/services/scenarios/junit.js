@@ -0,0 +1,68 @@
+/**
+ * Scenario JUnit Report
+ * Renders scenario reports as JUnit XML for CI systems:
+ * one testsuite per scenario, provider and OBIE API version, one testcase per step.
+ */
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function seconds(durationMs) {
+  return (durationMs / 1000).toFixed(3);
+}
+
+function renderTestCase(step, className) {
+  const attributes = `name="${escapeXml(step.name)}" classname="${escapeXml(className)}" time="${seconds(step.durationMs)}"`;
+  
+  if (step.skipped) {
+    return `    <testcase ${attributes}>\n      <skipped message="Skipped after an earlier step failed"/>\n    </testcase>`;
+  }
+  
+  if (!step.passed) {
+    const body = [
+      ...step.failures,
+      '',
+      `x-fapi-interaction-id: ${step.interactionId}`,
+      `Response: ${JSON.stringify(step.response, null, 2)}`
+    ].join('\n');
+    return `    <testcase ${attributes}>\n`
+      + `      <failure message="${escapeXml(step.failures[0])}" type="AssertionError">${escapeXml(body)}</failure>\n`
+      + '    </testcase>';
+  }
+  
+  return `    <testcase ${attributes}/>`;
+}
+
+function renderTestSuite(report, run) {
+  const name = `${report.name} [${run.apiVersion ? `${run.providerCode} OBIE ${run.apiVersion}` : run.providerCode}]`;
+  const failures = run.steps.filter((step) => !step.passed && !step.skipped).length;
+  const skipped = run.steps.filter((step) => step.skipped).length;
+  
+  return `  <testsuite name="${escapeXml(name)}" tests="${run.steps.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${seconds(run.durationMs)}">\n`
+    + run.steps.map((step) => renderTestCase(step, name)).join('\n')
+    + '\n  </testsuite>';
+}
+
+/**
+ * Render scenario reports as a JUnit XML document
+ *
+ * @param {Array<Object>} reports - Reports returned by runScenario
+ * @returns {string} JUnit XML
+ */
+export function toJUnitXml(reports) {
+  const steps = reports.flatMap((report) => report.runs.flatMap((run) => run.steps));
+  const failures = steps.filter((step) => !step.passed && !step.skipped).length;
+  const skipped = steps.filter((step) => step.skipped).length;
+  const durationMs = reports.reduce((total, report) => total + report.durationMs, 0);
+  
+  return '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + `<testsuites name="bb-tpp-api-simulator scenarios" tests="${steps.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${seconds(durationMs)}">\n`
+    + reports.flatMap((report) => report.runs.map((run) => renderTestSuite(report, run))).join('\n')
+    + '\n</testsuites>\n';
+}
@@ -0,0 +1,493 @@
+/**
+ * Scenario Runner
+ * Runs declarative multi-step journeys (YAML or JSON) against the service functions
+ * and reports pass/fail per step.
+ *
+ * A scenario:
+ *   name: AIS consent lifecycle
+ *   providers: [backbase_dev_uk]        # the steps run once per provider
+ *   apiVersions: [v3.1, v4.0]            # and once per OBIE API version (optional, the provider's otherwise)
+ *   profile: sandbox                     # TPP profile of every step (optional)
+ *   variables: { accountId: '22289' }    # initial variables (optional)
+ *   steps:
+ *     - name: Create consent
+ *       action: ais.createConsent        # see actions.js
+ *       with: { permissions: [...] }     # action arguments, ${name} is replaced by a variable
+ *       profile: aisp-only               # TPP profile of this step (optional)
+ *       capture: { consentId: $.consentId }
+ *       expect:
+ *         status: 200                    # HTTP status the simulator API would answer with
+ *         json: { $.status: AwaitingAuthorisation }
+ *       continueOnFailure: false         # run the next steps even if this one fails
+ *
+ * Steps after a failed step are skipped, unless the failed step sets continueOnFailure.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { getAction, getActionNames } from './actions.js';
+import { validate } from '../uk/shared/schema-validator.js';
+import { createHttpError, generateUuid } from '../uk/shared/utils.js';
+import { getDefaultRedirectUri } from '../uk/shared/config.js';
+import { runWithTppProfile } from '../uk/shared/tpp-profiles.js';
+import { getInteraction, runWithInteraction } from '../uk/shared/fapi.js';
+import { isObieVersion, normaliseObieVersion, OBIE_VERSIONS, runWithObieVersion } from '../uk/shared/obie-version.js';
+import { getProvider } from '../providers/registry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCENARIO_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+const MATCHERS = ['equals', 'notEquals', 'exists', 'contains', 'matches', 'oneOf', 'gt', 'gte', 'lt', 'lte'];
+
+/**
+ * Directory scenario files are read from (SCENARIOS_DIR, defaults to scenarios/ in the repository root)
+ */
+export function getScenariosDir() {
+  return path.resolve(process.env.SCENARIOS_DIR || path.join(__dirname, '..', '..', '..', 'scenarios'));
+}
+
+/**
+ * Schema of a scenario definition
+ */
+function getScenarioSchema() {
+  return {
+    type: 'object',
+    required: ['steps'],
+    properties: {
+      name: { type: 'string' },
+      description: { type: 'string' },
+      providers: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+      apiVersions: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'string',
+          check: (version, versionPath) => (isObieVersion(version)
+            ? []
+            : [{ path: versionPath, message: `must be one of: ${OBIE_VERSIONS.join(', ')}` }])
+        }
+      },
+      profile: { type: 'string', minLength: 1 },
+      variables: { type: 'object' },
+      steps: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['action'],
+          additionalProperties: false,
+          properties: {
+            name: { type: 'string' },
+            action: { type: 'string', enum: getActionNames() },
+            with: { type: 'object' },
+            capture: { type: 'object' },
+            profile: { type: 'string', minLength: 1 },
+            expect: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                status: { type: 'integer' },
+                json: { type: 'object' }
+              }
+            },
+            continueOnFailure: { type: 'boolean' }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Parse a scenario from YAML or JSON text (JSON is valid YAML)
+ *
+ * @param {string} text - Scenario file content
+ * @param {string} source - File name used in error messages (optional)
+ * @returns {Object} Validated scenario
+ * @throws {Error} 400 if the text cannot be parsed or the scenario is invalid
+ */
+export function parseScenario(text, source = 'Scenario') {
+  let scenario;
+  try {
+    scenario = YAML.parse(text);
+  } catch (error) {
+    throw createHttpError(400, `${source} is not valid YAML or JSON: ${error.message}`);
+  }
+  
+  return checkScenario(scenario, source);
+}
+
+/**
+ * Validate a scenario definition
+ *
+ * @throws {Error} 400 listing every violation
+ */
+export function checkScenario(scenario, source = 'Scenario') {
+  const violations = validate(getScenarioSchema(), scenario);
+  
+  if (violations.length > 0) {
+    throw createHttpError(400, `${source} is invalid with ${violations.length} violation(s)`, {
+      violations,
+      supportedActions: getActionNames()
+    });
+  }
+  
+  return scenario;
+}
+
+/**
+ * Resolve a scenario file name inside the scenarios directory
+ *
+ * @throws {Error} 400 for paths outside the directory, 404 for missing files
+ */
+export function resolveScenarioFile(file) {
+  const scenariosDir = getScenariosDir();
+  const filePath = path.resolve(scenariosDir, file);
+  
+  if (!filePath.startsWith(scenariosDir + path.sep)) {
+    throw createHttpError(400, `Scenario file must be inside ${scenariosDir}`);
+  }
+  if (!fs.existsSync(filePath)) {
+    throw createHttpError(404, `Scenario file not found: ${file}`);
+  }
+  
+  return filePath;
+}
+
+/**
+ * Load and validate a scenario file
+ */
+export function loadScenarioFile(filePath) {
+  return {
+    ...parseScenario(fs.readFileSync(filePath, 'utf8'), path.basename(filePath)),
+    file: path.basename(filePath)
+  };
+}
+
+/**
+ * List the scenario files of a directory
+ *
+ * @param {string} dir - Directory (optional, defaults to the scenarios directory)
+ * @returns {Array<string>} File paths, sorted by name
+ */
+export function listScenarioFiles(dir = getScenariosDir()) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  
+  return fs.readdirSync(dir)
+    .filter((file) => SCENARIO_EXTENSIONS.includes(path.extname(file)))
+    .sort()
+    .map((file) => path.join(dir, file));
+}
+
+/**
+ * Read a value at a JSON path such as $.Data.Account[0].AccountId
+ * Array lengths are available as .length
+ *
+ * @returns {*} Value, or undefined if the path does not exist
+ */
+export function getJsonPath(value, jsonPath) {
+  if (jsonPath === '$') {
+    return value;
+  }
+  if (!jsonPath.startsWith('$.') && !jsonPath.startsWith('$[')) {
+    throw createHttpError(400, `JSON path must start with $: ${jsonPath}`);
+  }
+  
+  const segments = jsonPath.substring(1).match(/\.[^.[\]]+|\[\d+\]|\['[^']*'\]/g) || [];
+  
+  return segments.reduce((current, segment) => {
+    if (current === undefined || current === null) {
+      return undefined;
+    }
+    if (segment.startsWith('[\'')) {
+      return current[segment.slice(2, -2)];
+    }
+    if (segment.startsWith('[')) {
+      return current[Number(segment.slice(1, -1))];
+    }
+    return current[segment.substring(1)];
+  }, value);
+}
+
+/**
+ * Replace ${name} placeholders with variables
+ * A string that is a single placeholder keeps the type of the variable,
+ * ${env.NAME} reads an environment variable and ${name.path} reads into an object.
+ */
+export function interpolate(value, variables) {
+  if (typeof value === 'string') {
+    const resolve = (name) => {
+      if (name.startsWith('env.')) {
+        return process.env[name.substring(4)];
+      }
+      const result = getJsonPath(variables, `$.${name}`);
+      if (result === undefined) {
+        throw createHttpError(400, `Unknown variable: ${name}`);
+      }
+      return result;
+    };
+    
+    const single = value.match(/^\$\{([^}]+)\}$/);
+    if (single) {
+      return resolve(single[1].trim());
+    }
+    return value.replace(/\$\{([^}]+)\}/g, (match, name) => {
+      const result = resolve(name.trim());
+      return typeof result === 'object' ? JSON.stringify(result) : String(result);
+    });
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map((item) => interpolate(item, variables));
+  }
+  
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, variables)]));
+  }
+  
+  return value;
+}
+
+function isEqual(actual, expected) {
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+function describeValue(value) {
+  return value === undefined ? 'undefined' : JSON.stringify(value);
+}
+
+/**
+ * Check a value against a matcher
+ * A scalar, array or object without matcher keys is compared for equality, an object with
+ * matcher keys (equals, notEquals, exists, contains, matches, oneOf, gt, gte, lt, lte)
+ * applies every matcher.
+ *
+ * @returns {Array<string>} Failure messages
+ */
+export function matchValue(actual, matcher) {
+  const isMatcherObject = matcher !== null
+    && typeof matcher === 'object'
+    && !Array.isArray(matcher)
+    && Object.keys(matcher).length > 0
+    && Object.keys(matcher).every((key) => MATCHERS.includes(key));
+  
+  if (!isMatcherObject) {
+    return isEqual(actual, matcher) ? [] : [`expected ${describeValue(matcher)}, got ${describeValue(actual)}`];
+  }
+  
+  const checks = {
+    equals: (expected) => isEqual(actual, expected),
+    notEquals: (expected) => !isEqual(actual, expected),
+    exists: (expected) => (actual !== undefined && actual !== null) === expected,
+    contains: (expected) => (Array.isArray(actual)
+      ? actual.some((item) => isEqual(item, expected))
+      : typeof actual === 'string' && actual.includes(String(expected))),
+    matches: (expected) => typeof actual === 'string' && new RegExp(expected).test(actual),
+    oneOf: (expected) => Array.isArray(expected) && expected.some((item) => isEqual(actual, item)),
+    gt: (expected) => Number(actual) > expected,
+    gte: (expected) => Number(actual) >= expected,
+    lt: (expected) => Number(actual) < expected,
+    lte: (expected) => Number(actual) <= expected
+  };
+  
+  return Object.entries(matcher)
+    .filter(([name, expected]) => !checks[name](expected))
+    .map(([name, expected]) => `expected ${name} ${describeValue(expected)}, got ${describeValue(actual)}`);
+}
+
+/**
+ * Call the action of a step and describe the outcome like the simulator API would:
+ * the data with status 200, or an error body with the status of the error
+ */
+async function callAction(action, args, context) {
+  try {
+    const data = await action(args, context);
+    return { status: 200, body: data ?? null };
+  } catch (error) {
+    return {
+      status: error.status || 500,
+      body: {
+        error: error.message,
+        details: error.response?.data || error.details || null
+      }
+    };
+  }
+}
+
+/**
+ * Run one step: interpolate its arguments, call the action, check the expectations
+ * and capture variables from the response
+ */
+async function runStep(step, variables, context) {
+  const startedAt = Date.now();
+  const failures = [];
+  const captured = {};
+  let outcome = null;
+  const interactionId = generateUuid();
+  
+  try {
+    const args = interpolate(step.with || {}, variables);
+    const call = () => callAction(getAction(step.action), args, context);
+    // Every step is a FAPI interaction of its own, so its upstream calls can be found in the ASPSP's logs
+    outcome = await runWithInteraction({ ...getInteraction(), interactionId }, () => (
+      step.profile ? runWithTppProfile(step.profile, call) : call()
+    ));
+  } catch (error) {
+    failures.push(error.message);
+  }
+  
+  if (outcome) {
+    const { status: expectedStatus, json = {} } = step.expect || {};
+    
+    if (expectedStatus !== undefined && outcome.status !== expectedStatus) {
+      failures.push(`expected status ${expectedStatus}, got ${outcome.status}`);
+    } else if (expectedStatus === undefined && outcome.status !== 200) {
+      failures.push(`${step.action} failed with status ${outcome.status}: ${outcome.body.error}`);
+    }
+    
+    Object.entries(json).forEach(([jsonPath, matcher]) => {
+      try {
+        const expected = interpolate(matcher, variables);
+        matchValue(getJsonPath(outcome.body, jsonPath), expected)
+          .forEach((message) => failures.push(`${jsonPath}: ${message}`));
+      } catch (error) {
+        failures.push(`${jsonPath}: ${error.message}`);
+      }
+    });
+    
+    Object.entries(step.capture || {}).forEach(([name, jsonPath]) => {
+      try {
+        const value = getJsonPath(outcome.body, jsonPath);
+        if (value === undefined) {
+          failures.push(`capture ${name}: nothing at ${jsonPath}`);
+          return;
+        }
+        captured[name] = value;
+        variables[name] = value;
+      } catch (error) {
+        failures.push(`capture ${name}: ${error.message}`);
+      }
+    });
+  }
+  
+  return {
+    name: step.name || step.action,
+    action: step.action,
+    passed: failures.length === 0,
+    skipped: false,
+    status: outcome?.status ?? null,
+    interactionId,
+    durationMs: Date.now() - startedAt,
+    failures,
+    captured,
+    // The response only helps to understand a failure
+    ...(failures.length > 0 && { response: outcome?.body ?? null })
+  };
+}
+
+/**
+ * Run the steps of a scenario for one provider and OBIE API version
+ */
+async function runForProvider(scenario, providerCode, apiVersion, redirectUri) {
+  const startedAt = Date.now();
+  const variables = { ...scenario.variables, providerCode, redirectUri, ...(apiVersion && { apiVersion }) };
+  const context = { providerCode, redirectUri };
+  const steps = [];
+  let skipRemaining = false;
+  const label = apiVersion ? `${providerCode} OBIE ${apiVersion}` : providerCode;
+  
+  console.log(`\n🧪 Scenario: ${scenario.name || scenario.file || 'unnamed'} [${label}]`);
+  
+  for (const step of scenario.steps) {
+    if (skipRemaining) {
+      steps.push({
+        name: step.name || step.action,
+        action: step.action,
+        passed: false,
+        skipped: true,
+        status: null,
+        interactionId: null,
+        durationMs: 0,
+        failures: [],
+        captured: {}
+      });
+      console.log(`   ⏭️  ${step.name || step.action} (skipped)`);
+      continue;
+    }
+    
+    const result = await runStep(step, variables, context);
+    steps.push(result);
+    
+    if (result.passed) {
+      console.log(`   ✅ ${result.name} (${result.durationMs} ms)`);
+    } else {
+      console.log(`   ❌ ${result.name}: ${result.failures.join('; ')} (${result.interactionId})`);
+      skipRemaining = !step.continueOnFailure;
+    }
+  }
+  
+  return {
+    providerCode,
+    apiVersion,
+    passed: steps.every((step) => step.passed),
+    durationMs: Date.now() - startedAt,
+    steps
+  };
+}
+
+/**
+ * Run a scenario once per provider and OBIE API version, with the scenario's TPP profile if it has one
+ *
+ * @param {Object} scenario - Validated scenario
+ * @param {Object} options
+ * @param {Array<string>} options.providers - Overrides the providers of the scenario (optional)
+ * @param {Array<string>} options.apiVersions - Overrides the OBIE API versions of the scenario (optional)
+ * @param {string} options.redirectUri - OAuth redirect URI (optional, defaults to the profile's or env)
+ * @returns {Object} Report with the result of every step, per provider and API version
+ * @throws {Error} 400 if the scenario's profile is not defined or an API version is not supported
+ */
+export async function runScenario(scenario, { providers, apiVersions, redirectUri } = {}) {
+  const startedAt = Date.now();
+  const providerCodes = providers?.length
+    ? providers
+    : scenario.providers || [process.env.OB_PROVIDER_CODE || 'backbase_dev_uk'];
+  
+  // Reject unknown providers and versions before any step runs
+  providerCodes.forEach((providerCode) => getProvider(providerCode));
+  const versions = (apiVersions?.length ? apiVersions : scenario.apiVersions)?.map(normaliseObieVersion) || [null];
+  
+  const runAll = async () => {
+    const results = [];
+    for (const providerCode of providerCodes) {
+      for (const apiVersion of versions) {
+        const run = () => runForProvider(scenario, providerCode, apiVersion, redirectUri || getDefaultRedirectUri());
+        results.push(await (apiVersion ? runWithObieVersion(apiVersion, run) : run()));
+      }
+    }
+    return results;
+  };
+  
+  const runs = await (scenario.profile ? runWithTppProfile(scenario.profile, runAll) : runAll());
+  
+  const steps = runs.flatMap((run) => run.steps);
+  
+  return {
+    name: scenario.name || scenario.file || 'unnamed',
+    file: scenario.file || null,
+    passed: runs.every((run) => run.passed),
+    durationMs: Date.now() - startedAt,
+    summary: {
+      steps: steps.length,
+      passed: steps.filter((step) => step.passed).length,
+      failed: steps.filter((step) => !step.passed && !step.skipped).length,
+      skipped: steps.filter((step) => step.skipped).length
+    },
+    runs
+  };
+}
@@ -12,9 +12,11 @@
  */
 
 import axios from 'axios';
-import { getBaseUrl } from './shared/config.js';
-import { discoverOidc, buildAuthorizationUrl } from './shared/utils.js';
+import { getDefaultRedirectUri } from './shared/config.js';
+import { getObieApiUrl, getObieVersion } from '../providers/registry.js';
+import { discoverOidc, buildAuthorizationUrl, createUpstreamError } from './shared/utils.js';
 import { getClientGrantToken, buildRequestObjectJwt } from './shared/auth.js';
+import { registerConsent, updateConsentStatus } from './shared/consent-store.js';
 
 /**
  * Create AIS (Account Information Service) consent and return authorization URL
@@ -32,7 +34,6 @@ export async function createAISConsent({
   permissions,
   expirationDateTime
 }) {
-  const baseUrl = getBaseUrl();
   const scope = 'openid accounts payments'; // AIS scope includes accounts
   
   // Default AIS permissions for account information access
@@ -66,7 +67,7 @@ export async function createAISConsent({
   const clientGrantAuthorization = await getClientGrantToken(providerCode, redirectUri);
   
   // Create AIS account-access-consent (AISP endpoint)
-  const consentUrl = `${baseUrl}/api/${encodeURIComponent(providerCode)}/open-banking/v3.1/aisp/account-access-consents`;
+  const consentUrl = `${getObieApiUrl(providerCode)}/aisp/account-access-consents`;
   
   try {
     const { data } = await axios.post(consentUrl, consentBody, {
@@ -84,22 +85,36 @@ export async function createAISConsent({
     console.log(`✅ AIS Consent created: ${consentId}`);
     
     // Build request JWT for AIS authorization
+    // The consent ID is sent as OAuth state so the callback can match the redirect
     const requestJwt = buildRequestObjectJwt({
       tokenEndpoint,
       consentId,
       redirectUri,
-      scope
+      scope,
+      state: consentId
     });
     
     // Build AIS authorization URL
     const authorizationUrl = buildAuthorizationUrl(authorizationEndpoint, {
       redirectUri,
       scope,
-      requestJwt
+      requestJwt,
+      state: consentId
     });
     
     console.log(`🔗 AIS Authorization URL generated`);
     
+    // Remember the consent so the OAuth callback can store its token and it can be listed later
+    registerConsent(consentId, {
+      type: 'ais',
+      providerCode,
+      apiVersion: getObieVersion(providerCode),
+      redirectUri,
+      request: consentBody,
+      authorizationUrl,
+      status: data?.Data?.Status
+    });
+    
     return {
       consentId,
       authorizationUrl,
@@ -114,7 +129,7 @@ export async function createAISConsent({
       || error.response?.data?.message 
       || JSON.stringify(error.response?.data)
       || error.message;
-    throw new Error(`Failed to create AIS consent: ${errorMessage}`);
+    throw createUpstreamError(error, `Failed to create AIS consent: ${errorMessage}`);
   }
 }
 
@@ -128,11 +143,10 @@ export async function createAISConsent({
  * @returns {Object} AIS consent details including status, permissions, and expiration
  */
 export async function getConsentDetails(providerCode, consentId) {  
-  const baseUrl = getBaseUrl();
-  const url = `${baseUrl}/api/${encodeURIComponent(providerCode)}/open-banking/v3.1/aisp/account-access-consents/${encodeURIComponent(consentId)}`;
+  const url = `${getObieApiUrl(providerCode)}/aisp/account-access-consents/${encodeURIComponent(consentId)}`;
   
   // Get client credentials token for the request
-  const defaultRedirectUri = process.env.REDIRECT_URI || 'https://backbase-dev.com/callback';
+  const defaultRedirectUri = getDefaultRedirectUri();
   const clientGrantToken = await getClientGrantToken(providerCode, defaultRedirectUri);
   
   try {
@@ -142,6 +156,8 @@ export async function getConsentDetails(providerCode, consentId) {
       }
     });
     
+    updateConsentStatus(consentId, data?.Data?.Status);
+    
     return data;
   } catch (error) {
     console.error('Failed to fetch AIS consent details:');
@@ -152,7 +168,7 @@ export async function getConsentDetails(providerCode, consentId) {
       || error.response?.data?.message 
       || JSON.stringify(error.response?.data)
       || error.message;
-    throw new Error(`Failed to fetch AIS consent details: ${errorMessage}`);
+    throw createUpstreamError(error, `Failed to fetch AIS consent details: ${errorMessage}`);
   }
 }
 
@@ -166,11 +182,10 @@ export async function getConsentDetails(providerCode, consentId) {
  * @returns {boolean} True if consent was successfully revoked
  */
 export async function revokeAISConsent(providerCode, consentId) {
-  const baseUrl = getBaseUrl();
-  const url = `${baseUrl}/api/${encodeURIComponent(providerCode)}/open-banking/v3.1/aisp/account-access-consents/${encodeURIComponent(consentId)}`;
+  const url = `${getObieApiUrl(providerCode)}/aisp/account-access-consents/${encodeURIComponent(consentId)}`;
   
   // Get client credentials token for the request
-  const defaultRedirectUri = process.env.REDIRECT_URI || 'https://backbase-dev.com/callback';
+  const defaultRedirectUri = getDefaultRedirectUri();
   const clientGrantToken = await getClientGrantToken(providerCode, defaultRedirectUri);
   
   try {
@@ -180,6 +195,8 @@ export async function revokeAISConsent(providerCode, consentId) {
       }
     });
     
+    updateConsentStatus(consentId, 'Revoked');
+    
     // UK Open Banking DELETE endpoint returns 204 No Content on success
     return true;
   } catch (error) {
@@ -191,7 +208,7 @@ export async function revokeAISConsent(providerCode, consentId) {
       || error.response?.data?.message 
       || JSON.stringify(error.response?.data)
       || error.message;
-    throw new Error(`Failed to revoke AIS consent: ${errorMessage}`);
+    throw createUpstreamError(error, `Failed to revoke AIS consent: ${errorMessage}`);
   }
 }
 
@@ -0,0 +1,249 @@
+/**
+ * UK Open Banking CBPII Service - Confirmation of Funds
+ *
+ * Handles all communication with SaltEdge Priora API for UK Open Banking Card Based Payment Instrument Issuer services.
+ * This module provides functions for:
+ * - Creating CBPII consents (funds-confirmation-consents)
+ * - Retrieving consent details
+ * - Revoking consents
+ * - Confirming funds availability once a consent is authorised (funds-confirmations)
+ *
+ * NOTE: All functions here are specific to UK CBPII operations.
+ */
+
+import axios from 'axios';
+import { getDefaultRedirectUri } from './shared/config.js';
+import { getObieApiUrl, getObieVersion } from '../providers/registry.js';
+import { discoverOidc, buildAuthorizationUrl, createUpstreamError } from './shared/utils.js';
+import { getClientGrantToken, buildRequestObjectJwt } from './shared/auth.js';
+import { registerConsent, updateConsentStatus } from './shared/consent-store.js';
+
+/**
+ * Create default debtor account for funds confirmation
+ */
+function getDefaultDebtorAccount() {
+  return {
+    SchemeName: 'UK.OBIE.SortCodeAccountNumber',
+    Identification: '11280001234567',
+    Name: 'Andrea Smith',
+    SecondaryIdentification: '0002'
+  };
+}
+
+/**
+ * Create CBPII (Confirmation of Funds) consent and return authorization URL
+ * This creates a funds-confirmation-consent for checking funds on a debtor account
+ *
+ * @param {string} providerCode - Open Banking provider code
+ * @param {string} redirectUri - OAuth redirect URI
+ * @param {Object} debtorAccount - Account funds are checked on (optional, uses defaults if not provided)
+ * @param {string} expirationDateTime - Consent expiration date (optional, no expiry if not provided)
+ * @returns {Object} Consent details with authorization URL
+ */
+export async function createCBPIIConsent({
+  providerCode,
+  redirectUri,
+  debtorAccount,
+  expirationDateTime
+}) {
+  const scope = 'openid fundsconfirmations'; // CBPII scope
+  
+  const consentBody = {
+    Data: {
+      ...(expirationDateTime && { ExpirationDateTime: expirationDateTime }),
+      DebtorAccount: debtorAccount || getDefaultDebtorAccount()
+    }
+  };
+  
+  console.log(`🔄 Creating CBPII consent for provider: ${providerCode}...`);
+  
+  // Discover OIDC endpoints
+  const { authorizationEndpoint, tokenEndpoint } = await discoverOidc(providerCode);
+  
+  // Get client grant token
+  const clientGrantAuthorization = await getClientGrantToken(providerCode, redirectUri);
+  
+  // Create CBPII funds-confirmation-consent
+  const consentUrl = `${getObieApiUrl(providerCode)}/cbpii/funds-confirmation-consents`;
+  
+  try {
+    const { data } = await axios.post(consentUrl, consentBody, {
+      headers: {
+        'Authorization': clientGrantAuthorization,
+        'Content-Type': 'application/json'
+      }
+    });
+    
+    const consentId = data?.Data?.ConsentId;
+    if (!consentId) {
+      throw new Error('No ConsentId in response');
+    }
+    
+    console.log(`✅ CBPII Consent created: ${consentId}`);
+    
+    // Build request JWT for CBPII authorization
+    // The consent ID is sent as OAuth state so the callback can match the redirect
+    const requestJwt = buildRequestObjectJwt({
+      tokenEndpoint,
+      consentId,
+      redirectUri,
+      scope,
+      state: consentId
+    });
+    
+    // Build CBPII authorization URL
+    const authorizationUrl = buildAuthorizationUrl(authorizationEndpoint, {
+      redirectUri,
+      scope,
+      requestJwt,
+      state: consentId
+    });
+    
+    console.log(`🔗 CBPII Authorization URL generated`);
+    
+    // Remember the consent so the OAuth callback can store its token and it can be listed later
+    registerConsent(consentId, {
+      type: 'cbpii',
+      providerCode,
+      apiVersion: getObieVersion(providerCode),
+      redirectUri,
+      request: consentBody,
+      authorizationUrl,
+      status: data?.Data?.Status
+    });
+    
+    return {
+      consentId,
+      authorizationUrl,
+      status: data?.Data?.Status,
+    };
+  } catch (error) {
+    console.error('❌ CBPII Consent creation failed:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    const errorMessage = error.response?.data?.error
+      || error.response?.data?.message
+      || JSON.stringify(error.response?.data)
+      || error.message;
+    throw createUpstreamError(error, `Failed to create CBPII consent: ${errorMessage}`);
+  }
+}
+
+/**
+ * Get CBPII consent details by consent ID
+ *
+ * @param {string} providerCode - Open Banking provider code
+ * @param {string} consentId - CBPII consent identifier
+ * @returns {Object} CBPII consent details including status, debtor account and expiration
+ */
+export async function getConsentDetails(providerCode, consentId) {
+  const url = `${getObieApiUrl(providerCode)}/cbpii/funds-confirmation-consents/${encodeURIComponent(consentId)}`;
+  
+  // Get client credentials token for the request
+  const defaultRedirectUri = getDefaultRedirectUri();
+  const clientGrantToken = await getClientGrantToken(providerCode, defaultRedirectUri);
+  
+  try {
+    const { data } = await axios.get(url, {
+      headers: {
+        'Authorization': clientGrantToken
+      }
+    });
+    
+    updateConsentStatus(consentId, data?.Data?.Status);
+    
+    return data;
+  } catch (error) {
+    console.error('Failed to fetch CBPII consent details:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    const errorMessage = error.response?.data?.error
+      || error.response?.data?.message
+      || JSON.stringify(error.response?.data)
+      || error.message;
+    throw createUpstreamError(error, `Failed to fetch CBPII consent details: ${errorMessage}`);
+  }
+}
+
+/**
+ * Revoke/Delete CBPII consent by consent ID
+ *
+ * @param {string} providerCode - Open Banking provider code
+ * @param {string} consentId - CBPII consent identifier to revoke
+ * @returns {boolean} True if consent was successfully revoked
+ */
+export async function revokeCBPIIConsent(providerCode, consentId) {
+  const url = `${getObieApiUrl(providerCode)}/cbpii/funds-confirmation-consents/${encodeURIComponent(consentId)}`;
+  
+  // Get client credentials token for the request
+  const defaultRedirectUri = getDefaultRedirectUri();
+  const clientGrantToken = await getClientGrantToken(providerCode, defaultRedirectUri);
+  
+  try {
+    await axios.delete(url, {
+      headers: {
+        'Authorization': clientGrantToken
+      }
+    });
+    
+    updateConsentStatus(consentId, 'Revoked');
+    
+    // UK Open Banking DELETE endpoint returns 204 No Content on success
+    return true;
+  } catch (error) {
+    console.error('Failed to revoke CBPII consent:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    const errorMessage = error.response?.data?.error
+      || error.response?.data?.message
+      || JSON.stringify(error.response?.data)
+      || error.message;
+    throw createUpstreamError(error, `Failed to revoke CBPII consent: ${errorMessage}`);
+  }
+}
+
+/**
+ * Confirm funds availability under an authorised CBPII consent
+ *
+ * @param {string} providerCode - Open Banking provider code
+ * @param {string} consentId - Authorised CBPII consent identifier
+ * @param {string} accessToken - Bearer token obtained from the authorization code of the consent
+ * @param {Object} instructedAmount - Amount to check ({ Amount, Currency })
+ * @param {string} reference - Reference of the card transaction (optional)
+ * @returns {Object} Funds confirmation resource including FundsAvailable
+ */
+export async function confirmFunds(providerCode, consentId, accessToken, { instructedAmount, reference }) {
+  const url = `${getObieApiUrl(providerCode)}/cbpii/funds-confirmations`;
+  
+  const body = {
+    Data: {
+      ConsentId: consentId,
+      Reference: reference || `CBPII-${Date.now()}`,
+      InstructedAmount: instructedAmount
+    }
+  };
+  
+  try {
+    const { data } = await axios.post(url, body, {
+      headers: {
+        'Authorization': accessToken,
+        'Content-Type': 'application/json'
+      }
+    });
+    
+    return data;
+  } catch (error) {
+    console.error('Failed to confirm funds:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    const errorMessage = error.response?.data?.error
+      || error.response?.data?.message
+      || JSON.stringify(error.response?.data)
+      || error.message;
+    throw createUpstreamError(error, `Failed to confirm funds: ${errorMessage}`);
+  }
+}
@@ -0,0 +1,505 @@
+/**
+ * UK Open Banking v3.1 and v4.0 Request Schemas
+ *
+ * Schemas of the AIS and PIS request bodies accepted by the simplified routes, following the
+ * OBIE v3.1 Read/Write API JSON schemas. Used with services/uk/shared/schema-validator.js
+ * so invalid bodies are rejected with every violation before anything is sent to Priora.
+ *
+ * The v4.0 payment schemas are derived from the v3.1 ones (see toV4Initiation and riskV4):
+ * ISO 20022 codes in LocalInstrument, Purpose and CategoryPurposeCode, UltimateCreditor and
+ * UltimateDebtor, and structured RemittanceInformation. The AIS schema is the same in both versions.
+ *
+ * Only the OBIE objects (Initiation, Risk, accounts, amounts...) reject unknown properties,
+ * the simplified route bodies around them stay open.
+ */
+
+export const AIS_PERMISSIONS = [
+  'ReadAccountsBasic', 'ReadAccountsDetail', 'ReadBalances',
+  'ReadBeneficiariesBasic', 'ReadBeneficiariesDetail',
+  'ReadDirectDebits', 'ReadOffers', 'ReadPAN', 'ReadParty', 'ReadPartyPSU',
+  'ReadProducts', 'ReadScheduledPaymentsBasic', 'ReadScheduledPaymentsDetail',
+  'ReadStandingOrdersBasic', 'ReadStandingOrdersDetail', 'ReadStatementsBasic',
+  'ReadStatementsDetail', 'ReadTransactionsBasic', 'ReadTransactionsCredits',
+  'ReadTransactionsDebits', 'ReadTransactionsDetail'
+];
+
+// Identification format of each OBIE account scheme
+const ACCOUNT_IDENTIFICATION_PATTERNS = {
+  'UK.OBIE.SortCodeAccountNumber': {
+    pattern: /^\d{14}$/,
+    description: 'a 6 digit sort code followed by an 8 digit account number (14 digits)'
+  },
+  'UK.OBIE.IBAN': {
+    pattern: /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/,
+    description: 'an IBAN without spaces (15 to 34 characters)'
+  },
+  'UK.OBIE.BBAN': {
+    pattern: /^[A-Z0-9]{1,30}$/,
+    description: 'a BBAN without spaces (up to 30 characters)'
+  },
+  'UK.OBIE.PAN': {
+    pattern: /^\d{12,19}$/,
+    description: 'a card number (12 to 19 digits)'
+  }
+};
+
+const text = (maxLength) => ({ type: 'string', minLength: 1, maxLength });
+
+const dateTime = { type: 'string', format: 'date-time' };
+
+const futureDateTime = { ...dateTime, future: true };
+
+const currency = { type: 'string', pattern: '^[A-Z]{3,3}$' };
+
+const amount = {
+  type: 'object',
+  required: ['Amount', 'Currency'],
+  additionalProperties: false,
+  properties: {
+    Amount: { type: 'string', pattern: '^\\d{1,13}$|^\\d{1,13}\\.\\d{1,5}$' },
+    Currency: currency
+  }
+};
+
+/**
+ * OBCashAccount - debtor and creditor accounts
+ * The Identification length depends on the SchemeName
+ */
+const cashAccount = {
+  type: 'object',
+  required: ['SchemeName', 'Identification'],
+  additionalProperties: false,
+  properties: {
+    SchemeName: { type: 'string', enum: ['UK.OBIE.BBAN', 'UK.OBIE.IBAN', 'UK.OBIE.PAN', 'UK.OBIE.Paym', 'UK.OBIE.SortCodeAccountNumber'] },
+    Identification: text(256),
+    Name: text(70),
+    SecondaryIdentification: text(34)
+  },
+  check: (account, path) => {
+    const format = ACCOUNT_IDENTIFICATION_PATTERNS[account.SchemeName];
+    if (!format || typeof account.Identification !== 'string' || format.pattern.test(account.Identification)) {
+      return [];
+    }
+    return [{
+      path: `${path}.Identification`,
+      message: `must be ${format.description} for ${account.SchemeName}`
+    }];
+  }
+};
+
+const postalAddress = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    AddressType: text(70),
+    Department: text(70),
+    SubDepartment: text(70),
+    StreetName: text(70),
+    BuildingNumber: text(16),
+    PostCode: text(16),
+    TownName: text(35),
+    CountrySubDivision: text(35),
+    Country: { type: 'string', pattern: '^[A-Z]{2,2}$' },
+    AddressLine: { type: 'array', maxItems: 7, items: text(70) }
+  }
+};
+
+const remittanceInformation = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    Unstructured: text(140),
+    Reference: text(35)
+  }
+};
+
+const supplementaryData = { type: 'object' };
+
+const frequency = {
+  type: 'string',
+  pattern: '^(EvryDay)$|^(EvryWorkgDay)$|^(IntrvlWkDay:0[1-9]:0[1-7])$|^(WkInMnthDay:0[1-5]:0[1-7])$'
+    + '|^(IntrvlMnthDay:(0[1-6]|12|24):(-0[1-5]|0[1-9]|[12][0-9]|3[01]))$|^(QtrDay:(ENGLISH|SCOTTISH|RECEIVED))$'
+};
+
+const internationalFields = {
+  InstructionPriority: { type: 'string', enum: ['Normal', 'Urgent'] },
+  Purpose: text(4),
+  ChargeBearer: { type: 'string', enum: ['BorneByCreditor', 'BorneByDebtor', 'FollowingServiceLevel', 'Shared'] },
+  CurrencyOfTransfer: currency,
+  Creditor: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      Name: text(140),
+      PostalAddress: postalAddress
+    }
+  },
+  CreditorAgent: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      SchemeName: { type: 'string', enum: ['UK.OBIE.BICFI'] },
+      Identification: text(35),
+      Name: text(140),
+      PostalAddress: postalAddress
+    }
+  }
+};
+
+const domesticInitiation = {
+  type: 'object',
+  required: ['InstructionIdentification', 'EndToEndIdentification', 'InstructedAmount', 'CreditorAccount'],
+  additionalProperties: false,
+  properties: {
+    InstructionIdentification: text(35),
+    EndToEndIdentification: text(35),
+    LocalInstrument: text(50),
+    InstructedAmount: amount,
+    DebtorAccount: cashAccount,
+    CreditorAccount: cashAccount,
+    CreditorPostalAddress: postalAddress,
+    RemittanceInformation: remittanceInformation,
+    SupplementaryData: supplementaryData
+  }
+};
+
+const domesticStandingOrderInitiation = {
+  type: 'object',
+  required: ['Frequency', 'FirstPaymentDateTime', 'FirstPaymentAmount', 'CreditorAccount'],
+  additionalProperties: false,
+  properties: {
+    Frequency: frequency,
+    Reference: text(35),
+    NumberOfPayments: text(35),
+    FirstPaymentDateTime: futureDateTime,
+    RecurringPaymentDateTime: futureDateTime,
+    FinalPaymentDateTime: futureDateTime,
+    FirstPaymentAmount: amount,
+    RecurringPaymentAmount: amount,
+    FinalPaymentAmount: amount,
+    DebtorAccount: cashAccount,
+    CreditorAccount: cashAccount,
+    SupplementaryData: supplementaryData
+  }
+};
+
+const internationalInitiation = {
+  type: 'object',
+  required: ['InstructionIdentification', 'EndToEndIdentification', 'CurrencyOfTransfer', 'InstructedAmount', 'CreditorAccount'],
+  additionalProperties: false,
+  properties: {
+    InstructionIdentification: text(35),
+    EndToEndIdentification: text(35),
+    LocalInstrument: text(50),
+    ...internationalFields,
+    InstructedAmount: amount,
+    ExchangeRateInformation: {
+      type: 'object',
+      required: ['UnitCurrency', 'RateType'],
+      additionalProperties: false,
+      properties: {
+        UnitCurrency: currency,
+        ExchangeRate: { type: 'number' },
+        RateType: { type: 'string', enum: ['Actual', 'Agreed', 'Indicative'] },
+        ContractIdentification: text(256)
+      }
+    },
+    DebtorAccount: cashAccount,
+    CreditorAccount: cashAccount,
+    RemittanceInformation: remittanceInformation,
+    SupplementaryData: supplementaryData
+  }
+};
+
+const internationalStandingOrderInitiation = {
+  type: 'object',
+  required: ['Frequency', 'FirstPaymentDateTime', 'CurrencyOfTransfer', 'InstructedAmount', 'CreditorAccount'],
+  additionalProperties: false,
+  properties: {
+    Frequency: frequency,
+    Reference: text(35),
+    NumberOfPayments: text(35),
+    FirstPaymentDateTime: futureDateTime,
+    FinalPaymentDateTime: futureDateTime,
+    ...internationalFields,
+    InstructedAmount: amount,
+    DebtorAccount: cashAccount,
+    CreditorAccount: cashAccount,
+    SupplementaryData: supplementaryData
+  }
+};
+
+/**
+ * Add a required future RequestedExecutionDateTime to an initiation schema
+ */
+function scheduled(initiation) {
+  return {
+    ...initiation,
+    required: [...initiation.required, 'RequestedExecutionDateTime'],
+    properties: {
+      ...initiation.properties,
+      RequestedExecutionDateTime: futureDateTime
+    }
+  };
+}
+
+/**
+ * Initiation schema of each payment consent product
+ */
+const INITIATION_SCHEMAS = {
+  'domestic-payment-consents': domesticInitiation,
+  'domestic-scheduled-payment-consents': scheduled(domesticInitiation),
+  'domestic-standing-order-consents': domesticStandingOrderInitiation,
+  'international-payment-consents': internationalInitiation,
+  'international-scheduled-payment-consents': scheduled(internationalInitiation),
+  'international-standing-order-consents': internationalStandingOrderInitiation
+};
+
+// Additional Initiation fields of a file payment consent, the file fields are computed by the service
+const fileInitiation = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    FileType: text(40),
+    FileHash: text(44),
+    FileReference: text(40),
+    NumberOfTransactions: { type: 'string', pattern: '^\\d{1,15}$' },
+    ControlSum: { type: 'number' },
+    RequestedExecutionDateTime: futureDateTime,
+    LocalInstrument: text(50),
+    DebtorAccount: cashAccount,
+    RemittanceInformation: remittanceInformation,
+    SupplementaryData: supplementaryData
+  }
+};
+
+const authorisation = {
+  type: 'object',
+  required: ['AuthorisationType'],
+  additionalProperties: false,
+  properties: {
+    AuthorisationType: text(35),
+    CompletionDateTime: dateTime
+  }
+};
+
+const scaSupportData = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    RequestedSCAExemptionType: text(35),
+    RequestedScaExemptionType: text(35),
+    AppliedAuthenticationApproach: text(35),
+    ReferencePaymentOrderId: text(128)
+  }
+};
+
+const risk = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    PaymentContextCode: { type: 'string', enum: ['BillPayment', 'EcommerceGoods', 'EcommerceServices', 'Other', 'PartyToParty'] },
+    MerchantCategoryCode: { type: 'string', minLength: 3, maxLength: 4 },
+    MerchantCustomerIdentification: text(70),
+    DeliveryAddress: {
+      type: 'object',
+      required: ['TownName', 'Country'],
+      additionalProperties: false,
+      properties: {
+        AddressLine: { type: 'array', maxItems: 2, items: text(70) },
+        StreetName: text(70),
+        BuildingNumber: text(16),
+        PostCode: text(16),
+        TownName: text(35),
+        CountrySubDivision: text(35),
+        Country: { type: 'string', pattern: '^[A-Z]{2,2}$' }
+      }
+    }
+  }
+};
+
+// v4.0 ISO 20022 external codes, e.g. ExternalPurpose1Code GDDS or ExternalLocalInstrument1Code INST
+const isoCode = (maxLength) => ({ type: 'string', pattern: `^[A-Z0-9]{1,${maxLength}}$` });
+
+// v4.0 UltimateCreditor and UltimateDebtor
+const ultimateParty = {
+  type: 'object',
+  required: ['Name'],
+  additionalProperties: false,
+  properties: {
+    Name: text(140),
+    Identification: text(256),
+    LEI: { type: 'string', pattern: '^[A-Z0-9]{18}[0-9]{2}$' },
+    SchemeName: text(40),
+    PostalAddress: postalAddress
+  }
+};
+
+// v4.0 RemittanceInformation: repeatable unstructured lines and ISO 20022 structured references
+const remittanceInformationV4 = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    Unstructured: { type: 'array', items: text(140) },
+    Structured: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          ReferredDocumentAmount: { type: 'number' },
+          CreditorReferenceInformation: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              Code: isoCode(4),
+              Issuer: text(35),
+              Reference: text(35)
+            }
+          },
+          Invoicer: text(140),
+          Invoicee: text(140),
+          TaxRemittance: { type: 'object' },
+          AdditionalRemittanceInformation: { type: 'array', maxItems: 3, items: text(140) }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Derive the v4.0 schema of a v3.1 initiation
+ */
+function toV4Initiation(initiation) {
+  const { properties } = initiation;
+  return {
+    ...initiation,
+    properties: {
+      ...properties,
+      ...(properties.LocalInstrument && { LocalInstrument: isoCode(35) }),
+      ...(properties.Purpose && { Purpose: isoCode(4), ExtendedPurpose: text(140) }),
+      ...(properties.RemittanceInformation && { RemittanceInformation: remittanceInformationV4 }),
+      CategoryPurposeCode: isoCode(4),
+      UltimateCreditor: ultimateParty,
+      UltimateDebtor: ultimateParty
+    }
+  };
+}
+
+const riskV4 = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    ...risk.properties,
+    PaymentContextCode: {
+      type: 'string',
+      enum: [
+        'BillingGoodsAndServicesInAdvance', 'BillingGoodsAndServicesInArrears', 'PispPayee',
+        'EcommerceMerchantInitiatedPayment', 'FaceToFacePointOfSale', 'TransferToSelf', 'TransferToThirdParty'
+      ]
+    },
+    PaymentPurposeCode: isoCode(4),
+    CategoryPurposeCode: isoCode(4),
+    ContractPresentIndicator: { type: 'boolean' },
+    BeneficiaryPrepopulatedIndicator: { type: 'boolean' },
+    BeneficiaryAccountType: {
+      type: 'string',
+      enum: ['Personal', 'JointPersonal', 'PersonalSavingsAccount', 'Business', 'BusinessSavingsAccount', 'Charity', 'Collection', 'Corporate', 'Government', 'Ewallet', 'Investment', 'ISA', 'Premier', 'Wealth', 'Pension']
+    }
+  }
+};
+
+/**
+ * Check the permission combinations required by the OBIE v3.1 AIS specification
+ * - ReadTransactionsBasic/Detail need ReadTransactionsCredits and/or ReadTransactionsDebits
+ * - ReadTransactionsCredits/Debits need ReadTransactionsBasic or ReadTransactionsDetail
+ * - ReadPAN only applies together with a Detail permission
+ */
+function checkPermissionDependencies(permissions, path) {
+  const has = (permission) => permissions.includes(permission);
+  const violations = [];
+  const require = (permission, needed) => {
+    if (has(permission) && !needed.some(has)) {
+      violations.push({
+        path: `${path}[${permissions.indexOf(permission)}]`,
+        message: `${permission} requires one of: ${needed.join(', ')}`
+      });
+    }
+  };
+  
+  require('ReadTransactionsBasic', ['ReadTransactionsCredits', 'ReadTransactionsDebits']);
+  require('ReadTransactionsDetail', ['ReadTransactionsCredits', 'ReadTransactionsDebits']);
+  require('ReadTransactionsCredits', ['ReadTransactionsBasic', 'ReadTransactionsDetail']);
+  require('ReadTransactionsDebits', ['ReadTransactionsBasic', 'ReadTransactionsDetail']);
+  require('ReadPAN', AIS_PERMISSIONS.filter((permission) => permission.endsWith('Detail')));
+  
+  return violations;
+}
+
+/**
+ * Schema of the POST /api/uk/ais/consent body
+ */
+export function getAISConsentRequestSchema() {
+  return {
+    type: 'object',
+    properties: {
+      providerCode: { type: 'string' },
+      redirectUri: { type: 'string' },
+      permissions: {
+        type: 'array',
+        minItems: 1,
+        uniqueItems: true,
+        items: { type: 'string', enum: AIS_PERMISSIONS },
+        check: checkPermissionDependencies
+      },
+      expirationDateTime: futureDateTime
+    }
+  };
+}
+
+/**
+ * Schema of the POST /api/uk/pis/consent body
+ * Unknown payment products are left to the PIS service, which lists the supported ones.
+ *
+ * @param {string} paymentProduct - Payment consent product of the request
+ * @param {string} apiVersion - OBIE API version ('v3.1' or 'v4.0', default: 'v3.1')
+ */
+export function getPISConsentRequestSchema(paymentProduct = 'domestic-payment-consents', apiVersion = 'v3.1') {
+  const initiation = INITIATION_SCHEMAS[paymentProduct];
+  const isV4 = apiVersion === 'v4.0';
+  
+  return {
+    type: 'object',
+    properties: {
+      providerCode: { type: 'string' },
+      redirectUri: { type: 'string' },
+      paymentProduct: { type: 'string' },
+      initiation: isV4 && initiation ? toV4Initiation(initiation) : initiation,
+      authorisation,
+      scaSupportData,
+      risk: isV4 ? riskV4 : risk
+    }
+  };
+}
+
+/**
+ * Schema of the POST /api/uk/pis/file-consent JSON body
+ *
+ * @param {string} apiVersion - OBIE API version ('v3.1' or 'v4.0', default: 'v3.1')
+ */
+export function getFileConsentRequestSchema(apiVersion = 'v3.1') {
+  return {
+    type: 'object',
+    properties: {
+      providerCode: { type: 'string' },
+      redirectUri: { type: 'string' },
+      fileType: { type: 'string' },
+      fileContent: { type: 'string' },
+      numberOfPayments: { type: 'integer' },
+      fileReference: text(40),
+      initiation: apiVersion === 'v4.0' ? toV4Initiation(fileInitiation) : fileInitiation,
+      authorisation,
+      scaSupportData
+    }
+  };
+}
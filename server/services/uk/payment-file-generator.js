@@ -0,0 +1,283 @@
+/**
+ * UK Open Banking Payment File Generator
+ *
+ * Builds and inspects bulk payment files for file-payment-consents:
+ * - UK.OBIE.PaymentInitiation.3.1 (JSON)
+ * - UK.OBIE.pain.001.001.08 (ISO 20022 XML, e.g. for Bacs)
+ *
+ * The consent must describe the file it authorises, so describePaymentFile computes
+ * FileHash (base64 SHA-256), NumberOfTransactions and ControlSum from the file content.
+ */
+
+import crypto from 'crypto';
+import { createHttpError } from './shared/utils.js';
+
+export const FILE_TYPES = {
+  'UK.OBIE.PaymentInitiation.3.1': {
+    contentType: 'application/json',
+    extension: 'json'
+  },
+  'UK.OBIE.pain.001.001.08': {
+    contentType: 'text/xml',
+    extension: 'xml'
+  }
+};
+
+const DEFAULT_DEBTOR_ACCOUNT = {
+  SchemeName: 'UK.OBIE.SortCodeAccountNumber',
+  Identification: '11280001234567',
+  Name: 'Andrea Smith'
+};
+
+// Generated files are built in memory
+const MAX_NUMBER_OF_PAYMENTS = 10000;
+
+const CREDITOR_NAMES = ['Bob Clements', 'Carol Jones', 'David Brown', 'Emma Wilson', 'Frank Taylor'];
+
+/**
+ * Get the definition of a supported file type
+ *
+ * @param {string} fileType - OBIE file type
+ * @returns {Object} File type definition (contentType, extension)
+ * @throws {Error} 400 if the file type is not supported
+ */
+export function getFileType(fileType) {
+  const definition = FILE_TYPES[fileType];
+  if (!definition) {
+    throw createHttpError(400, `Unsupported file type: ${fileType}`, {
+      supportedFileTypes: Object.keys(FILE_TYPES)
+    });
+  }
+  return definition;
+}
+
+/**
+ * Add up decimal amounts without floating point rounding
+ * The sum has the decimals of the most precise amount (OBIE amounts have up to 5).
+ *
+ * @param {Array<string>} amounts - Amounts, e.g. ['10.50', '0.125']
+ * @returns {string} Sum, e.g. '10.625'
+ */
+function sumAmounts(amounts) {
+  const decimals = Math.max(...amounts.map((amount) => amount.split('.')[1]?.length || 0));
+  const total = amounts.reduce((sum, amount) => {
+    const [units, fraction = ''] = amount.split('.');
+    return sum + BigInt(units + fraction.padEnd(decimals, '0'));
+  }, 0n);
+
+  const digits = total.toString().padStart(decimals + 1, '0');
+  return decimals ? `${digits.slice(0, -decimals)}.${digits.slice(-decimals)}` : digits;
+}
+
+/**
+ * Build the list of payments to put into a generated file
+ * Amounts vary per payment so the ControlSum is meaningful.
+ */
+function buildPayments({ numberOfPayments, currency, localInstrument }) {
+  const batchId = Date.now();
+
+  return Array.from({ length: numberOfPayments }, (_, index) => ({
+    InstructionIdentification: `BULK${batchId}-${index + 1}`,
+    EndToEndIdentification: `FRESCO.${batchId}.BULK.${index + 1}`,
+    LocalInstrument: localInstrument,
+    InstructedAmount: {
+      Amount: (10 + index * 1.5).toFixed(2),
+      Currency: currency
+    },
+    CreditorAccount: {
+      SchemeName: 'UK.OBIE.SortCodeAccountNumber',
+      Identification: `080800${String(21325698 + index).padStart(8, '0')}`,
+      Name: CREDITOR_NAMES[index % CREDITOR_NAMES.length]
+    },
+    RemittanceInformation: {
+      Reference: `BULK-${index + 1}`,
+      Unstructured: `Bulk payment ${index + 1} of ${numberOfPayments}`
+    }
+  }));
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function buildPaymentInitiationJson(payments) {
+  return JSON.stringify({
+    Data: {
+      DomesticPayments: payments
+    }
+  }, null, 2);
+}
+
+function buildPain001Xml(payments, { debtorAccount, controlSum }) {
+  const messageId = `MSG${Date.now()}`;
+  const createdAt = new Date().toISOString().replace(/\.\d{3}Z$/, '');
+  const executionDate = new Date().toISOString().slice(0, 10);
+
+  const transactions = payments.map((payment) => `      <CdtTrfTxInf>
+        <PmtId>
+          <InstrId>${escapeXml(payment.InstructionIdentification)}</InstrId>
+          <EndToEndId>${escapeXml(payment.EndToEndIdentification)}</EndToEndId>
+        </PmtId>
+        <Amt>
+          <InstdAmt Ccy="${escapeXml(payment.InstructedAmount.Currency)}">${payment.InstructedAmount.Amount}</InstdAmt>
+        </Amt>
+        <Cdtr>
+          <Nm>${escapeXml(payment.CreditorAccount.Name)}</Nm>
+        </Cdtr>
+        <CdtrAcct>
+          <Id>
+            <Othr>
+              <Id>${escapeXml(payment.CreditorAccount.Identification)}</Id>
+              <SchmeNm><Prtry>${escapeXml(payment.CreditorAccount.SchemeName)}</Prtry></SchmeNm>
+            </Othr>
+          </Id>
+        </CdtrAcct>
+        <RmtInf>
+          <Ustrd>${escapeXml(payment.RemittanceInformation.Unstructured)}</Ustrd>
+        </RmtInf>
+      </CdtTrfTxInf>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.08">
+  <CstmrCdtTrfInitn>
+    <GrpHdr>
+      <MsgId>${messageId}</MsgId>
+      <CreDtTm>${createdAt}</CreDtTm>
+      <NbOfTxs>${payments.length}</NbOfTxs>
+      <CtrlSum>${controlSum}</CtrlSum>
+      <InitgPty>
+        <Nm>${escapeXml(debtorAccount.Name)}</Nm>
+      </InitgPty>
+    </GrpHdr>
+    <PmtInf>
+      <PmtInfId>${messageId}-1</PmtInfId>
+      <PmtMtd>TRF</PmtMtd>
+      <NbOfTxs>${payments.length}</NbOfTxs>
+      <CtrlSum>${controlSum}</CtrlSum>
+      <PmtTpInf>
+        <LclInstrm><Prtry>${escapeXml(payments[0]?.LocalInstrument || 'UK.OBIE.BACS')}</Prtry></LclInstrm>
+      </PmtTpInf>
+      <ReqdExctnDt>
+        <Dt>${executionDate}</Dt>
+      </ReqdExctnDt>
+      <Dbtr>
+        <Nm>${escapeXml(debtorAccount.Name)}</Nm>
+      </Dbtr>
+      <DbtrAcct>
+        <Id>
+          <Othr>
+            <Id>${escapeXml(debtorAccount.Identification)}</Id>
+            <SchmeNm><Prtry>${escapeXml(debtorAccount.SchemeName)}</Prtry></SchmeNm>
+          </Othr>
+        </Id>
+      </DbtrAcct>
+      <DbtrAgt>
+        <FinInstnId>
+          <Othr><Id>NOTPROVIDED</Id></Othr>
+        </FinInstnId>
+      </DbtrAgt>
+${transactions}
+    </PmtInf>
+  </CstmrCdtTrfInitn>
+</Document>
+`;
+}
+
+/**
+ * Generate a valid test payment file with N payments
+ *
+ * @param {string} fileType - 'UK.OBIE.PaymentInitiation.3.1' or 'UK.OBIE.pain.001.001.08'
+ * @param {number} numberOfPayments - Number of payments in the file (default: 5, at most 10000)
+ * @param {string} currency - Currency of the payments (default: 'GBP')
+ * @param {string} localInstrument - Local instrument (default: UK.OBIE.FPS for JSON, UK.OBIE.BACS for pain.001)
+ * @param {Object} debtorAccount - Debtor account (pain.001 only, uses defaults if not provided)
+ * @returns {Object} Generated file content and its FileHash, NumberOfTransactions and ControlSum
+ * @throws {Error} 400 if the file type is not supported or numberOfPayments is not an integer from 1 to 10000
+ */
+export function generatePaymentFile({
+  fileType = 'UK.OBIE.PaymentInitiation.3.1',
+  numberOfPayments = 5,
+  currency = 'GBP',
+  localInstrument,
+  debtorAccount = DEFAULT_DEBTOR_ACCOUNT
+} = {}) {
+  getFileType(fileType);
+
+  const count = Number(numberOfPayments);
+  if (!Number.isInteger(count) || count < 1) {
+    throw createHttpError(400, 'numberOfPayments must be a positive integer');
+  }
+  if (count > MAX_NUMBER_OF_PAYMENTS) {
+    throw createHttpError(400, `numberOfPayments must be at most ${MAX_NUMBER_OF_PAYMENTS}`);
+  }
+
+  const isPain001 = fileType === 'UK.OBIE.pain.001.001.08';
+  const payments = buildPayments({
+    numberOfPayments: count,
+    currency,
+    localInstrument: localInstrument || (isPain001 ? 'UK.OBIE.BACS' : 'UK.OBIE.FPS')
+  });
+  const controlSum = sumAmounts(payments.map((payment) => payment.InstructedAmount.Amount));
+
+  const content = isPain001
+    ? buildPain001Xml(payments, { debtorAccount, controlSum })
+    : buildPaymentInitiationJson(payments);
+
+  return describePaymentFile(fileType, content);
+}
+
+/**
+ * Extract the instructed amounts from a payment file
+ */
+function readAmounts(fileType, content) {
+  if (fileType === 'UK.OBIE.pain.001.001.08') {
+    return [...content.matchAll(/<InstdAmt[^>]*>\s*([^<\s]+)\s*<\/InstdAmt>/g)].map((match) => match[1]);
+  }
+
+  let file;
+  try {
+    file = JSON.parse(content);
+  } catch (error) {
+    throw createHttpError(400, `Invalid ${fileType} file: ${error.message}`);
+  }
+
+  const payments = file?.Data?.DomesticPayments;
+  if (!Array.isArray(payments)) {
+    throw createHttpError(400, `Invalid ${fileType} file: Data.DomesticPayments must be an array`);
+  }
+  return payments.map((payment) => payment?.InstructedAmount?.Amount);
+}
+
+/**
+ * Compute the consent metadata of a payment file
+ *
+ * @param {string} fileType - OBIE file type
+ * @param {string} content - File content
+ * @returns {Object} { fileType, content, contentType, fileHash, numberOfTransactions, controlSum }
+ */
+export function describePaymentFile(fileType, content) {
+  const { contentType } = getFileType(fileType);
+  const amounts = readAmounts(fileType, content);
+
+  if (amounts.length === 0) {
+    throw createHttpError(400, `Invalid ${fileType} file: no payments found`);
+  }
+
+  const invalid = amounts.filter((amount) => !/^\d{1,13}(\.\d{1,5})?$/.test(amount ?? ''));
+  if (invalid.length > 0) {
+    throw createHttpError(400, `Invalid ${fileType} file: invalid amounts ${invalid.join(', ')}`);
+  }
+
+  return {
+    fileType,
+    content,
+    contentType,
+    fileHash: crypto.createHash('sha256').update(content, 'utf8').digest('base64'),
+    numberOfTransactions: String(amounts.length),
+    controlSum: Number(sumAmounts(amounts))
+  };
+}
@@ -3,23 +3,37 @@
  * 
  * Handles all communication with SaltEdge Priora API for UK Open Banking Payment Initiation Services.
  * This module provides functions for:
- * - Creating PIS consents (domestic-payment-consents)
+ * - Creating PIS consents for every v3.1/v4.0 PISP product (domestic, scheduled, standing order, international)
+ * - Creating file payment consents and uploading/downloading their payment file
  * - Retrieving consent details
+ * - Checking funds availability for authorised consents
+ * - Submitting payments, tracking their status and downloading file payment reports
+ * 
+ * Every POST carries a detached JWS (x-jws-signature) and the signature of the response is verified,
+ * see shared/jws.js.
  * 
  * NOTE: AIS (Account Information Services) is NOT implemented in this module.
  *       All functions here are specific to UK PIS/PISP operations.
  */
 
 import axios from 'axios';
-import { getBaseUrl } from './shared/config.js';
-import { discoverOidc, buildAuthorizationUrl } from './shared/utils.js';
+import { getDefaultRedirectUri } from './shared/config.js';
+import { getObieApiUrl, getObieVersion, getProvider, STANDARDS } from '../providers/registry.js';
+import { discoverOidc, buildAuthorizationUrl, createHttpError, createUpstreamError } from './shared/utils.js';
 import { getClientGrantToken, buildRequestObjectJwt } from './shared/auth.js';
+import { registerConsent, registerPayment, updateConsentStatus } from './shared/consent-store.js';
+import { postSigned } from './shared/jws.js';
+import { describePaymentFile, generatePaymentFile } from './payment-file-generator.js';
+
+const isoNowPlusDays = (days) => {
+  return new Date(Date.now() + days * 24 * 60 * 60000).toISOString();
+};
 
 /**
- * Create default PIS consent initiation data
+ * Create default domestic PIS consent initiation data
  * Based on UK Open Banking v3.1 specifications and Postman collection defaults
  */
-function getDefaultInitiation() {
+function getDefaultDomesticInitiation() {
   return {
     InstructionIdentification: 'ANSM023',
     EndToEndIdentification: `FRESCO.${Date.now()}.GFX.37`,
@@ -60,6 +74,143 @@ function getDefaultInitiation() {
   };
 }
 
+/**
+ * Create default domestic scheduled payment initiation data
+ * Same as the domestic payment, executed one week from now
+ */
+function getDefaultDomesticScheduledInitiation() {
+  const { LocalInstrument, ...initiation } = getDefaultDomesticInitiation();
+  return {
+    ...initiation,
+    RequestedExecutionDateTime: isoNowPlusDays(7)
+  };
+}
+
+/**
+ * Create default domestic standing order initiation data
+ * Monthly payment on the 15th, 12 payments starting one week from now
+ */
+function getDefaultDomesticStandingOrderInitiation() {
+  const { DebtorAccount, CreditorAccount } = getDefaultDomesticInitiation();
+  return {
+    Frequency: 'IntrvlMnthDay:01:15',
+    Reference: 'FRESCO-SO-037',
+    NumberOfPayments: '12',
+    FirstPaymentDateTime: isoNowPlusDays(7),
+    FirstPaymentAmount: {
+      Amount: '20.00',
+      Currency: 'GBP'
+    },
+    RecurringPaymentAmount: {
+      Amount: '20.00',
+      Currency: 'GBP'
+    },
+    FinalPaymentAmount: {
+      Amount: '20.00',
+      Currency: 'GBP'
+    },
+    DebtorAccount,
+    CreditorAccount,
+    SupplementaryData: {}
+  };
+}
+
+/**
+ * Create default international payment initiation data
+ * GBP amount transferred in EUR to an IBAN creditor account
+ */
+function getDefaultInternationalInitiation() {
+  return {
+    InstructionIdentification: 'ANSM024',
+    EndToEndIdentification: `FRESCO.${Date.now()}.GFX.38`,
+    InstructionPriority: 'Normal',
+    CurrencyOfTransfer: 'EUR',
+    ChargeBearer: 'Shared',
+    InstructedAmount: {
+      Amount: '50.00',
+      Currency: 'GBP'
+    },
+    ExchangeRateInformation: {
+      UnitCurrency: 'GBP',
+      RateType: 'Indicative'
+    },
+    DebtorAccount: {
+      SchemeName: 'UK.OBIE.SortCodeAccountNumber',
+      Identification: '11280001234567',
+      Name: 'Andrea Smith',
+      SecondaryIdentification: '0002'
+    },
+    Creditor: {
+      Name: 'Hans Muster',
+      PostalAddress: {
+        StreetName: 'Friedrichstrasse',
+        BuildingNumber: '45',
+        PostCode: '10117',
+        TownName: 'Berlin',
+        Country: 'DE'
+      }
+    },
+    CreditorAgent: {
+      SchemeName: 'UK.OBIE.BICFI',
+      Identification: 'COBADEFFXXX'
+    },
+    CreditorAccount: {
+      SchemeName: 'UK.OBIE.IBAN',
+      Identification: 'DE89370400440532013000',
+      Name: 'Hans Muster'
+    },
+    RemittanceInformation: {
+      Reference: 'FRESCO-038',
+      Unstructured: 'International invoice 5120104'
+    },
+    SupplementaryData: {}
+  };
+}
+
+/**
+ * Create default international scheduled payment initiation data
+ * Same as the international payment, executed one week from now
+ */
+function getDefaultInternationalScheduledInitiation() {
+  return {
+    ...getDefaultInternationalInitiation(),
+    RequestedExecutionDateTime: isoNowPlusDays(7)
+  };
+}
+
+/**
+ * Create default international standing order initiation data
+ * Monthly EUR transfer on the 15th, 12 payments starting one week from now
+ */
+function getDefaultInternationalStandingOrderInitiation() {
+  const {
+    CurrencyOfTransfer,
+    ChargeBearer,
+    DebtorAccount,
+    Creditor,
+    CreditorAgent,
+    CreditorAccount
+  } = getDefaultInternationalInitiation();
+
+  return {
+    Frequency: 'IntrvlMnthDay:01:15',
+    Reference: 'FRESCO-ISO-038',
+    NumberOfPayments: '12',
+    FirstPaymentDateTime: isoNowPlusDays(7),
+    CurrencyOfTransfer,
+    ChargeBearer,
+    InstructedAmount: {
+      Amount: '50.00',
+      Currency: 'GBP'
+    },
+    DebtorAccount,
+    Creditor,
+    CreditorAgent,
+    CreditorAccount,
+    SupplementaryData: {}
+  };
+}
+
 /**
  * Create default authorisation data
  */
@@ -81,10 +232,59 @@ function getDefaultSCASupportData() {
   };
 }
 
+/**
+ * Convert a v3.1 default initiation to OBIE v4.0
+ * LocalInstrument becomes an ISO 20022 code, RemittanceInformation is structured and
+ * the account holders are sent as UltimateDebtor and UltimateCreditor.
+ */
+function toV4Initiation(initiation) {
+  const { LocalInstrument, RemittanceInformation, ...rest } = initiation;
+  
+  return {
+    ...rest,
+    // ISO 20022 ExternalLocalInstrument1Code of an instant credit transfer (v3.1: UK.OBIE.FPS)
+    ...(LocalInstrument && { LocalInstrument: 'INST' }),
+    ...(RemittanceInformation && {
+      RemittanceInformation: {
+        Unstructured: [RemittanceInformation.Unstructured],
+        Structured: [{
+          CreditorReferenceInformation: {
+            Code: 'SCOR',
+            Reference: RemittanceInformation.Reference
+          }
+        }]
+      }
+    }),
+    ...(rest.DebtorAccount?.Name && { UltimateDebtor: { Name: rest.DebtorAccount.Name } }),
+    ...(rest.CreditorAccount?.Name && { UltimateCreditor: { Name: rest.CreditorAccount.Name } })
+  };
+}
+
+/**
+ * Create the default initiation of a payment product for an OBIE API version
+ */
+function getDefaultInitiation(product, apiVersion) {
+  const initiation = product.getDefaultInitiation();
+  return apiVersion === 'v4.0' ? toV4Initiation(initiation) : initiation;
+}
+
 /**
  * Create default risk data
+ * v4.0 replaced the PaymentContextCode values and added the ISO 20022 PaymentPurposeCode
+ * and the beneficiary indicators.
  */
-function getDefaultRisk() {
+function getDefaultRisk(apiVersion = 'v3.1') {
+  if (apiVersion === 'v4.0') {
+    const { PaymentContextCode, ...risk } = getDefaultRisk();
+    return {
+      ...risk,
+      PaymentContextCode: 'BillingGoodsAndServicesInAdvance',
+      PaymentPurposeCode: 'GDDS',
+      ContractPresentIndicator: false,
+      BeneficiaryPrepopulatedIndicator: false
+    };
+  }
+  
   return {
     PaymentContextCode: 'EcommerceGoods',
     MerchantCategoryCode: '5967',
@@ -104,9 +304,113 @@ function getDefaultRisk() {
   };
 }
 
+/**
+ * UK Open Banking PISP payment products (the same in v3.1 and v4.0)
+ * Maps each consent product to its default initiation, the payment-submission resource
+ * and the capabilities the product has in the specification.
+ * 
+ * - paymentResource: endpoint the payment is submitted to once the consent is authorised
+ * - paymentIdField: payment identifier field in the payment resource
+ * - requiresPermission: consent must carry Data.Permission ('Create')
+ * - fundsConfirmation: consent exposes /funds-confirmation
+ * - requiresFile: consent describes an uploaded payment file (see createFilePaymentConsent)
+ */
+const PAYMENT_PRODUCTS = {
+  'domestic-payment-consents': {
+    getDefaultInitiation: getDefaultDomesticInitiation,
+    paymentResource: 'domestic-payments',
+    paymentIdField: 'DomesticPaymentId',
+    requiresPermission: false,
+    fundsConfirmation: true
+  },
+  'domestic-scheduled-payment-consents': {
+    getDefaultInitiation: getDefaultDomesticScheduledInitiation,
+    paymentResource: 'domestic-scheduled-payments',
+    paymentIdField: 'DomesticScheduledPaymentId',
+    requiresPermission: true,
+    fundsConfirmation: false
+  },
+  'domestic-standing-order-consents': {
+    getDefaultInitiation: getDefaultDomesticStandingOrderInitiation,
+    paymentResource: 'domestic-standing-orders',
+    paymentIdField: 'DomesticStandingOrderId',
+    requiresPermission: true,
+    fundsConfirmation: false
+  },
+  'international-payment-consents': {
+    getDefaultInitiation: getDefaultInternationalInitiation,
+    paymentResource: 'international-payments',
+    paymentIdField: 'InternationalPaymentId',
+    requiresPermission: false,
+    fundsConfirmation: true
+  },
+  'international-scheduled-payment-consents': {
+    getDefaultInitiation: getDefaultInternationalScheduledInitiation,
+    paymentResource: 'international-scheduled-payments',
+    paymentIdField: 'InternationalScheduledPaymentId',
+    requiresPermission: true,
+    fundsConfirmation: true
+  },
+  'international-standing-order-consents': {
+    getDefaultInitiation: getDefaultInternationalStandingOrderInitiation,
+    paymentResource: 'international-standing-orders',
+    paymentIdField: 'InternationalStandingOrderId',
+    requiresPermission: true,
+    fundsConfirmation: false
+  },
+  'file-payment-consents': {
+    getDefaultInitiation: null,
+    paymentResource: 'file-payments',
+    paymentIdField: 'FilePaymentId',
+    requiresPermission: false,
+    fundsConfirmation: false,
+    requiresFile: true
+  }
+};
+
+/**
+ * List the supported payment products
+ * 
+ * @returns {Array<string>} Payment consent product names
+ */
+export function listPaymentProducts() {
+  return Object.keys(PAYMENT_PRODUCTS);
+}
+
+/**
+ * Get the registry entry of a payment product
+ * 
+ * @param {string} paymentProduct - Payment consent product (e.g. 'domestic-payment-consents')
+ * @returns {Object} Payment product definition
+ * @throws {Error} 400 if the payment product is unknown
+ */
+export function getPaymentProduct(paymentProduct) {
+  const product = PAYMENT_PRODUCTS[paymentProduct];
+  if (!product) {
+    throw createHttpError(400, `Unknown payment product: ${paymentProduct}`, {
+      supportedPaymentProducts: listPaymentProducts()
+    });
+  }
+  return product;
+}
+
+/**
+ * Reject payment products the provider does not offer (see paymentProducts in the provider registry)
+ * 
+ * @throws {Error} 400 if the provider is unknown or restricts its products and paymentProduct is not one of them
+ */
+function assertProviderSupportsProduct(providerCode, paymentProduct) {
+  const { paymentProducts } = getProvider(providerCode, STANDARDS.OBIE);
+  if (paymentProducts && !paymentProducts.includes(paymentProduct)) {
+    throw createHttpError(400, `Provider ${providerCode} does not support ${paymentProduct}`, {
+      supportedPaymentProducts: paymentProducts
+    });
+  }
+}
+
 /**
  * Create PIS (Payment Initiation Service) consent and return authorization URL
- * This creates a domestic-payment-consent for initiating payments
+ * This creates a payment consent of the given product (see PAYMENT_PRODUCTS) for initiating payments
  * 
  * @param {string} providerCode - Open Banking provider code
  * @param {string} redirectUri - OAuth redirect URI
@@ -115,7 +419,8 @@ function getDefaultRisk() {
  * @param {Object} authorisation - Authorisation data (optional, uses defaults if not provided)
  * @param {Object} scaSupportData - SCA support data (optional, uses defaults if not provided)
  * @param {Object} risk - Risk data (optional, uses defaults if not provided)
- * @returns {Object} Consent details with authorization URL
+ * @param {string} idempotencyKey - x-idempotency-key sent to the ASPSP (optional, generated if not provided)
+ * @returns {Object} Consent details with authorization URL and the response signature check
  */
 export async function createPISConsent({
   providerCode,
@@ -124,23 +429,31 @@ export async function createPISConsent({
   initiation,
   authorisation,
   scaSupportData,
-  risk
+  risk,
+  idempotencyKey
 }) {
-  const baseUrl = getBaseUrl();
+  const product = getPaymentProduct(paymentProduct);
+  if (product.requiresFile) {
+    throw createHttpError(400, `${paymentProduct} require a payment file, use createFilePaymentConsent (POST /api/uk/pis/file-consent)`);
+  }
+  assertProviderSupportsProduct(providerCode, paymentProduct);
+  
   const scope = 'openid accounts payments'; // PIS scope includes payments
+  const apiVersion = getObieVersion(providerCode);
   
-  // Merge user-provided data with defaults
+  // Merge user-provided data with the defaults of the API version
   const consentBody = {
     Data: {
-      Initiation: initiation || getDefaultInitiation(),
+      ...(product.requiresPermission && { Permission: 'Create' }),
+      Initiation: initiation || getDefaultInitiation(product, apiVersion),
       Authorisation: authorisation || getDefaultAuthorisation(),
       SCASupportData: scaSupportData || getDefaultSCASupportData()
     },
-    Risk: risk || getDefaultRisk()
+    Risk: risk || getDefaultRisk(apiVersion)
   };
   
   console.log(`🔄 Creating PIS consent for provider: ${providerCode}...`);
-  console.log(`   Payment Product: ${paymentProduct}`);
+  console.log(`   Payment Product: ${paymentProduct} (OBIE ${apiVersion})`);
   
   // Discover OIDC endpoints
   const { authorizationEndpoint, tokenEndpoint } = await discoverOidc(providerCode);
@@ -148,11 +461,13 @@ export async function createPISConsent({
   // Get client grant token
   const clientGrantAuthorization = await getClientGrantToken(providerCode, redirectUri);
   
-  // Create PIS domestic-payment-consent (PISP endpoint)
-  const consentUrl = `${baseUrl}/api/${encodeURIComponent(providerCode)}/open-banking/v3.1/pisp/${encodeURIComponent(paymentProduct)}`;
+  // Create PIS payment consent (PISP endpoint)
+  const consentUrl = `${getObieApiUrl(providerCode)}/pisp/${encodeURIComponent(paymentProduct)}`;
   
   try {
-    const { data } = await axios.post(consentUrl, consentBody, {
+    const { data, responseSignature } = await postSigned(consentUrl, consentBody, {
+      providerCode,
+      idempotencyKey,
       headers: {
         'Authorization': clientGrantAuthorization,
         'Content-Type': 'application/json'
@@ -167,26 +482,42 @@ export async function createPISConsent({
     console.log(`✅ PIS Consent created: ${consentId}`);
     
     // Build request JWT for PIS authorization
+    // The consent ID is sent as OAuth state so the callback can match the redirect
     const requestJwt = buildRequestObjectJwt({
       tokenEndpoint,
       consentId,
       redirectUri,
-      scope
+      scope,
+      state: consentId
     });
     
     // Build PIS authorization URL
     const authorizationUrl = buildAuthorizationUrl(authorizationEndpoint, {
       redirectUri,
       scope,
-      requestJwt
+      requestJwt,
+      state: consentId
     });
     
     console.log(`🔗 PIS Authorization URL generated`);
     
+    // Remember the consent so the OAuth callback can store its token and it can be listed later
+    registerConsent(consentId, {
+      type: 'pis',
+      providerCode,
+      redirectUri,
+      paymentProduct,
+      apiVersion,
+      request: consentBody,
+      authorizationUrl,
+      status: data?.Data?.Status
+    });
+    
     return {
       consentId,
       authorizationUrl,
       status: data?.Data?.Status,
+      responseSignature
     };
   } catch (error) {
     console.error('❌ PIS Consent creation failed:');
@@ -197,7 +528,7 @@ export async function createPISConsent({
       || error.response?.data?.message 
       || JSON.stringify(error.response?.data)
       || error.message;
-    throw new Error(`Failed to create PIS consent: ${errorMessage}`);
+    throw createUpstreamError(error, `Failed to create PIS consent: ${errorMessage}`);
   }
 }
 
@@ -212,11 +543,13 @@ export async function createPISConsent({
  * @returns {Object} PIS consent details including status, initiation, and risk data
  */
 export async function getConsentDetails(providerCode, consentId, paymentProduct = 'domestic-payment-consents') {
-  const baseUrl = getBaseUrl();
-  const url = `${baseUrl}/api/${encodeURIComponent(providerCode)}/open-banking/v3.1/pisp/${encodeURIComponent(paymentProduct)}/${encodeURIComponent(consentId)}`;
+  // Reject unknown payment products before calling Priora
+  getPaymentProduct(paymentProduct);
+  
+  const url = `${getObieApiUrl(providerCode)}/pisp/${encodeURIComponent(paymentProduct)}/${encodeURIComponent(consentId)}`;
   
   // Get client credentials token for the request
-  const defaultRedirectUri = process.env.REDIRECT_URI || 'https://backbase-dev.com/callback';
+  const defaultRedirectUri = getDefaultRedirectUri();
   const clientGrantToken = await getClientGrantToken(providerCode, defaultRedirectUri);
   
   try {
@@ -226,6 +559,8 @@ export async function getConsentDetails(providerCode, consentId, paymentProduct
       }
     });
     
+    updateConsentStatus(consentId, data?.Data?.Status);
+    
     return data;
   } catch (error) {
     console.error('Failed to fetch PIS consent details:');
@@ -236,7 +571,430 @@ export async function getConsentDetails(providerCode, consentId, paymentProduct
       || error.response?.data?.message 
       || JSON.stringify(error.response?.data)
       || error.message;
-    throw new Error(`Failed to fetch PIS consent details: ${errorMessage}`);
+    throw createUpstreamError(error, `Failed to fetch PIS consent details: ${errorMessage}`);
+  }
+}
+
+
+/**
+ * Submit the payment of an authorised PIS consent
+ * The payment is posted to the submission resource of the consent's product (e.g. domestic-payments).
+ * It must carry exactly the Initiation and Risk the PSU authorised, so they are read back from the consent.
+ * The payment ID is recorded on the stored consent (see registerPayment).
+ * 
+ * @param {string} providerCode - Open Banking provider code
+ * @param {string} consentId - Authorised PIS consent identifier
+ * @param {string} accessToken - Bearer token obtained from the authorization code of the consent
+ * @param {string} paymentProduct - Payment product type (default: 'domestic-payment-consents')
+ * @param {string} idempotencyKey - x-idempotency-key sent to the ASPSP (optional, generated if not provided)
+ * @returns {Object} Payment resource including the payment ID and Status (see getResponseSignature for its signature check)
+ */
+export async function createPayment(providerCode, consentId, accessToken, paymentProduct = 'domestic-payment-consents', idempotencyKey) {
+  const { paymentResource } = getPaymentProduct(paymentProduct);
+  const url = `${getObieApiUrl(providerCode)}/pisp/${paymentResource}`;
+  
+  const consent = await getConsentDetails(providerCode, consentId, paymentProduct);
+  
+  // File payment consents have no Risk section
+  const paymentBody = {
+    Data: {
+      ConsentId: consentId,
+      Initiation: consent?.Data?.Initiation
+    },
+    ...(consent?.Risk && { Risk: consent.Risk })
+  };
+  
+  console.log(`🔄 Submitting payment for consent: ${consentId}...`);
+  console.log(`   Payment Resource: ${paymentResource}`);
+  
+  try {
+    const { data } = await postSigned(url, paymentBody, {
+      providerCode,
+      idempotencyKey,
+      headers: {
+        'Authorization': accessToken,
+        'Content-Type': 'application/json'
+      }
+    });
+    
+    const paymentId = getPaymentId(data, paymentProduct);
+    console.log(`✅ Payment submitted: ${paymentId}`);
+    
+    // Later payment lookups use the provider, product, profile and version of the consent
+    registerPayment(consentId, paymentId);
+    
+    return data;
+  } catch (error) {
+    console.error('❌ Payment submission failed:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    const errorMessage = error.response?.data?.error 
+      || error.response?.data?.message 
+      || JSON.stringify(error.response?.data)
+      || error.message;
+    throw createUpstreamError(error, `Failed to submit payment: ${errorMessage}`);
+  }
+}
+
+/**
+ * Read the payment identifier from a payment resource
+ * 
+ * @param {Object} payment - Payment resource returned by the ASPSP
+ * @param {string} paymentProduct - Payment product type the payment was created for
+ * @returns {string} Payment identifier (e.g. DomesticPaymentId)
+ */
+export function getPaymentId(payment, paymentProduct = 'domestic-payment-consents') {
+  return payment?.Data?.[getPaymentProduct(paymentProduct).paymentIdField];
+}
+
+/**
+ * Get payment by payment ID
+ * Used to track the payment status (e.g. AcceptedSettlementInProcess -> AcceptedSettlementCompleted)
+ * 
+ * @param {string} providerCode - Open Banking provider code
+ * @param {string} paymentId - Payment identifier
+ * @param {string} paymentProduct - Payment product type the payment was created for (default: 'domestic-payment-consents')
+ * @returns {Object} Payment resource including Status
+ */
+export async function getPaymentDetails(providerCode, paymentId, paymentProduct = 'domestic-payment-consents') {
+  const { paymentResource } = getPaymentProduct(paymentProduct);
+  const url = `${getObieApiUrl(providerCode)}/pisp/${paymentResource}/${encodeURIComponent(paymentId)}`;
+  
+  // Get client credentials token for the request
+  const defaultRedirectUri = getDefaultRedirectUri();
+  const clientGrantToken = await getClientGrantToken(providerCode, defaultRedirectUri);
+  
+  try {
+    const { data } = await axios.get(url, {
+      headers: {
+        'Authorization': clientGrantToken
+      }
+    });
+    
+    return data;
+  } catch (error) {
+    console.error('Failed to fetch payment details:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    const errorMessage = error.response?.data?.error 
+      || error.response?.data?.message 
+      || JSON.stringify(error.response?.data)
+      || error.message;
+    throw createUpstreamError(error, `Failed to fetch payment details: ${errorMessage}`);
   }
 }
 
+/**
+ * Get the detailed status history of a payment
+ * Returns the payment-details resource with the PaymentStatus entries reported by the ASPSP
+ * 
+ * @param {string} providerCode - Open Banking provider code
+ * @param {string} paymentId - Payment identifier
+ * @param {string} paymentProduct - Payment product type the payment was created for (default: 'domestic-payment-consents')
+ * @returns {Object} Payment details including PaymentStatus list
+ */
+export async function getPaymentStatusDetails(providerCode, paymentId, paymentProduct = 'domestic-payment-consents') {
+  const { paymentResource } = getPaymentProduct(paymentProduct);
+  const url = `${getObieApiUrl(providerCode)}/pisp/${paymentResource}/${encodeURIComponent(paymentId)}/payment-details`;
+  
+  // Get client credentials token for the request
+  const defaultRedirectUri = getDefaultRedirectUri();
+  const clientGrantToken = await getClientGrantToken(providerCode, defaultRedirectUri);
+  
+  try {
+    const { data } = await axios.get(url, {
+      headers: {
+        'Authorization': clientGrantToken
+      }
+    });
+    
+    return data;
+  } catch (error) {
+    console.error('Failed to fetch payment status details:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    const errorMessage = error.response?.data?.error 
+      || error.response?.data?.message 
+      || JSON.stringify(error.response?.data)
+      || error.message;
+    throw createUpstreamError(error, `Failed to fetch payment status details: ${errorMessage}`);
+  }
+}
+
+/**
+ * Check funds availability for an authorised PIS consent
+ * Only available for payment products that support funds-confirmation (see PAYMENT_PRODUCTS).
+ * 
+ * @param {string} providerCode - Open Banking provider code
+ * @param {string} consentId - Authorised PIS consent identifier
+ * @param {string} accessToken - Bearer token obtained from the authorization code of the consent
+ * @param {string} paymentProduct - Payment product type (default: 'domestic-payment-consents')
+ * @returns {Object} Funds confirmation resource including FundsAvailableResult
+ */
+export async function getFundsConfirmation(providerCode, consentId, accessToken, paymentProduct = 'domestic-payment-consents') {
+  if (!getPaymentProduct(paymentProduct).fundsConfirmation) {
+    throw createHttpError(400, `Funds confirmation is not supported for ${paymentProduct}`, {
+      supportedPaymentProducts: listPaymentProducts().filter((product) => PAYMENT_PRODUCTS[product].fundsConfirmation)
+    });
+  }
+  
+  const url = `${getObieApiUrl(providerCode)}/pisp/${encodeURIComponent(paymentProduct)}/${encodeURIComponent(consentId)}/funds-confirmation`;
+  
+  try {
+    const { data } = await axios.get(url, {
+      headers: {
+        'Authorization': accessToken
+      }
+    });
+    
+    return data;
+  } catch (error) {
+    console.error('Failed to confirm funds:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    const errorMessage = error.response?.data?.error 
+      || error.response?.data?.message 
+      || JSON.stringify(error.response?.data)
+      || error.message;
+    throw createUpstreamError(error, `Failed to confirm funds: ${errorMessage}`);
+  }
+}
+
+/**
+ * Create a file payment consent, upload its payment file and return authorization URL
+ * The consent Initiation (FileHash, NumberOfTransactions, ControlSum) is computed from the file.
+ * Without fileContent a test file of numberOfPayments payments is generated.
+ * 
+ * @param {string} providerCode - Open Banking provider code
+ * @param {string} redirectUri - OAuth redirect URI
+ * @param {string} fileType - 'UK.OBIE.PaymentInitiation.3.1' (default) or 'UK.OBIE.pain.001.001.08'
+ * @param {string} fileContent - Payment file content (optional, generated if not provided)
+ * @param {number} numberOfPayments - Number of payments in the generated file (default: 5, at most 10000)
+ * @param {string} fileReference - File reference (optional)
+ * @param {Object} initiation - Additional Initiation fields, e.g. DebtorAccount (optional)
+ * @param {Object} authorisation - Authorisation data (optional, uses defaults if not provided)
+ * @param {Object} scaSupportData - SCA support data (optional, uses defaults if not provided)
+ * @param {string} idempotencyKey - x-idempotency-key of the consent request and file upload (optional, generated if not provided)
+ * @returns {Object} Consent details with authorization URL, response signature check and file summary
+ */
+export async function createFilePaymentConsent({
+  providerCode,
+  redirectUri,
+  fileType = 'UK.OBIE.PaymentInitiation.3.1',
+  fileContent,
+  numberOfPayments = 5,
+  fileReference,
+  initiation,
+  authorisation,
+  scaSupportData,
+  idempotencyKey
+}) {
+  const file = fileContent
+    ? describePaymentFile(fileType, fileContent)
+    : generatePaymentFile({ fileType, numberOfPayments });
+  
+  const scope = 'openid accounts payments'; // PIS scope includes payments
+  const paymentProduct = 'file-payment-consents';
+  assertProviderSupportsProduct(providerCode, paymentProduct);
+  
+  const consentBody = {
+    Data: {
+      Initiation: {
+        FileType: file.fileType,
+        FileHash: file.fileHash,
+        FileReference: fileReference || `FRESCO-FILE-${Date.now()}`,
+        NumberOfTransactions: file.numberOfTransactions,
+        ControlSum: file.controlSum,
+        ...initiation
+      },
+      Authorisation: authorisation || getDefaultAuthorisation(),
+      SCASupportData: scaSupportData || getDefaultSCASupportData()
+    }
+  };
+  
+  console.log(`🔄 Creating file payment consent for provider: ${providerCode}...`);
+  console.log(`   File Type: ${file.fileType}`);
+  console.log(`   Transactions: ${file.numberOfTransactions}, Control Sum: ${file.controlSum}`);
+  
+  // Discover OIDC endpoints
+  const { authorizationEndpoint, tokenEndpoint } = await discoverOidc(providerCode);
+  
+  // Get client grant token
+  const clientGrantAuthorization = await getClientGrantToken(providerCode, redirectUri);
+  
+  const consentUrl = `${getObieApiUrl(providerCode)}/pisp/${paymentProduct}`;
+  
+  try {
+    const { data, responseSignature } = await postSigned(consentUrl, consentBody, {
+      providerCode,
+      idempotencyKey,
+      headers: {
+        'Authorization': clientGrantAuthorization,
+        'Content-Type': 'application/json'
+      }
+    });
+    
+    const consentId = data?.Data?.ConsentId;
+    if (!consentId) {
+      throw new Error('No ConsentId in response');
+    }
+    
+    console.log(`✅ File payment consent created: ${consentId}`);
+    
+    // Upload the payment file - the consent stays AwaitingUpload until then
+    await postSigned(`${consentUrl}/${encodeURIComponent(consentId)}/file`, file.content, {
+      providerCode,
+      idempotencyKey,
+      headers: {
+        'Authorization': clientGrantAuthorization,
+        'Content-Type': file.contentType
+      }
+    });
+    
+    console.log(`📤 Payment file uploaded`);
+    
+    // Build request JWT for PIS authorization
+    // The consent ID is sent as OAuth state so the callback can match the redirect
+    const requestJwt = buildRequestObjectJwt({
+      tokenEndpoint,
+      consentId,
+      redirectUri,
+      scope,
+      state: consentId
+    });
+    
+    const authorizationUrl = buildAuthorizationUrl(authorizationEndpoint, {
+      redirectUri,
+      scope,
+      requestJwt,
+      state: consentId
+    });
+    
+    console.log(`🔗 PIS Authorization URL generated`);
+    
+    // Status after upload (AwaitingAuthorisation)
+    const { data: uploadedConsent } = await axios.get(`${consentUrl}/${encodeURIComponent(consentId)}`, {
+      headers: {
+        'Authorization': clientGrantAuthorization
+      }
+    });
+    const status = uploadedConsent?.Data?.Status || data?.Data?.Status;
+    
+    // Remember the consent so the OAuth callback can store its token and it can be listed later
+    registerConsent(consentId, {
+      type: 'pis',
+      providerCode,
+      redirectUri,
+      paymentProduct,
+      apiVersion: getObieVersion(providerCode),
+      request: consentBody,
+      authorizationUrl,
+      status
+    });
+    
+    return {
+      consentId,
+      authorizationUrl,
+      status,
+      responseSignature,
+      file: {
+        fileType: file.fileType,
+        fileHash: file.fileHash,
+        numberOfTransactions: file.numberOfTransactions,
+        controlSum: file.controlSum
+      }
+    };
+  } catch (error) {
+    console.error('❌ File payment consent creation failed:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', JSON.stringify(error.response?.data, null, 2));
+    
+    const errorMessage = error.response?.data?.error 
+      || error.response?.data?.message 
+      || JSON.stringify(error.response?.data)
+      || error.message;
+    throw createUpstreamError(error, `Failed to create file payment consent: ${errorMessage}`);
+  }
+}
+
+/**
+ * Download the payment file uploaded for a file payment consent
+ * 
+ * @param {string} providerCode - Open Banking provider code
+ * @param {string} consentId - File payment consent identifier
+ * @returns {Object} { contentType, content }
+ */
+export async function getConsentFile(providerCode, consentId) {
+  const url = `${getObieApiUrl(providerCode)}/pisp/file-payment-consents/${encodeURIComponent(consentId)}/file`;
+  
+  // Get client credentials token for the request
+  const defaultRedirectUri = getDefaultRedirectUri();
+  const clientGrantToken = await getClientGrantToken(providerCode, defaultRedirectUri);
+  
+  try {
+    const response = await axios.get(url, {
+      headers: {
+        'Authorization': clientGrantToken
+      },
+      responseType: 'text'
+    });
+    
+    return {
+      contentType: response.headers['content-type'],
+      content: response.data
+    };
+  } catch (error) {
+    console.error('Failed to download consent file:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', error.response?.data);
+    
+    const errorMessage = error.response?.data?.error 
+      || error.response?.data?.message 
+      || error.response?.data
+      || error.message;
+    throw createUpstreamError(error, `Failed to download consent file: ${errorMessage}`);
+  }
+}
+
+/**
+ * Download the report file of a file payment
+ * 
+ * @param {string} providerCode - Open Banking provider code
+ * @param {string} paymentId - File payment identifier
+ * @returns {Object} { contentType, content }
+ */
+export async function getPaymentReportFile(providerCode, paymentId) {
+  const url = `${getObieApiUrl(providerCode)}/pisp/file-payments/${encodeURIComponent(paymentId)}/report-file`;
+  
+  // Get client credentials token for the request
+  const defaultRedirectUri = getDefaultRedirectUri();
+  const clientGrantToken = await getClientGrantToken(providerCode, defaultRedirectUri);
+  
+  try {
+    const response = await axios.get(url, {
+      headers: {
+        'Authorization': clientGrantToken
+      },
+      responseType: 'text'
+    });
+    
+    return {
+      contentType: response.headers['content-type'],
+      content: response.data
+    };
+  } catch (error) {
+    console.error('Failed to download payment report file:');
+    console.error('Status:', error.response?.status);
+    console.error('Response data:', error.response?.data);
+    
+    const errorMessage = error.response?.data?.error 
+      || error.response?.data?.message 
+      || error.response?.data
+      || error.message;
+    throw createUpstreamError(error, `Failed to download payment report file: ${errorMessage}`);
+  }
+}
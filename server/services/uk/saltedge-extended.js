@@ -1,20 +1,20 @@
 /**
- * UK Open Banking SaltEdge Extended Functions - ARCHIVED
+ * UK Open Banking SaltEdge Extended Functions
  * 
- * These functions are not currently used in the API but preserved for future reference.
- * They provide additional AIS capabilities beyond basic consent flow.
+ * Functions used after a consent has been authorised by the PSU:
+ * - Exchanging the authorization code for an access token (routes/uk/callback.js)
+ * - Reading accounts, balances, transactions and standing orders (routes/uk/ais.js)
+ * - Refreshing account data and checking the refresh status (routes/uk/ais.js)
  * 
- * To use these functions:
- * 1. Import needed functions from this file
- * 2. Add corresponding routes in routes/uk/ais.js
- * 3. Update documentation
- * 
- * ARCHIVED DATE: 2025-11-02
- * REASON: Simplified API - focusing on core consent flow only
+ * The account data functions expect the Bearer access token stored for the consent
+ * by the OAuth callback (see shared/consent-store.js).
  */
 
 import axios from 'axios';
-import { getBaseUrl } from './shared/config.js';
+import { getClientId } from './shared/config.js';
+import { getObieApiUrl } from '../providers/registry.js';
+import { getTokenEndpoint, buildClientAssertion } from './shared/auth.js';
+import { createUpstreamError } from './shared/utils.js';
 
 /**
  * Exchange authorization code for AIS access token
@@ -26,69 +26,9 @@ import { getBaseUrl } from './shared/config.js';
  * @returns {Object} Access token and metadata
  */
 export async function exchangeCodeForToken(providerCode, authorizationCode, redirectUri) {
-  const baseUrl = getBaseUrl();
-  
-  // Need to import these from parent or duplicate
-  const clientId = process.env.OB_SOFTWARE_ID;
-  if (!clientId) {
-    throw new Error('OB_SOFTWARE_ID not configured in .env');
-  }
-  
-  // Load private key
-  const keyPath = process.env.OB_PRIVATE_KEY_PATH;
-  const keyValue = process.env.OB_PRIVATE_KEY;
-  let privateKey;
-  
-  if (keyValue && keyValue.includes('BEGIN')) {
-    // Replace escaped newlines with actual newlines
-    // This handles Azure Key Vault secrets that come as single-line strings
-    privateKey = keyValue.replace(/\\n/g, '\n');
-  } else if (keyPath) {
-    const fs = await import('fs');
-    const path = await import('path');
-    const fullPath = path.isAbsolute(keyPath) 
-      ? keyPath 
-      : path.join(process.cwd(), keyPath);
-    
-    if (fs.existsSync(fullPath)) {
-      privateKey = fs.readFileSync(fullPath, 'utf8');
-    }
-  }
-  
-  if (!privateKey) {
-    throw new Error('Private key not configured. Set OB_PRIVATE_KEY or OB_PRIVATE_KEY_PATH in .env');
-  }
-  
-  const now = Math.floor(Date.now() / 1000);
-  const exp = now + 600;
-  
-  const tokenEndpoint = `${baseUrl}/api/oidc/${encodeURIComponent(providerCode)}/tokens`;
-  
-  const jwt = await import('jsonwebtoken');
-  const crypto = await import('crypto');
-  
-  const generateUuid = () => {
-    if (crypto.randomUUID) {
-      return crypto.randomUUID();
-    }
-    const rnd = () => Math.floor(Math.random() * 0xffffffff).toString(16).padStart(8, '0');
-    return `${rnd()}-${rnd().slice(0,4)}-${rnd().slice(0,4)}-${rnd().slice(0,4)}-${rnd()}${rnd()}`;
-  };
-  
-  const header = { alg: 'RS256', typ: 'JWT' };
-  const payload = {
-    iss: clientId,
-    sub: clientId,
-    aud: tokenEndpoint,
-    jwi: generateUuid(),
-    exp,
-    iat: now
-  };
-  
-  const clientAssertion = jwt.sign(payload, privateKey, { 
-    algorithm: 'RS256', 
-    header 
-  });
+  const clientId = getClientId();
+  const tokenEndpoint = getTokenEndpoint(providerCode);
+  const clientAssertion = buildClientAssertion(providerCode);
   
   const body = {
     provider_code: providerCode,
@@ -113,7 +53,8 @@ export async function exchangeCodeForToken(providerCode, authorizationCode, redi
       accessToken: `Bearer ${data.access_token}`,
       tokenType: data.token_type,
       expiresIn: data.expires_in,
-      scope: data.scope
+      scope: data.scope,
+      refreshToken: data.refresh_token
     };
   } catch (error) {
     console.error('Token exchange failed:');
@@ -124,7 +65,7 @@ export async function exchangeCodeForToken(providerCode, authorizationCode, redi
       || error.response?.data?.message 
       || JSON.stringify(error.response?.data)
       || error.message;
-    throw new Error(`Failed to exchange code for token: ${errorMessage}`);
+    throw createUpstreamError(error, `Failed to exchange code for token: ${errorMessage}`);
   }
 }
 
@@ -137,8 +78,7 @@ export async function exchangeCodeForToken(providerCode, authorizationCode, redi
  * @returns {Object} Account list with details
  */
 export async function getAccounts(providerCode, accessToken) {
-  const baseUrl = getBaseUrl();
-  const url = `${baseUrl}/api/${encodeURIComponent(providerCode)}/open-banking/v3.1/aisp/accounts`;
+  const url = `${getObieApiUrl(providerCode)}/aisp/accounts`;
   
   try {
     const { data } = await axios.get(url, {
@@ -149,7 +89,7 @@ export async function getAccounts(providerCode, accessToken) {
     
     return data;
   } catch (error) {
-    throw new Error(`Failed to fetch accounts: ${error.response?.data?.error || error.message}`);
+    throw createUpstreamError(error, `Failed to fetch accounts: ${error.response?.data?.error || error.message}`);
   }
 }
 
@@ -162,8 +102,7 @@ export async function getAccounts(providerCode, accessToken) {
  * @returns {Object} Refresh operation status
  */
 export async function refreshAccounts(providerCode, accessToken) {
-  const baseUrl = getBaseUrl();
-  const url = `${baseUrl}/api/${encodeURIComponent(providerCode)}/open-banking/v3.1/aisp/accounts/refresh`;
+  const url = `${getObieApiUrl(providerCode)}/aisp/accounts/refresh`;
   
   try {
     const { data } = await axios.post(url, 
@@ -178,7 +117,7 @@ export async function refreshAccounts(providerCode, accessToken) {
     
     return data;
   } catch (error) {
-    throw new Error(`Failed to refresh accounts: ${error.response?.data?.error || error.message}`);
+    throw createUpstreamError(error, `Failed to refresh accounts: ${error.response?.data?.error || error.message}`);
   }
 }
 
@@ -191,8 +130,7 @@ export async function refreshAccounts(providerCode, accessToken) {
  * @returns {Object} Current refresh status
  */
 export async function getRefreshStatus(providerCode, accessToken) {
-  const baseUrl = getBaseUrl();
-  const url = `${baseUrl}/api/${encodeURIComponent(providerCode)}/open-banking/v3.1/aisp/accounts/refresh/status`;
+  const url = `${getObieApiUrl(providerCode)}/aisp/accounts/refresh/status`;
   
   try {
     const { data } = await axios.get(url, {
@@ -203,7 +141,7 @@ export async function getRefreshStatus(providerCode, accessToken) {
     
     return data;
   } catch (error) {
-    throw new Error(`Failed to get refresh status: ${error.response?.data?.error || error.message}`);
+    throw createUpstreamError(error, `Failed to get refresh status: ${error.response?.data?.error || error.message}`);
   }
 }
 
@@ -217,8 +155,7 @@ export async function getRefreshStatus(providerCode, accessToken) {
  * @returns {Object} Transaction list with details
  */
 export async function getAccountTransactions(providerCode, accountId, accessToken) {
-  const baseUrl = getBaseUrl();
-  const url = `${baseUrl}/api/${encodeURIComponent(providerCode)}/open-banking/v3.1/aisp/accounts/${encodeURIComponent(accountId)}/transactions`;
+  const url = `${getObieApiUrl(providerCode)}/aisp/accounts/${encodeURIComponent(accountId)}/transactions`;
   
   try {
     const { data } = await axios.get(url, {
@@ -229,7 +166,7 @@ export async function getAccountTransactions(providerCode, accountId, accessToke
     
     return data;
   } catch (error) {
-    throw new Error(`Failed to fetch transactions: ${error.response?.data?.error || error.message}`);
+    throw createUpstreamError(error, `Failed to fetch transactions: ${error.response?.data?.error || error.message}`);
   }
 }
 
@@ -243,8 +180,7 @@ export async function getAccountTransactions(providerCode, accountId, accessToke
  * @returns {Object} Balance information
  */
 export async function getAccountBalances(providerCode, accountId, accessToken) {
-  const baseUrl = getBaseUrl();
-  const url = `${baseUrl}/api/${encodeURIComponent(providerCode)}/open-banking/v3.1/aisp/accounts/${encodeURIComponent(accountId)}/balances`;
+  const url = `${getObieApiUrl(providerCode)}/aisp/accounts/${encodeURIComponent(accountId)}/balances`;
   
   try {
     const { data } = await axios.get(url, {
@@ -255,7 +191,7 @@ export async function getAccountBalances(providerCode, accountId, accessToken) {
     
     return data;
   } catch (error) {
-    throw new Error(`Failed to fetch balances: ${error.response?.data?.error || error.message}`);
+    throw createUpstreamError(error, `Failed to fetch balances: ${error.response?.data?.error || error.message}`);
   }
 }
 
@@ -269,8 +205,7 @@ export async function getAccountBalances(providerCode, accountId, accessToken) {
  * @returns {Object} Standing orders list
  */
 export async function getAccountStandingOrders(providerCode, accountId, accessToken) {
-  const baseUrl = getBaseUrl();
-  const url = `${baseUrl}/api/${encodeURIComponent(providerCode)}/open-banking/v3.1/aisp/accounts/${encodeURIComponent(accountId)}/standing-orders`;
+  const url = `${getObieApiUrl(providerCode)}/aisp/accounts/${encodeURIComponent(accountId)}/standing-orders`;
   
   try {
     const { data } = await axios.get(url, {
@@ -281,7 +216,7 @@ export async function getAccountStandingOrders(providerCode, accountId, accessTo
     
     return data;
   } catch (error) {
-    throw new Error(`Failed to fetch standing orders: ${error.response?.data?.error || error.message}`);
+    throw createUpstreamError(error, `Failed to fetch standing orders: ${error.response?.data?.error || error.message}`);
   }
 }
 
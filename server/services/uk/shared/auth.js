@@ -5,37 +5,92 @@
 
 import axios from 'axios';
 import jwt from 'jsonwebtoken';
-import { getBaseUrl, getClientId, getPrivateKey } from './config.js';
-import { generateUuid } from './utils.js';
+import { getClientId, getPrivateKey, getSigningKeyId } from './config.js';
+import { createUpstreamError, generateUuid } from './utils.js';
+import { createTtlCache } from './cache.js';
+import { assertProviderAllowed, getCurrentTppProfile, runWithTppProfile } from './tpp-profiles.js';
+import { getProviderBaseUrl } from '../../providers/registry.js';
 
 /**
- * Get client credentials access token (client grant)
- * This is used to get an access token for initiating a consent flow
+ * Get the Priora token endpoint for a provider
  */
-export async function getClientGrantToken(providerCode, redirectUri) {
-  const baseUrl = getBaseUrl();
+export function getTokenEndpoint(providerCode) {
+  return `${getProviderBaseUrl(providerCode)}/api/oidc/${encodeURIComponent(providerCode)}/tokens`;
+}
+
+/**
+ * JOSE header of the JWTs signed with the TPP key, with the kid of the current TPP profile
+ */
+function getJwtHeader() {
+  const kid = getSigningKeyId();
+  return { alg: 'RS256', typ: 'JWT', ...(kid && { kid }) };
+}
+
+/**
+ * Build a signed client assertion (private_key_jwt) for the token endpoint
+ * Every token request signs one, so this is where the providers of the TPP profile are enforced.
+ * 
+ * @throws {Error} 403 if the current TPP profile is not allowed to use the provider
+ */
+export function buildClientAssertion(providerCode) {
+  assertProviderAllowed(providerCode);
+  
   const clientId = getClientId();
   const privateKey = getPrivateKey();
   
   const now = Math.floor(Date.now() / 1000);
   const exp = now + 600; // 10 minutes
   
-  const header = { alg: 'RS256', typ: 'JWT' };
-  const aud = `${baseUrl}/api/oidc/${encodeURIComponent(providerCode)}/tokens`;
-  
+  const header = getJwtHeader();
   const payload = {
     iss: clientId,
     sub: clientId,
-    aud,
+    aud: getTokenEndpoint(providerCode),
     jti: generateUuid(),
     exp,
     iat: now
   };
   
-  const clientAssertion = jwt.sign(payload, privateKey, { 
+  return jwt.sign(payload, privateKey, { 
     algorithm: 'RS256', 
     header 
   });
+}
+
+// Client grant tokens are reused until shortly before they expire
+const TOKEN_EXPIRY_MARGIN_SECONDS = 30;
+
+// Cached tokens mapped to the TPP profile, provider and redirect URI they were issued for,
+// to drop and replace a token Priora rejects with 401. Entries go with the cache flush, the token
+// they replace or once the token has expired.
+const issuedTokens = new Map();
+
+const clientGrantTokens = createTtlCache('clientGrantTokens', {
+  describe: ({ authorization, scope }) => ({
+    token: `${authorization.slice(0, 15)}...`,
+    scope
+  }),
+  onClear: () => issuedTokens.clear()
+});
+
+function getClientGrantCacheKey(profile, providerCode, redirectUri) {
+  return `${profile || 'env'} ${providerCode} ${redirectUri}`;
+}
+
+/**
+ * Check whether client grant tokens are cached (CLIENT_GRANT_TOKEN_CACHE, default: true)
+ */
+function isTokenCacheEnabled() {
+  return process.env.CLIENT_GRANT_TOKEN_CACHE !== 'false';
+}
+
+/**
+ * Request a new client credentials access token from the token endpoint
+ */
+async function requestClientGrantToken(providerCode, redirectUri) {
+  const clientId = getClientId();
+  const aud = getTokenEndpoint(providerCode);
+  const clientAssertion = buildClientAssertion(providerCode);
   
   const body = {
     provider_code: providerCode,
@@ -55,7 +110,7 @@ export async function getClientGrantToken(providerCode, redirectUri) {
       throw new Error('No access_token in response');
     }
     
-    return `Bearer ${data.access_token}`;
+    return data;
   } catch (error) {
     console.error('Client grant token failed:');
     console.error('Status:', error.response?.status);
@@ -65,21 +120,106 @@ export async function getClientGrantToken(providerCode, redirectUri) {
       || error.response?.data?.message 
       || JSON.stringify(error.response?.data)
       || error.message;
-    throw new Error(`Failed to get client grant token: ${errorMessage}`);
+    throw createUpstreamError(error, `Failed to get client grant token: ${errorMessage}`);
+  }
+}
+
+/**
+ * Get client credentials access token (client grant)
+ * This is used to get an access token for initiating a consent flow
+ * 
+ * Tokens are cached per TPP profile, provider and redirect URI until TOKEN_EXPIRY_MARGIN_SECONDS
+ * before their expires_in, tokens without expires_in are not cached.
+ */
+export async function getClientGrantToken(providerCode, redirectUri) {
+  const profile = getCurrentTppProfile()?.name || null;
+  const key = getClientGrantCacheKey(profile, providerCode, redirectUri);
+  const cached = isTokenCacheEnabled() ? clientGrantTokens.get(key) : undefined;
+  
+  if (cached) {
+    return cached.authorization;
+  }
+  
+  const data = await requestClientGrantToken(providerCode, redirectUri);
+  const authorization = `Bearer ${data.access_token}`;
+  
+  if (isTokenCacheEnabled() && data.expires_in) {
+    // Forget the token this one replaces, and the expired ones
+    issuedTokens.forEach((issuedFor, issued) => {
+      if (issuedFor.expiresAt <= Date.now()
+        || getClientGrantCacheKey(issuedFor.profile, issuedFor.providerCode, issuedFor.redirectUri) === key) {
+        issuedTokens.delete(issued);
+      }
+    });
+    clientGrantTokens.set(key, { authorization, scope: data.scope }, Number(data.expires_in) - TOKEN_EXPIRY_MARGIN_SECONDS);
+    issuedTokens.set(authorization, {
+      profile,
+      providerCode,
+      redirectUri,
+      expiresAt: Date.now() + Number(data.expires_in) * 1000
+    });
+  }
+  
+  return authorization;
+}
+
+/**
+ * Drop a cached client grant token
+ * 
+ * @param {string} authorization - Authorization header value returned by getClientGrantToken
+ * @returns {boolean} True if the token was cached
+ */
+export function invalidateClientGrantToken(authorization) {
+  const issuedFor = issuedTokens.get(authorization);
+  issuedTokens.delete(authorization);
+  
+  if (!issuedFor) {
+    return false;
   }
+  
+  const key = getClientGrantCacheKey(issuedFor.profile, issuedFor.providerCode, issuedFor.redirectUri);
+  return clientGrantTokens.get(key)?.authorization === authorization && clientGrantTokens.delete(key);
 }
 
+/**
+ * Axios error handler retrying once with a new client grant token when Priora rejects
+ * a cached one with 401 (e.g. revoked or expired early).
+ * Requests with other tokens, such as consent access tokens, are left untouched.
+ */
+async function retryWithNewClientGrantToken(error) {
+  const config = error.config;
+  const authorization = config?.headers?.Authorization;
+  const issuedFor = authorization && issuedTokens.get(authorization);
+  
+  if (error.response?.status !== 401 || !issuedFor || config.clientGrantRetried) {
+    throw error;
+  }
+  
+  console.log('🔄 Client grant token rejected with 401, retrying with a new token...');
+  invalidateClientGrantToken(authorization);
+  
+  config.headers.Authorization = await runWithTppProfile(
+    issuedFor.profile,
+    () => getClientGrantToken(issuedFor.providerCode, issuedFor.redirectUri)
+  );
+  config.clientGrantRetried = true;
+  
+  return axios.request(config);
+}
+
+axios.interceptors.response.use(undefined, retryWithNewClientGrantToken);
+
 /**
  * Build request object JWT for authorization
  */
-export function buildRequestObjectJwt({ tokenEndpoint, consentId, redirectUri, scope }) {
+export function buildRequestObjectJwt({ tokenEndpoint, consentId, redirectUri, scope, state }) {
   const clientId = getClientId();
   const privateKey = getPrivateKey();
   
   const issuedAt = Math.floor(Date.now() / 1000) - 1;
   const expiresAt = issuedAt + 60;
   
-  const header = { alg: 'RS256', typ: 'JWT' };
+  const header = getJwtHeader();
   const payload = {
     claims: {
       id_token: {
@@ -97,6 +237,7 @@ export function buildRequestObjectJwt({ tokenEndpoint, consentId, redirectUri, s
     redirect_uri: redirectUri,
     scope,
     response_type: 'code',
+    ...(state && { state }),
     exp: expiresAt,
     iat: issuedAt
   };
@@ -0,0 +1,131 @@
+/**
+ * UK Open Banking Caches
+ * In-memory TTL caches for values that can be reused across Priora calls
+ * (client grant tokens, OIDC discovery results, ASPSP JWKS).
+ *
+ * Every cache registers itself by name so the caches can be inspected and flushed
+ * through GET/DELETE /api/uk/cache.
+ */
+
+const caches = new Map();
+
+/**
+ * Create a named TTL cache
+ *
+ * @param {string} name - Cache name used by the inspect/flush endpoint
+ * @param {Object} options
+ * @param {Function} options.describe - Maps a cached value to what the inspect endpoint shows (optional)
+ * @param {Function} options.onClear - Called when the cache is cleared, to drop state kept alongside it (optional)
+ * @returns {Object} Cache with get, set, delete, clear and inspect
+ */
+export function createTtlCache(name, { describe = (value) => value, onClear } = {}) {
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+  
+  const cache = {
+    name,
+    
+    /**
+     * Get a cached value, or undefined if missing or expired
+     */
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        misses += 1;
+        return undefined;
+      }
+      hits += 1;
+      return entry.value;
+    },
+    
+    /**
+     * Cache a value for ttlSeconds (values with a ttl of 0 or less are not cached)
+     */
+    set(key, value, ttlSeconds) {
+      if (!(ttlSeconds > 0)) {
+        return;
+      }
+      entries.set(key, {
+        value,
+        cachedAt: Date.now(),
+        expiresAt: Date.now() + ttlSeconds * 1000
+      });
+    },
+    
+    delete(key) {
+      return entries.delete(key);
+    },
+    
+    /**
+     * Remove every entry
+     *
+     * @returns {number} Number of entries removed
+     */
+    clear() {
+      const count = entries.size;
+      entries.clear();
+      onClear?.();
+      return count;
+    },
+    
+    /**
+     * Describe the live entries and the hit/miss counters
+     */
+    inspect() {
+      const now = Date.now();
+      return {
+        name,
+        hits,
+        misses,
+        entries: [...entries.entries()]
+          .filter(([, entry]) => entry.expiresAt > now)
+          .map(([key, entry]) => ({
+            key,
+            cachedAt: new Date(entry.cachedAt).toISOString(),
+            expiresAt: new Date(entry.expiresAt).toISOString(),
+            expiresInSeconds: Math.round((entry.expiresAt - now) / 1000),
+            value: describe(entry.value)
+          }))
+      };
+    }
+  };
+  
+  caches.set(name, cache);
+  return cache;
+}
+
+/**
+ * Get the names of the registered caches
+ */
+export function getCacheNames() {
+  return [...caches.keys()];
+}
+
+/**
+ * Select one or all registered caches
+ */
+function selectCaches(name) {
+  return name ? [caches.get(name)].filter(Boolean) : [...caches.values()];
+}
+
+/**
+ * Inspect one or all registered caches
+ *
+ * @param {string} name - Cache name (optional, all caches if not provided)
+ * @returns {Array<Object>} Cache descriptions
+ */
+export function inspectCaches(name) {
+  return selectCaches(name).map((cache) => cache.inspect());
+}
+
+/**
+ * Flush one or all registered caches
+ *
+ * @param {string} name - Cache name (optional, all caches if not provided)
+ * @returns {Object} Number of entries removed per cache
+ */
+export function flushCaches(name) {
+  return Object.fromEntries(selectCaches(name).map((cache) => [cache.name, cache.clear()]));
+}
@@ -0,0 +1,238 @@
+/**
+ * Upstream Cassettes
+ * Record the upstream calls of a session once and replay them without network access, e.g. in CI
+ *
+ * RECORD_MODE selects what happens to the calls of the default axios instance (OIDC discovery, tokens,
+ * JWKS, consents, payments, account data):
+ * - passthrough - calls go to the network (default)
+ * - record - calls go to the network and their responses are saved to cassette files
+ * - replay - calls are answered from the cassette files, a call without a cassette fails
+ *
+ * Every cassette file (in CASSETTE_DIR, default: cassettes in the repository root) holds the responses of
+ * one request, keyed by its method, normalised URL and normalised body. Normalising drops what changes
+ * from run to run: the jti/iat/exp/nbf claims and signatures of JWTs (client assertions, request objects),
+ * timestamps (ISO dates and epoch milliseconds, e.g. in EndToEndIdentification) and the FileHash of
+ * generated payment files. Repeated requests (e.g. status polls) replay their responses in recorded order,
+ * the last one from then on. Tokens in the recorded responses are redacted.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios, { AxiosError, AxiosHeaders } from 'axios';
+import { fileURLToPath } from 'url';
+import { redactHeaders, redactSecretFields } from './traffic-recorder.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const RECORD_MODES = ['passthrough', 'record', 'replay'];
+
+const VOLATILE_FIELDS = ['jti', 'iat', 'exp', 'nbf', 'FileHash'];
+
+// ISO 8601 dates and date-times, and epoch milliseconds (e.g. FRESCO.1762418951608.GFX.37)
+const TIMESTAMP_PATTERN = /\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?|(?<!\d)\d{13}(?!\d)/g;
+
+const JWT_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]*$/;
+
+// Cassette files written by this process - a new recording replaces what an earlier one saved
+const recordedFiles = new Set();
+
+// Responses replayed per cassette file
+const replayCounts = new Map();
+
+let cassettesInstalled = false;
+
+/**
+ * Get the record mode (RECORD_MODE, default: passthrough)
+ *
+ * @throws {Error} If RECORD_MODE is not one of RECORD_MODES
+ */
+export function getRecordMode() {
+  const mode = process.env.RECORD_MODE || 'passthrough';
+  if (!RECORD_MODES.includes(mode)) {
+    throw new Error(`Invalid RECORD_MODE ${mode}, use one of: ${RECORD_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Directory of the cassette files (CASSETTE_DIR, relative paths are resolved from the repository root)
+ */
+export function getCassetteDir() {
+  const cassetteDir = process.env.CASSETTE_DIR || 'cassettes';
+  return path.isAbsolute(cassetteDir)
+    ? cassetteDir
+    : path.join(__dirname, '..', '..', '..', '..', cassetteDir);
+}
+
+function decodeJwtPayload(value) {
+  try {
+    const payload = JSON.parse(Buffer.from(value.split('.')[1], 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function normaliseValue(value) {
+  if (typeof value === 'string') {
+    const jwtPayload = JWT_PATTERN.test(value) ? decodeJwtPayload(value) : null;
+    return jwtPayload
+      ? { jwt: normaliseValue(jwtPayload) }
+      : value.replace(TIMESTAMP_PATTERN, '<timestamp>');
+  }
+  if (Array.isArray(value)) {
+    return value.map(normaliseValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value)
+      .filter((key) => !VOLATILE_FIELDS.includes(key))
+      .sort()
+      .map((key) => [key, normaliseValue(value[key])]));
+  }
+  return value;
+}
+
+function normaliseBody(data) {
+  if (data === undefined || data === null || data === '') {
+    return '';
+  }
+
+  const text = Buffer.isBuffer(data) ? data.toString('utf8') : String(data);
+  try {
+    return JSON.stringify(normaliseValue(JSON.parse(text)));
+  } catch (error) {
+    return normaliseValue(text);
+  }
+}
+
+function normaliseUrl(url) {
+  const parsed = new URL(url);
+  const query = [...parsed.searchParams]
+    .map(([name, value]) => [name, JSON.stringify(normaliseValue(value))])
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  return `${parsed.origin}${parsed.pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Key of a request and the path of its cassette file
+ */
+function getCassette(config) {
+  const method = (config.method || 'get').toUpperCase();
+  const url = normaliseUrl(axios.getUri(config));
+  const body = normaliseBody(config.data);
+
+  const hash = crypto.createHash('sha256').update(`${method} ${url}\n${body}`).digest('hex').slice(0, 12);
+  const slug = new URL(url).pathname.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80);
+
+  return {
+    request: { method, url, body },
+    file: path.join(getCassetteDir(), `${method}-${slug}-${hash}.json`)
+  };
+}
+
+function toRawBody(data) {
+  if (data === undefined || data === null) {
+    return '';
+  }
+  return Buffer.isBuffer(data) ? data.toString('utf8') : String(data);
+}
+
+/**
+ * Save a response to the cassette of its request
+ */
+function saveResponse(config, response) {
+  const { request, file } = getCassette(config);
+  const cassette = !recordedFiles.has(file) || !fs.existsSync(file)
+    ? { request, responses: [] }
+    : JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  cassette.responses.push({
+    recordedAt: new Date().toISOString(),
+    status: response.status,
+    statusText: response.statusText || '',
+    headers: redactHeaders(response.headers),
+    body: redactSecretFields(toRawBody(response.data))
+  });
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(cassette, null, 2));
+  recordedFiles.add(file);
+}
+
+/**
+ * Axios adapter sending the request and saving its response
+ */
+function createRecordingAdapter(send) {
+  return async (config) => {
+    try {
+      const response = await send(config);
+      saveResponse(config, response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        saveResponse(config, error.response);
+      }
+      throw error;
+    }
+  };
+}
+
+/**
+ * Axios adapter answering from the cassettes
+ * Requests without a cassette fail with the normalised request, to compare with the recorded ones.
+ */
+async function replayAdapter(config) {
+  const { request, file } = getCassette(config);
+
+  if (!fs.existsSync(file)) {
+    console.error(`❌ RECORD_MODE=replay: no cassette for ${request.method} ${request.url}`);
+    console.error(`   Expected ${file}`);
+    console.error(`   Normalised body: ${request.body || '(none)'}`);
+    throw new AxiosError(`No cassette for ${request.method} ${request.url} (RECORD_MODE=replay), `
+      + 'record it with RECORD_MODE=record', 'ERR_NO_CASSETTE', config);
+  }
+
+  const { responses } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const count = replayCounts.get(file) || 0;
+  const recorded = responses[Math.min(count, responses.length - 1)];
+  replayCounts.set(file, count + 1);
+
+  const response = {
+    data: recorded.body,
+    status: recorded.status,
+    statusText: recorded.statusText,
+    headers: new AxiosHeaders(recorded.headers),
+    config,
+    request: null
+  };
+
+  if (!config.validateStatus || config.validateStatus(response.status)) {
+    return response;
+  }
+  throw new AxiosError(`Request failed with status code ${response.status}`,
+    response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST, config, null, response);
+}
+
+/**
+ * Record or replay the calls of the default axios instance, as selected by RECORD_MODE
+ *
+ * @throws {Error} If RECORD_MODE is invalid
+ */
+export function installCassettes() {
+  const mode = getRecordMode();
+  if (cassettesInstalled || mode === 'passthrough') {
+    return;
+  }
+  cassettesInstalled = true;
+
+  axios.defaults.adapter = mode === 'record'
+    ? createRecordingAdapter(axios.getAdapter(axios.defaults.adapter))
+    : replayAdapter;
+
+  console.log(`📼 RECORD_MODE=${mode}: cassettes in ${getCassetteDir()}`);
+}
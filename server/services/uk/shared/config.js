@@ -6,14 +6,20 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getCurrentTppProfile, getTppProfilePrivateKey } from './tpp-profiles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
- * Load private key from file or environment variable
+ * Load private key of the current TPP profile, or from file or environment variable
  */
 export function getPrivateKey() {
+  const profile = getCurrentTppProfile();
+  if (profile) {
+    return getTppProfilePrivateKey(profile);
+  }
+  
   const keyPath = process.env.OB_PRIVATE_KEY_PATH;
   const keyValue = process.env.OB_PRIVATE_KEY;
 
@@ -102,9 +108,14 @@ export function getBaseUrl() {
 }
 
 /**
- * Get client ID (software ID)
+ * Get client ID (software ID) of the current TPP profile, or OB_SOFTWARE_ID
  */
 export function getClientId() {
+  const profile = getCurrentTppProfile();
+  if (profile) {
+    return profile.softwareId;
+  }
+  
   const clientId = process.env.OB_SOFTWARE_ID;
   if (!clientId) {
     throw new Error('OB_SOFTWARE_ID not configured in .env');
@@ -112,3 +123,28 @@ export function getClientId() {
   return clientId;
 }
 
+/**
+ * Get the issuer of signed messages (http://openbanking.org.uk/iss): {organisationId}/{softwareId}
+ * with the organisationId of the current TPP profile or OB_ORGANISATION_ID, otherwise the software ID
+ */
+export function getJwsIssuer() {
+  const profile = getCurrentTppProfile();
+  const organisationId = profile ? profile.organisationId : process.env.OB_ORGANISATION_ID;
+  return organisationId ? `${organisationId}/${getClientId()}` : getClientId();
+}
+
+/**
+ * Get the key ID (kid) of the JWT signing key of the current TPP profile
+ *
+ * @returns {string|undefined} kid, undefined without a profile or if the profile has none
+ */
+export function getSigningKeyId() {
+  return getCurrentTppProfile()?.kid;
+}
+
+/**
+ * Get the default OAuth redirect URI: the current TPP profile's, then REDIRECT_URI
+ */
+export function getDefaultRedirectUri() {
+  return getCurrentTppProfile()?.redirectUri || process.env.REDIRECT_URI || 'https://backbase-dev.com/callback';
+}
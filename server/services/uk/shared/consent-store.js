@@ -0,0 +1,266 @@
+/**
+ * UK Open Banking Consent Store
+ * Keeps track of the consents created by the simulator and the tokens obtained for them,
+ * so that follow-up calls only need to reference the consent ID.
+ *
+ * Consents are persisted to a JSON file (CONSENT_STORE_PATH, default: data/consents.json)
+ * so they survive restarts and can be listed through GET /api/uk/consents.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createHttpError } from './utils.js';
+import { getCurrentTppProfile } from './tpp-profiles.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+let consents = null;
+
+/**
+ * Get the path of the consent store file
+ */
+function getStorePath() {
+  const storePath = process.env.CONSENT_STORE_PATH || 'data/consents.json';
+  return path.isAbsolute(storePath)
+    ? storePath
+    : path.join(__dirname, '..', '..', '..', '..', storePath);
+}
+
+/**
+ * Load the stored consents on first use
+ */
+function getConsents() {
+  if (!consents) {
+    const storePath = getStorePath();
+    const records = fs.existsSync(storePath)
+      ? JSON.parse(fs.readFileSync(storePath, 'utf8'))
+      : [];
+
+    consents = new Map(records.map((record) => [record.consentId, record]));
+    console.log(`📂 Consent store: ${consents.size} consent(s) loaded from ${storePath}`);
+  }
+  return consents;
+}
+
+/**
+ * Write the consents to the store file
+ * Written to a temporary file first so an interrupted write cannot corrupt the store.
+ */
+function persist() {
+  const storePath = getStorePath();
+  const tempPath = `${storePath}.tmp`;
+
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify([...getConsents().values()], null, 2));
+  fs.renameSync(tempPath, storePath);
+}
+
+/**
+ * Register a newly created consent
+ * The TPP profile of the current request and the OBIE API version are recorded, so follow-up calls
+ * use the same credentials and API.
+ *
+ * @param {string} consentId - Consent identifier returned by the ASPSP
+ * @param {Object} context - Consent context
+ * @param {string} context.type - Consent type ('ais', 'pis' or 'cbpii')
+ * @param {string} context.providerCode - Open Banking provider code
+ * @param {string} context.redirectUri - OAuth redirect URI used for the consent
+ * @param {string} context.paymentProduct - Payment product (PIS consents only)
+ * @param {string} context.apiVersion - OBIE API version the consent was created with
+ * @param {Object} context.request - Consent request body sent to the ASPSP
+ * @param {string} context.authorizationUrl - Authorization URL returned to the client
+ * @param {string} context.status - Consent status returned by the ASPSP
+ * @returns {Object} Stored consent record
+ */
+export function registerConsent(consentId, {
+  type,
+  providerCode,
+  redirectUri,
+  paymentProduct,
+  apiVersion,
+  request,
+  authorizationUrl,
+  status
+}) {
+  const record = {
+    consentId,
+    type,
+    providerCode,
+    redirectUri,
+    paymentProduct,
+    apiVersion: apiVersion || null,
+    request,
+    authorizationUrl,
+    profile: getCurrentTppProfile()?.name || null,
+    createdAt: new Date().toISOString(),
+    status: status || null,
+    statusUpdatedAt: status ? new Date().toISOString() : null,
+    paymentIds: [],
+    token: null
+  };
+
+  getConsents().set(consentId, record);
+  persist();
+  return record;
+}
+
+/**
+ * Record the last known status of a consent
+ * Unknown consents are ignored, only consents created or authorised through the simulator are stored.
+ *
+ * @param {string} consentId - Consent identifier
+ * @param {string} status - Consent status reported by the ASPSP
+ * @returns {Object|null} Updated consent record or null if unknown
+ */
+export function updateConsentStatus(consentId, status) {
+  const record = getConsents().get(consentId);
+
+  if (!record || !status) {
+    return record || null;
+  }
+
+  if (record.status !== status) {
+    record.status = status;
+    record.statusUpdatedAt = new Date().toISOString();
+    persist();
+  }
+
+  return record;
+}
+
+/**
+ * Record a payment submitted for a consent
+ * Unknown consents are ignored, like in updateConsentStatus.
+ *
+ * @param {string} consentId - Consent identifier
+ * @param {string} paymentId - Payment identifier returned by the ASPSP
+ * @returns {Object|null} Updated consent record or null if unknown
+ */
+export function registerPayment(consentId, paymentId) {
+  const record = getConsents().get(consentId);
+
+  if (!record || !paymentId) {
+    return record || null;
+  }
+
+  const paymentIds = record.paymentIds || [];
+  if (!paymentIds.includes(paymentId)) {
+    record.paymentIds = [...paymentIds, paymentId];
+    persist();
+  }
+
+  return record;
+}
+
+/**
+ * Get the stored consent a payment was submitted for
+ *
+ * @param {string} paymentId - Payment identifier
+ * @returns {Object|null} Stored consent record or null if the payment is unknown
+ */
+export function getPaymentConsent(paymentId) {
+  return [...getConsents().values()].find((record) => record.paymentIds?.includes(paymentId)) || null;
+}
+
+/**
+ * List stored consents, newest first
+ *
+ * @param {Object} filters - Filters (all optional)
+ * @param {string} filters.type - Consent type ('ais', 'pis' or 'cbpii')
+ * @param {string} filters.status - Last known status
+ * @param {string} filters.providerCode - Open Banking provider code
+ * @param {Date} filters.createdAfter - Only consents created after this date
+ * @returns {Array<Object>} Stored consent records
+ */
+export function listConsents({ type, status, providerCode, createdAfter } = {}) {
+  return [...getConsents().values()]
+    .filter((record) => !type || record.type === type)
+    .filter((record) => !status || record.status === status)
+    .filter((record) => !providerCode || record.providerCode === providerCode)
+    .filter((record) => !createdAfter || new Date(record.createdAt) > createdAfter)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Get a stored consent record
+ *
+ * @param {string} consentId - Consent identifier
+ * @returns {Object|null} Stored consent record or null if unknown
+ */
+export function getConsent(consentId) {
+  return getConsents().get(consentId) || null;
+}
+
+/**
+ * Store the access token obtained for a consent
+ * Consents not created through the simulator are registered on the fly.
+ *
+ * @param {string} consentId - Consent identifier
+ * @param {Object} token - Token returned by exchangeCodeForToken
+ * @param {Object} context - Consent context used if the consent is not yet known
+ * @returns {Object} Updated consent record
+ */
+export function saveConsentToken(consentId, token, context = {}) {
+  const record = getConsents().get(consentId) || registerConsent(consentId, context);
+
+  record.token = {
+    ...token,
+    obtainedAt: new Date().toISOString(),
+    expiresAt: token.expiresIn
+      ? new Date(Date.now() + token.expiresIn * 1000).toISOString()
+      : null
+  };
+
+  // A successful code exchange means the PSU authorised the consent
+  record.status = 'Authorised';
+  record.statusUpdatedAt = record.token.obtainedAt;
+  persist();
+
+  return record;
+}
+
+/**
+ * Get the stored access token for a consent
+ *
+ * @param {string} consentId - Consent identifier
+ * @returns {string} Bearer access token
+ * @throws {Error} 404 if the consent is unknown, 401 if no valid token is stored
+ */
+export function getConsentAccessToken(consentId) {
+  const record = getConsents().get(consentId);
+
+  if (!record) {
+    throw createHttpError(404, `Unknown consent: ${consentId}`);
+  }
+
+  if (!record.token) {
+    throw createHttpError(401, `No access token stored for consent ${consentId}. Authorise the consent first.`);
+  }
+
+  if (record.token.expiresAt && new Date(record.token.expiresAt) <= new Date()) {
+    throw createHttpError(401, `Access token for consent ${consentId} has expired. Authorise the consent again.`);
+  }
+
+  return record.token.accessToken;
+}
+
+/**
+ * Resolve provider and access token of an authorised consent of the given type
+ *
+ * @param {string} consentId - Consent identifier
+ * @param {string} type - Expected consent type ('ais', 'pis' or 'cbpii')
+ * @returns {Object} { consent, providerCode, accessToken }
+ * @throws {Error} 404/401 as getConsentAccessToken, 400 if the consent has another type
+ */
+export function getAuthorisedConsent(consentId, type) {
+  const accessToken = getConsentAccessToken(consentId);
+  const consent = getConsents().get(consentId);
+
+  if (consent.type && consent.type !== type) {
+    throw createHttpError(400, `Consent ${consentId} is not a ${type.toUpperCase()} consent`);
+  }
+
+  return { consent, providerCode: consent.providerCode, accessToken };
+}
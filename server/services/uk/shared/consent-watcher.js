@@ -0,0 +1,155 @@
+/**
+ * UK Open Banking Consent Watcher
+ * Polls a consent until its status is terminal, a condition is met or a timeout is hit.
+ *
+ * The polling interval grows by the backoff factor while the status does not change
+ * (up to the maximum interval) and drops back to the initial interval on every change.
+ * Polls failing with a transient error (429, 5xx, timeouts, dropped connections) are retried
+ * the same way, waiting at least the Retry-After of the ASPSP.
+ */
+
+import { setTimeout as delayFor } from 'timers/promises';
+import { createHttpError } from './utils.js';
+
+export const TERMINAL_CONSENT_STATUSES = ['Authorised', 'Rejected', 'Revoked', 'Consumed', 'Expired'];
+
+const DEFAULT_WATCH_OPTIONS = {
+  interval: 2,
+  maxInterval: 15,
+  backoff: 1.5,
+  timeout: 300
+};
+
+// Network failures of a poll (createUpstreamError answers them with a 502 or 504)
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Upper bound of the timeout, so connections are not held open indefinitely
+const MAX_TIMEOUT_SECONDS = 3600;
+
+/**
+ * Read the watch options of a request query
+ *
+ * @param {Object} query - Request query (interval, maxInterval, timeout in seconds, backoff factor)
+ * @returns {Object} { interval, maxInterval, backoff, timeout }
+ * @throws {Error} 400 if an option is not a positive number or out of range
+ */
+export function getWatchOptions(query) {
+  const options = {};
+  
+  Object.entries(DEFAULT_WATCH_OPTIONS).forEach(([name, defaultValue]) => {
+    const value = query[name] === undefined ? defaultValue : Number(query[name]);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw createHttpError(400, `${name} must be a positive number`);
+    }
+    options[name] = value;
+  });
+  
+  if (options.backoff < 1) {
+    throw createHttpError(400, 'backoff must be at least 1');
+  }
+  if (options.timeout > MAX_TIMEOUT_SECONDS) {
+    throw createHttpError(400, `timeout must be at most ${MAX_TIMEOUT_SECONDS} seconds`);
+  }
+  
+  options.maxInterval = Math.max(options.maxInterval, options.interval);
+  return options;
+}
+
+/**
+ * Errors worth polling again for: network failures, 408, 429 and 5xx
+ * Anything else (e.g. a 404, or a configuration error) ends the watch at once.
+ */
+function isTransientError(error) {
+  return TRANSIENT_ERROR_CODES.includes(error.code)
+    || error.status === 408
+    || error.status === 429
+    || error.status >= 500;
+}
+
+/**
+ * Wait for a number of milliseconds, or until the signal is aborted
+ */
+async function sleep(ms, signal) {
+  try {
+    await delayFor(ms, undefined, { signal });
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Poll a consent status until it is terminal, `until` returns true, the timeout is hit
+ * or the signal is aborted
+ *
+ * @param {Function} fetchStatus - Async function returning the current consent status
+ * @param {Object} options - Watch options from getWatchOptions
+ * @param {Function} options.onStatus - Called with { status, previousStatus, at } on every status change (optional)
+ * @param {Function} options.onError - Called with { error, at, retryIn } when a poll fails with a transient error,
+ *                                     before polling again in retryIn seconds (optional)
+ * @param {Function} options.until - Returns true for a status that ends the watch (optional)
+ * @param {AbortSignal} options.signal - Aborts the watch, e.g. when the client disconnects (optional)
+ * @returns {Object} { status, reason } where reason is 'terminal', 'condition', 'timeout' or 'aborted'
+ * @throws {Error} The error of a poll failing with a non-transient error (e.g. 403, 404)
+ */
+export async function watchConsentStatus(fetchStatus, {
+  interval,
+  maxInterval,
+  backoff,
+  timeout,
+  onStatus,
+  onError,
+  until,
+  signal
+}) {
+  const deadline = Date.now() + timeout * 1000;
+  let status;
+  let delay = interval;
+  
+  while (!signal?.aborted) {
+    let currentStatus;
+    try {
+      currentStatus = await fetchStatus();
+    } catch (error) {
+      if (!isTransientError(error)) {
+        throw error;
+      }
+      
+      delay = Math.max(Math.min(delay * backoff, maxInterval), Number(error.retryAfter) || 0);
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        return { status, reason: 'timeout' };
+      }
+      
+      const retryIn = Math.min(delay * 1000, remaining);
+      await onError?.({ error, at: new Date().toISOString(), retryIn: retryIn / 1000 });
+      await sleep(retryIn, signal);
+      continue;
+    }
+    
+    if (currentStatus !== status) {
+      await onStatus?.({ status: currentStatus, previousStatus: status ?? null, at: new Date().toISOString() });
+      status = currentStatus;
+      delay = interval;
+    } else {
+      delay = Math.min(delay * backoff, maxInterval);
+    }
+    
+    if (TERMINAL_CONSENT_STATUSES.includes(status)) {
+      return { status, reason: 'terminal' };
+    }
+    if (until?.(status)) {
+      return { status, reason: 'condition' };
+    }
+    
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return { status, reason: 'timeout' };
+    }
+    
+    await sleep(Math.min(delay * 1000, remaining), signal);
+  }
+  
+  return { status, reason: 'aborted' };
+}
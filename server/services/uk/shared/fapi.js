@@ -0,0 +1,138 @@
+/**
+ * FAPI Interaction Context
+ * Correlates a simulator request with the upstream calls it makes and the log lines it writes
+ *
+ * Every incoming request runs in an interaction (runWithInteraction) holding its x-fapi-interaction-id,
+ * given by the caller or generated. installFapiHeaders adds the FAPI headers to the upstream calls:
+ * - x-fapi-interaction-id - the interaction ID, on every call (OIDC, JWKS and Berlin Group calls included)
+ * and to the UK Open Banking resource calls (aisp, pisp, cbpii) only:
+ * - x-fapi-auth-date - when the PSU last logged in with the TPP (the caller's header, or the request time)
+ * - x-fapi-customer-ip-address - the PSU's IP address (the caller's header, or the caller's address)
+ * - x-idempotency-key - a new key for every pisp and cbpii POST that does not set one
+ * installInteractionLogging prefixes every console line written during an interaction with its ID.
+ */
+
+import axios from 'axios';
+import util from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+import { generateUuid } from './utils.js';
+
+export const FAPI_HEADERS = {
+  interactionId: 'x-fapi-interaction-id',
+  authDate: 'x-fapi-auth-date',
+  customerIpAddress: 'x-fapi-customer-ip-address',
+  idempotencyKey: 'x-idempotency-key'
+};
+
+// Path of a UK Open Banking resource call, with its API (aisp, pisp or cbpii)
+const OBIE_RESOURCE_PATTERN = /\/open-banking\/v\d+(?:\.\d+)*\/(aisp|pisp|cbpii)\//;
+
+const interactionContext = new AsyncLocalStorage();
+
+let fapiHeadersInstalled = false;
+let interactionLoggingInstalled = false;
+
+/**
+ * Run a function in an interaction
+ *
+ * @param {Object} interaction
+ * @param {string} interaction.interactionId - x-fapi-interaction-id (optional, generated if not provided)
+ * @param {string} interaction.authDate - x-fapi-auth-date (optional, defaults to now)
+ * @param {string} interaction.customerIpAddress - x-fapi-customer-ip-address (optional)
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function runWithInteraction({ interactionId, authDate, customerIpAddress } = {}, fn) {
+  return interactionContext.run({
+    interactionId: interactionId || generateUuid(),
+    authDate: authDate || new Date().toUTCString(),
+    customerIpAddress: customerIpAddress || null
+  }, fn);
+}
+
+/**
+ * Get the interaction of the current context
+ *
+ * @returns {Object|null} { interactionId, authDate, customerIpAddress }, null outside an interaction
+ */
+export function getInteraction() {
+  return interactionContext.getStore() || null;
+}
+
+/**
+ * Get the interaction ID of the current context
+ */
+export function getInteractionId() {
+  return getInteraction()?.interactionId || null;
+}
+
+/**
+ * Add the FAPI headers to the calls of the default axios instance
+ * Every call gets the interaction ID, calls outside an interaction one of their own. The other
+ * headers only go to UK Open Banking resource calls. A response echoing another
+ * interaction ID is logged, as the ASPSP's logs will not match ours.
+ */
+export function installFapiHeaders() {
+  if (fapiHeadersInstalled) {
+    return;
+  }
+  fapiHeadersInstalled = true;
+
+  axios.interceptors.request.use((config) => {
+    const interaction = getInteraction();
+    const interactionId = interaction?.interactionId || generateUuid();
+
+    config.headers.set(FAPI_HEADERS.interactionId, interactionId, false);
+
+    const api = OBIE_RESOURCE_PATTERN.exec(new URL(axios.getUri(config)).pathname)?.[1];
+    if (!api) {
+      return config;
+    }
+
+    config.headers.set(FAPI_HEADERS.authDate, interaction?.authDate || new Date().toUTCString(), false);
+    if (interaction?.customerIpAddress) {
+      config.headers.set(FAPI_HEADERS.customerIpAddress, interaction.customerIpAddress, false);
+    }
+    if (config.method === 'post' && api !== 'aisp') {
+      config.headers.set(FAPI_HEADERS.idempotencyKey, generateUuid(), false);
+    }
+
+    return config;
+  });
+
+  axios.interceptors.response.use((response) => {
+    const sent = response.config.headers.get(FAPI_HEADERS.interactionId);
+    const echoed = response.headers[FAPI_HEADERS.interactionId];
+    if (sent && echoed && echoed !== sent) {
+      console.warn(`⚠️  ${response.config.url} answered with ${FAPI_HEADERS.interactionId} ${echoed}, sent ${sent}`);
+    }
+    return response;
+  });
+}
+
+/**
+ * Prefix every console line written inside an interaction with [interactionId]
+ */
+export function installInteractionLogging() {
+  if (interactionLoggingInstalled) {
+    return;
+  }
+  interactionLoggingInstalled = true;
+
+  ['log', 'info', 'warn', 'error'].forEach((method) => {
+    const write = console[method].bind(console);
+
+    console[method] = (...args) => {
+      const interactionId = getInteractionId();
+      if (!interactionId) {
+        write(...args);
+        return;
+      }
+
+      write(util.format(...args)
+        .split('\n')
+        .map((line) => (line ? `[${interactionId}] ${line}` : line))
+        .join('\n'));
+    };
+  });
+}
@@ -0,0 +1,397 @@
+/**
+ * Upstream Fault Injection
+ * Make upstream calls slow or fail on demand, to test how clients handle ASPSP timeouts, rate limits,
+ * server errors and malformed bodies
+ *
+ * A fault rule matches an upstream operation (see OPERATIONS, '*' for every call) and injects:
+ * - delay - wait delayMs, then make the call
+ * - status - answer with an HTTP status and an OBIE error body, without calling the ASPSP
+ * - reset - fail with a connection reset (ECONNRESET)
+ * - timeout - fail with a timeout (ECONNABORTED) after delayMs (default: the request timeout, or 10 seconds)
+ * - malformed - answer with a truncated JSON body
+ * Rules can fail only a share of the calls (probability) or the next few calls (times).
+ *
+ * Rules are set for every request (addFaultRule, POST /api/admin/faults) or for the upstream calls of one
+ * request (runWithFaultRules, X-Simulate-Fault header); request rules are checked first.
+ */
+
+import axios, { AxiosError, AxiosHeaders } from 'axios';
+import { AsyncLocalStorage } from 'async_hooks';
+import { assertValid } from './schema-validator.js';
+import { createHttpError, generateUuid } from './utils.js';
+
+export const FAULTS = ['delay', 'status', 'reset', 'timeout', 'malformed'];
+
+export const OPERATIONS = [
+  'discovery',
+  'jwks',
+  'clientGrantToken',
+  'authorizationCodeToken',
+  'refreshToken',
+  'authorise',
+  'createConsent',
+  'getConsent',
+  'revokeConsent',
+  'uploadFile',
+  'createPayment',
+  'getPayment',
+  'fundsConfirmation',
+  'accountData',
+  'other'
+];
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const STATUS_TEXTS = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  408: 'RequestTimeout',
+  409: 'Conflict',
+  429: 'TooManyRequests',
+  500: 'InternalServerError',
+  502: 'BadGateway',
+  503: 'ServiceUnavailable',
+  504: 'GatewayTimeout'
+};
+
+const DEFAULT_ERROR_CODES = {
+  400: 'UK.OBIE.Field.Invalid',
+  401: 'UK.OBIE.Unauthorized',
+  403: 'UK.OBIE.Forbidden',
+  404: 'UK.OBIE.Resource.NotFound',
+  429: 'UK.OBIE.Rules.ResourceLimitReached'
+};
+
+const FAULT_RULE_SCHEMA = {
+  type: 'object',
+  required: ['operation', 'fault'],
+  additionalProperties: false,
+  properties: {
+    operation: { type: 'string', enum: ['*', ...OPERATIONS] },
+    fault: { type: 'string', enum: FAULTS },
+    urlPattern: { type: 'string', minLength: 1 },
+    delayMs: {
+      type: 'integer',
+      check: (value, path) => (value >= 0 ? [] : [{ path, message: 'must not be negative' }])
+    },
+    status: {
+      type: 'integer',
+      check: (value, path) => (value >= 100 && value <= 599 ? [] : [{ path, message: 'must be an HTTP status' }])
+    },
+    errorCode: { type: 'string', minLength: 1 },
+    message: { type: 'string', minLength: 1 },
+    retryAfterSeconds: { type: 'integer' },
+    probability: {
+      type: 'number',
+      check: (value, path) => (value >= 0 && value <= 1 ? [] : [{ path, message: 'must be between 0 and 1' }])
+    },
+    times: {
+      type: 'integer',
+      check: (value, path) => (value > 0 ? [] : [{ path, message: 'must be positive' }])
+    }
+  },
+  check: (rule, path) => (rule.fault === 'status' && rule.status === undefined
+    ? [{ path, message: 'status faults require a status' }]
+    : [])
+};
+
+const requestRulesContext = new AsyncLocalStorage();
+
+const faultRules = [];
+let faultInjectionInstalled = false;
+
+/**
+ * Name the upstream operation of a request
+ *
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {*} body - Request body (tells the token grants apart)
+ * @returns {string} One of OPERATIONS
+ */
+export function getOperation(method, url, body) {
+  const { pathname } = new URL(url, 'http://localhost');
+  const verb = method.toUpperCase();
+
+  if (pathname.includes('/.well-known/openid-configuration')) {
+    return 'discovery';
+  }
+  if (pathname.endsWith('/jwks')) {
+    return 'jwks';
+  }
+  if (/\/tokens?$/.test(pathname)) {
+    const grantType = /"?grant_type"?\s*[:=]\s*"?([\w-]+)/.exec(Buffer.isBuffer(body) ? body.toString() : String(body ?? ''))?.[1];
+    return { authorization_code: 'authorizationCodeToken', refresh_token: 'refreshToken' }[grantType] || 'clientGrantToken';
+  }
+  if (pathname.includes('/authorize')) {
+    return 'authorise';
+  }
+
+  // Path after the API prefix, e.g. pisp/domestic-payment-consents/{ConsentId} or consents/{consentId}/status
+  const resourcePath = /\/(?:open-banking\/v[\d.]+\/(?:aisp|pisp|cbpii)|berlingroup\/v1)\/(.*)$/.exec(pathname)?.[1];
+  if (!resourcePath) {
+    return 'other';
+  }
+  const segments = resourcePath.split('/');
+  // Berlin Group payment paths carry the payment product: payments/{paymentProduct}/{paymentId}
+  if (pathname.includes('/berlingroup/') && ['payments', 'periodic-payments', 'bulk-payments'].includes(segments[0])) {
+    segments.splice(1, 1);
+  }
+  const [resource, resourceId, subresource] = segments;
+
+  if (subresource === 'authorisations') {
+    return 'authorise';
+  }
+  if (resource.endsWith('consents')) {
+    if (verb === 'DELETE') {
+      return 'revokeConsent';
+    }
+    if (subresource === 'file' && verb === 'POST') {
+      return 'uploadFile';
+    }
+    if (subresource === 'funds-confirmation') {
+      return 'fundsConfirmation';
+    }
+    return verb === 'POST' && !resourceId ? 'createConsent' : 'getConsent';
+  }
+  if (resource === 'funds-confirmations') {
+    return 'fundsConfirmation';
+  }
+  if (['accounts', 'balances', 'transactions', 'standing-orders'].includes(resource)) {
+    return 'accountData';
+  }
+  return verb === 'POST' && !resourceId ? 'createPayment' : 'getPayment';
+}
+
+/**
+ * Validate a fault rule and fill in its defaults
+ *
+ * @throws {Error} 400 listing the violations of an invalid rule
+ */
+function toFaultRule(rule, description) {
+  assertValid(FAULT_RULE_SCHEMA, rule, description);
+
+  return {
+    id: generateUuid(),
+    probability: 1,
+    ...rule,
+    remaining: rule.times ?? null,
+    matched: 0,
+    injected: 0
+  };
+}
+
+/**
+ * Parse an X-Simulate-Fault header
+ * Either a JSON rule or list of rules, or comma-separated operation=fault pairs where fault is an HTTP status,
+ * reset, timeout, malformed or delay:{ms}, optionally followed by @{probability}:
+ *
+ *   X-Simulate-Fault: clientGrantToken=503, createConsent=delay:2000, getConsent=429@0.5
+ *
+ * @returns {Array} Fault rules
+ * @throws {Error} 400 if the header is invalid
+ */
+export function parseFaultHeader(header) {
+  const value = header.trim();
+
+  if (value.startsWith('{') || value.startsWith('[')) {
+    let rules;
+    try {
+      rules = JSON.parse(value);
+    } catch (error) {
+      throw createHttpError(400, `X-Simulate-Fault is not valid JSON: ${error.message}`);
+    }
+    return [].concat(rules).map((rule) => toFaultRule(rule, 'X-Simulate-Fault'));
+  }
+
+  return value.split(',').map((entry) => {
+    const match = /^\s*([\w*]+)\s*=\s*(\d{3}|reset|timeout|malformed|delay:\d+)(?:@([\d.]+))?\s*$/.exec(entry);
+    if (!match) {
+      throw createHttpError(400, `Invalid X-Simulate-Fault rule: ${entry.trim()}`, {
+        format: 'operation=status|reset|timeout|malformed|delay:ms[@probability]',
+        operations: ['*', ...OPERATIONS]
+      });
+    }
+
+    const [, operation, fault, probability] = match;
+    return toFaultRule({
+      operation,
+      ...(/^\d{3}$/.test(fault) && { fault: 'status', status: Number(fault) }),
+      ...(fault.startsWith('delay:') && { fault: 'delay', delayMs: Number(fault.slice('delay:'.length)) }),
+      ...(['reset', 'timeout', 'malformed'].includes(fault) && { fault }),
+      ...(probability !== undefined && { probability: Number(probability) })
+    }, 'X-Simulate-Fault');
+  });
+}
+
+/**
+ * Add fault rules for every upstream call
+ * Every rule is validated first, so an invalid one adds none of them.
+ *
+ * @param {Array} rules - [{ operation, fault, urlPattern, delayMs, status, errorCode, message,
+ *                        retryAfterSeconds, probability, times }]
+ * @returns {Array} Rules with their id and counters
+ * @throws {Error} 400 if a rule is invalid
+ */
+export function addFaultRules(rules) {
+  const newRules = rules.map((rule, index) => toFaultRule(rule, rules.length > 1 ? `Fault rule ${index + 1}` : 'Fault rule'));
+  faultRules.push(...newRules);
+  return newRules;
+}
+
+/**
+ * List the fault rules set for every upstream call
+ */
+export function listFaultRules() {
+  return faultRules;
+}
+
+/**
+ * Remove one fault rule, or all of them without ruleId
+ *
+ * @returns {number} Number of rules removed
+ */
+export function removeFaultRules(ruleId) {
+  if (!ruleId) {
+    return faultRules.splice(0).length;
+  }
+
+  const index = faultRules.findIndex((rule) => rule.id === ruleId);
+  return index === -1 ? 0 : faultRules.splice(index, 1).length;
+}
+
+/**
+ * Run a function with fault rules for the upstream calls it makes
+ *
+ * @param {Array} rules - Fault rules (see parseFaultHeader)
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function runWithFaultRules(rules, fn) {
+  return requestRulesContext.run(rules, fn);
+}
+
+/**
+ * Find the rule injecting a fault into a call, and count it
+ */
+function findFaultRule(operation, url) {
+  const rules = [...(requestRulesContext.getStore() || []), ...faultRules];
+
+  return rules.find((rule) => {
+    if ((rule.operation !== '*' && rule.operation !== operation) || (rule.urlPattern && !url.includes(rule.urlPattern))
+      || rule.remaining === 0) {
+      return false;
+    }
+
+    rule.matched += 1;
+    if (Math.random() >= rule.probability) {
+      return false;
+    }
+
+    rule.injected += 1;
+    if (rule.remaining !== null) {
+      rule.remaining -= 1;
+    }
+    return true;
+  }) || null;
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createFaultResponse(config, status, body, headers = {}) {
+  return {
+    data: body,
+    status,
+    statusText: STATUS_TEXTS[status] || '',
+    headers: new AxiosHeaders({
+      'content-type': 'application/json',
+      'x-fapi-interaction-id': config.headers.get('x-fapi-interaction-id'),
+      ...headers
+    }),
+    config,
+    request: null
+  };
+}
+
+/**
+ * Resolve or reject a fault response the way axios does for its status (validateStatus)
+ */
+function settle(config, response) {
+  if (!config.validateStatus || config.validateStatus(response.status)) {
+    return response;
+  }
+  throw new AxiosError(`Request failed with status code ${response.status}`,
+    response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST, config, null, response);
+}
+
+/**
+ * Answer a call with the fault of a rule
+ */
+async function injectFault(rule, config, send) {
+  switch (rule.fault) {
+    case 'delay':
+      await wait(rule.delayMs ?? 0);
+      return send(config);
+
+    case 'timeout': {
+      const timeout = rule.delayMs ?? (config.timeout || DEFAULT_TIMEOUT_MS);
+      await wait(timeout);
+      throw new AxiosError(`timeout of ${timeout}ms exceeded`, AxiosError.ECONNABORTED, config);
+    }
+
+    case 'reset':
+      await wait(rule.delayMs ?? 0);
+      throw new AxiosError('read ECONNRESET', 'ECONNRESET', config);
+
+    case 'malformed': {
+      await wait(rule.delayMs ?? 0);
+      return settle(config, createFaultResponse(config, rule.status ?? 200, '{"Data": {"Status": "Authorised", '));
+    }
+
+    default: {
+      await wait(rule.delayMs ?? 0);
+      const message = rule.message || `Simulated ${rule.status} fault`;
+      const body = JSON.stringify({
+        Code: `${rule.status} ${STATUS_TEXTS[rule.status] || ''}`.trim(),
+        Id: generateUuid(),
+        Message: message,
+        Errors: [{
+          ErrorCode: rule.errorCode || DEFAULT_ERROR_CODES[rule.status] || 'UK.OBIE.UnexpectedError',
+          Message: message
+        }]
+      });
+      const retryAfter = [429, 503].includes(rule.status) ? { 'retry-after': String(rule.retryAfterSeconds ?? 1) } : {};
+      return settle(config, createFaultResponse(config, rule.status, body, retryAfter));
+    }
+  }
+}
+
+/**
+ * Inject the faults of the matching rules into the calls of the default axios instance
+ * Installed after installCassettes, faults are injected in front of recording and replay.
+ */
+export function installFaultInjection() {
+  if (faultInjectionInstalled) {
+    return;
+  }
+  faultInjectionInstalled = true;
+
+  const send = axios.getAdapter(axios.defaults.adapter);
+
+  axios.defaults.adapter = async (config) => {
+    const url = axios.getUri(config);
+    const operation = getOperation(config.method || 'get', url, config.data);
+    const rule = findFaultRule(operation, url);
+
+    if (!rule) {
+      return send(config);
+    }
+
+    console.warn(`💥 Injecting ${rule.fault}${rule.status ? ` ${rule.status}` : ''} into ${operation}: `
+      + `${(config.method || 'get').toUpperCase()} ${url}`);
+    return injectFault(rule, config, send);
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Idempotency Key Store
+ * Replay cache for PIS requests sent with an Idempotency-Key
+ *
+ * The first successful response of a key is kept for IDEMPOTENCY_TTL_SECONDS (default: 86400, the OBIE
+ * idempotency window). A repeat with the same key and body gets that response again without calling the
+ * ASPSP; the same key with another body is rejected with a 409. Keys are scoped to the TPP profile and
+ * endpoint, and failed requests do not keep their key, so they can be retried.
+ *
+ * The serialised body sent to the ASPSP with an x-idempotency-key is kept for the same time, so a key sent
+ * upstream again (X-Idempotency-Resend) repeats exactly the same bytes, generated fields included.
+ */
+
+import crypto from 'crypto';
+import { createTtlCache } from './cache.js';
+import { createHttpError } from './utils.js';
+import { getCurrentTppProfile } from './tpp-profiles.js';
+
+const MAX_KEY_LENGTH = 40;
+
+const idempotentResponses = createTtlCache('idempotentResponses', {
+  describe: ({ idempotencyKey, endpoint, fingerprint, status, body }) => ({ idempotencyKey, endpoint, fingerprint, status, body })
+});
+
+const upstreamPayloads = createTtlCache('idempotentUpstreamPayloads', {
+  describe: ({ idempotencyKey, url, payload }) => ({ idempotencyKey, url, length: payload.length })
+});
+
+// Scoped keys of requests still waiting for the ASPSP
+const pendingKeys = new Set();
+
+/**
+ * Get how long responses are kept per key (IDEMPOTENCY_TTL_SECONDS, default: 86400)
+ */
+function getIdempotencyTtlSeconds() {
+  return Number(process.env.IDEMPOTENCY_TTL_SECONDS ?? 86400);
+}
+
+/**
+ * Hash of a request body, independent of the order of its object keys
+ */
+function fingerprint(body) {
+  const canonical = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(canonical);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().map((key) => [key, canonical(value[key])]));
+    }
+    return value;
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(canonical(body ?? null))).digest('base64url');
+}
+
+function getScopedKey(endpoint, idempotencyKey) {
+  return [getCurrentTppProfile()?.name || '', endpoint, idempotencyKey].join(' ');
+}
+
+/**
+ * Check an Idempotency-Key before a request is sent to the ASPSP
+ *
+ * @param {string} endpoint - Method and path of the request, e.g. 'POST /api/uk/pis/consent'
+ * @param {string} idempotencyKey - Idempotency-Key of the request
+ * @param {*} body - Request body
+ * @returns {Object} { replay, complete, release } - replay is the stored { status, body } to return instead
+ *                   of sending the request, or null; otherwise complete(response) stores a successful
+ *                   { status, body } and release() frees the key of a request that ended without one
+ * @throws {Error} 400 for keys longer than 40 characters, 409 if the key was used with another body
+ *                 or its first request is still in progress
+ */
+export function beginIdempotentRequest(endpoint, idempotencyKey, body) {
+  if (idempotencyKey.length > MAX_KEY_LENGTH) {
+    throw createHttpError(400, `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+  }
+
+  const scopedKey = getScopedKey(endpoint, idempotencyKey);
+  const bodyFingerprint = fingerprint(body);
+  const stored = idempotentResponses.get(scopedKey);
+
+  if (stored && stored.fingerprint !== bodyFingerprint) {
+    throw createHttpError(409, `Idempotency-Key ${idempotencyKey} was already used with a different request body`, {
+      idempotencyKey,
+      endpoint
+    });
+  }
+  if (stored) {
+    return { replay: { status: stored.status, body: stored.body }, complete: () => {}, release: () => {} };
+  }
+  if (pendingKeys.has(scopedKey)) {
+    throw createHttpError(409, `A request with Idempotency-Key ${idempotencyKey} is still in progress`, {
+      idempotencyKey,
+      endpoint
+    });
+  }
+
+  pendingKeys.add(scopedKey);
+
+  return {
+    replay: null,
+    complete: ({ status, body: responseBody }) => {
+      pendingKeys.delete(scopedKey);
+      if (status >= 200 && status < 300) {
+        idempotentResponses.set(scopedKey, {
+          idempotencyKey,
+          endpoint,
+          fingerprint: bodyFingerprint,
+          status,
+          body: responseBody
+        }, getIdempotencyTtlSeconds());
+      }
+    },
+    release: () => {
+      pendingKeys.delete(scopedKey);
+    }
+  };
+}
+
+/**
+ * Check whether a key has a stored response
+ */
+export function hasIdempotentResponse(endpoint, idempotencyKey) {
+  return Boolean(idempotentResponses.get(getScopedKey(endpoint, idempotencyKey)));
+}
+
+/**
+ * Keep the serialised body of a successful upstream request sent with an x-idempotency-key
+ *
+ * @param {string} url - Upstream URL
+ * @param {string} idempotencyKey - x-idempotency-key of the request
+ * @param {string|Buffer} payload - Exact body sent
+ */
+export function rememberUpstreamPayload(url, idempotencyKey, payload) {
+  upstreamPayloads.set(getScopedKey(url, idempotencyKey), { idempotencyKey, url, payload }, getIdempotencyTtlSeconds());
+}
+
+/**
+ * Get the serialised body an x-idempotency-key was sent upstream with
+ *
+ * @returns {string|Buffer|null} Exact body sent, null if the key was not sent to the URL successfully
+ */
+export function getUpstreamPayload(url, idempotencyKey) {
+  return upstreamPayloads.get(getScopedKey(url, idempotencyKey))?.payload ?? null;
+}
@@ -0,0 +1,318 @@
+/**
+ * UK Open Banking Message Signing
+ * Detached JWS (x-jws-signature) over PIS request bodies, signed with the TPP key, and verification
+ * of the x-jws-signature of ASPSP responses against the ASPSP's JWKS
+ *
+ * The protected header carries the http://openbanking.org.uk/iat, iss and tan critical claims
+ * (OBIE v3.1.4 and later, without the b64 claim). The payload is the exact body, left out of the header:
+ *   x-jws-signature: <base64url protected header>..<base64url signature>
+ *
+ * Requests are signed unless the TPP profile or provider sets signRequests to false. Response signatures
+ * are verified unless the provider sets verifyResponseSignatures to false. A failed verification does not
+ * fail the request: the outcome is returned to the caller so ASPSP signing issues can be debugged.
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import { getJwsIssuer, getPrivateKey, getSigningKeyId } from './config.js';
+import { createTtlCache } from './cache.js';
+import { discoverOidc } from './utils.js';
+import { getCurrentTppProfile } from './tpp-profiles.js';
+import { getUpstreamPayload, rememberUpstreamPayload } from './idempotency.js';
+import { getProvider, STANDARDS } from '../../providers/registry.js';
+
+export const OB_JWS_CLAIMS = {
+  iat: 'http://openbanking.org.uk/iat',
+  iss: 'http://openbanking.org.uk/iss',
+  tan: 'http://openbanking.org.uk/tan'
+};
+
+const JWS_ALGORITHM = 'PS256';
+
+const DEFAULT_TRUST_ANCHOR = 'openbanking.org.uk';
+
+// Tolerated difference between the ASPSP's clock and ours for the iat claim
+const CLOCK_SKEW_SECONDS = 300;
+
+const PSS_OPTIONS = {
+  padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+  saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+};
+
+const aspspJwks = createTtlCache('aspspJwks', {
+  describe: ({ keys }) => ({ kids: keys.map((key) => key.kid) })
+});
+
+// Verification outcome of parsed response bodies, see getResponseSignature
+const responseSignatures = new WeakMap();
+
+/**
+ * Get how long ASPSP JWKS are cached (JWKS_TTL_SECONDS, default: 3600, 0 disables)
+ */
+function getJwksTtlSeconds() {
+  return Number(process.env.JWKS_TTL_SECONDS ?? 3600);
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Trust anchor (http://openbanking.org.uk/tan) of a provider's directory
+ */
+function getTrustAnchor(providerCode) {
+  return getProvider(providerCode, STANDARDS.OBIE).trustAnchor || DEFAULT_TRUST_ANCHOR;
+}
+
+/**
+ * Whether requests to a provider are signed: the TPP profile's signRequests, then the provider's
+ */
+export function isRequestSigningEnabled(providerCode) {
+  const profile = getCurrentTppProfile();
+  return profile?.signRequests ?? getProvider(providerCode, STANDARDS.OBIE).signRequests ?? true;
+}
+
+/**
+ * Sign a request body as a detached JWS with the key of the current TPP profile
+ *
+ * @param {string|Buffer} payload - Exact body sent to the ASPSP
+ * @param {string} providerCode - Provider the request is sent to
+ * @param {string} contentType - Content type of the body (default: application/json)
+ * @returns {string} x-jws-signature header value
+ */
+export function signDetachedJws(payload, providerCode, contentType = 'application/json') {
+  const kid = getSigningKeyId();
+  const header = {
+    alg: JWS_ALGORITHM,
+    typ: 'JOSE',
+    cty: contentType,
+    ...(kid && { kid }),
+    [OB_JWS_CLAIMS.iat]: Math.floor(Date.now() / 1000),
+    [OB_JWS_CLAIMS.iss]: getJwsIssuer(),
+    [OB_JWS_CLAIMS.tan]: getTrustAnchor(providerCode),
+    crit: Object.values(OB_JWS_CLAIMS)
+  };
+
+  const encodedHeader = base64url(JSON.stringify(header));
+  const signingInput = `${encodedHeader}.${base64url(payload)}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), { key: getPrivateKey(), ...PSS_OPTIONS });
+
+  return `${encodedHeader}..${base64url(signature)}`;
+}
+
+/**
+ * Fetch the ASPSP's JWKS: the provider's jwksUri, or jwks_uri of its OIDC discovery document
+ * Cached for JWKS_TTL_SECONDS unless refresh is set (e.g. for a kid the cached keys do not have).
+ */
+async function getAspspJwks(providerCode, refresh = false) {
+  const jwksUri = getProvider(providerCode, STANDARDS.OBIE).jwksUri
+    || (await discoverOidc(providerCode)).metadata?.jwks_uri;
+  if (!jwksUri) {
+    throw new Error(`No JWKS for ${providerCode}: set jwksUri of the provider`);
+  }
+
+  const cached = !refresh && aspspJwks.get(jwksUri);
+  if (cached) {
+    return cached;
+  }
+
+  let data;
+  try {
+    ({ data } = await axios.get(jwksUri));
+  } catch (error) {
+    throw new Error(`Failed to fetch JWKS ${jwksUri}: ${error.message}`);
+  }
+  if (!Array.isArray(data?.keys)) {
+    throw new Error(`JWKS ${jwksUri} has no keys`);
+  }
+
+  const jwks = { jwksUri, keys: data.keys };
+  aspspJwks.set(jwksUri, jwks, getJwksTtlSeconds());
+  return jwks;
+}
+
+/**
+ * Find the signing key of a kid, fetching the JWKS again once if the cached one does not have it
+ */
+async function getAspspSigningKey(providerCode, kid) {
+  let jwks = await getAspspJwks(providerCode);
+  let jwk = jwks.keys.find((key) => key.kid === kid);
+
+  if (!jwk) {
+    jwks = await getAspspJwks(providerCode, true);
+    jwk = jwks.keys.find((key) => key.kid === kid);
+  }
+  if (!jwk) {
+    throw new Error(`kid ${kid} is not in the JWKS ${jwks.jwksUri}`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Check the protected header of an ASPSP signature
+ *
+ * @returns {Array<string>} Problems with the header, empty if it is valid
+ */
+function checkProtectedHeader(header, providerCode) {
+  const problems = [];
+
+  if (header.alg !== JWS_ALGORITHM) {
+    problems.push(`alg must be ${JWS_ALGORITHM}, got ${header.alg}`);
+  }
+  if (!header.kid) {
+    problems.push('kid is missing');
+  }
+  if ('b64' in header) {
+    problems.push('b64 must not be used from OBIE v3.1.4');
+  }
+
+  Object.values(OB_JWS_CLAIMS).forEach((claim) => {
+    if (header[claim] === undefined) {
+      problems.push(`claim ${claim} is missing`);
+    } else if (!header.crit?.includes(claim)) {
+      problems.push(`claim ${claim} is not listed in crit`);
+    }
+  });
+
+  const trustAnchor = getTrustAnchor(providerCode);
+  if (header[OB_JWS_CLAIMS.tan] !== undefined && header[OB_JWS_CLAIMS.tan] !== trustAnchor) {
+    problems.push(`${OB_JWS_CLAIMS.tan} must be ${trustAnchor}, got ${header[OB_JWS_CLAIMS.tan]}`);
+  }
+
+  const iat = header[OB_JWS_CLAIMS.iat];
+  if (iat !== undefined && !(Number.isInteger(iat) && iat <= Date.now() / 1000 + CLOCK_SKEW_SECONDS)) {
+    problems.push(`${OB_JWS_CLAIMS.iat} must be a time in the past, got ${iat}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Verify the detached JWS of an ASPSP response against the ASPSP's JWKS
+ *
+ * @param {string} signature - x-jws-signature header value (optional)
+ * @param {string|Buffer} payload - Exact response body
+ * @param {string} providerCode - Provider that sent the response
+ * @returns {Object} { verified, kid, issuer, errors }
+ */
+export async function verifyDetachedJws(signature, payload, providerCode) {
+  if (!signature) {
+    return { verified: false, kid: null, issuer: null, errors: ['x-jws-signature header is missing'] };
+  }
+
+  const [encodedHeader, detachedPayload, encodedSignature] = signature.split('.');
+  if (!encodedHeader || detachedPayload !== '' || !encodedSignature || signature.split('.').length !== 3) {
+    return { verified: false, kid: null, issuer: null, errors: ['x-jws-signature is not a detached JWS (header..signature)'] };
+  }
+
+  let header;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { verified: false, kid: null, issuer: null, errors: [`Protected header is not valid JSON: ${error.message}`] };
+  }
+
+  const result = { kid: header.kid || null, issuer: header[OB_JWS_CLAIMS.iss] || null };
+  const errors = checkProtectedHeader(header, providerCode);
+
+  if (header.kid && header.alg === JWS_ALGORITHM) {
+    try {
+      const key = await getAspspSigningKey(providerCode, header.kid);
+      const signingInput = Buffer.from(`${encodedHeader}.${base64url(payload)}`);
+      const valid = crypto.verify('sha256', signingInput, { key, ...PSS_OPTIONS }, Buffer.from(encodedSignature, 'base64url'));
+      if (!valid) {
+        errors.push('Signature does not match the response body');
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  return { verified: errors.length === 0, ...result, errors };
+}
+
+/**
+ * Parse a JSON body kept as text, leaving other bodies as they are
+ */
+function parseBody(raw) {
+  if (typeof raw !== 'string' || raw === '') {
+    return raw;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+}
+
+/**
+ * POST a body to a PISP endpoint with an x-jws-signature header and verify the signature of the response
+ * The body is serialised once, so the signature covers exactly the bytes sent. An x-idempotency-key that was
+ * already sent to the URL successfully is sent again with the bytes of that request, not with the new body.
+ *
+ * @param {string} url - Endpoint URL
+ * @param {Object|string|Buffer} body - JSON body, or the content of a file upload
+ * @param {Object} options
+ * @param {string} options.providerCode - Provider the request is sent to
+ * @param {Object} options.headers - Other request headers (Authorization, Content-Type)
+ * @param {string} options.idempotencyKey - x-idempotency-key (optional, a new key is generated if not provided)
+ * @returns {Object} { data, responseSignature } - responseSignature is null when verification is disabled
+ */
+export async function postSigned(url, body, { providerCode, headers = {}, idempotencyKey }) {
+  const storedPayload = idempotencyKey ? getUpstreamPayload(url, idempotencyKey) : null;
+  if (storedPayload) {
+    console.log(`🔁 Sending the stored request body of x-idempotency-key ${idempotencyKey} again`);
+  }
+  const payload = storedPayload
+    ?? (typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+  const contentType = headers['Content-Type'] || 'application/json';
+  const signatureHeaders = isRequestSigningEnabled(providerCode)
+    ? { 'x-jws-signature': signDetachedJws(payload, providerCode, contentType) }
+    : {};
+  const idempotencyHeaders = idempotencyKey ? { 'x-idempotency-key': idempotencyKey } : {};
+
+  let response;
+  try {
+    response = await axios.post(url, payload, {
+      headers: { ...headers, 'Content-Type': contentType, ...signatureHeaders, ...idempotencyHeaders },
+      // Keep the raw body, the response signature covers its exact bytes
+      transformResponse: [(raw) => raw]
+    });
+  } catch (error) {
+    if (error.response) {
+      error.response.data = parseBody(error.response.data);
+    }
+    throw error;
+  }
+
+  if (idempotencyKey && !storedPayload) {
+    rememberUpstreamPayload(url, idempotencyKey, payload);
+  }
+
+  const data = parseBody(response.data);
+  const verify = getProvider(providerCode, STANDARDS.OBIE).verifyResponseSignatures ?? true;
+  // Bodiless responses (e.g. file uploads) are not signed
+  const responseSignature = verify && response.data
+    ? await verifyDetachedJws(response.headers['x-jws-signature'], response.data, providerCode)
+    : null;
+
+  if (responseSignature && !responseSignature.verified) {
+    console.warn(`⚠️  Response signature of ${url} not verified: ${responseSignature.errors.join('; ')}`);
+  }
+  if (data && typeof data === 'object') {
+    responseSignatures.set(data, responseSignature);
+  }
+
+  return { data, responseSignature };
+}
+
+/**
+ * Get the signature verification outcome of a response body returned by postSigned
+ *
+ * @param {Object} data - Parsed response body
+ * @returns {Object|null} { verified, kid, issuer, errors }, null if not verified
+ */
+export function getResponseSignature(data) {
+  return (data && responseSignatures.get(data)) || null;
+}
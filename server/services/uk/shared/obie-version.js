@@ -0,0 +1,83 @@
+/**
+ * OBIE API Version
+ * The UK Open Banking Read/Write API version used for a request: v3.1 (any v3.1.x release) or v4.0
+ *
+ * The version is, in order: the version selected for the request (runWithObieVersion, e.g. from the
+ * X-OBIE-Version header), the version a consent was created with (adoptObieVersion), and the
+ * apiVersion of the provider in the provider registry (see providers/registry.js getObieVersion).
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHttpError } from './utils.js';
+
+export const OBIE_VERSIONS = ['v3.1', 'v4.0'];
+
+// Accepted spellings of each version, e.g. 3.1, v3.1.11, v4
+const VERSION_PATTERNS = {
+  'v3.1': /^v?3\.1(\.(\d+|x))?$/i,
+  'v4.0': /^v?4(\.0(\.(\d+|x))?)?$/i
+};
+
+const versionContext = new AsyncLocalStorage();
+
+/**
+ * Normalise a version to the path segment of its API, e.g. v3.1.11 -> v3.1
+ *
+ * @param {string} version - Requested version
+ * @returns {string} 'v3.1' or 'v4.0'
+ * @throws {Error} 400 if the version is not supported
+ */
+export function normaliseObieVersion(version) {
+  const normalised = OBIE_VERSIONS.find((candidate) => VERSION_PATTERNS[candidate].test(String(version)));
+
+  if (!normalised) {
+    throw createHttpError(400, `Unsupported OBIE API version: ${version}`, {
+      supportedVersions: OBIE_VERSIONS
+    });
+  }
+
+  return normalised;
+}
+
+/**
+ * Check whether a version is supported, without throwing
+ */
+export function isObieVersion(version) {
+  return OBIE_VERSIONS.some((candidate) => VERSION_PATTERNS[candidate].test(String(version)));
+}
+
+/**
+ * Run a function with an OBIE API version selected
+ *
+ * @param {string} version - Version (optional, the consent's or provider's version if not provided)
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ * @throws {Error} 400 if the version is not supported
+ */
+export function runWithObieVersion(version, fn) {
+  const normalised = version ? normaliseObieVersion(version) : null;
+  return versionContext.run({ version: normalised, explicit: Boolean(version) }, fn);
+}
+
+/**
+ * Switch the current context to the version a consent was created with,
+ * unless a version was selected explicitly
+ *
+ * @param {string} version - Version stored with the consent
+ */
+export function adoptObieVersion(version) {
+  const context = versionContext.getStore();
+
+  if (context && !context.explicit && version && isObieVersion(version)) {
+    context.version = normaliseObieVersion(version);
+  }
+}
+
+/**
+ * Get the version selected for the current context
+ *
+ * @returns {string|null} Selected or adopted version, null to use the provider's
+ */
+export function getSelectedObieVersion() {
+  return versionContext.getStore()?.version || null;
+}
@@ -0,0 +1,140 @@
+/**
+ * UK Open Banking Schema Validator
+ * Minimal JSON Schema validator for the OBIE request schemas
+ *
+ * Supports the subset of JSON Schema used by the OBIE specifications:
+ * type, required, properties, additionalProperties, items, minItems, maxItems, uniqueItems,
+ * enum, pattern, minLength, maxLength and format 'date-time'.
+ * Two extensions cover rules JSON Schema cannot express:
+ * - future: true - a date-time that must be in the future
+ * - check(value, path) - custom rule returning a list of violations
+ */
+
+import { createHttpError } from './utils.js';
+
+// ISO 8601 date-time with a time zone, as required by OBIE
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {Object} schema - Schema to validate against
+ * @param {*} value - Value to validate
+ * @param {string} path - JSON path of the value (default: '$')
+ * @returns {Array<Object>} Violations as { path, message }
+ */
+export function validate(schema, value, path = '$') {
+  if (!schema || value === undefined) {
+    return [];
+  }
+  
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [{ path, message: `must be of type ${schema.type}` }];
+  }
+  
+  const violations = [];
+  const violation = (message, at = path) => violations.push({ path: at, message });
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    violation(`must be one of: ${schema.enum.join(', ')}`);
+  }
+  
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      violation(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      violation(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      violation(`must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time') {
+      if (!DATE_TIME_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+        violation('must be an ISO 8601 date-time with time zone, e.g. 2025-01-31T10:00:00+00:00');
+      } else if (schema.future && Date.parse(value) <= Date.now()) {
+        violation('must be in the future');
+      }
+    }
+  }
+  
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      violation(`must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      violation(`must contain at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.uniqueItems) {
+      value.forEach((item, index) => {
+        if (value.indexOf(item) !== index) {
+          violation(`duplicate value ${JSON.stringify(item)}`, `${path}[${index}]`);
+        }
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        violations.push(...validate(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+  
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((name) => {
+      if (value[name] === undefined) {
+        violation('is required', `${path}.${name}`);
+      }
+    });
+    
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      const propertySchema = schema.properties?.[name];
+      if (propertySchema) {
+        violations.push(...validate(propertySchema, propertyValue, `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        violation('is not allowed', `${path}.${name}`);
+      }
+    });
+  }
+  
+  if (schema.check) {
+    violations.push(...schema.check(value, path));
+  }
+  
+  return violations;
+}
+
+/**
+ * Validate a value and throw a 400 listing every violation
+ *
+ * @param {Object} schema - Schema to validate against
+ * @param {*} value - Value to validate
+ * @param {string} description - What is validated, used in the error message
+ * @throws {Error} 400 with details.violations if the value is invalid
+ */
+export function assertValid(schema, value, description = 'Request body') {
+  const violations = validate(schema, value);
+  
+  if (violations.length > 0) {
+    throw createHttpError(400, `${description} failed validation with ${violations.length} violation(s)`, {
+      violations
+    });
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * TPP Credential Profiles
+ * Named TPP registrations (software ID, signing key, kid, default redirect URI, allowed providers and
+ * message signing settings) read from a JSON file (TPP_PROFILES_PATH, default tpp-profiles.json in the
+ * repository root):
+ *
+ *   {
+ *     "default": "sandbox",
+ *     "profiles": {
+ *       "sandbox": {
+ *         "softwareId": "76ac4dfb-...",
+ *         "privateKeyPath": "./keys/sandbox.pem",
+ *         "kid": "sandbox-signing-key",
+ *         "redirectUri": "https://backbase-dev.com/callback",
+ *         "providers": ["backbase_dev_uk"],
+ *         "organisationId": "0015800001041RHAAY",
+ *         "signRequests": true
+ *       }
+ *     }
+ *   }
+ *
+ * The profile of a request is held in an async context (runWithTppProfile), so the config
+ * helpers read its credentials wherever a JWT or request is signed. Without a selected profile
+ * the file's default profile is used, or the OB_SOFTWARE_ID / OB_PRIVATE_KEY environment.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { fileURLToPath } from 'url';
+import { validate } from './schema-validator.js';
+import { createHttpError } from './utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const profileContext = new AsyncLocalStorage();
+
+const PROFILES_FILE_SCHEMA = {
+  type: 'object',
+  required: ['profiles'],
+  properties: {
+    default: { type: 'string' },
+    profiles: {
+      type: 'object',
+      check: (profiles, profilesPath) => Object.entries(profiles).flatMap(([name, profile]) => validate({
+        type: 'object',
+        required: ['softwareId'],
+        additionalProperties: false,
+        properties: {
+          softwareId: { type: 'string', minLength: 1 },
+          privateKeyPath: { type: 'string', minLength: 1 },
+          privateKey: { type: 'string', minLength: 1 },
+          kid: { type: 'string', minLength: 1 },
+          redirectUri: { type: 'string', minLength: 1 },
+          providers: { type: 'array', items: { type: 'string' } },
+          organisationId: { type: 'string', minLength: 1 },
+          signRequests: { type: 'boolean' },
+          description: { type: 'string' }
+        },
+        check: (value, profilePath) => (value.privateKeyPath || value.privateKey
+          ? []
+          : [{ path: profilePath, message: 'requires privateKeyPath or privateKey' }])
+      }, profile, `${profilesPath}.${name}`))
+    }
+  }
+};
+
+let profilesFile = null;
+
+// Private keys read from privateKeyPath, by profile name
+const privateKeys = new Map();
+
+/**
+ * Path of the profiles file (TPP_PROFILES_PATH, relative paths are resolved from the repository root)
+ */
+function getProfilesFilePath() {
+  const profilesPath = process.env.TPP_PROFILES_PATH || 'tpp-profiles.json';
+  return path.isAbsolute(profilesPath)
+    ? profilesPath
+    : path.join(__dirname, '..', '..', '..', '..', profilesPath);
+}
+
+/**
+ * Load the profiles file on first use
+ * A missing file means there are no profiles, an invalid one is reported on every use.
+ */
+function getProfilesFile() {
+  if (profilesFile) {
+    return profilesFile;
+  }
+
+  const filePath = getProfilesFilePath();
+  if (!fs.existsSync(filePath)) {
+    profilesFile = { filePath, profiles: {} };
+    return profilesFile;
+  }
+
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read TPP profiles from ${filePath}: ${error.message}`);
+  }
+
+  const violations = validate(PROFILES_FILE_SCHEMA, content);
+  if (violations.length > 0) {
+    throw new Error(`Invalid TPP profiles in ${filePath}: `
+      + violations.map((violation) => `${violation.path} ${violation.message}`).join('; '));
+  }
+  if (content.default && !content.profiles[content.default]) {
+    throw new Error(`Invalid TPP profiles in ${filePath}: default profile ${content.default} is not defined`);
+  }
+
+  profilesFile = { filePath, default: content.default, profiles: content.profiles };
+  console.log(`🪪 TPP profiles: ${Object.keys(content.profiles).length} loaded from ${filePath}`);
+  return profilesFile;
+}
+
+/**
+ * Get a profile by name
+ *
+ * @param {string} name - Profile name
+ * @returns {Object} Profile with its name
+ * @throws {Error} 400 if the profile is not defined
+ */
+export function getTppProfile(name) {
+  const { profiles } = getProfilesFile();
+
+  if (!profiles[name]) {
+    throw createHttpError(400, `Unknown TPP profile: ${name}`, {
+      availableProfiles: Object.keys(profiles)
+    });
+  }
+
+  return { name, ...profiles[name] };
+}
+
+/**
+ * Describe the configured profiles, without their keys
+ */
+export function listTppProfiles() {
+  const { filePath, default: defaultProfile, profiles } = getProfilesFile();
+
+  return {
+    file: filePath,
+    default: defaultProfile || null,
+    profiles: Object.entries(profiles).map(([name, profile]) => ({
+      name,
+      description: profile.description || null,
+      softwareId: profile.softwareId,
+      kid: profile.kid || null,
+      redirectUri: profile.redirectUri || null,
+      providers: profile.providers || null,
+      organisationId: profile.organisationId || null,
+      signRequests: profile.signRequests ?? null
+    }))
+  };
+}
+
+/**
+ * Run a function with a TPP profile selected
+ * Every config lookup inside fn, including in awaited calls, uses the profile's credentials.
+ *
+ * @param {string} name - Profile name (optional, the default profile or environment if not provided)
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ * @throws {Error} 400 if the profile is not defined
+ */
+export function runWithTppProfile(name, fn) {
+  if (name) {
+    getTppProfile(name);
+  }
+  return profileContext.run({ name: name || null, explicit: Boolean(name) }, fn);
+}
+
+/**
+ * Switch the current context to the profile a consent was created with,
+ * unless a profile was selected explicitly
+ *
+ * @param {string} name - Profile name stored with the consent
+ */
+export function adoptTppProfile(name) {
+  const context = profileContext.getStore();
+
+  if (context && !context.explicit && name && getProfilesFile().profiles[name]) {
+    context.name = name;
+  }
+}
+
+/**
+ * Get the profile of the current context
+ *
+ * @returns {Object|null} Selected or default profile, null to use the environment credentials
+ */
+export function getCurrentTppProfile() {
+  const name = profileContext.getStore()?.name || getProfilesFile().default;
+  return name ? getTppProfile(name) : null;
+}
+
+/**
+ * Get the private key of a profile
+ * Relative privateKeyPath values are resolved from the directory of the profiles file.
+ */
+export function getTppProfilePrivateKey(profile) {
+  if (profile.privateKey) {
+    return profile.privateKey.replace(/\\n/g, '\n');
+  }
+
+  if (!privateKeys.has(profile.name)) {
+    const keyPath = path.resolve(path.dirname(getProfilesFile().filePath), profile.privateKeyPath);
+    if (!fs.existsSync(keyPath)) {
+      throw new Error(`Private key of TPP profile ${profile.name} not found: ${keyPath}`);
+    }
+    privateKeys.set(profile.name, fs.readFileSync(keyPath, 'utf8'));
+  }
+
+  return privateKeys.get(profile.name);
+}
+
+/**
+ * Reject providers the current profile is not registered with
+ *
+ * @throws {Error} 403 if the profile restricts its providers and providerCode is not one of them
+ */
+export function assertProviderAllowed(providerCode) {
+  const profile = getCurrentTppProfile();
+
+  if (profile?.providers && !profile.providers.includes(providerCode)) {
+    throw createHttpError(403, `TPP profile ${profile.name} is not allowed to use provider ${providerCode}`, {
+      profile: profile.name,
+      allowedProviders: profile.providers
+    });
+  }
+}
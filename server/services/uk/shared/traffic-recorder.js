@@ -0,0 +1,350 @@
+/**
+ * Upstream Traffic Recorder
+ * Keeps the last TRAFFIC_BUFFER_SIZE (default: 200) calls of the default axios instance - discovery, tokens,
+ * consents, payments, account data - with their method, URL, headers, body, status, response and timing,
+ * so failed calls can be inspected through GET /api/debug/traffic, exported as HAR or replayed with curl.
+ *
+ * Secrets are redacted before an exchange is stored: Authorization and cookie headers, client assertions,
+ * access/refresh/ID tokens and client secrets in bodies, and PEM private keys anywhere.
+ * TRAFFIC_RECORDING=false turns the recorder off.
+ */
+
+import axios from 'axios';
+import { getInteractionId } from './fapi.js';
+
+const REDACTED = '[REDACTED]';
+
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+const SECRET_FIELDS = ['client_assertion', 'client_secret', 'access_token', 'refresh_token', 'id_token', 'password'];
+
+const PRIVATE_KEY_PATTERN = /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g;
+
+// Longer bodies (e.g. payment files) are truncated
+const MAX_BODY_LENGTH = 64 * 1024;
+
+// Path segments followed by a consent ID, e.g. /domestic-payment-consents/{ConsentId} or /consents/{consentId}
+const CONSENT_PATH_PATTERN = /\/(?:[a-z-]+-consents|consents)\/([^/?#]+)/;
+
+const exchanges = [];
+let nextExchangeId = 1;
+let trafficRecorderInstalled = false;
+
+/**
+ * Get how many exchanges are kept (TRAFFIC_BUFFER_SIZE, default: 200)
+ */
+function getBufferSize() {
+  return Number(process.env.TRAFFIC_BUFFER_SIZE || 200);
+}
+
+function redactString(value) {
+  return value.replace(PRIVATE_KEY_PATTERN, REDACTED);
+}
+
+function redactValue(value) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_FIELDS.includes(key) ? REDACTED : redactValue(item)
+    ]));
+  }
+  return value;
+}
+
+/**
+ * Redact a header set, keeping the scheme of Authorization headers (e.g. "Bearer [REDACTED]")
+ */
+export function redactHeaders(headers = {}) {
+  const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+
+  return Object.fromEntries(Object.entries(plain)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => {
+      if (!SECRET_HEADERS.includes(name.toLowerCase())) {
+        return [name, redactString(String(value))];
+      }
+      const scheme = /^(Bearer|Basic) /i.exec(String(value))?.[1];
+      return [name, scheme ? `${scheme} ${REDACTED}` : REDACTED];
+    }));
+}
+
+/**
+ * Redact a request or response body
+ * JSON and form-encoded strings are redacted field by field; objects are serialised the way axios sends them.
+ *
+ * @returns {string|null} Redacted body text, null without a body
+ */
+function redactBody(body) {
+  if (body === undefined || body === null || body === '') {
+    return null;
+  }
+
+  let text;
+  if (Buffer.isBuffer(body)) {
+    text = body.toString('utf8');
+  } else if (body instanceof URLSearchParams) {
+    text = body.toString();
+  } else if (typeof body === 'object') {
+    return truncate(JSON.stringify(redactValue(body)));
+  } else {
+    text = String(body);
+  }
+
+  try {
+    return truncate(JSON.stringify(redactValue(JSON.parse(text))));
+  } catch (error) {
+    // Not JSON
+  }
+
+  if (/^[\w.%-]+=[^&]*(&[\w.%-]+=[^&]*)*$/.test(text)) {
+    const params = new URLSearchParams(text);
+    SECRET_FIELDS.forEach((field) => {
+      if (params.has(field)) {
+        params.set(field, REDACTED);
+      }
+    });
+    return truncate(params.toString());
+  }
+
+  return truncate(redactString(text));
+}
+
+/**
+ * Redact the secret fields of a JSON body, leaving every other text byte for byte as it is
+ * (signed response bodies have to stay exactly as received)
+ */
+export function redactSecretFields(text) {
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === 'object' && SECRET_FIELDS.some((field) => field in parsed)) {
+      return JSON.stringify(redactValue(parsed));
+    }
+  } catch (error) {
+    // Not JSON
+  }
+  return redactString(text);
+}
+
+function truncate(text) {
+  return text.length > MAX_BODY_LENGTH
+    ? `${text.slice(0, MAX_BODY_LENGTH)}...[truncated ${text.length - MAX_BODY_LENGTH} characters]`
+    : text;
+}
+
+/**
+ * Consent IDs an exchange refers to, from its URL and the ConsentId/consentId of its bodies
+ */
+function findConsentIds(url, ...bodies) {
+  const consentIds = new Set();
+
+  const pathMatch = CONSENT_PATH_PATTERN.exec(new URL(url, 'http://localhost').pathname);
+  if (pathMatch) {
+    consentIds.add(decodeURIComponent(pathMatch[1]));
+  }
+
+  bodies.forEach((body) => {
+    try {
+      const parsed = JSON.parse(body);
+      [parsed?.Data?.ConsentId, parsed?.consentId].filter(Boolean).forEach((consentId) => consentIds.add(consentId));
+    } catch (error) {
+      // Not JSON
+    }
+  });
+
+  return [...consentIds];
+}
+
+/**
+ * Store the exchange of an axios response or error
+ */
+function recordExchange(config, response, error) {
+  if (!config) {
+    return null;
+  }
+
+  const startedAt = config.trafficStartedAt || Date.now();
+  const url = axios.getUri(config);
+  const requestBody = redactBody(config.data);
+  const responseBody = response ? redactBody(response.data) : null;
+
+  const exchange = {
+    id: nextExchangeId++,
+    interactionId: config.trafficInteractionId || null,
+    consentIds: findConsentIds(url, requestBody, responseBody),
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    request: {
+      method: (config.method || 'get').toUpperCase(),
+      url,
+      headers: redactHeaders(config.headers),
+      body: requestBody
+    },
+    response: response
+      ? {
+        status: response.status,
+        statusText: response.statusText || '',
+        headers: redactHeaders(response.headers),
+        body: responseBody
+      }
+      : null,
+    error: error && !response ? error.message : null
+  };
+
+  exchanges.push(exchange);
+  exchanges.splice(0, Math.max(0, exchanges.length - getBufferSize()));
+  return exchange;
+}
+
+/**
+ * Record every call of the default axios instance
+ */
+export function installTrafficRecorder() {
+  if (trafficRecorderInstalled || process.env.TRAFFIC_RECORDING === 'false') {
+    return;
+  }
+  trafficRecorderInstalled = true;
+
+  axios.interceptors.request.use((config) => {
+    config.trafficStartedAt = Date.now();
+    config.trafficInteractionId = getInteractionId();
+    return config;
+  });
+
+  axios.interceptors.response.use((response) => {
+    recordExchange(response.config, response);
+    return response;
+  }, (error) => {
+    const exchange = recordExchange(error.config, error.response, error);
+    if (exchange) {
+      console.error(`📼 ${exchange.request.method} ${exchange.request.url} failed `
+        + `(${exchange.response?.status || exchange.error}), see GET /api/debug/traffic/${exchange.id}`);
+    }
+    return Promise.reject(error);
+  });
+}
+
+/**
+ * List recorded exchanges, oldest first
+ *
+ * @param {Object} filters
+ * @param {string} filters.consentId - Exchanges referring to the consent, and the other exchanges of their
+ *                                     interactions (e.g. the token request of a consent creation) (optional)
+ * @param {string} filters.interactionId - Exchanges of one x-fapi-interaction-id (optional)
+ * @returns {Array} Exchanges
+ */
+export function listExchanges({ consentId, interactionId } = {}) {
+  let result = exchanges;
+
+  if (consentId) {
+    const interactionIds = new Set(result
+      .filter((exchange) => exchange.consentIds.includes(consentId))
+      .map((exchange) => exchange.interactionId)
+      .filter(Boolean));
+
+    result = result.filter((exchange) => exchange.consentIds.includes(consentId)
+      || interactionIds.has(exchange.interactionId));
+  }
+  if (interactionId) {
+    result = result.filter((exchange) => exchange.interactionId === interactionId);
+  }
+
+  return result;
+}
+
+/**
+ * Get a recorded exchange by ID
+ *
+ * @returns {Object|null} Exchange, null if unknown or dropped from the buffer
+ */
+export function getExchange(id) {
+  return exchanges.find((exchange) => exchange.id === Number(id)) || null;
+}
+
+/**
+ * Remove every recorded exchange
+ *
+ * @returns {number} Number of exchanges removed
+ */
+export function clearExchanges() {
+  return exchanges.splice(0).length;
+}
+
+/**
+ * Render an exchange as a curl command (redacted values stay redacted)
+ */
+export function toCurl(exchange) {
+  const quote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+  const { method, url, headers, body } = exchange.request;
+
+  return [
+    `curl -X ${method} ${quote(url)}`,
+    // curl sets its own Content-Length, and would print compressed bodies as they are
+    ...Object.entries(headers)
+      .filter(([name]) => !['content-length', 'accept-encoding'].includes(name.toLowerCase()))
+      .map(([name, value]) => `-H ${quote(`${name}: ${value}`)}`),
+    ...(body !== null ? [`--data-raw ${quote(body)}`] : [])
+  ].join(' \\\n  ');
+}
+
+/**
+ * Export exchanges as a HAR 1.2 log
+ */
+export function toHar(exchangesToExport) {
+  const toNameValues = (headers) => Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+  const getContentType = (headers) => Object.entries(headers)
+    .find(([name]) => name.toLowerCase() === 'content-type')?.[1] || 'application/octet-stream';
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'bb-tpp-api-simulator', version: '1.0.0' },
+      entries: exchangesToExport.map((exchange) => {
+        const { request, response } = exchange;
+        const url = new URL(request.url);
+
+        return {
+          startedDateTime: exchange.startedAt,
+          time: exchange.durationMs,
+          comment: [exchange.interactionId && `x-fapi-interaction-id ${exchange.interactionId}`, exchange.error]
+            .filter(Boolean).join('; '),
+          request: {
+            method: request.method,
+            url: request.url,
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: toNameValues(request.headers),
+            queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+            ...(request.body !== null && {
+              postData: { mimeType: getContentType(request.headers), text: request.body }
+            }),
+            headersSize: -1,
+            bodySize: request.body !== null ? Buffer.byteLength(request.body) : 0
+          },
+          response: {
+            status: response?.status || 0,
+            statusText: response?.statusText || '',
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: toNameValues(response?.headers || {}),
+            content: {
+              size: response?.body ? Buffer.byteLength(response.body) : 0,
+              mimeType: getContentType(response?.headers || {}),
+              ...(response?.body && { text: response.body })
+            },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: response?.body ? Buffer.byteLength(response.body) : 0
+          },
+          cache: {},
+          timings: { send: 0, wait: exchange.durationMs, receive: 0 }
+        };
+      })
+    }
+  };
+}
@@ -3,9 +3,11 @@
  * Shared utility functions for UK Open Banking services
  */
 
-import axios from 'axios';
+import axios, { AxiosHeaders } from 'axios';
 import crypto from 'crypto';
-import { getBaseUrl, getClientId } from './config.js';
+import { getClientId } from './config.js';
+import { createTtlCache } from './cache.js';
+import { getProvider, getProviderBaseUrl, STANDARDS } from '../../providers/registry.js';
 
 /**
  * Generate a random UUID
@@ -19,13 +21,33 @@ export function generateUuid() {
   return `${rnd()}-${rnd().slice(0,4)}-${rnd().slice(0,4)}-${rnd().slice(0,4)}-${rnd()}${rnd()}`;
 }
 
+const oidcDiscovery = createTtlCache('oidcDiscovery');
+
+/**
+ * Get how long OIDC discovery results are cached (OIDC_DISCOVERY_TTL_SECONDS, default: 3600, 0 disables)
+ */
+function getDiscoveryTtlSeconds() {
+  return Number(process.env.OIDC_DISCOVERY_TTL_SECONDS ?? 3600);
+}
+
 /**
  * Discover OIDC endpoints for a provider
+ * Results are cached per provider for OIDC_DISCOVERY_TTL_SECONDS.
+ * 
+ * @returns {Object} authorizationEndpoint, tokenEndpoint and the whole discovery document (metadata)
+ * @throws {Error} 400 if the provider is not a registered OBIE provider
  */
 export async function discoverOidc(providerCode) {
-  const baseUrl = getBaseUrl();
+  getProvider(providerCode, STANDARDS.OBIE);
+  
+  const baseUrl = getProviderBaseUrl(providerCode);
   const url = `${baseUrl}/.well-known/openid-configuration/${encodeURIComponent(providerCode)}`;
   
+  const cached = oidcDiscovery.get(url);
+  if (cached) {
+    return cached;
+  }
+  
   try {
     const { data } = await axios.get(url);
     
@@ -33,19 +55,23 @@ export async function discoverOidc(providerCode) {
       throw new Error('OIDC discovery missing required endpoints');
     }
     
-    return {
+    const endpoints = {
       authorizationEndpoint: data.authorization_endpoint,
-      tokenEndpoint: data.token_endpoint
+      tokenEndpoint: data.token_endpoint,
+      metadata: data
     };
+    oidcDiscovery.set(url, endpoints, getDiscoveryTtlSeconds());
+    
+    return endpoints;
   } catch (error) {
-    throw new Error(`OIDC discovery failed: ${error.message}`);
+    throw createUpstreamError(error, `OIDC discovery failed: ${error.message}`);
   }
 }
 
 /**
  * Build authorization URL
  */
-export function buildAuthorizationUrl(authorizationEndpoint, { redirectUri, scope, requestJwt }) {
+export function buildAuthorizationUrl(authorizationEndpoint, { redirectUri, scope, requestJwt, state }) {
   const clientId = getClientId();
   const u = new URL(authorizationEndpoint);
   u.searchParams.set('client_id', clientId);
@@ -53,6 +79,48 @@ export function buildAuthorizationUrl(authorizationEndpoint, { redirectUri, scop
   u.searchParams.set('scope', scope);
   u.searchParams.set('request', requestJwt);
   u.searchParams.set('redirect_uri', redirectUri);
+  if (state) {
+    u.searchParams.set('state', state);
+  }
   return u.toString();
 }
 
+
+/**
+ * Create an error carrying an HTTP status for the error handling middleware
+ */
+export function createHttpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Create the error of a failed upstream call for the error handling middleware
+ * ASPSP error responses keep their status, body and Retry-After header, so client apps see the 429s and 5xxs
+ * of the ASPSP; timeouts become a 504 and dropped connections a 502.
+ *
+ * @param {Error} error - Error of the upstream call (an AxiosError, or an error of the simulator itself)
+ * @param {string} message - Error message with the context of the call
+ * @returns {Error} Error with the status to answer with
+ */
+export function createUpstreamError(error, message) {
+  if (error.response) {
+    const upstreamError = createHttpError(error.response.status, message, error.response.data);
+    const retryAfter = AxiosHeaders.from(error.response.headers).get('Retry-After');
+    if (retryAfter) {
+      upstreamError.retryAfter = String(retryAfter);
+    }
+    return upstreamError;
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return createHttpError(504, message);
+  }
+  if (error.code === 'ECONNRESET') {
+    return createHttpError(502, message);
+  }
+  return error.status ? createHttpError(error.status, message, error.details) : new Error(message);
+}